@@ -0,0 +1,339 @@
+'use strict';
+
+var Logger = require('dw/system/Logger');
+
+/**
+ * Parts of the product payload mapped attributes can be added to
+ */
+var TARGET = {
+    EXTRA_FIELDS: 'extra_fields',
+    REGIONAL_INFO: 'regional_info'
+};
+
+/**
+ * Coercions applied to attribute values. AUTO converts values by their type:
+ * enum values to their display value, collections to arrays, markup text to
+ * plain text and dates to ISO strings.
+ */
+var TYPE = {
+    AUTO: 'auto',
+    STRING: 'string',
+    NUMBER: 'number',
+    BOOLEAN: 'boolean',
+    ENUM: 'enum',
+    SET: 'set',
+    HTML: 'html'
+};
+
+/**
+ * Payload keys set by the export itself, which mapped attributes cannot replace.
+ * The localized descriptions, brand and page metadata of regional info are not
+ * reserved: mapped attributes are added after them, so that mappings with these
+ * keys keep overriding the exported values.
+ */
+var RESERVED_KEYS = {};
+RESERVED_KEYS[TARGET.EXTRA_FIELDS] = ['product_photos', 'product_images', 'categories', 'version_hash', 'ecommerce_platform',
+    'ecommerce_platform_version', 'categories_last_updated_at', 'product_type', 'components'];
+RESERVED_KEYS[TARGET.REGIONAL_INFO] = ['buy_now_link_url', 'name', 'price', 'currency', 'list_price', 'sale_price',
+    'min_price', 'max_price', 'has_promotion', 'promotional_price', 'stock', 'region_code', 'variants_json'];
+
+/**
+ * Strings the boolean type parses, case-insensitively
+ */
+var BOOLEAN_STRINGS = {
+    true: ['true', '1', 'yes', 'y', 'on'],
+    false: ['false', '0', 'no', 'n', 'off']
+};
+
+var CUSTOM_ATTRIBUTE_PATTERN = /^(?:custom\.|c_)(\w+)$/;
+
+var mappingSource = null;
+var mapping = [];
+
+/**
+ * Returns whether an object has a value among the values of another object.
+ *
+ * @param {Object} values - Object holding the allowed values
+ * @param {*} value - Value to look for
+ * @return {boolean} - True if the value is allowed
+ */
+function isOneOf(values, value) {
+    return Object.keys(values).some(function (key) {
+        return values[key] === value;
+    });
+}
+
+/**
+ * Checks that a product attribute is defined.
+ *
+ * @param {string} attribute - Attribute name, prefixed with custom. or c_ for
+ *   custom attributes
+ * @return {boolean} - True if the attribute is defined for products
+ */
+function isDefinedAttribute(attribute) {
+    var SystemObjectMgr = require('dw/object/SystemObjectMgr');
+    var productType = SystemObjectMgr.describe('Product');
+    var customMatch = CUSTOM_ATTRIBUTE_PATTERN.exec(attribute);
+
+    return customMatch
+        ? !!productType.getCustomAttributeDefinition(customMatch[1])
+        : !!productType.getSystemAttributeDefinition(attribute);
+}
+
+/**
+ * Validates and normalizes an entry of the attribute mapping.
+ *
+ * @param {Object} entry - Mapping entry, as configured
+ * @param {number} index - Index of the entry, for error messages
+ * @return {Object} - Normalized entry, with attribute, key, target and type
+ * @throws {Error} - If the entry is invalid
+ */
+function normalizeEntry(entry, index) {
+    var prefix = 'Pixlee attribute mapping entry ' + index + ': ';
+
+    if (!entry || typeof entry.attribute !== 'string' || !entry.attribute) {
+        throw new Error(prefix + 'attribute is missing');
+    }
+    if (typeof entry.key !== 'string' || !entry.key) {
+        throw new Error(prefix + 'key is missing');
+    }
+
+    var normalized = {
+        attribute: entry.attribute,
+        key: entry.key,
+        target: entry.target || TARGET.EXTRA_FIELDS,
+        type: entry.type || TYPE.AUTO
+    };
+
+    if (!isOneOf(TARGET, normalized.target)) {
+        throw new Error(prefix + 'unknown target ' + normalized.target);
+    }
+    if (!isOneOf(TYPE, normalized.type)) {
+        throw new Error(prefix + 'unknown type ' + normalized.type);
+    }
+    if (RESERVED_KEYS[normalized.target].indexOf(normalized.key) >= 0) {
+        throw new Error(prefix + 'key ' + normalized.key + ' is set by the export');
+    }
+    if (!isDefinedAttribute(normalized.attribute)) {
+        throw new Error(prefix + 'product attribute ' + normalized.attribute + ' is not defined');
+    }
+
+    return normalized;
+}
+
+/**
+ * Returns the attribute mapping configured by the PixleeAttributeMapping site
+ * preference. The preference is parsed and validated only when its value
+ * changes.
+ *
+ * @return {Array} - Mapping entries, with attribute, key, target and type
+ * @throws {Error} - If the mapping is invalid
+ */
+function getMapping() {
+    var Site = require('dw/system/Site');
+    var source = Site.getCurrent().getCustomPreferenceValue('PixleeAttributeMapping') || '';
+
+    if (source !== mappingSource) {
+        var entries = [];
+
+        if (source) {
+            var config;
+            try {
+                config = JSON.parse(source);
+            } catch (e) {
+                throw new Error('Pixlee attribute mapping is not valid JSON: ' + e.message);
+            }
+            if (!Array.isArray(config)) {
+                throw new Error('Pixlee attribute mapping must be a JSON array');
+            }
+            entries = config.map(normalizeEntry);
+        }
+
+        mapping = entries;
+        mappingSource = source;
+    }
+
+    return mapping;
+}
+
+/**
+ * Converts HTML to plain text.
+ *
+ * @param {string} html - HTML markup
+ * @return {string} - Text, with tags removed and whitespace collapsed
+ */
+function stripHtml(html) {
+    return String(html)
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, '\'')
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Converts an enum value to its display value.
+ *
+ * @param {dw.value.EnumValue|*} value - Enum value
+ * @return {*} - Display value, or the value itself if it has none
+ */
+function toEnumValue(value) {
+    if (value && typeof value === 'object' && value.value !== undefined) {
+        return value.displayValue || value.value;
+    }
+    return value;
+}
+
+/**
+ * Converts an attribute value to a boolean. Strings are parsed, as string
+ * attributes and enum display values hold booleans as text, and "false" or "0"
+ * would otherwise be true.
+ *
+ * @param {*} value - Attribute value
+ * @return {boolean} - Boolean value
+ * @throws {Error} - If the value is a string that is not a boolean
+ */
+function toBoolean(value) {
+    var item = toEnumValue(value);
+    if (typeof item !== 'string') {
+        return !!item;
+    }
+
+    var normalized = item.trim().toLowerCase();
+    if (BOOLEAN_STRINGS.true.indexOf(normalized) >= 0) {
+        return true;
+    }
+    if (BOOLEAN_STRINGS.false.indexOf(normalized) >= 0) {
+        return false;
+    }
+    throw new Error('"' + item + '" is not a boolean');
+}
+
+/**
+ * Converts a collection or set-of attribute value to an array.
+ *
+ * @param {dw.util.Collection|Array|*} value - Attribute value
+ * @return {Array} - Array of values, enum values converted to display values
+ */
+function toArray(value) {
+    var items;
+    if (Array.isArray(value)) {
+        items = value;
+    } else if (value && typeof value.toArray === 'function') {
+        items = value.toArray();
+    } else {
+        items = [value];
+    }
+
+    var result = [];
+    for (var i = 0; i < items.length; i += 1) {
+        result.push(toEnumValue(items[i]));
+    }
+    return result;
+}
+
+/**
+ * Coerces an attribute value to a JSON value.
+ *
+ * @param {*} value - Attribute value, not null
+ * @param {string} type - One of TYPE
+ * @return {*} - Coerced value
+ */
+function coerce(value, type) {
+    switch (type) {
+        case TYPE.STRING:
+            return String(toEnumValue(value));
+        case TYPE.NUMBER:
+            return Number(toEnumValue(value));
+        case TYPE.BOOLEAN:
+            return toBoolean(value);
+        case TYPE.ENUM:
+            return toEnumValue(value);
+        case TYPE.SET:
+            return toArray(value);
+        case TYPE.HTML:
+            return stripHtml(typeof value.markup === 'string' ? value.markup : value);
+        default:
+            if (value instanceof Date) {
+                return value.toISOString();
+            }
+            if (typeof value !== 'object') {
+                return value;
+            }
+            if (typeof value.markup === 'string') {
+                return stripHtml(value.markup);
+            }
+            if (Array.isArray(value) || typeof value.toArray === 'function') {
+                return toArray(value);
+            }
+            return String(toEnumValue(value));
+    }
+}
+
+/**
+ * Reads a product attribute value.
+ *
+ * @param {dw.catalog.Product} product - Product to read
+ * @param {string} attribute - Attribute name, prefixed with custom. or c_ for
+ *   custom attributes
+ * @return {*} - Attribute value, in the current request locale for localized
+ *   attributes
+ */
+function readAttribute(product, attribute) {
+    var customMatch = CUSTOM_ATTRIBUTE_PATTERN.exec(attribute);
+    return customMatch ? product.custom[customMatch[1]] : product[attribute];
+}
+
+/**
+ * Checks that the attribute mapping is valid, to be called before exporting.
+ *
+ * @return {number} - Number of mapped attributes
+ * @throws {Error} - If the mapping is invalid
+ */
+exports.validateMapping = function () {
+    return getMapping().length;
+};
+
+/**
+ * Adds the mapped attributes of a product to a copy of a part of its payload.
+ * Attributes without value are left out.
+ *
+ * @param {dw.catalog.Product} product - Product to read attributes from
+ * @param {string} target - One of TARGET
+ * @param {Object} payload - Extra fields or regional info object to add the
+ *   attributes to
+ * @return {Object} - Copy of the payload object, with the mapped attributes
+ * @throws {Error} - If the mapping is invalid
+ */
+exports.mapAttributes = function (product, target, payload) {
+    var entries = getMapping();
+    var mapped = {};
+
+    Object.keys(payload).forEach(function (key) {
+        mapped[key] = payload[key];
+    });
+
+    for (var i = 0; i < entries.length; i += 1) {
+        var entry = entries[i];
+        if (entry.target === target) {
+            try {
+                var value = readAttribute(product, entry.attribute);
+                if (value !== null && value !== undefined && value !== '') {
+                    mapped[entry.key] = coerce(value, entry.type);
+                }
+            } catch (e) {
+                Logger.warn('Could not map attribute {0} of product {1}: {2}', entry.attribute, product.ID, e.message);
+            }
+        }
+    }
+
+    return mapped;
+};
+
+exports.stripHtml = stripHtml;
+exports.TARGET = TARGET;
+exports.TYPE = TYPE;
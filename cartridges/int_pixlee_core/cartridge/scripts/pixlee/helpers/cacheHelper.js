@@ -0,0 +1,190 @@
+'use strict';
+
+// eslint-disable-next-line no-redeclare
+/* global request */
+
+var Logger = require('dw/system/Logger');
+
+var SCOPE = {
+    JOB: 'job',
+    REQUEST: 'request'
+};
+
+// Maximum size of the cached values, in characters of their JSON serialization
+var MAX_SIZE = {
+    job: 512 * 1024,
+    request: 64 * 1024
+};
+
+var jobCache = null;
+var requestCache = null;
+
+/**
+ * Returns the size of a value, as the length of its JSON serialization.
+ *
+ * @param {*} value - Value to measure
+ * @returns {number} - Size of the value, 0 if it cannot be serialized
+ */
+function getValueSize(value) {
+    try {
+        var serialized = JSON.stringify(value);
+        return serialized ? serialized.length : 0;
+    } catch (e) {
+        return 0;
+    }
+}
+
+/**
+ * @constructor
+ * @description Cache of structured values, like locale lists and currency
+ *   maps, that keeps track of the size of its values. Values that would make
+ *   the cache exceed its maximum size are returned without being cached.
+ * @param {string} scope - Scope of the cache, one of SCOPE
+ * @param {number} maxSize - Maximum size of the cached values
+ */
+function ScopedCache(scope, maxSize) {
+    this.scope = scope;
+    this.maxSize = maxSize;
+    this.entries = {};
+    this.size = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.rejected = 0;
+}
+
+/**
+ * Gets a cached value or creates it using the factory function
+ *
+ * @param {string} key - Cache key
+ * @param {Function} factory - Function to create the value if not cached
+ * @returns {*} - Cached or newly created value
+ */
+ScopedCache.prototype.get = function (key, factory) {
+    if (Object.prototype.hasOwnProperty.call(this.entries, key)) {
+        this.hits += 1;
+        return this.entries[key].value;
+    }
+
+    this.misses += 1;
+    var value = factory();
+    this.set(key, value);
+
+    return value;
+};
+
+/**
+ * Caches a value, unless it would make the cache exceed its maximum size
+ *
+ * @param {string} key - Cache key
+ * @param {*} value - Value to cache
+ * @returns {boolean} - Whether the value has been cached
+ */
+ScopedCache.prototype.set = function (key, value) {
+    var valueSize = getValueSize(value);
+    var previousSize = this.entries[key] ? this.entries[key].size : 0;
+
+    if (this.size - previousSize + valueSize > this.maxSize) {
+        this.rejected += 1;
+        Logger.warn('Pixlee {0} cache full, not caching {1} ({2} of {3} used)', this.scope, key, this.size, this.maxSize);
+        return false;
+    }
+
+    this.entries[key] = { value: value, size: valueSize };
+    this.size += valueSize - previousSize;
+
+    return true;
+};
+
+/**
+ * Removes a value from the cache
+ *
+ * @param {string} key - Cache key
+ */
+ScopedCache.prototype.remove = function (key) {
+    if (this.entries[key]) {
+        this.size -= this.entries[key].size;
+        delete this.entries[key];
+    }
+};
+
+/**
+ * Removes all values from the cache
+ */
+ScopedCache.prototype.clear = function () {
+    this.entries = {};
+    this.size = 0;
+};
+
+/**
+ * @returns {Object} - Entries count, size and hit statistics of the cache
+ */
+ScopedCache.prototype.getStats = function () {
+    return {
+        scope: this.scope,
+        entries: Object.keys(this.entries).length,
+        size: this.size,
+        maxSize: this.maxSize,
+        hits: this.hits,
+        misses: this.misses,
+        rejected: this.rejected
+    };
+};
+
+/**
+ * Sets up the job-scoped cache, replacing the cache of a previous step that
+ * has not been torn down. Called by the beforeStep of job steps.
+ *
+ * @returns {ScopedCache} - Job-scoped cache
+ */
+function startJobCache() {
+    jobCache = new ScopedCache(SCOPE.JOB, MAX_SIZE.job);
+    return jobCache;
+}
+
+/**
+ * Tears down the job-scoped cache and logs its statistics. Called by the
+ * afterStep of job steps.
+ *
+ * @returns {Object} - Statistics of the torn down cache, null if there was none
+ */
+function endJobCache() {
+    if (!jobCache) {
+        return null;
+    }
+
+    var stats = jobCache.getStats();
+    Logger.info('Pixlee job cache statistics: {0}', JSON.stringify(stats));
+    jobCache = null;
+
+    return stats;
+}
+
+/**
+ * Returns the cache for the current execution: the job-scoped cache between
+ * the setup and teardown of a job step, and a request-scoped cache otherwise,
+ * like when called from storefront controllers.
+ *
+ * @returns {ScopedCache} - Job-scoped or request-scoped cache
+ */
+function getCache() {
+    if (jobCache) {
+        return jobCache;
+    }
+
+    var currentRequest = typeof request !== 'undefined' ? request : null;
+    if (!requestCache || requestCache.request !== currentRequest) {
+        requestCache = {
+            request: currentRequest,
+            cache: new ScopedCache(SCOPE.REQUEST, MAX_SIZE.request)
+        };
+    }
+
+    return requestCache.cache;
+}
+
+module.exports = {
+    SCOPE: SCOPE,
+    startJobCache: startJobCache,
+    endJobCache: endJobCache,
+    getCache: getCache
+};
@@ -0,0 +1,116 @@
+'use strict';
+
+var EXPORT_DIRECTORY = '/src/pixlee/';
+
+/**
+ * Returns the IMPEX directory for export files of the current site, creating
+ * it if it does not exist yet.
+ *
+ * @return {dw.io.File} - IMPEX/src/pixlee/<site ID> directory
+ */
+function getExportDirectory() {
+    var File = require('dw/io/File');
+    var Site = require('dw/system/Site');
+
+    var directory = new File(File.IMPEX + EXPORT_DIRECTORY + Site.getCurrent().ID);
+    if (!directory.exists()) {
+        directory.mkdirs();
+    }
+
+    return directory;
+}
+
+/**
+ * @function JsonLinesWriter
+ * @description Writes objects to a file as JSON Lines, one JSON document per line.
+ * @constructor
+ * @param {dw.io.File} file - File to write to, replaced if it exists
+ */
+function JsonLinesWriter(file) {
+    var FileWriter = require('dw/io/FileWriter');
+    var writer = new FileWriter(file, 'UTF-8');
+    var count = 0;
+
+    writer.setLineSeparator('\n');
+
+    /** @type {dw.io.File} file - File written to */
+    this.file = file;
+
+    /**
+     * Writes an object as a line of JSON.
+     *
+     * @param {Object} object - Object to write
+     */
+    this.write = function (object) {
+        writer.writeLine(JSON.stringify(object));
+        count += 1;
+    };
+
+    /**
+     * Returns the number of objects written so far.
+     *
+     * @return {number} - Number of lines written
+     */
+    this.getCount = function () {
+        return count;
+    };
+
+    /**
+     * Closes the underlying file writer.
+     */
+    this.close = function () {
+        writer.close();
+    };
+}
+
+/**
+ * Creates a JSON Lines writer for a file in the export directory of the current site.
+ *
+ * @param {string} fileName - Name of the file, e.g. <job ID>.jsonl
+ * @return {JsonLinesWriter} - Writer for the file
+ */
+exports.createJsonLinesWriter = function (fileName) {
+    var File = require('dw/io/File');
+    return new JsonLinesWriter(new File(getExportDirectory(), fileName));
+};
+
+/**
+ * Writes an object as a JSON file in the export directory of the current site.
+ *
+ * @param {string} fileName - Name of the file, replaced if it exists
+ * @param {Object} object - Object to write
+ * @return {dw.io.File} - File written
+ */
+exports.writeJsonFile = function (fileName, object) {
+    var File = require('dw/io/File');
+    var FileWriter = require('dw/io/FileWriter');
+
+    var file = new File(getExportDirectory(), fileName);
+    var writer = new FileWriter(file, 'UTF-8');
+    try {
+        writer.write(JSON.stringify(object, null, 2));
+    } finally {
+        writer.close();
+    }
+
+    return file;
+};
+
+/**
+ * Compresses a file of the export directory with gzip and removes the original.
+ *
+ * @param {dw.io.File} file - File to compress
+ * @return {dw.io.File} - Compressed file, named after the original with a .gz extension
+ */
+exports.compressFile = function (file) {
+    var File = require('dw/io/File');
+    var directory = getExportDirectory();
+    var compressedName = file.name + '.gz';
+
+    file.gzip(directory, compressedName);
+    file.remove();
+
+    return new File(directory, compressedName);
+};
+
+exports.getExportDirectory = getExportDirectory;
@@ -0,0 +1,186 @@
+'use strict';
+
+var Logger = require('dw/system/Logger');
+
+var PRODUCT_EXPORT_TYPE = 'PixleeProductExport';
+
+// Whether each set or bundle checked by isMemberOfExportedSet is exported, by product ID
+var exportedSets = {};
+
+/**
+ * Returns an attribute of the last successful export of a product.
+ *
+ * @param {string} productId - Product ID
+ * @param {string} attribute - PixleeProductExport attribute ID
+ * @return {string} - Attribute value or null if the product has not been
+ *   exported yet
+ */
+function getExportAttribute(productId, attribute) {
+    try {
+        var CustomObjectMgr = require('dw/object/CustomObjectMgr');
+        var productExport = CustomObjectMgr.getCustomObject(PRODUCT_EXPORT_TYPE, productId);
+
+        return productExport ? productExport.custom[attribute] || null : null;
+    } catch (e) {
+        Logger.error('Failed to read export of product {0}: {1}', productId, e.message);
+        return null;
+    }
+}
+
+/**
+ * Returns the fingerprint of a product payload saved by its last successful export.
+ *
+ * @param {string} productId - Product ID
+ * @return {string} - Payload fingerprint or null if the product has not been
+ *   exported yet
+ */
+exports.getFingerprint = function (productId) {
+    return getExportAttribute(productId, 'fingerprint');
+};
+
+/**
+ * Returns the fingerprint of the prices of a product saved by its last
+ * successful export.
+ *
+ * @param {string} productId - Product ID
+ * @return {string} - Price fingerprint or null if the product has not been
+ *   exported yet
+ */
+exports.getPriceFingerprint = function (productId) {
+    return getExportAttribute(productId, 'priceFingerprint');
+};
+
+/**
+ * Checks whether the saved export of a product already holds the details of
+ * a new export.
+ *
+ * @param {dw.object.CustomObject} exportRecord - PixleeProductExport custom object
+ * @param {Object} productExport - Exported product, see recordExports
+ * @return {boolean} - True if saving the new export would not change anything
+ *   but its time and job ID
+ */
+function isUnchanged(exportRecord, productExport) {
+    return (exportRecord.custom.sku || null) === (productExport.sku || null)
+        && (exportRecord.custom.fingerprint || null) === (productExport.fingerprint || null)
+        && (exportRecord.custom.priceFingerprint || null) === (productExport.priceFingerprint || null)
+        && !!exportRecord.custom.setMember === !!productExport.setMember;
+}
+
+/**
+ * Saves successful product exports, within a single transaction. Products
+ * whose saved export already holds the same SKU, fingerprints and set member
+ * flag are not written again, as every write counts against the custom object
+ * quotas: their time and job ID are those of the last export that changed them.
+ *
+ * @param {Array} productExports - Exported products, as objects with the
+ *   productId, the Pixlee sku, the fingerprint of the payload sent and the
+ *   priceFingerprint of its prices, both null if the payload may not have
+ *   been imported yet, and setMember, set for
+ *   members of sets and bundles that are not exported on their own
+ * @param {string} jobId - ID of the export job execution
+ * @return {boolean} - True if the exports have been saved
+ */
+exports.recordExports = function (productExports, jobId) {
+    if (!productExports.length) {
+        return true;
+    }
+
+    try {
+        var CustomObjectMgr = require('dw/object/CustomObjectMgr');
+        var Transaction = require('dw/system/Transaction');
+        var exportTime = new Date();
+
+        Transaction.wrap(function () {
+            productExports.forEach(function (productExport) {
+                var exportRecord = CustomObjectMgr.getCustomObject(PRODUCT_EXPORT_TYPE, productExport.productId);
+                if (exportRecord && isUnchanged(exportRecord, productExport)) {
+                    return;
+                }
+                exportRecord = exportRecord || CustomObjectMgr.createCustomObject(PRODUCT_EXPORT_TYPE, productExport.productId);
+
+                exportRecord.custom.sku = productExport.sku;
+                exportRecord.custom.fingerprint = productExport.fingerprint;
+                exportRecord.custom.priceFingerprint = productExport.priceFingerprint || null;
+                exportRecord.custom.lastExported = exportTime;
+                exportRecord.custom.jobId = jobId;
+                exportRecord.custom.setMember = !!productExport.setMember;
+            });
+        });
+
+        productExports.forEach(function (productExport) {
+            delete exportedSets[productExport.productId];
+        });
+
+        return true;
+    } catch (e) {
+        Logger.error('Failed to save exports of {0} products: {1}', productExports.length, e.message);
+        return false;
+    }
+};
+
+/**
+ * Checks whether a product is a member of an exported product set or bundle,
+ * so that it is exported with it even though it is not exported on its own.
+ * The export of each set or bundle is looked up once, until the cache is
+ * cleared by clearExportedSets or the set or bundle is recorded or removed.
+ *
+ * @param {dw.catalog.Product} product - Product to check
+ * @return {boolean} - True if a set or bundle of the product has been exported
+ *   and not archived since
+ */
+exports.isMemberOfExportedSet = function (product) {
+    var CustomObjectMgr = require('dw/object/CustomObjectMgr');
+    var parents = product.getProductSets().toArray().concat(product.getBundles().toArray());
+
+    return parents.some(function (parent) {
+        if (!Object.prototype.hasOwnProperty.call(exportedSets, parent.ID)) {
+            exportedSets[parent.ID] = !!CustomObjectMgr.getCustomObject(PRODUCT_EXPORT_TYPE, parent.ID);
+        }
+        return exportedSets[parent.ID];
+    });
+};
+
+/**
+ * Clears the exports of sets and bundles cached by isMemberOfExportedSet, to be
+ * called before each job step checking set members.
+ */
+exports.clearExportedSets = function () {
+    exportedSets = {};
+};
+
+/**
+ * Returns all products exported to Pixlee from the current site.
+ *
+ * @return {dw.util.SeekableIterator} - Iterator of PixleeProductExport custom
+ *   objects, to be closed by the caller
+ */
+exports.getExports = function () {
+    var CustomObjectMgr = require('dw/object/CustomObjectMgr');
+    return CustomObjectMgr.getAllCustomObjects(PRODUCT_EXPORT_TYPE);
+};
+
+/**
+ * Removes the export of a product, once it has been archived in Pixlee.
+ *
+ * @param {string} productId - Product ID
+ * @return {boolean} - True if there is no export of the product left
+ */
+exports.removeExport = function (productId) {
+    try {
+        var CustomObjectMgr = require('dw/object/CustomObjectMgr');
+        var Transaction = require('dw/system/Transaction');
+
+        var productExport = CustomObjectMgr.getCustomObject(PRODUCT_EXPORT_TYPE, productId);
+        if (productExport) {
+            Transaction.wrap(function () {
+                CustomObjectMgr.remove(productExport);
+            });
+        }
+        delete exportedSets[productId];
+
+        return true;
+    } catch (e) {
+        Logger.error('Failed to remove export of product {0}: {1}', productId, e.message);
+        return false;
+    }
+};
@@ -0,0 +1,327 @@
+'use strict';
+
+/**
+ * Reasons for products not to be exported because of the export rules, one per
+ * criterion
+ */
+var RULE_REASON = {
+    CATEGORY: 'CATEGORY_RULE',
+    BRAND: 'BRAND_RULE',
+    TYPE: 'TYPE_RULE',
+    ATTRIBUTE: 'ATTRIBUTE_RULE',
+    ONLINE_FROM: 'ONLINE_FROM_RULE'
+};
+
+/**
+ * Product types rules can select
+ */
+var PRODUCT_TYPE = {
+    STANDARD: 'standard',
+    MASTER: 'master',
+    SET: 'set',
+    BUNDLE: 'bundle',
+    OPTION: 'option'
+};
+
+var LIST_CRITERIA = ['categories', 'brands', 'types', 'attributes'];
+var CRITERIA = LIST_CRITERIA.concat('onlineFromAfter');
+
+var CUSTOM_ATTRIBUTE_PREFIX = /^(?:custom\.|c_)/;
+
+var rulesSource = null;
+var rules = null;
+
+/**
+ * Category IDs matched by the category criteria, and whether categories not
+ * configured themselves are in the subtree of a configured one, by category ID.
+ * Cleared by validateRules, so that categories moved since the last run of a
+ * step are checked again.
+ */
+var categoryMatches = null;
+
+/**
+ * Returns whether a product type is one of PRODUCT_TYPE.
+ *
+ * @param {string} type - Product type
+ * @return {boolean} - True if the type is known
+ */
+function isProductType(type) {
+    return Object.keys(PRODUCT_TYPE).some(function (key) {
+        return PRODUCT_TYPE[key] === type;
+    });
+}
+
+/**
+ * Validates and normalizes the include or exclude part of the export rules.
+ *
+ * @param {Object} config - Criteria, as configured
+ * @param {string} name - include or exclude, for error messages
+ * @return {Object} - Normalized criteria, lists as lookup objects and the
+ *   online from date as a Date. Criteria that are not configured are null.
+ * @throws {Error} - If the criteria are invalid
+ */
+function normalizeCriteria(config, name) {
+    var CatalogMgr = require('dw/catalog/CatalogMgr');
+    var prefix = 'Pixlee export rules ' + name + ': ';
+    var criteria = {
+        categories: null,
+        brands: null,
+        types: null,
+        attributes: null,
+        onlineFromAfter: null
+    };
+
+    if (!config) {
+        return criteria;
+    }
+    if (typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(prefix + 'must be a JSON object');
+    }
+
+    Object.keys(config).forEach(function (key) {
+        if (CRITERIA.indexOf(key) < 0) {
+            throw new Error(prefix + 'unknown criterion ' + key);
+        }
+    });
+
+    LIST_CRITERIA.forEach(function (key) {
+        var values = config[key];
+        if (values === undefined || values === null) {
+            return;
+        }
+        if (!Array.isArray(values) || values.some(function (value) { return typeof value !== 'string' || !value; })) {
+            throw new Error(prefix + key + ' must be an array of strings');
+        }
+
+        criteria[key] = {};
+        values.forEach(function (value) {
+            var normalized = value;
+            if (key === 'brands') {
+                normalized = value.toLowerCase();
+            } else if (key === 'attributes') {
+                normalized = value.replace(CUSTOM_ATTRIBUTE_PREFIX, '');
+            } else if (key === 'types' && !isProductType(value)) {
+                throw new Error(prefix + 'unknown product type ' + value);
+            } else if (key === 'categories' && !CatalogMgr.getCategory(value)) {
+                throw new Error(prefix + 'category ' + value + ' does not exist');
+            }
+            criteria[key][normalized] = true;
+        });
+    });
+
+    if (config.onlineFromAfter) {
+        criteria.onlineFromAfter = new Date(config.onlineFromAfter);
+        if (Number.isNaN(criteria.onlineFromAfter.getTime())) {
+            throw new Error(prefix + 'onlineFromAfter must be an ISO 8601 date');
+        }
+    }
+
+    return criteria;
+}
+
+/**
+ * Returns the export rules configured by the PixleeExportRules site
+ * preference. The preference is parsed and validated only when its value
+ * changes.
+ *
+ * @return {Object} - Include and exclude criteria, see normalizeCriteria
+ * @throws {Error} - If the rules are invalid
+ */
+function getRules() {
+    var Site = require('dw/system/Site');
+    var source = Site.getCurrent().getCustomPreferenceValue('PixleeExportRules') || '';
+
+    if (source !== rulesSource) {
+        var config = {};
+
+        if (source) {
+            try {
+                config = JSON.parse(source);
+            } catch (e) {
+                throw new Error('Pixlee export rules are not valid JSON: ' + e.message);
+            }
+            if (!config || typeof config !== 'object' || Array.isArray(config)) {
+                throw new Error('Pixlee export rules must be a JSON object');
+            }
+            Object.keys(config).forEach(function (key) {
+                if (key !== 'include' && key !== 'exclude') {
+                    throw new Error('Pixlee export rules: unknown key ' + key + ', expected include or exclude');
+                }
+            });
+        }
+
+        rules = {
+            include: normalizeCriteria(config.include, 'include'),
+            exclude: normalizeCriteria(config.exclude, 'exclude')
+        };
+        rulesSource = source;
+        categoryMatches = { include: {}, exclude: {} };
+    }
+
+    return rules;
+}
+
+/**
+ * Checks whether a category is one of the configured categories or in the
+ * subtree of one of them. Results are remembered for all categories on the
+ * path to the root.
+ *
+ * @param {dw.catalog.Category} category - Category to check
+ * @param {string} kind - include or exclude, the criteria to check against
+ * @return {boolean} - True if the category is in a configured subtree
+ */
+function isInCategorySubtree(category, kind) {
+    var categoryIds = rules[kind].categories;
+    var matches = categoryMatches[kind];
+    var path = [];
+    var current = category;
+    var matched = false;
+
+    while (current) {
+        if (current.ID in matches) {
+            matched = matches[current.ID];
+            break;
+        }
+        path.push(current.ID);
+        if (categoryIds[current.ID]) {
+            matched = true;
+            break;
+        }
+        current = current.parent;
+    }
+
+    for (var i = 0; i < path.length; i += 1) {
+        matches[path[i]] = matched;
+    }
+    return matched;
+}
+
+/**
+ * Checks whether a product is assigned to one of the configured categories or
+ * to a category in their subtree.
+ *
+ * @param {dw.catalog.Product} product - Product to check
+ * @param {string} kind - include or exclude, the criteria to check against
+ * @return {boolean} - True if the product is assigned to a configured subtree
+ */
+function matchesCategories(product, kind) {
+    var categoryIterator = product.getCategories().iterator();
+    while (categoryIterator.hasNext()) {
+        if (isInCategorySubtree(categoryIterator.next(), kind)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Checks whether a product is of one of the configured types.
+ *
+ * @param {dw.catalog.Product} product - Product to check
+ * @param {Object} types - Configured product types
+ * @return {boolean} - True if the product is of one of the types
+ */
+function matchesTypes(product, types) {
+    var isStandard = !product.master && !product.productSet && !product.bundle && !product.variant;
+
+    return !!((types[PRODUCT_TYPE.STANDARD] && isStandard)
+        || (types[PRODUCT_TYPE.MASTER] && product.master)
+        || (types[PRODUCT_TYPE.SET] && product.productSet)
+        || (types[PRODUCT_TYPE.BUNDLE] && product.bundle)
+        || (types[PRODUCT_TYPE.OPTION] && product.optionProduct));
+}
+
+/**
+ * Checks whether one of the configured boolean custom attributes is set for a
+ * product.
+ *
+ * @param {dw.catalog.Product} product - Product to check
+ * @param {Object} attributes - Configured custom attribute IDs
+ * @return {boolean} - True if one of the attributes is true
+ */
+function matchesAttributes(product, attributes) {
+    return Object.keys(attributes).some(function (attribute) {
+        return product.custom[attribute] === true;
+    });
+}
+
+/**
+ * Checks whether a product matches a criterion.
+ *
+ * @param {dw.catalog.Product} product - Product to check
+ * @param {string} criterion - One of CRITERIA
+ * @param {string} kind - include or exclude, the criteria to check against
+ * @return {boolean} - True if the product matches
+ */
+function matchesCriterion(product, criterion, kind) {
+    var criteria = rules[kind];
+    switch (criterion) {
+        case 'categories':
+            return matchesCategories(product, kind);
+        case 'brands':
+            return !!product.brand && !!criteria.brands[product.brand.toLowerCase()];
+        case 'types':
+            return matchesTypes(product, criteria.types);
+        case 'attributes':
+            return matchesAttributes(product, criteria.attributes);
+        default:
+            return !!product.onlineFrom && product.onlineFrom.getTime() >= criteria.onlineFromAfter.getTime();
+    }
+}
+
+var CRITERION_REASONS = {
+    categories: RULE_REASON.CATEGORY,
+    brands: RULE_REASON.BRAND,
+    types: RULE_REASON.TYPE,
+    attributes: RULE_REASON.ATTRIBUTE,
+    onlineFromAfter: RULE_REASON.ONLINE_FROM
+};
+
+/**
+ * Checks that the export rules are valid, to be called before exporting.
+ * Clears the category checks of previous runs.
+ *
+ * @return {number} - Number of configured criteria
+ * @throws {Error} - If the rules are invalid
+ */
+exports.validateRules = function () {
+    var currentRules = getRules();
+    categoryMatches = { include: {}, exclude: {} };
+
+    return CRITERIA.filter(function (criterion) {
+        return currentRules.include[criterion];
+    }).length + CRITERIA.filter(function (criterion) {
+        return currentRules.exclude[criterion];
+    }).length;
+};
+
+/**
+ * Checks a product against the export rules. Products must match every
+ * configured include criterion, and no exclude criterion. Lists match when the
+ * product matches any of their values.
+ *
+ * @param {dw.catalog.Product} product - Product to check
+ * @return {string} - One of RULE_REASON if the product is not exported,
+ *   otherwise null
+ * @throws {Error} - If the rules are invalid
+ */
+exports.getSkipReason = function (product) {
+    var currentRules = getRules();
+
+    for (var i = 0; i < CRITERIA.length; i += 1) {
+        var criterion = CRITERIA[i];
+        var isExcluded = (currentRules.include[criterion]
+                && !matchesCriterion(product, criterion, 'include'))
+            || (currentRules.exclude[criterion]
+                && matchesCriterion(product, criterion, 'exclude'));
+
+        if (isExcluded) {
+            return CRITERION_REASONS[criterion];
+        }
+    }
+
+    return null;
+};
+
+exports.RULE_REASON = RULE_REASON;
+exports.PRODUCT_TYPE = PRODUCT_TYPE;
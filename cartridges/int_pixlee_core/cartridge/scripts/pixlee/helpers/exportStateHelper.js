@@ -0,0 +1,180 @@
+'use strict';
+
+var Logger = require('dw/system/Logger');
+
+var EXPORT_STATE_TYPE = 'PixleeExportState';
+
+/**
+ * Keys of the job execution context used to hand over a feed export to the
+ * import status step of the same job
+ */
+var JOB_CONTEXT_KEYS = {
+    FEED_IMPORT_ID: 'pixleeFeedImportId',
+    FEED_EXPORT_START_TIME: 'pixleeFeedExportStartTime'
+};
+
+/**
+ * Returns the key of the export state custom object for the current site.
+ *
+ * @return {string} - Custom object key
+ */
+function getStateKey() {
+    var Site = require('dw/system/Site');
+    return Site.getCurrent().ID;
+}
+
+/**
+ * Retrieves the export state custom object for the current site.
+ *
+ * @return {dw.object.CustomObject} - Export state custom object or null if none
+ *   has been saved yet.
+ */
+function getState() {
+    var CustomObjectMgr = require('dw/object/CustomObjectMgr');
+    return CustomObjectMgr.getCustomObject(EXPORT_STATE_TYPE, getStateKey());
+}
+
+/**
+ * Retrieves the export state custom object for the current site, creating it
+ * if it does not exist yet. Must be called within a transaction.
+ *
+ * @return {dw.object.CustomObject} - Export state custom object
+ */
+function getOrCreateState() {
+    var CustomObjectMgr = require('dw/object/CustomObjectMgr');
+    var key = getStateKey();
+
+    return CustomObjectMgr.getCustomObject(EXPORT_STATE_TYPE, key)
+        || CustomObjectMgr.createCustomObject(EXPORT_STATE_TYPE, key);
+}
+
+/**
+ * Returns the start time of the last successful product export for the
+ * current site, which is used as the high-water mark for delta exports.
+ *
+ * @return {Date} - Start time of the last successful export or null if there
+ *   has been none yet.
+ */
+exports.getLastExportTime = function () {
+    try {
+        var state = getState();
+        return state && state.custom.lastSuccessfulExport
+            ? new Date(state.custom.lastSuccessfulExport.getTime())
+            : null;
+    } catch (e) {
+        Logger.error('Failed to read Pixlee export state: {0}', e.message);
+        return null;
+    }
+};
+
+/**
+ * Saves the start time of a successful product export for the current site.
+ *
+ * @param {Date} exportTime - Start time of the export that completed
+ */
+exports.setLastExportTime = function (exportTime) {
+    var Transaction = require('dw/system/Transaction');
+
+    Transaction.wrap(function () {
+        getOrCreateState().custom.lastSuccessfulExport = exportTime;
+    });
+};
+
+/**
+ * Returns the checkpoint saved by an export of the current site that has not
+ * completed, to resume it from.
+ *
+ * @return {Object} - Checkpoint, see saveCheckpoint, or null if there is none
+ */
+exports.getCheckpoint = function () {
+    try {
+        var state = getState();
+        return state && state.custom.exportCheckpoint
+            ? JSON.parse(state.custom.exportCheckpoint)
+            : null;
+    } catch (e) {
+        Logger.error('Failed to read Pixlee export checkpoint: {0}', e.message);
+        return null;
+    }
+};
+
+/**
+ * Saves the progress of an export of the current site, replacing the
+ * checkpoint saved before.
+ *
+ * @param {Object} checkpoint - Progress of the export, with the job ID, the ID
+ *   of the last product read and the export counters
+ */
+exports.saveCheckpoint = function (checkpoint) {
+    var Transaction = require('dw/system/Transaction');
+
+    Transaction.wrap(function () {
+        getOrCreateState().custom.exportCheckpoint = JSON.stringify(checkpoint);
+    });
+};
+
+/**
+ * Removes the checkpoint of the current site, once its export has completed
+ * or when a new export is started instead of resuming it.
+ */
+exports.clearCheckpoint = function () {
+    var Transaction = require('dw/system/Transaction');
+    var state = getState();
+
+    if (state && state.custom.exportCheckpoint) {
+        Transaction.wrap(function () {
+            state.custom.exportCheckpoint = null;
+        });
+    }
+};
+
+/**
+ * Returns the feed import uploaded by an export of the current site whose
+ * outcome has not been checked yet.
+ *
+ * @return {Object} - Pending import, see savePendingFeedImport, or null if
+ *   there is none
+ */
+exports.getPendingFeedImport = function () {
+    try {
+        var state = getState();
+        return state && state.custom.pendingFeedImport
+            ? JSON.parse(state.custom.pendingFeedImport)
+            : null;
+    } catch (e) {
+        Logger.error('Failed to read Pixlee pending feed import: {0}', e.message);
+        return null;
+    }
+};
+
+/**
+ * Saves the feed import uploaded by an export of the current site, for the
+ * import status step to check it in this or a later job.
+ *
+ * @param {Object} feedImport - Import ID, upload time and the start time of
+ *   the export to save as high-water mark once the import has completed
+ */
+exports.savePendingFeedImport = function (feedImport) {
+    var Transaction = require('dw/system/Transaction');
+
+    Transaction.wrap(function () {
+        getOrCreateState().custom.pendingFeedImport = JSON.stringify(feedImport);
+    });
+};
+
+/**
+ * Removes the pending feed import of the current site, once its outcome has
+ * been reported.
+ */
+exports.clearPendingFeedImport = function () {
+    var Transaction = require('dw/system/Transaction');
+    var state = getState();
+
+    if (state && state.custom.pendingFeedImport) {
+        Transaction.wrap(function () {
+            state.custom.pendingFeedImport = null;
+        });
+    }
+};
+
+exports.JOB_CONTEXT_KEYS = JOB_CONTEXT_KEYS;
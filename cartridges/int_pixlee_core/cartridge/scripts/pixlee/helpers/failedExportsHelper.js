@@ -0,0 +1,147 @@
+'use strict';
+
+var Logger = require('dw/system/Logger');
+
+var FAILED_EXPORT_TYPE = 'PixleeFailedExport';
+var RESPONSE_EXCERPT_LENGTH = 1000;
+
+/**
+ * Error class for failures that happened while building the product payload,
+ * before any call to Pixlee was made.
+ */
+var PROCESSING_ERROR_CLASS = 'PROCESSING';
+
+/**
+ * Error class for products whose payload failed the schema validation, and
+ * has not been sent to Pixlee.
+ */
+var VALIDATION_ERROR_CLASS = 'VALIDATION';
+
+/**
+ * Returns the beginning of a failed call response body.
+ *
+ * @param {Object} failure - Failure details
+ * @return {string} - Response body excerpt or null if there is no response
+ */
+function getResponseExcerpt(failure) {
+    var body = failure.result && failure.result.errorMessage;
+
+    if (!body) {
+        return null;
+    }
+
+    var bodyStr = String(body);
+    return bodyStr.length > RESPONSE_EXCERPT_LENGTH
+        ? bodyStr.substring(0, RESPONSE_EXCERPT_LENGTH)
+        : bodyStr;
+}
+
+/**
+ * Saves a failed product export, replacing the details of any earlier failure
+ * of the same product.
+ *
+ * @param {string} productId - ID of the product that failed to export
+ * @param {string} jobId - ID of the export job execution
+ * @param {Object} failure - Failure details, like the outcome returned by
+ *   serviceResultHelper.call: failureClass, httpStatus, message, retryAfter and result
+ * @return {boolean} - True if the failure has been saved
+ */
+exports.recordFailure = function (productId, jobId, failure) {
+    try {
+        var CustomObjectMgr = require('dw/object/CustomObjectMgr');
+        var Site = require('dw/system/Site');
+        var Transaction = require('dw/system/Transaction');
+
+        Transaction.wrap(function () {
+            var failedExport = CustomObjectMgr.getCustomObject(FAILED_EXPORT_TYPE, productId)
+                || CustomObjectMgr.createCustomObject(FAILED_EXPORT_TYPE, productId);
+
+            failedExport.custom.siteId = Site.getCurrent().ID;
+            failedExport.custom.jobId = jobId;
+            failedExport.custom.errorClass = failure.failureClass;
+            failedExport.custom.httpStatus = failure.httpStatus || null;
+            failedExport.custom.errorMessage = failure.message || null;
+            failedExport.custom.responseExcerpt = getResponseExcerpt(failure);
+            failedExport.custom.retryAfter = failure.retryAfter || null;
+            failedExport.custom.failureCount = (failedExport.custom.failureCount || 0) + 1;
+        });
+
+        return true;
+    } catch (e) {
+        Logger.error('Failed to save failed export of product {0}: {1}', productId, e.message);
+        return false;
+    }
+};
+
+/**
+ * Removes the saved failure of a product, if any, after it has been exported.
+ *
+ * @param {string} productId - ID of the product exported
+ * @return {boolean} - True if a saved failure has been removed
+ */
+exports.clearFailure = function (productId) {
+    try {
+        var CustomObjectMgr = require('dw/object/CustomObjectMgr');
+        var failedExport = CustomObjectMgr.getCustomObject(FAILED_EXPORT_TYPE, productId);
+
+        if (!failedExport) {
+            return false;
+        }
+
+        require('dw/system/Transaction').wrap(function () {
+            CustomObjectMgr.remove(failedExport);
+        });
+
+        return true;
+    } catch (e) {
+        Logger.error('Failed to clear failed export of product {0}: {1}', productId, e.message);
+        return false;
+    }
+};
+
+/**
+ * Returns all saved failed exports of the current site.
+ *
+ * @return {dw.util.SeekableIterator} - Iterator of PixleeFailedExport custom objects
+ */
+exports.getFailures = function () {
+    var CustomObjectMgr = require('dw/object/CustomObjectMgr');
+    return CustomObjectMgr.getAllCustomObjects(FAILED_EXPORT_TYPE);
+};
+
+/**
+ * Returns the IDs of the products with a saved failed export, for the export
+ * step to only clear the failures it knows about instead of looking one up
+ * for every product exported.
+ *
+ * @return {Object} - Map of product IDs to true
+ */
+exports.getFailedProductIds = function () {
+    var failures = exports.getFailures();
+    var productIds = {};
+
+    try {
+        while (failures.hasNext()) {
+            productIds[failures.next().custom.ID] = true;
+        }
+    } finally {
+        failures.close();
+    }
+
+    return productIds;
+};
+
+/**
+ * Checks whether a saved failed export may be retried, that is when Pixlee
+ * did not ask to wait with a Retry-After header or that time has passed.
+ *
+ * @param {dw.object.CustomObject} failedExport - PixleeFailedExport custom object
+ * @return {boolean} - True if the product may be retried now
+ */
+exports.isRetryDue = function (failedExport) {
+    var retryAfter = failedExport.custom.retryAfter;
+    return !retryAfter || retryAfter.getTime() <= Date.now();
+};
+
+exports.PROCESSING_ERROR_CLASS = PROCESSING_ERROR_CLASS;
+exports.VALIDATION_ERROR_CLASS = VALIDATION_ERROR_CLASS;
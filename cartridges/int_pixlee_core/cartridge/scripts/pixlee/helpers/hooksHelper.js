@@ -0,0 +1,77 @@
+'use strict';
+
+var Logger = require('dw/system/Logger');
+
+/**
+ * Extension points brand cartridges can register hooks for in their hooks.json
+ */
+var HOOK = {
+    EXPORT_MODIFY_PAYLOAD: 'app.pixlee.export.modifyPayload',
+    EXPORT_SHOULD_EXPORT: 'app.pixlee.export.shouldExport',
+    EVENT_MODIFY_PAYLOAD: 'app.pixlee.event.modifyPayload'
+};
+
+/**
+ * Lets registered hooks modify the payload of an exported product. Errors
+ * thrown by hooks are not caught, so that the product fails to export instead
+ * of being exported without the changes.
+ *
+ * @param {dw.catalog.Product} product - Exported product
+ * @param {Object} payload - Product payload, with product.extra_fields as an
+ *   object. Hooks modify it in place.
+ * @param {Object} options - Export options of the payload
+ */
+exports.modifyExportPayload = function (product, payload, options) {
+    var HookMgr = require('dw/system/HookMgr');
+
+    if (HookMgr.hasHook(HOOK.EXPORT_MODIFY_PAYLOAD)) {
+        HookMgr.callHook(HOOK.EXPORT_MODIFY_PAYLOAD, 'modifyPayload', product, payload, options);
+    }
+};
+
+/**
+ * Asks registered hooks whether a product is exported. Products are exported
+ * unless a hook returns false. Products for which a hook throws an error are
+ * not exported.
+ *
+ * @param {dw.catalog.Product} product - Product about to be exported
+ * @return {boolean} - True if the product is exported
+ */
+exports.shouldExport = function (product) {
+    var HookMgr = require('dw/system/HookMgr');
+
+    if (!HookMgr.hasHook(HOOK.EXPORT_SHOULD_EXPORT)) {
+        return true;
+    }
+
+    try {
+        return HookMgr.callHook(HOOK.EXPORT_SHOULD_EXPORT, 'shouldExport', product) !== false;
+    } catch (e) {
+        Logger.error('{0} hook failed for product {1}, product not exported: {2}', HOOK.EXPORT_SHOULD_EXPORT, product.ID, e.message);
+        return false;
+    }
+};
+
+/**
+ * Lets registered hooks modify the payload of an event reported to Pixlee.
+ * Errors thrown by hooks are logged, and the event is reported as is, so that
+ * storefront requests are not affected.
+ *
+ * @param {string} type - Event type, like add:to:cart
+ * @param {Object} payload - Event payload. Hooks modify it in place.
+ */
+exports.modifyEventPayload = function (type, payload) {
+    var HookMgr = require('dw/system/HookMgr');
+
+    if (!HookMgr.hasHook(HOOK.EVENT_MODIFY_PAYLOAD)) {
+        return;
+    }
+
+    try {
+        HookMgr.callHook(HOOK.EVENT_MODIFY_PAYLOAD, 'modifyPayload', type, payload);
+    } catch (e) {
+        Logger.error('{0} hook failed for {1} event: {2}', HOOK.EVENT_MODIFY_PAYLOAD, type, e.message);
+    }
+};
+
+exports.HOOK = HOOK;
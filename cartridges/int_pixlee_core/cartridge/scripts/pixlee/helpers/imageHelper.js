@@ -0,0 +1,244 @@
+'use strict';
+
+var Logger = require('dw/system/Logger');
+
+/**
+ * View type of the exported images when the job does not configure any
+ */
+var DEFAULT_VIEW_TYPE = 'large';
+
+/**
+ * Key of the transformation applied to view types without one of their own
+ */
+var DEFAULT_TRANSFORMATION_KEY = 'default';
+
+/**
+ * Dynamic Imaging Service transformation parameters, with the type of their
+ * value
+ */
+var TRANSFORMATION_PARAMETERS = {
+    scaleWidth: 'number',
+    scaleHeight: 'number',
+    scaleMode: 'string',
+    format: 'string',
+    quality: 'number',
+    bgcolor: 'string',
+    cropX: 'number',
+    cropY: 'number',
+    cropWidth: 'number',
+    cropHeight: 'number'
+};
+
+/**
+ * Strategies selecting the images of masters: sequential takes the images of
+ * the master and then of each variant, variation takes them by value of a
+ * variation attribute, like one set per color
+ */
+var SELECTION_STRATEGY = {
+    SEQUENTIAL: 'sequential',
+    VARIATION: 'variation'
+};
+
+/**
+ * Variation attribute grouping images when the selection does not name one
+ */
+var DEFAULT_SELECTION_ATTRIBUTE = 'color';
+
+var transformationsSource = null;
+var transformationsConfig = {};
+
+var selectionSource = null;
+var selectionConfig = null;
+
+/**
+ * Checks the transformations of the PixleeImageTransformations site preference.
+ *
+ * @param {Object} config - Transformations keyed by view type, or default
+ * @throws {Error} - If a transformation is not an object or has unknown
+ *   parameters or values of the wrong type
+ */
+function validateTransformations(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('expected an object keyed by view type');
+    }
+
+    Object.keys(config).forEach(function (viewType) {
+        var transformation = config[viewType];
+        if (!transformation || typeof transformation !== 'object' || Array.isArray(transformation)) {
+            throw new Error('expected an object for view type ' + viewType);
+        }
+        Object.keys(transformation).forEach(function (parameter) {
+            if (!Object.prototype.hasOwnProperty.call(TRANSFORMATION_PARAMETERS, parameter)) {
+                throw new Error('unknown parameter ' + parameter + ' for view type ' + viewType);
+            }
+            var type = typeof transformation[parameter];
+            if (type !== TRANSFORMATION_PARAMETERS[parameter]) {
+                throw new Error(parameter + ' must be a ' + TRANSFORMATION_PARAMETERS[parameter] + ' for view type ' + viewType);
+            }
+        });
+    });
+}
+
+/**
+ * Returns the transformations configured by the PixleeImageTransformations site
+ * preference. The preference is parsed only when its value changes.
+ *
+ * @return {Object} - Transformation parameters keyed by view type, or default,
+ *   empty if the preference is blank or invalid
+ */
+function getTransformationsConfig() {
+    var Site = require('dw/system/Site');
+    var source = Site.getCurrent().getCustomPreferenceValue('PixleeImageTransformations') || '';
+
+    if (source !== transformationsSource) {
+        transformationsSource = source;
+        transformationsConfig = {};
+
+        if (source) {
+            try {
+                var config = JSON.parse(source);
+                validateTransformations(config);
+                transformationsConfig = config;
+            } catch (e) {
+                Logger.error('Invalid Pixlee image transformations site preference, exporting original images: {0}', e.message);
+            }
+        }
+    }
+
+    return transformationsConfig;
+}
+
+/**
+ * Parses the image selection of the PixleeImageSelection site preference.
+ *
+ * @param {Object} config - Parsed site preference
+ * @return {Object} - Image selection, see getSelection
+ * @throws {Error} - If the strategy is unknown or the other settings invalid
+ */
+function normalizeSelection(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('expected an object');
+    }
+
+    var strategy = config.strategy || SELECTION_STRATEGY.SEQUENTIAL;
+    var isKnownStrategy = Object.keys(SELECTION_STRATEGY).some(function (key) {
+        return SELECTION_STRATEGY[key] === strategy;
+    });
+    if (!isKnownStrategy) {
+        throw new Error('unknown strategy ' + strategy);
+    }
+    if (config.attribute !== undefined && (typeof config.attribute !== 'string' || !config.attribute)) {
+        throw new Error('attribute must be a variation attribute ID');
+    }
+    var maxImagesPerValue = config.maxImagesPerValue;
+    if (maxImagesPerValue !== undefined && maxImagesPerValue !== null &&
+            (typeof maxImagesPerValue !== 'number' || maxImagesPerValue < 1 || Math.floor(maxImagesPerValue) !== maxImagesPerValue)) {
+        throw new Error('maxImagesPerValue must be a positive integer');
+    }
+
+    return {
+        strategy: strategy,
+        attribute: config.attribute || DEFAULT_SELECTION_ATTRIBUTE,
+        maxImagesPerValue: maxImagesPerValue || null
+    };
+}
+
+/**
+ * Returns the image selection configured by the PixleeImageSelection site
+ * preference. The preference is parsed only when its value changes.
+ *
+ * @return {Object} - Image selection, with the strategy, the variation
+ *   attribute grouping images and the maximum number of images per value of
+ *   the attribute, null for no maximum. Sequential if the preference is blank
+ *   or invalid.
+ */
+exports.getSelection = function () {
+    var Site = require('dw/system/Site');
+    var source = Site.getCurrent().getCustomPreferenceValue('PixleeImageSelection') || '';
+
+    if (source !== selectionSource || !selectionConfig) {
+        selectionSource = source;
+        selectionConfig = normalizeSelection({});
+
+        if (source) {
+            try {
+                selectionConfig = normalizeSelection(JSON.parse(source));
+            } catch (e) {
+                Logger.error('Invalid Pixlee image selection site preference, selecting images sequentially: {0}', e.message);
+            }
+        }
+    }
+
+    return selectionConfig;
+};
+
+/**
+ * Parses the Images View Type job parameter, a comma separated list of view
+ * types. The first view type is the main one, used for product_photo,
+ * product_photos and variant photos.
+ *
+ * @param {string} viewTypes - Images View Type job parameter
+ * @return {Array} - View types, in order and without duplicates
+ */
+exports.getViewTypes = function (viewTypes) {
+    var result = [];
+
+    String(viewTypes || '').split(',').forEach(function (viewType) {
+        var trimmed = viewType.trim();
+        if (trimmed && result.indexOf(trimmed) === -1) {
+            result.push(trimmed);
+        }
+    });
+
+    return result.length ? result : [DEFAULT_VIEW_TYPE];
+};
+
+/**
+ * Returns the transformation configured for a view type.
+ *
+ * @param {string} viewType - Image view type
+ * @return {Object} - Dynamic Imaging Service transformation parameters, or
+ *   null to export the original images
+ */
+exports.getTransformation = function (viewType) {
+    var config = getTransformationsConfig();
+
+    return config[viewType] || config[DEFAULT_TRANSFORMATION_KEY] || null;
+};
+
+/**
+ * Returns the absolute URL of an image, transformed by the Dynamic Imaging
+ * Service if a transformation is configured for its view type.
+ *
+ * @param {dw.content.MediaFile} image - Product image
+ * @param {string} viewType - View type of the image
+ * @return {string} - Image URL
+ */
+exports.getImageUrl = function (image, viewType) {
+    var transformation = exports.getTransformation(viewType);
+
+    return transformation
+        ? image.getAbsImageURL(transformation).toString()
+        : image.absURL.toString();
+};
+
+/**
+ * Returns the details of an image exported in the product_images extra field.
+ *
+ * @param {dw.content.MediaFile} image - Product image
+ * @param {string} viewType - View type of the image
+ * @param {string} [url] - Image URL, if already built with getImageUrl
+ * @return {Object} - URL, view type, alt text and title of the image, in the
+ *   current request locale
+ */
+exports.getImageDetails = function (image, viewType, url) {
+    return {
+        url: url || exports.getImageUrl(image, viewType),
+        view_type: viewType,
+        alt: image.alt ? String(image.alt) : null,
+        title: image.title ? String(image.title) : null
+    };
+};
+
+exports.DEFAULT_VIEW_TYPE = DEFAULT_VIEW_TYPE;
+exports.SELECTION_STRATEGY = SELECTION_STRATEGY;
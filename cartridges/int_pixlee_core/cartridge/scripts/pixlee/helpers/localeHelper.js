@@ -0,0 +1,108 @@
+'use strict';
+
+var Logger = require('dw/system/Logger');
+
+var localesSource = null;
+var localesConfig = {};
+
+/**
+ * Returns the locales configured by the PixleeLocales site preference. The
+ * preference is parsed only when its value changes.
+ *
+ * @return {Object} - Region, currency and host overrides keyed by locale ID,
+ *   empty if the preference is blank or invalid
+ */
+function getLocalesConfig() {
+    var Site = require('dw/system/Site');
+    var source = Site.getCurrent().getCustomPreferenceValue('PixleeLocales') || '';
+
+    if (source !== localesSource) {
+        localesSource = source;
+        localesConfig = {};
+
+        if (source) {
+            try {
+                var config = JSON.parse(source);
+                if (!config || typeof config !== 'object' || Array.isArray(config)) {
+                    throw new Error('expected an object keyed by locale ID');
+                }
+                Object.keys(config).forEach(function (locale) {
+                    if (!config[locale] || typeof config[locale] !== 'object') {
+                        throw new Error('expected an object for locale ' + locale);
+                    }
+                });
+                localesConfig = config;
+            } catch (e) {
+                Logger.error('Invalid Pixlee locales site preference, exporting all locales: {0}', e.message);
+            }
+        }
+    }
+
+    return localesConfig;
+}
+
+/**
+ * Returns the Pixlee region code of a locale, the region configured for the
+ * locale or the locale ID itself.
+ *
+ * @param {string} locale - Locale ID
+ * @return {string} - Region code
+ */
+exports.getRegionCode = function (locale) {
+    var config = getLocalesConfig();
+    var localeConfig = locale ? config[String(locale)] : null;
+
+    return (localeConfig && localeConfig.region) || (locale ? String(locale) : locale);
+};
+
+/**
+ * Returns the storefront host configured for a locale.
+ *
+ * @param {string} locale - Locale ID
+ * @return {string} - Host name, or null to use the ProductHost one
+ */
+exports.getHost = function (locale) {
+    var config = getLocalesConfig();
+    var localeConfig = locale ? config[String(locale)] : null;
+
+    return (localeConfig && localeConfig.host) || null;
+};
+
+/**
+ * Returns the locales to export the regional details of products and
+ * categories for. When the PixleeLocales preference is set, only the locales
+ * it lists are exported. Locales sharing a region are exported once, with the
+ * details of the first of them.
+ *
+ * @param {Array} localeIds - IDs of the allowed locales of the site, in order
+ * @return {Array} - Exported locales, each with the locale ID, the region code
+ *   and the currency code and host to use instead of the locale ones, or null
+ */
+exports.getExportedLocales = function (localeIds) {
+    var config = getLocalesConfig();
+    var isAllowlist = Object.keys(config).length > 0;
+    var regions = {};
+    var exportedLocales = [];
+
+    localeIds.forEach(function (locale) {
+        if (locale.toLowerCase() === 'default' || (isAllowlist && !config[locale])) {
+            return;
+        }
+
+        var region = exports.getRegionCode(locale);
+        if (regions[region]) {
+            Logger.debug('Locale {0} shares region {1} with locale {2}, not exported', locale, region, regions[region]);
+            return;
+        }
+        regions[region] = locale;
+
+        exportedLocales.push({
+            locale: locale,
+            region: region,
+            currency: (isAllowlist && config[locale].currency) || null,
+            host: (isAllowlist && config[locale].host) || null
+        });
+    });
+
+    return exportedLocales;
+};
@@ -0,0 +1,144 @@
+'use strict';
+
+/**
+ * Prefix of the job execution context keys holding the result of each
+ * partition, followed by the partition index
+ */
+var RESULT_KEY_PREFIX = 'pixleePartitionResult.';
+
+/**
+ * Custom object type of the finalization claims of partitioned exports, keyed
+ * by job execution ID
+ */
+var FINALIZATION_TYPE = 'PixleeExportFinalization';
+
+/**
+ * Returns the hash code of a string, computed like java.lang.String.hashCode
+ * but unsigned, so that it is stable across executions.
+ *
+ * @param {string} value - String to hash
+ * @return {number} - Hash code, from 0 to 2^32 - 1
+ */
+function hashCode(value) {
+    var hash = 0;
+
+    for (var i = 0; i < value.length; i += 1) {
+        hash = ((hash * 31) + value.charCodeAt(i)) % 4294967296;
+    }
+
+    return hash;
+}
+
+/**
+ * Returns the partition a product belongs to. Products are spread over the
+ * partitions by the hash of their ID, so each product always belongs to the
+ * same partition for a given partition count.
+ *
+ * @param {string} productId - Product ID
+ * @param {number} partitionCount - Number of partitions
+ * @return {number} - Partition index, from 0 to partitionCount - 1
+ */
+function getPartition(productId, partitionCount) {
+    return hashCode(productId) % partitionCount;
+}
+
+/**
+ * Parses the Partition Count and Partition Index job parameters.
+ *
+ * @param {dw.job.JobParameters} parameters - Job parameters
+ * @return {Object} - Partition count and index, count 1 when not partitioned
+ * @throws {Error} - If the partition index is not within the partition count
+ */
+function getPartitioning(parameters) {
+    var count = parseInt(parameters['Partition Count'], 10);
+    var index = parseInt(parameters['Partition Index'], 10);
+
+    count = Number.isNaN(count) || count < 1 ? 1 : count;
+    index = Number.isNaN(index) ? 0 : index;
+
+    if (index < 0 || index >= count) {
+        throw new Error('Partition Index ' + index + ' is not between 0 and ' + (count - 1));
+    }
+
+    return {
+        count: count,
+        index: index
+    };
+}
+
+/**
+ * Saves the result of a partition in the context of the job execution, shared
+ * by the flows of the job.
+ *
+ * @param {dw.job.JobExecution} jobExecution - Job execution
+ * @param {number} index - Partition index
+ * @param {Object} result - Result of the partition
+ */
+function saveResult(jobExecution, index, result) {
+    jobExecution.getContext().put(RESULT_KEY_PREFIX + index, JSON.stringify(result));
+}
+
+/**
+ * Returns the results of all partitions of the job execution. Each partition
+ * saves its result under its own key before reading the others, so that the
+ * last partition to finish always finds all of them.
+ *
+ * @param {dw.job.JobExecution} jobExecution - Job execution
+ * @param {number} count - Number of partitions
+ * @return {Array} - Results by partition index, or null if some partitions
+ *   have not finished yet
+ */
+function getResults(jobExecution, count) {
+    var context = jobExecution.getContext();
+    var results = [];
+
+    for (var i = 0; i < count; i += 1) {
+        var result = context.get(RESULT_KEY_PREFIX + i);
+        if (!result) {
+            return null;
+        }
+        results.push(JSON.parse(result));
+    }
+
+    return results;
+}
+
+/**
+ * Claims the finalization of the export for a partition that found the results
+ * of all partitions. Partitions finishing at the same time can both find all
+ * results, and the job execution context has no atomic update, so the claim is
+ * a custom object keyed by the job execution ID: the database lets a single
+ * partition create it, the others fail on the duplicate key.
+ *
+ * @param {dw.job.JobExecution} jobExecution - Job execution
+ * @param {number} index - Partition index
+ * @return {boolean} - True if the partition finalizes the export
+ * @throws {Error} - If the claim cannot be created for another reason
+ */
+function claimFinalization(jobExecution, index) {
+    var CustomObjectMgr = require('dw/object/CustomObjectMgr');
+    var Transaction = require('dw/system/Transaction');
+    var jobId = jobExecution.getID();
+
+    try {
+        Transaction.wrap(function () {
+            var claim = CustomObjectMgr.createCustomObject(FINALIZATION_TYPE, jobId);
+            claim.custom.partitionIndex = index;
+        });
+    } catch (e) {
+        if (CustomObjectMgr.getCustomObject(FINALIZATION_TYPE, jobId)) {
+            return false;
+        }
+        throw e;
+    }
+
+    return true;
+}
+
+module.exports = {
+    getPartition: getPartition,
+    getPartitioning: getPartitioning,
+    saveResult: saveResult,
+    getResults: getResults,
+    claimFinalization: claimFinalization
+};
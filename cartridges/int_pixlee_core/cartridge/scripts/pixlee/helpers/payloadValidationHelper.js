@@ -0,0 +1,270 @@
+'use strict';
+
+/**
+ * Maximum lengths of payload strings, in characters
+ */
+var MAX_LENGTH = {
+    ID: 255,
+    NAME: 255,
+    URL: 2048,
+    JSON: 512 * 1024
+};
+
+/**
+ * Maximum number of regions of a product payload
+ */
+var MAX_REGIONS = 100;
+
+var URL_PATTERN = /^https?:\/\/[^\s/?#]+[^\s]*$/;
+var CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Format descriptions used in error messages
+ */
+var FORMAT_DESCRIPTION = {
+    url: 'an absolute http(s) URL',
+    currency: 'an ISO 4217 currency code',
+    json: 'a serialized JSON object'
+};
+
+/**
+ * Schema of the prices assigned to product and regional payloads
+ */
+var PRICE_PROPERTIES = {
+    price: { type: 'number', required: true, minimum: 0 },
+    list_price: { type: 'number', nullable: true, minimum: 0 },
+    sale_price: { type: 'number', nullable: true, minimum: 0 },
+    min_price: { type: 'number', nullable: true, minimum: 0 },
+    max_price: { type: 'number', nullable: true, minimum: 0 },
+    has_promotion: { type: 'boolean' },
+    promotional_price: { type: 'number', nullable: true, minimum: 0 }
+};
+
+/**
+ * Adds the price properties to the properties of a payload schema, unless the
+ * schema declares them itself.
+ *
+ * @param {Object} properties - Properties of a payload schema
+ * @return {Object} - Copy of the properties, with the price properties
+ */
+function withPriceProperties(properties) {
+    var result = {};
+    Object.keys(properties).forEach(function (name) {
+        result[name] = properties[name];
+    });
+    Object.keys(PRICE_PROPERTIES).forEach(function (name) {
+        if (!result[name]) {
+            result[name] = PRICE_PROPERTIES[name];
+        }
+    });
+    return result;
+}
+
+/**
+ * Schema of the regional details of a product payload
+ */
+var REGION_SCHEMA = {
+    type: 'object',
+    properties: withPriceProperties({
+        region_code: { type: 'string', required: true, minLength: 1, maxLength: MAX_LENGTH.ID },
+        name: { type: 'string', nullable: true, maxLength: MAX_LENGTH.NAME },
+        buy_now_link_url: { type: 'string', required: true, format: 'url', maxLength: MAX_LENGTH.URL },
+        currency: { type: 'string', required: true, format: 'currency' },
+        stock: { type: 'number', nullable: true },
+        variants_json: { type: 'string', format: 'json', maxLength: MAX_LENGTH.JSON },
+        description: { type: 'string', nullable: true },
+        short_description: { type: 'string', nullable: true },
+        brand: { type: 'string', nullable: true, maxLength: MAX_LENGTH.NAME },
+        page_title: { type: 'string', nullable: true },
+        page_description: { type: 'string', nullable: true }
+    })
+};
+
+/**
+ * Schema of the product payloads built by ProductExportPayload. Each property
+ * declares its type (string, number, boolean, object or array) and may declare:
+ * - required: the property must be set and not null
+ * - mainSiteOnly: the property is only exported, and so only required, for
+ *   the main site, see the onlyRegionalDetails export option
+ * - nullable: the property may be null
+ * - minLength, maxLength: string length
+ * - minimum: number minimum
+ * - format: url (absolute http or https URL), currency (ISO 4217 code) or
+ *   json (serialized JSON object)
+ * - enum: allowed values
+ * - properties: schemas of the properties of objects
+ * - items, maxItems: schema of the items of arrays and their maximum number
+ * Properties not declared in the schema, like mapped attributes, are not checked.
+ */
+var PRODUCT_SCHEMA = {
+    type: 'object',
+    properties: {
+        title: { type: 'string', required: true, maxLength: MAX_LENGTH.NAME },
+        album_type: { type: 'string', required: true, enum: ['product'] },
+        live_update: { type: 'boolean' },
+        num_photos: { type: 'number', minimum: 0 },
+        num_inbox_photos: { type: 'number', minimum: 0 },
+        product: {
+            type: 'object',
+            required: true,
+            properties: withPriceProperties({
+                sku: { type: 'string', required: true, minLength: 1, maxLength: MAX_LENGTH.ID },
+                native_product_id: { type: 'string', required: true, minLength: 1, maxLength: MAX_LENGTH.ID },
+                upc: { type: 'string', nullable: true, maxLength: MAX_LENGTH.ID },
+                name: { type: 'string', required: true, mainSiteOnly: true, maxLength: MAX_LENGTH.NAME },
+                buy_now_link_url: { type: 'string', required: true, mainSiteOnly: true, format: 'url', maxLength: MAX_LENGTH.URL },
+                product_photo: { type: 'string', nullable: true, format: 'url', maxLength: MAX_LENGTH.URL },
+                currency: { type: 'string', required: true, mainSiteOnly: true, format: 'currency' },
+                stock: { type: 'number', nullable: true },
+                extra_fields: { type: 'string', mainSiteOnly: true, format: 'json', maxLength: MAX_LENGTH.JSON },
+                variants_json: { type: 'string', mainSiteOnly: true, format: 'json', maxLength: MAX_LENGTH.JSON },
+                price: { type: 'number', required: true, mainSiteOnly: true, minimum: 0 },
+                regional_info: { type: 'array', required: true, maxItems: MAX_REGIONS, items: REGION_SCHEMA }
+            })
+        }
+    }
+};
+
+/**
+ * Returns the type of a value, as named by the schema.
+ *
+ * @param {*} value - Value to check
+ * @return {string} - string, number, boolean, object, array or the typeof of
+ *   other values
+ */
+function getType(value) {
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Returns whether a string matches a format of the schema.
+ *
+ * @param {string} value - Value to check
+ * @param {string} format - url, currency or json
+ * @return {boolean} - True if the value matches the format
+ */
+function matchesFormat(value, format) {
+    if (format === 'url') {
+        return URL_PATTERN.test(value);
+    }
+    if (format === 'currency') {
+        return CURRENCY_PATTERN.test(value);
+    }
+    if (format === 'json') {
+        try {
+            var parsed = JSON.parse(value);
+            return !!parsed && typeof parsed === 'object';
+        } catch (e) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Checks a value against its schema, adding an error for each violation.
+ *
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema of the value
+ * @param {string} field - Path of the value in the payload, for error messages
+ * @param {Object} context - Validation context, with the errors found so far and
+ *   whether the payload is for the main site
+ */
+function validateValue(value, schema, field, context) {
+    var addError = function (message) {
+        context.errors.push({ field: field, message: message });
+    };
+
+    if (value === undefined || value === null) {
+        if (schema.required && (!schema.mainSiteOnly || context.isMainSite)) {
+            addError('is required');
+        } else if (value === null && !schema.nullable && !schema.required) {
+            addError('must not be null');
+        }
+        return;
+    }
+
+    var type = getType(value);
+    if (type !== schema.type) {
+        addError('must be of type ' + schema.type + ', not ' + type);
+        return;
+    }
+
+    if (type === 'number' && !Number.isFinite(value)) {
+        addError('must be a finite number, not ' + value);
+        return;
+    }
+
+    if (schema.enum && schema.enum.indexOf(value) === -1) {
+        addError('must be one of ' + schema.enum.join(', '));
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        addError('must be at least ' + schema.minimum);
+    }
+    if (type === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            addError('must not be empty');
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            addError('must be at most ' + schema.maxLength + ' characters long, not ' + value.length);
+        } else if (schema.format && !matchesFormat(value, schema.format)) {
+            addError('must be ' + FORMAT_DESCRIPTION[schema.format]);
+        }
+    }
+
+    if (schema.properties) {
+        Object.keys(schema.properties).forEach(function (name) {
+            validateValue(value[name], schema.properties[name], field ? field + '.' + name : name, context);
+        });
+    }
+
+    if (type === 'array') {
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            addError('must have at most ' + schema.maxItems + ' items, not ' + value.length);
+        }
+        if (schema.items) {
+            value.forEach(function (item, index) {
+                validateValue(item, schema.items, field + '[' + index + ']', context);
+            });
+        }
+    }
+}
+
+/**
+ * Validates a product payload against the product schema before it is sent to
+ * Pixlee.
+ *
+ * @param {Object} payload - Product payload, built by ProductExportPayload
+ * @param {Object} exportOptions - Export options the payload was built with, see
+ *   ProductExportPayload
+ * @return {Array} - Errors found, each with the path of the field in the payload
+ *   and a message, empty if the payload is valid
+ */
+function validate(payload, exportOptions) {
+    var context = {
+        errors: [],
+        isMainSite: !(exportOptions && exportOptions.onlyRegionalDetails)
+    };
+
+    validateValue(payload, PRODUCT_SCHEMA, '', context);
+
+    return context.errors;
+}
+
+/**
+ * Formats validation errors for logs and saved failed exports.
+ *
+ * @param {Array} errors - Errors returned by validate
+ * @return {string} - Errors, separated by semicolons
+ */
+function formatErrors(errors) {
+    return errors.map(function (error) {
+        return error.field + ' ' + error.message;
+    }).join('; ');
+}
+
+module.exports = {
+    PRODUCT_SCHEMA: PRODUCT_SCHEMA,
+    validate: validate,
+    formatErrors: formatErrors
+};
@@ -0,0 +1,127 @@
+'use strict';
+
+var Logger = require('dw/system/Logger');
+
+var PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+var HOST_PATTERN = /^https?:\/\/([^/?#]+)/;
+
+var urlParametersSource = null;
+var urlParametersConfig = {};
+
+/**
+ * Returns the query parameters configured by the PixleeProductUrlParameters
+ * site preference. The preference is parsed only when its value changes.
+ *
+ * @return {Object} - Parameter values keyed by parameter name, empty if the
+ *   preference is blank or invalid
+ */
+function getUrlParametersConfig() {
+    var Site = require('dw/system/Site');
+    var source = Site.getCurrent().getCustomPreferenceValue('PixleeProductUrlParameters') || '';
+
+    if (source !== urlParametersSource) {
+        urlParametersSource = source;
+        urlParametersConfig = {};
+
+        if (source) {
+            try {
+                var config = JSON.parse(source);
+                if (!config || typeof config !== 'object' || Array.isArray(config)) {
+                    throw new Error('expected an object keyed by parameter name');
+                }
+                urlParametersConfig = config;
+            } catch (e) {
+                Logger.error('Invalid Pixlee product URL parameters site preference, not adding parameters: {0}', e.message);
+            }
+        }
+    }
+
+    return urlParametersConfig;
+}
+
+/**
+ * Replaces the placeholders of a URL template or parameter value.
+ *
+ * @param {string} template - Template, with placeholders like {pid}
+ * @param {Object} values - Placeholder values, keyed by placeholder name
+ * @param {boolean} encode - Whether to URL encode the values
+ * @return {string} - Template with its placeholders replaced, unknown
+ *   placeholders are left as is
+ */
+function fillPlaceholders(template, values, encode) {
+    return String(template).replace(PLACEHOLDER_PATTERN, function (placeholder, name) {
+        if (!Object.prototype.hasOwnProperty.call(values, name)) {
+            return placeholder;
+        }
+        return encode && name !== 'host' ? encodeURIComponent(values[name]) : values[name];
+    });
+}
+
+/**
+ * Appends the configured query parameters to a URL, before its fragment.
+ *
+ * @param {string} url - URL to append the parameters to
+ * @param {Object} values - Placeholder values of the parameter values
+ * @return {string} - URL with the parameters
+ */
+function appendUrlParameters(url, values) {
+    var config = getUrlParametersConfig();
+    var query = Object.keys(config).map(function (name) {
+        return encodeURIComponent(name) + '=' + encodeURIComponent(fillPlaceholders(config[name], values, false));
+    }).join('&');
+
+    if (!query) {
+        return url;
+    }
+
+    var fragmentIndex = url.indexOf('#');
+    var fragment = fragmentIndex === -1 ? '' : url.substring(fragmentIndex);
+    var base = fragmentIndex === -1 ? url : url.substring(0, fragmentIndex);
+
+    return base + (base.indexOf('?') === -1 ? '?' : '&') + query + fragment;
+}
+
+/**
+ * Builds the URL of the page of a product for a locale. The URL follows the
+ * PixleeProductUrlTemplate site preference if one is configured, and is the
+ * Product-Show URL of the locale otherwise. The PixleeProductUrlParameters
+ * are appended to it.
+ *
+ * Templates and parameter values can use the placeholders {host}, {pid},
+ * {locale}, {language}, {country} and {region}, the Pixlee region of the
+ * locale.
+ *
+ * @param {string} productId - Product ID
+ * @param {string} locale - Locale ID, the URL is built in the current request
+ *   locale, which should be this one
+ * @param {string} [host] - Host name to use instead of the storefront one
+ * @return {string} - Product page URL
+ */
+exports.getProductUrl = function (productId, locale, host) {
+    var Site = require('dw/system/Site');
+    var URLUtils = require('dw/web/URLUtils');
+    var localeHelper = require('*/cartridge/scripts/pixlee/helpers/localeHelper');
+
+    var pdpURL = URLUtils.https('Product-Show', 'pid', productId);
+    if (host) {
+        pdpURL.host(host);
+    }
+
+    var url = pdpURL.toString();
+    var localeParts = String(locale || '').split('_');
+    var values = {
+        host: host || (HOST_PATTERN.exec(url) || [])[1] || '',
+        pid: productId,
+        locale: locale || '',
+        language: localeParts[0].toLowerCase(),
+        country: (localeParts[1] || '').toLowerCase(),
+        region: localeHelper.getRegionCode(locale) || ''
+    };
+
+    var template = Site.getCurrent().getCustomPreferenceValue('PixleeProductUrlTemplate');
+    if (template) {
+        url = fillPlaceholders(template, values, true);
+    }
+
+    return appendUrlParameters(url, values);
+};
@@ -0,0 +1,116 @@
+'use strict';
+
+var Result = require('dw/svc/Result');
+
+var FAILURE_CLASS = {
+    TRANSIENT: 'TRANSIENT',
+    PERMANENT: 'PERMANENT'
+};
+
+var TRANSIENT_UNAVAILABLE_REASONS = [
+    Result.UNAVAILABLE_TIMEOUT,
+    Result.UNAVAILABLE_CIRCUIT_BROKEN,
+    Result.UNAVAILABLE_RATE_LIMITED
+];
+
+/**
+ * Classifies a service call result.
+ *
+ * Timeouts, rate limiting, open circuit breakers, connection failures,
+ * HTTP 408, 429 and 5xx responses are considered transient and worth retrying.
+ * All other failures, like HTTP 4xx validation errors or a disabled service,
+ * are considered permanent. Transient failures are not retried inline, they
+ * are saved for the failed exports retry step like any other failure.
+ *
+ * @param {dw.svc.Result} result - Result returned by the service call
+ * @return {string} - null for successful results, otherwise TRANSIENT or PERMANENT
+ */
+function classify(result) {
+    if (!result) {
+        return FAILURE_CLASS.PERMANENT;
+    }
+
+    if (result.ok) {
+        return null;
+    }
+
+    if (result.status === Result.SERVICE_UNAVAILABLE) {
+        return TRANSIENT_UNAVAILABLE_REASONS.indexOf(result.unavailableReason) >= 0
+            ? FAILURE_CLASS.TRANSIENT
+            : FAILURE_CLASS.PERMANENT;
+    }
+
+    var httpStatus = result.error;
+    if (!httpStatus || httpStatus === 408 || httpStatus === 429 || httpStatus >= 500) {
+        return FAILURE_CLASS.TRANSIENT;
+    }
+
+    return FAILURE_CLASS.PERMANENT;
+}
+
+/**
+ * Returns a short description of a failed service call result for logging.
+ *
+ * @param {dw.svc.Result} result - Result returned by the service call
+ * @return {string} - Failure description
+ */
+function getFailureMessage(result) {
+    if (!result) {
+        return 'no result returned';
+    }
+
+    if (result.status === Result.SERVICE_UNAVAILABLE) {
+        return 'service unavailable (' + result.unavailableReason + ')';
+    }
+
+    return 'HTTP ' + (result.error || 'n/a') + ': ' + (result.errorMessage || result.msg || 'unknown error');
+}
+
+/**
+ * Makes a service call and classifies its result. Calls are made once, as the
+ * script API can only wait by keeping the CPU busy: products failing with a
+ * transient failure are left to the failed exports retry step, which honours
+ * the time returned by the Retry-After header of the response.
+ *
+ * @param {Function} serviceCall - Function making the call and returning its dw.svc.Result
+ * @param {Function} [getRetryAfter] - Function returning the time the call may
+ *   be retried at, as a Date, or null. Only called for transient failures.
+ * @return {Object} - Outcome of the call: ok, failureClass, httpStatus, message,
+ *   retryAfter and the result
+ */
+function call(serviceCall, getRetryAfter) {
+    var outcome = {
+        ok: false,
+        failureClass: null,
+        httpStatus: null,
+        message: null,
+        retryAfter: null,
+        result: null
+    };
+
+    try {
+        outcome.result = serviceCall();
+        outcome.failureClass = classify(outcome.result);
+        outcome.httpStatus = outcome.result ? outcome.result.error || null : null;
+        outcome.message = outcome.failureClass ? getFailureMessage(outcome.result) : null;
+    } catch (e) {
+        outcome.result = null;
+        outcome.failureClass = FAILURE_CLASS.PERMANENT;
+        outcome.message = e.message;
+    }
+
+    if (outcome.failureClass === FAILURE_CLASS.TRANSIENT && getRetryAfter) {
+        outcome.retryAfter = getRetryAfter() || null;
+    }
+
+    outcome.ok = !outcome.failureClass;
+
+    return outcome;
+}
+
+module.exports = {
+    FAILURE_CLASS: FAILURE_CLASS,
+    classify: classify,
+    getFailureMessage: getFailureMessage,
+    call: call
+};
@@ -0,0 +1,195 @@
+'use strict';
+
+var Logger = require('dw/system/Logger');
+
+/**
+ * Stock level reported for perpetually available products, and for products
+ * without inventory record in inventory lists that are in stock by default
+ */
+var PERPETUAL_STOCK_LEVEL = 999999;
+
+/**
+ * Key of the inventory list used for locales without one of their own
+ */
+var DEFAULT_INVENTORY_LIST_KEY = 'default';
+
+var inventoryListsSource = null;
+var inventoryListsConfig = {};
+
+/**
+ * Returns the inventory lists configured by the PixleeInventoryLists site
+ * preference. The preference is parsed only when its value changes.
+ *
+ * @return {Object} - Inventory list IDs keyed by locale ID, or default
+ */
+function getInventoryListsConfig() {
+    var Site = require('dw/system/Site');
+    var source = Site.getCurrent().getCustomPreferenceValue('PixleeInventoryLists') || '';
+
+    if (source !== inventoryListsSource) {
+        inventoryListsSource = source;
+        inventoryListsConfig = {};
+
+        if (source) {
+            try {
+                inventoryListsConfig = JSON.parse(source) || {};
+            } catch (e) {
+                Logger.error('Invalid Pixlee inventory lists site preference, using the site inventory list: {0}', e.message);
+            }
+        }
+    }
+
+    return inventoryListsConfig;
+}
+
+/**
+ * Returns the ID of the inventory list to read the stock of a locale from.
+ *
+ * @param {string} [locale] - Locale ID, the default inventory list is
+ *   returned if omitted
+ * @return {string} - Inventory list ID or null to use the inventory list
+ *   assigned to the site
+ */
+exports.getInventoryListId = function (locale) {
+    var config = getInventoryListsConfig();
+
+    return (locale && config[locale]) || config[DEFAULT_INVENTORY_LIST_KEY] || null;
+};
+
+/**
+ * Returns the inventory lists the exported stock is read from: the lists
+ * configured by the PixleeInventoryLists site preference and, unless it
+ * configures a default one, the inventory list assigned to the site.
+ *
+ * @return {Array} - dw.catalog.ProductInventoryList objects, without duplicates,
+ *   lists that are not found left out
+ */
+exports.getInventoryLists = function () {
+    var ProductInventoryMgr = require('dw/catalog/ProductInventoryMgr');
+    var config = getInventoryListsConfig();
+    var inventoryListIds = config[DEFAULT_INVENTORY_LIST_KEY] ? [] : [null];
+
+    Object.keys(config).forEach(function (key) {
+        if (config[key] && inventoryListIds.indexOf(config[key]) === -1) {
+            inventoryListIds.push(config[key]);
+        }
+    });
+
+    return inventoryListIds.map(function (inventoryListId) {
+        return inventoryListId
+            ? ProductInventoryMgr.getInventoryList(inventoryListId)
+            : ProductInventoryMgr.getInventoryList();
+    }).filter(function (inventoryList) {
+        return !!inventoryList;
+    });
+};
+
+/**
+ * Returns the stock level of an inventory record.
+ *
+ * @param {dw.catalog.ProductInventoryRecord} record - Inventory record, can be null
+ * @param {dw.catalog.ProductInventoryList} inventoryList - Inventory list of the record
+ * @param {boolean} includeBackorders - Whether quantities available for
+ *   backorder or preorder are counted in
+ * @return {number} - Stock level
+ */
+function getRecordStockLevel(record, inventoryList, includeBackorders) {
+    if (!record) {
+        return inventoryList.defaultInStockFlag ? PERPETUAL_STOCK_LEVEL : 0;
+    }
+    if (record.perpetual) {
+        return PERPETUAL_STOCK_LEVEL;
+    }
+
+    // ATS includes the backorder/preorder allocation, the stock level does not
+    var stockLevel = includeBackorders
+        ? record.ATS.value
+        : Math.min(record.ATS.value, record.stockLevel.value);
+
+    return Math.max(stockLevel, 0);
+}
+
+/**
+ * Returns the stock level of a product read from an inventory list. Masters
+ * get the sum of the stock levels of their online variants. Product sets and
+ * bundles usually have no inventory record of their own, so those without
+ * one get the stock level of their members: the sum of the stock levels of
+ * the online products of a set, and the number of complete bundles the stock
+ * levels of the bundled products allow.
+ *
+ * @param {dw.catalog.Product} product - Product to get the stock level of
+ * @param {dw.catalog.ProductInventoryList} inventoryList - Inventory list to read
+ * @param {boolean} includeBackorders - Whether quantities available for
+ *   backorder or preorder are counted in
+ * @return {number} - Stock level, PERPETUAL_STOCK_LEVEL at most
+ */
+function getProductStockLevel(product, inventoryList, includeBackorders) {
+    var stockLevel = 0;
+
+    if (product.master) {
+        var variantIterator = product.getVariants().iterator();
+        while (variantIterator.hasNext() && stockLevel < PERPETUAL_STOCK_LEVEL) {
+            var variant = variantIterator.next();
+            if (variant.online) {
+                stockLevel += getRecordStockLevel(inventoryList.getRecord(variant), inventoryList, includeBackorders);
+            }
+        }
+        return Math.min(stockLevel, PERPETUAL_STOCK_LEVEL);
+    }
+
+    var record = inventoryList.getRecord(product);
+
+    if (!record && product.productSet) {
+        product.getProductSetProducts().toArray().forEach(function (member) {
+            if (member.online && stockLevel < PERPETUAL_STOCK_LEVEL) {
+                stockLevel += getProductStockLevel(member, inventoryList, includeBackorders);
+            }
+        });
+        return Math.min(stockLevel, PERPETUAL_STOCK_LEVEL);
+    }
+
+    if (!record && product.bundle) {
+        var bundledProducts = product.getBundledProducts().toArray();
+        if (!bundledProducts.length) {
+            return 0;
+        }
+        return bundledProducts.reduce(function (bundles, member) {
+            var quantity = product.getBundledProductQuantity(member).value || 1;
+            var memberStockLevel = member.online ? getProductStockLevel(member, inventoryList, includeBackorders) : 0;
+            return Math.min(bundles, Math.floor(memberStockLevel / quantity));
+        }, PERPETUAL_STOCK_LEVEL);
+    }
+
+    return getRecordStockLevel(record, inventoryList, includeBackorders);
+}
+
+/**
+ * Returns the stock level of a product, as the quantity available to sell,
+ * see getProductStockLevel.
+ *
+ * @param {dw.catalog.Product} product - Product to get the stock level of
+ * @param {string} [inventoryListId] - ID of the inventory list to read, see
+ *   getInventoryListId. The inventory list assigned to the site is read if
+ *   omitted.
+ * @return {number} - Stock level, PERPETUAL_STOCK_LEVEL at most
+ */
+exports.getStockLevel = function (product, inventoryListId) {
+    var ProductInventoryMgr = require('dw/catalog/ProductInventoryMgr');
+    var Site = require('dw/system/Site');
+
+    var inventoryList = inventoryListId
+        ? ProductInventoryMgr.getInventoryList(inventoryListId)
+        : ProductInventoryMgr.getInventoryList();
+
+    if (!inventoryList) {
+        Logger.warn('Inventory list {0} not found, stock of product {1} exported as 0',
+            inventoryListId || '(site)', product.ID);
+        return 0;
+    }
+
+    var includeBackorders = !!Site.getCurrent().getCustomPreferenceValue('PixleeStockIncludeBackorders');
+
+    return getProductStockLevel(product, inventoryList, includeBackorders);
+};
+
+exports.PERPETUAL_STOCK_LEVEL = PERPETUAL_STOCK_LEVEL;
@@ -0,0 +1,314 @@
+'use strict';
+
+var Logger = require('dw/system/Logger');
+var Site = require('dw/system/Site');
+var PixleeService = require('~/cartridge/scripts/pixlee/services/PixleeService');
+var serviceResultHelper = require('~/cartridge/scripts/pixlee/helpers/serviceResultHelper');
+var exportRegistryHelper = require('~/cartridge/scripts/pixlee/helpers/exportRegistryHelper');
+var exportRulesHelper = require('*/cartridge/scripts/pixlee/helpers/exportRulesHelper');
+var hooksHelper = require('*/cartridge/scripts/pixlee/helpers/hooksHelper');
+
+/**
+ * Reasons for exported products to be archived in Pixlee, besides the export
+ * rules reasons of exportRulesHelper.RULE_REASON
+ */
+var REMOVAL_REASON = {
+    DELETED: 'DELETED',
+    OFFLINE: 'OFFLINE',
+    NOT_SEARCHABLE: 'NOT_SEARCHABLE',
+    UNASSIGNED: 'UNASSIGNED',
+    NOT_IN_EXPORTED_SET: 'NOT_IN_EXPORTED_SET',
+    EXCLUDED_BY_HOOK: 'EXCLUDED_BY_HOOK'
+};
+
+var JOB_STATE_DEFAULTS = {
+    exportsIterator: null,
+    totalExports: 0,
+    productsArchived: 0,
+    productsFailed: 0,
+    removalReasons: null,
+    isConfigured: false
+};
+
+/**
+ * Job state object to maintain state across chunk script method calls
+ */
+var jobState = {
+    /** @type {dw.util.SeekableIterator} exportsIterator - Iterator of exported products */
+    exportsIterator: JOB_STATE_DEFAULTS.exportsIterator,
+    /** @type {number} totalExports - Count of exported products to check */
+    totalExports: JOB_STATE_DEFAULTS.totalExports,
+    /** @type {number} productsArchived - Count of products archived in Pixlee */
+    productsArchived: JOB_STATE_DEFAULTS.productsArchived,
+    /** @type {number} productsFailed - Count of products that failed to be archived */
+    productsFailed: JOB_STATE_DEFAULTS.productsFailed,
+    /** @type {Object} removalReasons - Count of removed products, by removal reason */
+    removalReasons: JOB_STATE_DEFAULTS.removalReasons,
+    /** @type {boolean} isConfigured - Whether Pixlee is properly configured */
+    isConfigured: JOB_STATE_DEFAULTS.isConfigured,
+
+    /**
+     * Reset all state variables to their initial values
+     */
+    reset: function () {
+        var keys = Object.keys(JOB_STATE_DEFAULTS);
+        for (var i = 0; i < keys.length; i++) {
+            this[keys[i]] = JOB_STATE_DEFAULTS[keys[i]];
+        }
+        this.removalReasons = {};
+    },
+
+    /**
+     * Check if the job state has been properly initialized and ready to process
+     * @returns {boolean} true if state is initialized and ready
+     */
+    isInitialized: function () {
+        return this.isConfigured && this.totalExports;
+    },
+
+    /**
+     * Record a product found to be removed
+     * @param {string} reason - One of REMOVAL_REASON or exportRulesHelper.RULE_REASON
+     */
+    recordRemoval: function (reason) {
+        this.removalReasons[reason] = (this.removalReasons[reason] || 0) + 1;
+    }
+};
+
+/**
+ * @function hasValidConfiguration
+ * @description Checks if Pixlee is properly configured for the current site.
+ * @returns {boolean} - True if configured and ready, false if intentionally disabled
+ * @throws {Error} - If enabled but misconfigured
+ */
+function hasValidConfiguration() {
+    var currentSite = Site.getCurrent();
+    if (!currentSite.getCustomPreferenceValue('PixleeEnabled')) {
+        Logger.info('Pixlee integration is disabled for {0}', currentSite.ID);
+        return false;
+    }
+
+    if (!currentSite.getCustomPreferenceValue('PixleePrivateApiKey')) {
+        throw new Error('Pixlee Private API Key is not set for ' + currentSite.ID);
+    }
+    if (!currentSite.getCustomPreferenceValue('PixleeSecretKey')) {
+        throw new Error('Pixlee Secret Key is not set for ' + currentSite.ID);
+    }
+
+    return true;
+}
+
+/**
+ * @function getRemovalReason
+ * @description Checks whether a product exported before is still exported by
+ *   the export step. Members of sets and bundles exported with them are still
+ *   exported as long as one of their sets or bundles is.
+ * @param {string} productId - Product ID
+ * @param {boolean} setMember - Whether the product was exported as a member of
+ *   a set or bundle
+ * @returns {string} - One of REMOVAL_REASON or exportRulesHelper.RULE_REASON if
+ *   the product is no longer exported, otherwise null
+ */
+function getRemovalReason(productId, setMember) {
+    var ProductMgr = require('dw/catalog/ProductMgr');
+    var product = ProductMgr.getProduct(productId);
+
+    if (!product) {
+        return REMOVAL_REASON.DELETED;
+    }
+    if (!product.online) {
+        return REMOVAL_REASON.OFFLINE;
+    }
+    if (setMember) {
+        if (!exportRegistryHelper.isMemberOfExportedSet(product)) {
+            return REMOVAL_REASON.NOT_IN_EXPORTED_SET;
+        }
+    } else if (!product.searchable) {
+        return REMOVAL_REASON.NOT_SEARCHABLE;
+    } else if (!product.isAssignedToSiteCatalog()) {
+        return REMOVAL_REASON.UNASSIGNED;
+    }
+    var ruleReason = exportRulesHelper.getSkipReason(product);
+    if (ruleReason) {
+        return ruleReason;
+    }
+    return hooksHelper.shouldExport(product) ? null : REMOVAL_REASON.EXCLUDED_BY_HOOK;
+}
+
+/**
+ * @function archiveProduct
+ * @description Archives the album of a product in Pixlee.
+ * @param {string} sku - Product SKU sent by the product export
+ * @returns {Object} - Outcome of the call, see serviceResultHelper.call
+ */
+function archiveProduct(sku) {
+    return serviceResultHelper.call(function () {
+        return PixleeService.archiveProduct(sku);
+    });
+}
+
+/**
+ * Chunk Script Method: beforeStep
+ * Called once before processing begins. Used to initialize resources.
+ *
+ * @param {dw.job.JobParameters} parameters - Job parameters from Business Manager
+ * @returns {void}
+ */
+exports.beforeStep = function (parameters) {
+    if (parameters.IsDisabled) {
+        Logger.info('Job step is disabled');
+        return;
+    }
+
+    jobState.reset();
+    jobState.isConfigured = hasValidConfiguration();
+    if (!jobState.isConfigured) {
+        return;
+    }
+
+    try {
+        if (!PixleeService.isPublished('archiveProduct')) {
+            throw new Error('Removed products cannot be archived yet, as the Pixlee album archive endpoint is not published');
+        }
+        exportRulesHelper.validateRules();
+        exportRegistryHelper.clearExportedSets();
+        jobState.exportsIterator = exportRegistryHelper.getExports();
+        jobState.totalExports = jobState.exportsIterator.getCount();
+
+        Logger.info('Starting Pixlee archive job, exported products to check: {0}', jobState.totalExports);
+    } catch (e) {
+        Logger.error('Failed to initialize Pixlee archive job: {0}\n{1}', e.message, e.stack || '');
+        jobState.reset();
+        throw e;
+    }
+};
+
+/**
+ * Chunk Script Method: getTotalCount
+ * Returns the total number of items to be processed.
+ *
+ * @param {dw.job.JobParameters} parameters - Job parameters from Business Manager
+ * @returns {number} - Total count of exported products to check
+ */
+exports.getTotalCount = function (parameters) {
+    if (parameters.IsDisabled || !jobState.isInitialized()) {
+        return 0;
+    }
+    return jobState.totalExports;
+};
+
+/**
+ * Chunk Script Method: read
+ * Returns the next exported product that is no longer exported, or null when
+ * there are no more items.
+ *
+ * @param {dw.job.JobParameters} parameters - Job parameters from Business Manager
+ * @returns {Object|string|null} - Removed product, empty string to skip, or null when done
+ */
+exports.read = function (parameters) {
+    if (parameters.IsDisabled || !jobState.isInitialized()) {
+        return null;
+    }
+
+    if (!jobState.exportsIterator.hasNext()) {
+        return null;
+    }
+
+    var productExport = jobState.exportsIterator.next();
+    var productId = productExport.custom.ID;
+    var reason = getRemovalReason(productId, productExport.custom.setMember);
+
+    if (!reason) {
+        return '';
+    }
+
+    jobState.recordRemoval(reason);
+
+    return {
+        productId: productId,
+        sku: productExport.custom.sku || productId,
+        reason: reason
+    };
+};
+
+/**
+ * Chunk Script Method: process
+ * Passes removed products through to be archived.
+ *
+ * @param {Object} removedProduct - Removed product returned by read()
+ * @param {dw.job.JobParameters} parameters - Job parameters from Business Manager
+ * @returns {Object|null} - Removed product, or null to skip
+ */
+exports.process = function (removedProduct, parameters) {
+    if (parameters.IsDisabled || !jobState.isInitialized() || empty(removedProduct)) {
+        return null;
+    }
+
+    return removedProduct;
+};
+
+/**
+ * Chunk Script Method: write
+ * Archives a chunk of removed products in Pixlee and removes them from the
+ * exported products, so that they are archived only once.
+ *
+ * @param {Array} items - Array of removed products from process()
+ * @param {dw.job.JobParameters} parameters - Job parameters from Business Manager
+ * @returns {void}
+ */
+exports.write = function (items, parameters) {
+    if (parameters.IsDisabled || !jobState.isInitialized() || !items || items.length === 0) {
+        return;
+    }
+
+    for (var i = 0; i < items.length; i += 1) {
+        var item = items[i];
+        if (item) {
+            var outcome = archiveProduct(item.sku);
+
+            if (outcome.ok) {
+                jobState.productsArchived += 1;
+                exportRegistryHelper.removeExport(item.productId);
+                Logger.info('Product {0} archived in Pixlee ({1})', item.productId, item.reason);
+            } else {
+                jobState.productsFailed += 1;
+                Logger.error('Failed to archive product {0} in Pixlee, {1} failure: {2}',
+                    item.productId, outcome.failureClass, outcome.message);
+            }
+        }
+    }
+};
+
+/**
+ * Chunk Script Method: afterStep
+ * Called once after all chunks have been processed (or if step fails).
+ *
+ * @param {boolean} success - Whether the step completed successfully
+ * @param {dw.job.JobParameters} parameters - Job parameters from Business Manager
+ * @returns {void}
+ */
+exports.afterStep = function (success, parameters) {
+    try {
+        if (parameters.IsDisabled || !jobState.isInitialized()) {
+            return;
+        }
+
+        Logger.info('Archive completed. Archived: {0}, Failed: {1}, Checked: {2}, Removal reasons: {3}',
+            jobState.productsArchived, jobState.productsFailed, jobState.totalExports,
+            JSON.stringify(jobState.removalReasons));
+
+        if (!success) {
+            throw new Error('Archive of removed products failed. Archived: ' + jobState.productsArchived +
+                ', Failed: ' + jobState.productsFailed);
+        }
+    } finally {
+        if (jobState.exportsIterator) {
+            try {
+                jobState.exportsIterator.close();
+            } catch (e) {
+                Logger.warn('Failed to close iterator: {0}', e.message);
+            }
+        }
+        jobState.reset();
+    }
+};
@@ -0,0 +1,173 @@
+'use strict';
+
+var Logger = require('dw/system/Logger');
+var Status = require('dw/system/Status');
+var PixleeService = require('~/cartridge/scripts/pixlee/services/PixleeService');
+var exportStateHelper = require('~/cartridge/scripts/pixlee/helpers/exportStateHelper');
+
+/**
+ * Maximum time since the upload of a feed for its import to finish, when the
+ * step does not configure one
+ */
+var DEFAULT_MAX_WAIT_SECONDS = 21600;
+
+/**
+ * Maximum number of failed rows listed in the step status message
+ */
+var MAX_REPORTED_ROWS = 10;
+
+/**
+ * Parses a number of seconds job parameter.
+ *
+ * @param {string} value - Parameter value
+ * @param {number} defaultValue - Value to use if the parameter is blank or invalid
+ * @return {number} - Number of seconds
+ */
+function parseSeconds(value, defaultValue) {
+    var seconds = parseInt(value, 10);
+    return Number.isNaN(seconds) || seconds < 0 ? defaultValue : seconds;
+}
+
+/**
+ * Checks whether an import has finished, successfully or not.
+ *
+ * @param {Object} importStatus - Import status returned by PixleeService.getImportStatus
+ * @return {boolean} - True if the import will not progress any further
+ */
+function isFinished(importStatus) {
+    return !!importStatus && (importStatus.status === 'completed' || importStatus.status === 'failed');
+}
+
+/**
+ * Returns the feed import to check: the one uploaded by the export step of the
+ * same job, or else the one still pending from an earlier job.
+ *
+ * @param {dw.job.JobExecution} jobExecution - Job execution
+ * @return {Object} - Import ID, upload time (null if unknown) and export start
+ *   time to save as high-water mark, or null if there is no import to check
+ */
+function getFeedImport(jobExecution) {
+    var context = jobExecution.getContext();
+    var importId = context.get(exportStateHelper.JOB_CONTEXT_KEYS.FEED_IMPORT_ID);
+    var pendingImport = exportStateHelper.getPendingFeedImport();
+
+    if (importId && (!pendingImport || pendingImport.importId !== importId)) {
+        return {
+            importId: importId,
+            uploadTime: null,
+            exportStartTime: context.get(exportStateHelper.JOB_CONTEXT_KEYS.FEED_EXPORT_START_TIME) || null
+        };
+    }
+
+    return pendingImport;
+}
+
+/**
+ * Removes the pending feed import once its outcome is reported, so that later
+ * runs of the step do not report it again.
+ */
+function clearFeedImport() {
+    try {
+        exportStateHelper.clearPendingFeedImport();
+    } catch (e) {
+        Logger.error('Failed to clear Pixlee pending feed import: {0}', e.message);
+    }
+}
+
+/**
+ * Builds a description of the failed rows of an import for the step status.
+ *
+ * @param {Object} importStatus - Import status returned by PixleeService.getImportStatus
+ * @return {string} - Failed rows count and the errors of the first failed rows
+ */
+function describeFailedRows(importStatus) {
+    var errors = importStatus.errors || [];
+    var message = importStatus.failed_rows + ' of ' + importStatus.total_rows + ' rows failed';
+
+    var details = errors.slice(0, MAX_REPORTED_ROWS).map(function (rowError) {
+        return (rowError.sku || 'row ' + rowError.row) + ': ' + rowError.message;
+    });
+
+    if (details.length) {
+        message += ': ' + details.join('; ');
+    }
+    if (errors.length > MAX_REPORTED_ROWS) {
+        message += '; and ' + (errors.length - MAX_REPORTED_ROWS) + ' more';
+    }
+
+    return message;
+}
+
+/**
+ * Checks once the status of the feed import started by a FEED export and
+ * reports its outcome. Imports that have not finished yet are left pending
+ * for a later run of the step, in the same job flow or a scheduled job, as the
+ * script API can only wait by keeping the CPU busy. The delta high-water mark
+ * of a feed export is only saved once its import has completed without failed
+ * rows.
+ *
+ * @param {dw.job.JobParameters} parameters - Job parameters from Business Manager
+ * @param {dw.job.JobStepExecution} stepExecution - Step execution
+ * @returns {dw.system.Status} - OK if the import completed without failed rows
+ *   or is still in progress (IN_PROGRESS), ERROR with the failed rows otherwise,
+ *   or NOT_AVAILABLE while the feed import status endpoint is not published
+ */
+exports.execute = function (parameters, stepExecution) {
+    if (parameters.IsDisabled) {
+        Logger.info('Job step is disabled');
+        return new Status(Status.OK, 'DISABLED', 'Job step is disabled');
+    }
+
+    if (!PixleeService.isPublished('getImportStatus')) {
+        Logger.error('Feed imports cannot be checked yet, as the Pixlee feed import status endpoint is not published');
+        return new Status(Status.ERROR, 'NOT_AVAILABLE', 'Feed import status endpoint not published');
+    }
+
+    var feedImport = getFeedImport(stepExecution.getJobExecution());
+    if (!feedImport) {
+        Logger.info('No Pixlee feed import to check');
+        return new Status(Status.OK, 'NO_IMPORT', 'No feed import to check');
+    }
+
+    var importId = feedImport.importId;
+    var importStatus = PixleeService.getImportStatus(importId);
+
+    if (!isFinished(importStatus)) {
+        var maxWaitMillis = parseSeconds(parameters['Max Wait Seconds'], DEFAULT_MAX_WAIT_SECONDS) * 1000;
+        if (feedImport.uploadTime && Date.now() - feedImport.uploadTime > maxWaitMillis) {
+            clearFeedImport();
+            Logger.error('Pixlee feed import {0} did not finish within {1} seconds', importId, maxWaitMillis / 1000);
+            return new Status(Status.ERROR, 'TIMEOUT', 'Feed import ' + importId + ' did not finish in time');
+        }
+
+        Logger.info('Pixlee feed import {0} is {1}, to be checked again by a later run of this step',
+            importId, importStatus ? importStatus.status : 'unknown');
+        return new Status(Status.OK, 'IN_PROGRESS', 'Feed import ' + importId + ' is still in progress');
+    }
+
+    clearFeedImport();
+
+    if (importStatus.status === 'failed') {
+        var failureMessage = 'Feed import ' + importId + ' failed: ' + (importStatus.message || describeFailedRows(importStatus));
+        Logger.error('{0}', failureMessage);
+        return new Status(Status.ERROR, 'IMPORT_FAILED', failureMessage);
+    }
+
+    if (importStatus.failed_rows > 0) {
+        var rowsMessage = 'Feed import ' + importId + ' completed, ' + describeFailedRows(importStatus);
+        Logger.error('{0}', rowsMessage);
+        return new Status(Status.ERROR, 'ROWS_FAILED', rowsMessage);
+    }
+
+    Logger.info('Pixlee feed import {0} completed, {1} rows imported', importId, importStatus.total_rows);
+
+    if (feedImport.exportStartTime) {
+        try {
+            exportStateHelper.setLastExportTime(new Date(feedImport.exportStartTime));
+        } catch (e) {
+            Logger.error('Failed to save export high-water mark: {0}', e.message);
+        }
+    }
+
+    return new Status(Status.OK, 'OK', 'Feed import ' + importId + ' completed, ' + importStatus.total_rows + ' rows imported');
+};
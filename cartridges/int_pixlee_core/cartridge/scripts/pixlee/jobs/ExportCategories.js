@@ -0,0 +1,262 @@
+'use strict';
+
+var Logger = require('dw/system/Logger');
+var Site = require('dw/system/Site');
+var PixleeService = require('~/cartridge/scripts/pixlee/services/PixleeService');
+var ProductExportPayload = require('~/cartridge/scripts/pixlee/models/productExportPayload');
+var CategoryExportPayload = require('~/cartridge/scripts/pixlee/models/categoryExportPayload');
+var serviceResultHelper = require('~/cartridge/scripts/pixlee/helpers/serviceResultHelper');
+var cacheHelper = require('~/cartridge/scripts/pixlee/helpers/cacheHelper');
+
+var JOB_STATE_DEFAULTS = {
+    categoryIterator: null,
+    offlineCategoryIds: null,
+    categoriesExported: 0,
+    categoriesFailed: 0,
+    categoriesOffline: 0,
+    isConfigured: false
+};
+
+/**
+ * Job state object to maintain state across chunk script method calls
+ */
+var jobState = {
+    /** @type {Object} categoryIterator - Categories of the site catalog, in breadth-first order, see ProductExportPayload.getCategoryIterator */
+    categoryIterator: JOB_STATE_DEFAULTS.categoryIterator,
+    /** @type {Object} offlineCategoryIds - IDs of the offline categories read, whose subtree is skipped */
+    offlineCategoryIds: JOB_STATE_DEFAULTS.offlineCategoryIds,
+    /** @type {number} categoriesExported - Count of categories exported to Pixlee */
+    categoriesExported: JOB_STATE_DEFAULTS.categoriesExported,
+    /** @type {number} categoriesFailed - Count of categories that failed to be exported */
+    categoriesFailed: JOB_STATE_DEFAULTS.categoriesFailed,
+    /** @type {number} categoriesOffline - Count of categories skipped as offline or in the subtree of an offline category */
+    categoriesOffline: JOB_STATE_DEFAULTS.categoriesOffline,
+    /** @type {boolean} isConfigured - Whether Pixlee is properly configured */
+    isConfigured: JOB_STATE_DEFAULTS.isConfigured,
+
+    /**
+     * Reset all state variables to their initial values
+     */
+    reset: function () {
+        var keys = Object.keys(JOB_STATE_DEFAULTS);
+        for (var i = 0; i < keys.length; i++) {
+            this[keys[i]] = JOB_STATE_DEFAULTS[keys[i]];
+        }
+    },
+
+    /**
+     * Check if the job state has been properly initialized and ready to process
+     * @returns {boolean} true if state is initialized and ready
+     */
+    isInitialized: function () {
+        return this.isConfigured && !!this.categoryIterator;
+    }
+};
+
+/**
+ * @function hasValidConfiguration
+ * @description Checks if Pixlee is properly configured for the current site.
+ * @returns {boolean} - True if configured and ready, false if intentionally disabled
+ * @throws {Error} - If enabled but misconfigured
+ */
+function hasValidConfiguration() {
+    var currentSite = Site.getCurrent();
+    if (!currentSite.getCustomPreferenceValue('PixleeEnabled')) {
+        Logger.info('Pixlee integration is disabled for {0}', currentSite.ID);
+        return false;
+    }
+
+    if (!currentSite.getCustomPreferenceValue('PixleePrivateApiKey')) {
+        throw new Error('Pixlee Private API Key is not set for ' + currentSite.ID);
+    }
+    if (!currentSite.getCustomPreferenceValue('PixleeSecretKey')) {
+        throw new Error('Pixlee Secret Key is not set for ' + currentSite.ID);
+    }
+
+    return true;
+}
+
+/**
+ * @function isInOfflineSubtree
+ * @description Checks whether a category is in the subtree of an offline
+ *   category read before, as categories are read in breadth-first order.
+ * @param {Object} categoryInfo - Category path, see ProductExportPayload.getCategoryInfo
+ * @returns {boolean} - True if one of the parent categories is offline
+ */
+function isInOfflineSubtree(categoryInfo) {
+    var parentIds = categoryInfo && categoryInfo.parentIDs ? categoryInfo.parentIDs.split(',') : [];
+    return parentIds.some(function (parentId) {
+        return !!jobState.offlineCategoryIds[parentId];
+    });
+}
+
+/**
+ * @function postCategory
+ * @description Posts a category payload to Pixlee.
+ * @param {Object} payload - Category payload to post
+ * @returns {Object} - Outcome of the call, see serviceResultHelper.call
+ */
+function postCategory(payload) {
+    return serviceResultHelper.call(function () {
+        return PixleeService.postCategory(payload);
+    });
+}
+
+/**
+ * Chunk Script Method: beforeStep
+ * Called once before processing begins. Used to initialize resources.
+ *
+ * @param {dw.job.JobParameters} parameters - Job parameters from Business Manager
+ * @returns {void}
+ */
+exports.beforeStep = function (parameters) {
+    if (parameters.IsDisabled) {
+        Logger.info('Job step is disabled');
+        return;
+    }
+
+    jobState.reset();
+    jobState.isConfigured = hasValidConfiguration();
+    if (!jobState.isConfigured) {
+        return;
+    }
+
+    try {
+        if (!PixleeService.isPublished('postCategory')) {
+            throw new Error('Categories cannot be exported yet, as the Pixlee category album endpoint is not published');
+        }
+
+        cacheHelper.startJobCache();
+
+        ProductExportPayload.preInitializeCategoryProcessing();
+
+        jobState.categoryIterator = ProductExportPayload.getCategoryIterator();
+        jobState.offlineCategoryIds = {};
+
+        Logger.info('Starting Pixlee category export');
+    } catch (e) {
+        Logger.error('Failed to initialize Pixlee category export job: {0}\n{1}', e.message, e.stack || '');
+        jobState.reset();
+        throw e;
+    }
+};
+
+/**
+ * Chunk Script Method: read
+ * Returns the next category of the site catalog, in breadth-first order as
+ * iterated by the category processing strategy, or null when there are no
+ * more items. Offline categories are skipped with their subtree, as their
+ * pages cannot be reached.
+ *
+ * @param {dw.job.JobParameters} parameters - Job parameters from Business Manager
+ * @returns {Object|string|null} - Next category with its path, empty string to skip, or null when done
+ */
+exports.read = function (parameters) {
+    if (parameters.IsDisabled || !jobState.isInitialized() || !jobState.categoryIterator.hasNext()) {
+        return null;
+    }
+
+    var category = jobState.categoryIterator.next();
+    if (!category) {
+        return '';
+    }
+
+    var categoryInfo = ProductExportPayload.getCategoryInfo(category.ID);
+
+    if (!category.online || isInOfflineSubtree(categoryInfo)) {
+        if (!category.online) {
+            jobState.offlineCategoryIds[category.ID] = true;
+        }
+        jobState.categoriesOffline += 1;
+        return '';
+    }
+
+    return {
+        category: category,
+        categoryInfo: categoryInfo
+    };
+};
+
+/**
+ * Chunk Script Method: process
+ * Builds the category album payload of a category.
+ *
+ * @param {Object} item - Category and its path, returned by read()
+ * @param {dw.job.JobParameters} parameters - Job parameters from Business Manager
+ * @returns {Object|null} - Category ID and payload, or null if processing failed
+ */
+exports.process = function (item, parameters) {
+    if (parameters.IsDisabled || !jobState.isInitialized() || empty(item)) {
+        return null;
+    }
+
+    try {
+        return {
+            categoryId: item.category.ID,
+            payload: new CategoryExportPayload(item.category, item.categoryInfo)
+        };
+    } catch (e) {
+        jobState.categoriesFailed += 1;
+        Logger.error('Failed to build payload of category {0}: {1}\n{2}', item.category.ID, e.message, e.stack || '');
+        return null;
+    }
+};
+
+/**
+ * Chunk Script Method: write
+ * Posts a chunk of category payloads to Pixlee.
+ *
+ * @param {Array} items - Array of processed categories from process()
+ * @param {dw.job.JobParameters} parameters - Job parameters from Business Manager
+ * @returns {void}
+ */
+exports.write = function (items, parameters) {
+    if (parameters.IsDisabled || !jobState.isInitialized() || !items || items.length === 0) {
+        return;
+    }
+
+    for (var i = 0; i < items.length; i += 1) {
+        var item = items[i];
+        if (item) {
+            var outcome = postCategory(item.payload);
+
+            if (outcome.ok) {
+                jobState.categoriesExported += 1;
+            } else {
+                jobState.categoriesFailed += 1;
+                Logger.error('Failed to export category {0} to Pixlee, {1} failure: {2}',
+                    item.categoryId, outcome.failureClass, outcome.message);
+            }
+        }
+    }
+};
+
+/**
+ * Chunk Script Method: afterStep
+ * Called once after all chunks have been processed (or if step fails).
+ *
+ * @param {boolean} success - Whether the step completed successfully
+ * @param {dw.job.JobParameters} parameters - Job parameters from Business Manager
+ * @returns {void}
+ */
+exports.afterStep = function (success, parameters) {
+    try {
+        if (parameters.IsDisabled || !jobState.isInitialized()) {
+            return;
+        }
+
+        Logger.info('Category export completed. Exported: {0}, Failed: {1}, Offline: {2}',
+            jobState.categoriesExported, jobState.categoriesFailed, jobState.categoriesOffline);
+
+        if (!success) {
+            throw new Error('Category export failed. Exported: ' + jobState.categoriesExported +
+                ', Failed: ' + jobState.categoriesFailed);
+        }
+        if (jobState.categoriesFailed && !jobState.categoriesExported) {
+            throw new Error('No categories exported. Failed: ' + jobState.categoriesFailed);
+        }
+    } finally {
+        cacheHelper.endJobCache();
+        jobState.reset();
+    }
+};
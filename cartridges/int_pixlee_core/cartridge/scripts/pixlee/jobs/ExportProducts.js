@@ -5,6 +5,18 @@ var Status = require('dw/system/Status');
 var Site = require('dw/system/Site');
 var PixleeService = require('~/cartridge/scripts/pixlee/services/PixleeService');
 var ProductExportPayload = require('~/cartridge/scripts/pixlee/models/productExportPayload');
+var exportStateHelper = require('~/cartridge/scripts/pixlee/helpers/exportStateHelper');
+var serviceResultHelper = require('~/cartridge/scripts/pixlee/helpers/serviceResultHelper');
+var cacheHelper = require('~/cartridge/scripts/pixlee/helpers/cacheHelper');
+var failedExportsHelper = require('~/cartridge/scripts/pixlee/helpers/failedExportsHelper');
+var exportFileHelper = require('~/cartridge/scripts/pixlee/helpers/exportFileHelper');
+var exportRegistryHelper = require('~/cartridge/scripts/pixlee/helpers/exportRegistryHelper');
+var partitionHelper = require('~/cartridge/scripts/pixlee/helpers/partitionHelper');
+var stockHelper = require('*/cartridge/scripts/pixlee/helpers/stockHelper');
+var attributeMappingHelper = require('*/cartridge/scripts/pixlee/helpers/attributeMappingHelper');
+var hooksHelper = require('*/cartridge/scripts/pixlee/helpers/hooksHelper');
+var exportRulesHelper = require('*/cartridge/scripts/pixlee/helpers/exportRulesHelper');
+var payloadValidationHelper = require('*/cartridge/scripts/pixlee/helpers/payloadValidationHelper');
 
 var PROGRESS_LOG_DEFAULTS = {
     DEFAULT_INTERVAL: 500,
@@ -13,17 +25,57 @@ var PROGRESS_LOG_DEFAULTS = {
     ALWAYS_LOG_FIRST: 5
 };
 
+/**
+ * Reasons for products read from the iterator not to be exported, besides the
+ * export rules reasons of exportRulesHelper.RULE_REASON
+ */
+var SKIP_REASON = {
+    MISSING: 'MISSING',
+    OFFLINE: 'OFFLINE',
+    NOT_SEARCHABLE: 'NOT_SEARCHABLE',
+    VARIANT: 'VARIANT',
+    NOT_MODIFIED: 'NOT_MODIFIED',
+    UNCHANGED: 'UNCHANGED',
+    EXCLUDED_BY_HOOK: 'EXCLUDED_BY_HOOK'
+};
+
 var JOB_STATE_DEFAULTS = {
     productsIterator: null,
     totalProductsToProcess: 0,
     jobId: '',
     exportOptions: null,
+    exportMode: 'FULL',
+    exportMethod: 'API',
+    jobStartTime: null,
+    modifiedSince: null,
+    inventoryLists: null,
+    checkPrices: false,
+    isTestExport: false,
+    isDryRun: false,
+    skipUnchanged: false,
+    exportSetMembers: false,
+    pendingMemberIds: null,
+    queuedMemberIds: null,
+    payloadWriter: null,
     breakAfter: 0,
     consecutiveFails: 0,
     totalFails: 0,
+    unrecordedFails: 0,
+    failedProductIds: null,
     productsExported: 0,
+    skipReasons: null,
     processedCount: 0,
     progressLogInterval: PROGRESS_LOG_DEFAULTS.DEFAULT_INTERVAL,
+    stoppedEarly: false,
+    productsSource: 'CATALOG_API',
+    isCheckpointed: false,
+    isResumed: false,
+    hasCheckpoint: false,
+    lastReadProductId: null,
+    reachedEnd: false,
+    partitionCount: 1,
+    partitionIndex: 0,
+    jobExecution: null,
     isConfigured: false
 };
 
@@ -77,18 +129,70 @@ var jobState = {
     jobId: JOB_STATE_DEFAULTS.jobId,
     /** @type {Object} exportOptions - Options for export (imageViewType, onlyRegionalDetails) */
     exportOptions: JOB_STATE_DEFAULTS.exportOptions,
+    /** @type {string} exportMode - FULL to export all products, DELTA to export only modified ones */
+    exportMode: JOB_STATE_DEFAULTS.exportMode,
+    /** @type {string} exportMethod - API to post products one by one, FEED to upload them as a single feed file */
+    exportMethod: JOB_STATE_DEFAULTS.exportMethod,
+    /** @type {Date} jobStartTime - Start time of this job, saved as the delta high-water mark on success */
+    jobStartTime: JOB_STATE_DEFAULTS.jobStartTime,
+    /** @type {Date} modifiedSince - Products not modified after this time are skipped (DELTA only) */
+    modifiedSince: JOB_STATE_DEFAULTS.modifiedSince,
+    /** @type {Array} inventoryLists - Inventory lists whose records are checked for changes (DELTA only) */
+    inventoryLists: JOB_STATE_DEFAULTS.inventoryLists,
+    /** @type {boolean} checkPrices - Whether prices are compared with their last export, as price books changed (DELTA only) */
+    checkPrices: JOB_STATE_DEFAULTS.checkPrices,
+    /** @type {boolean} isTestExport - Whether a single test product is exported */
+    isTestExport: JOB_STATE_DEFAULTS.isTestExport,
+    /** @type {boolean} isDryRun - Whether payloads are written to a file instead of being posted */
+    isDryRun: JOB_STATE_DEFAULTS.isDryRun,
+    /** @type {boolean} skipUnchanged - Whether products with the same payload as last exported are skipped */
+    skipUnchanged: JOB_STATE_DEFAULTS.skipUnchanged,
+    /** @type {boolean} exportSetMembers - Whether the members of exported sets and bundles are exported too */
+    exportSetMembers: JOB_STATE_DEFAULTS.exportSetMembers,
+    /** @type {Array} pendingMemberIds - IDs of set and bundle members to read before the next product */
+    pendingMemberIds: JOB_STATE_DEFAULTS.pendingMemberIds,
+    /** @type {Object} queuedMemberIds - IDs of the set and bundle members queued so far, to export them once */
+    queuedMemberIds: JOB_STATE_DEFAULTS.queuedMemberIds,
+    /** @type {Object} payloadWriter - JSON Lines writer for payloads (dry run and feed exports) */
+    payloadWriter: JOB_STATE_DEFAULTS.payloadWriter,
     /** @type {number} breakAfter - Maximum consecutive failures before stopping */
     breakAfter: JOB_STATE_DEFAULTS.breakAfter,
     /** @type {number} consecutiveFails - Current count of consecutive failures */
     consecutiveFails: JOB_STATE_DEFAULTS.consecutiveFails,
     /** @type {number} totalFails - Total count of failures in this job */
     totalFails: JOB_STATE_DEFAULTS.totalFails,
+    /** @type {number} unrecordedFails - Count of failures that could not be saved for retry */
+    unrecordedFails: JOB_STATE_DEFAULTS.unrecordedFails,
+    /** @type {Object} failedProductIds - IDs of the products with a saved failed export, loaded in beforeStep */
+    failedProductIds: JOB_STATE_DEFAULTS.failedProductIds,
     /** @type {number} productsExported - Count of successfully exported products */
     productsExported: JOB_STATE_DEFAULTS.productsExported,
+    /** @type {Object} skipReasons - Count of products not exported, by skip reason */
+    skipReasons: JOB_STATE_DEFAULTS.skipReasons,
     /** @type {number} processedCount - Count of products processed (including skipped) */
     processedCount: JOB_STATE_DEFAULTS.processedCount,
     /** @type {number} progressLogInterval - How often to log progress */
     progressLogInterval: JOB_STATE_DEFAULTS.progressLogInterval,
+    /** @type {boolean} stoppedEarly - Whether reading stopped due to consecutive failures */
+    stoppedEarly: JOB_STATE_DEFAULTS.stoppedEarly,
+    /** @type {string} productsSource - CATALOG_API or SEARCH_INDEX */
+    productsSource: JOB_STATE_DEFAULTS.productsSource,
+    /** @type {boolean} isCheckpointed - Whether a checkpoint is saved after each chunk */
+    isCheckpointed: JOB_STATE_DEFAULTS.isCheckpointed,
+    /** @type {boolean} isResumed - Whether this run resumes the export of a previous run */
+    isResumed: JOB_STATE_DEFAULTS.isResumed,
+    /** @type {boolean} hasCheckpoint - Whether a checkpoint of this export has been saved */
+    hasCheckpoint: JOB_STATE_DEFAULTS.hasCheckpoint,
+    /** @type {string} lastReadProductId - ID of the last product read from the iterator */
+    lastReadProductId: JOB_STATE_DEFAULTS.lastReadProductId,
+    /** @type {boolean} reachedEnd - Whether all products of the iterator have been read */
+    reachedEnd: JOB_STATE_DEFAULTS.reachedEnd,
+    /** @type {number} partitionCount - Number of partitions the products are split into */
+    partitionCount: JOB_STATE_DEFAULTS.partitionCount,
+    /** @type {number} partitionIndex - Index of the partition exported by this flow */
+    partitionIndex: JOB_STATE_DEFAULTS.partitionIndex,
+    /** @type {dw.job.JobExecution} jobExecution - Job execution shared by the partitions */
+    jobExecution: JOB_STATE_DEFAULTS.jobExecution,
     /** @type {boolean} isConfigured - Whether Pixlee is properly configured */
     isConfigured: JOB_STATE_DEFAULTS.isConfigured,
 
@@ -97,6 +201,9 @@ var jobState = {
      */
     reset: function () {
         applyDefaults(this, JOB_STATE_DEFAULTS);
+        this.skipReasons = {};
+        this.pendingMemberIds = [];
+        this.queuedMemberIds = {};
     },
 
     /**
@@ -118,11 +225,51 @@ var jobState = {
     },
 
     /**
-     * Record a failed product export
+     * Record a failed product export and save it for the retry step
+     * @param {string} productId - ID of the product that failed to export
+     * @param {Object} failure - Failure details, see failedExportsHelper.recordFailure
      */
-    recordFailure: function () {
+    recordFailure: function (productId, failure) {
         this.totalFails += 1;
         this.consecutiveFails += 1;
+
+        if (this.isDryRun) {
+            return;
+        }
+        if (failedExportsHelper.recordFailure(productId, this.jobId, failure)) {
+            this.failedProductIds[productId] = true;
+        } else {
+            this.unrecordedFails += 1;
+        }
+    },
+
+    /**
+     * Remove the saved failed export of a product that has been exported, if
+     * it has one
+     * @param {string} productId - ID of the product exported
+     */
+    clearFailure: function (productId) {
+        if (this.failedProductIds && this.failedProductIds[productId]) {
+            failedExportsHelper.clearFailure(productId);
+            delete this.failedProductIds[productId];
+        }
+    },
+
+    /**
+     * Record a product read but not exported
+     * @param {string} reason - One of SKIP_REASON or exportRulesHelper.RULE_REASON
+     */
+    recordSkip: function (reason) {
+        this.skipReasons[reason] = (this.skipReasons[reason] || 0) + 1;
+    },
+
+    /**
+     * Get the count of products skipped for a reason
+     * @param {string} reason - One of SKIP_REASON
+     * @returns {number} count of products skipped for that reason
+     */
+    getSkipCount: function (reason) {
+        return this.skipReasons[reason] || 0;
     },
 
     /**
@@ -133,6 +280,114 @@ var jobState = {
         return this.breakAfter > 0 && this.consecutiveFails >= this.breakAfter;
     },
 
+    /**
+     * Check if no products were exported although there were products to export.
+     * A delta export or an export skipping unchanged products may legitimately
+     * find nothing to export, as long as nothing failed.
+     * @returns {boolean} true if nothing was exported
+     */
+    hasNothingExported: function () {
+        var mayExportNothing = !!this.modifiedSince || this.skipUnchanged;
+        // Partitions only export the products of their partition that have been read
+        var available = this.isPartitioned() ? this.processedCount : this.totalProductsToProcess;
+        return available > 0 &&
+            this.productsExported === 0 &&
+            !(mayExportNothing && this.totalFails === 0);
+    },
+
+    /**
+     * Check if the delta high-water mark can be advanced to the start of this job,
+     * i.e. every product modified before that time has been exported or saved
+     * as a failed export to be picked up by the retry step. Saved failures do
+     * not hold the high-water mark back: later DELTA exports do not read those
+     * products again unless they are modified again, so they are only exported
+     * by the custom.PixleeRetryFailedExports step, which has to be scheduled
+     * along with DELTA exports.
+     * @returns {boolean} true if the high-water mark can be saved
+     */
+    canAdvanceWatermark: function () {
+        return !this.isTestExport && !this.isDryRun && !this.stoppedEarly && !this.canBeResumed() && this.unrecordedFails === 0;
+    },
+
+    /**
+     * Check if the export stopped before reading all products and can be resumed
+     * from its checkpoint by the next run
+     * @returns {boolean} true if the checkpoint of the export is kept
+     */
+    canBeResumed: function () {
+        return this.hasCheckpoint && !this.reachedEnd;
+    },
+
+    /**
+     * Check if the products are split into partitions exported by parallel flows
+     * @returns {boolean} true if this flow exports one partition of the products
+     */
+    isPartitioned: function () {
+        return this.partitionCount > 1;
+    },
+
+    /**
+     * Check if a product belongs to the partition exported by this flow
+     * @param {dw.catalog.Product} product - Product read from the iterator
+     * @returns {boolean} true if the product is to be exported by this flow
+     */
+    isInPartition: function (product) {
+        return !this.isPartitioned() ||
+            partitionHelper.getPartition(product.ID, this.partitionCount) === this.partitionIndex;
+    },
+
+    /**
+     * Get the name of a file written by the export, unique to its partition
+     * @param {string} extension - File extension, with the leading dot
+     * @returns {string} file name
+     */
+    getFileName: function (extension) {
+        return this.jobId + (this.isPartitioned() ? '-' + this.partitionIndex : '') + extension;
+    },
+
+    /**
+     * Build the checkpoint of the export, to resume it from the product after
+     * the last one read
+     * @returns {Object} checkpoint, see exportStateHelper.saveCheckpoint
+     */
+    getCheckpoint: function () {
+        return {
+            jobId: this.jobId,
+            jobStartTime: this.jobStartTime.getTime(),
+            exportMode: this.exportMode,
+            productsSource: this.productsSource,
+            lastProductId: this.lastReadProductId,
+            processedCount: this.processedCount,
+            productsExported: this.productsExported,
+            totalFails: this.totalFails,
+            unrecordedFails: this.unrecordedFails,
+            skipReasons: this.skipReasons,
+            savedAt: new Date().toISOString()
+        };
+    },
+
+    /**
+     * Restore the counters of the export from its checkpoint
+     * @param {Object} checkpoint - Checkpoint of the export being resumed
+     */
+    restoreCheckpoint: function (checkpoint) {
+        this.lastReadProductId = checkpoint.lastProductId;
+        this.processedCount = checkpoint.processedCount;
+        this.productsExported = checkpoint.productsExported;
+        this.totalFails = checkpoint.totalFails;
+        this.unrecordedFails = checkpoint.unrecordedFails;
+        this.skipReasons = checkpoint.skipReasons || {};
+        this.hasCheckpoint = true;
+    },
+
+    /**
+     * Check if products are uploaded to Pixlee as a feed file rather than posted one by one
+     * @returns {boolean} true for feed exports that are not dry runs
+     */
+    isFeedExport: function () {
+        return this.exportMethod === 'FEED' && !this.isDryRun;
+    },
+
     /**
      * Check if progress should be logged for this product count
      * @param {number} count - Current product count to check
@@ -266,6 +521,406 @@ function ProductsIterator(fromIndex) {
     };
 }
 
+/**
+ * @function isChangedSince
+ * @description Checks whether a product or its inventory record in any of the
+ *   exported inventory lists has been modified after a given time.
+ * @param {dw.catalog.Product} product - Product to check
+ * @param {number} sinceTime - Time in milliseconds to compare modification dates with
+ * @returns {boolean} - True if modified after the given time
+ */
+function isChangedSince(product, sinceTime) {
+    if (product.lastModified && product.lastModified.getTime() > sinceTime) {
+        return true;
+    }
+
+    return jobState.inventoryLists.some(function (inventoryList) {
+        var inventoryRecord = inventoryList.getRecord(product);
+        return !!(inventoryRecord && inventoryRecord.lastModified && inventoryRecord.lastModified.getTime() > sinceTime);
+    });
+}
+
+/**
+ * @function isModifiedSince
+ * @description Checks whether a product needs to be exported by a DELTA export.
+ * Besides the product itself, its inventory records and, for master products,
+ * all variants and their inventory records are checked. Product sets and
+ * bundles are checked with their members, as their stock may be read from
+ * those. Price changes are checked separately, see isPriceModified.
+ * @param {dw.catalog.Product} product - Product to check
+ * @param {Date} since - Time of the last successful export
+ * @returns {boolean} - True if the product has been modified since that time
+ */
+function isModifiedSince(product, since) {
+    var sinceTime = since.getTime();
+
+    if (isChangedSince(product, sinceTime)) {
+        return true;
+    }
+
+    if (product.master) {
+        var variantIterator = product.getVariants().iterator();
+        while (variantIterator.hasNext()) {
+            if (isChangedSince(variantIterator.next(), sinceTime)) {
+                return true;
+            }
+        }
+    }
+
+    if (product.productSet || product.bundle) {
+        var members = product.productSet ? product.getProductSetProducts() : product.getBundledProducts();
+        return members.toArray().some(function (member) {
+            return isModifiedSince(member, since);
+        });
+    }
+
+    return false;
+}
+
+/**
+ * @function isPriceBookModifiedSince
+ * @description Checks whether a price book of the site has been modified
+ *   after a given time, as price changes do not modify products.
+ * @param {Date} since - Time of the last successful export
+ * @returns {boolean} - True if a price book has been modified since that time
+ */
+function isPriceBookModifiedSince(since) {
+    var PriceBookMgr = require('dw/catalog/PriceBookMgr');
+
+    return PriceBookMgr.getSitePriceBooks().toArray().some(function (priceBook) {
+        return !!(priceBook.lastModified && priceBook.lastModified.getTime() > since.getTime());
+    });
+}
+
+/**
+ * @function isPriceModified
+ * @description Checks whether the prices of a product changed since its last
+ *   export, by comparing their fingerprint with the one saved by that export.
+ *   Prices are only compared when a price book changed since the last
+ *   successful export.
+ * @param {dw.catalog.Product} product - Product to check
+ * @returns {boolean} - True if the prices of the product changed
+ */
+function isPriceModified(product) {
+    return jobState.checkPrices
+        && ProductExportPayload.getPriceFingerprint(product) !== exportRegistryHelper.getPriceFingerprint(product.ID);
+}
+
+/**
+ * @function getSkipReason
+ * @description Checks whether a product read from the iterator is exported.
+ *   Only online and searchable products are exported; variants are exported
+ *   as part of their master.
+ * @param {dw.catalog.Product} product - Product to check
+ * @returns {string} - One of SKIP_REASON if the product is not exported, otherwise null
+ */
+function getSkipReason(product) {
+    if (!product.online) {
+        return SKIP_REASON.OFFLINE;
+    }
+    if (!product.searchable) {
+        return SKIP_REASON.NOT_SEARCHABLE;
+    }
+    if (product.variant) {
+        return SKIP_REASON.VARIANT;
+    }
+    return null;
+}
+
+/**
+ * @function queueSetMembers
+ * @description Queues the members of an exported product set or bundle that
+ *   are not exported on their own, because they are variants or are not
+ *   searchable, to be read after it. Offline members and members queued for
+ *   another set or bundle are not queued.
+ * @param {dw.catalog.Product} product - Exported product
+ */
+function queueSetMembers(product) {
+    var members = null;
+    if (product.productSet) {
+        members = product.getProductSetProducts();
+    } else if (product.bundle) {
+        members = product.getBundledProducts();
+    }
+
+    if (!members) {
+        return;
+    }
+
+    members.toArray().forEach(function (member) {
+        var skipReason = getSkipReason(member);
+        if ((skipReason === SKIP_REASON.NOT_SEARCHABLE || skipReason === SKIP_REASON.VARIANT) && !jobState.queuedMemberIds[member.ID]) {
+            jobState.queuedMemberIds[member.ID] = true;
+            jobState.pendingMemberIds.push(member.ID);
+        }
+    });
+}
+
+/**
+ * @function readSetMember
+ * @description Reads the next queued member of an exported set or bundle.
+ *   Members are subject to the export rules and the shouldExport hook, like the
+ *   products of the iterator.
+ * @returns {dw.catalog.Product|string} - Member to export, or empty string to skip
+ */
+function readSetMember() {
+    var ProductMgr = require('dw/catalog/ProductMgr');
+    var memberId = jobState.pendingMemberIds.shift();
+    var member = ProductMgr.getProduct(memberId);
+
+    if (!member) {
+        Logger.warn('Set or bundle member {0} not found. Skipping.', memberId);
+        jobState.recordSkip(SKIP_REASON.MISSING);
+        return '';
+    }
+
+    var skipReason = exportRulesHelper.getSkipReason(member);
+    if (!skipReason && !hooksHelper.shouldExport(member)) {
+        skipReason = SKIP_REASON.EXCLUDED_BY_HOOK;
+    }
+
+    if (skipReason) {
+        jobState.recordSkip(skipReason);
+        return '';
+    }
+
+    Logger.debug('Reading set or bundle member {0}', memberId);
+    return member;
+}
+
+/**
+ * @function getSummary
+ * @description Builds the summary of the export, written next to the payloads
+ *   file of dry runs.
+ * @returns {Object} - Export summary
+ */
+function getSummary() {
+    return {
+        jobId: jobState.jobId,
+        siteId: Site.getCurrent().ID,
+        exportMode: jobState.exportMode,
+        dryRun: jobState.isDryRun,
+        partition: jobState.isPartitioned() ? (jobState.partitionIndex + '/' + jobState.partitionCount) : null,
+        startTime: jobState.jobStartTime.toISOString(),
+        endTime: new Date().toISOString(),
+        modifiedSince: jobState.modifiedSince ? jobState.modifiedSince.toISOString() : null,
+        totalProducts: jobState.totalProductsToProcess,
+        processed: jobState.processedCount,
+        exported: jobState.productsExported,
+        failures: jobState.totalFails,
+        stoppedEarly: jobState.stoppedEarly,
+        skipped: jobState.skipReasons
+    };
+}
+
+/**
+ * @function postProduct
+ * @description Posts a product payload to Pixlee. Service calls return a
+ *   non-OK result rather than throwing on HTTP errors or when the circuit
+ *   breaker is open, so the result is checked and classified. Failed products,
+ *   transient failures included, are left to the failed exports retry step.
+ * @param {Object} payload - Product payload to post
+ * @returns {Object} - Outcome of the call, see serviceResultHelper.call
+ */
+function postProduct(payload) {
+    return serviceResultHelper.call(function () {
+        return PixleeService.postProduct(payload);
+    }, PixleeService.getRetryAfter);
+}
+
+/**
+ * @function postItem
+ * @description Posts a processed product to Pixlee and records the outcome.
+ * @param {Object} item - Processed item, with the payload and productId
+ * @returns {boolean} - True if the product has been exported
+ */
+function postItem(item) {
+    var outcome = postProduct(item.payload);
+
+    if (!outcome.ok) {
+        Logger.error('Failed to export product {0}, {1} failure: {2}',
+            item.productId, outcome.failureClass, outcome.message);
+        jobState.recordFailure(item.productId, outcome);
+        return false;
+    }
+
+    jobState.recordSuccess();
+    jobState.clearFailure(item.productId);
+
+    if (jobState.shouldLogProgress(jobState.productsExported)) {
+        Logger.info('Product {0} exported ({1} total)', item.productId, jobState.productsExported);
+    }
+
+    return true;
+}
+
+/**
+ * @function uploadFeed
+ * @description Compresses the feed file written by the export and uploads it
+ *   to Pixlee. The import runs asynchronously, so its ID is handed over to the
+ *   import status step, along with the high-water mark to save once the
+ *   import has completed.
+ * @param {dw.job.JobStepExecution} stepExecution - Step execution of the export
+ * @throws {Error} - If the feed could not be uploaded or Pixlee did not return
+ *   an import ID
+ */
+function uploadFeed(stepExecution) {
+    jobState.payloadWriter.close();
+    var feedFile = exportFileHelper.compressFile(jobState.payloadWriter.file);
+    jobState.payloadWriter = null;
+
+    var outcome = serviceResultHelper.call(function () {
+        return PixleeService.uploadFeed(feedFile);
+    });
+
+    if (!outcome.ok) {
+        throw new Error('Failed to upload feed ' + feedFile.name + ', ' + outcome.failureClass + ' failure: ' + outcome.message);
+    }
+
+    var importId;
+    try {
+        importId = JSON.parse(outcome.result.object).import_id;
+    } catch (e) {
+        throw new Error('Uploaded feed ' + feedFile.name + ' but could not parse the Pixlee response: ' + e.message);
+    }
+    if (!importId) {
+        throw new Error('Uploaded feed ' + feedFile.name + ' but the Pixlee response has no import ID');
+    }
+    Logger.info('Uploaded feed {0} with {1} products, import ID: {2}', feedFile.name, jobState.productsExported, importId);
+
+    var exportStartTime = jobState.canAdvanceWatermark() ? jobState.jobStartTime.getTime() : null;
+    var context = stepExecution.getJobExecution().getContext();
+    context.put(exportStateHelper.JOB_CONTEXT_KEYS.FEED_IMPORT_ID, importId);
+    if (exportStartTime) {
+        context.put(exportStateHelper.JOB_CONTEXT_KEYS.FEED_EXPORT_START_TIME, exportStartTime);
+    }
+
+    // Saved for the import status step of a later job too, when the import takes longer than this job
+    try {
+        exportStateHelper.savePendingFeedImport({
+            importId: importId,
+            uploadTime: Date.now(),
+            exportStartTime: exportStartTime
+        });
+    } catch (e) {
+        Logger.warn('Failed to save Pixlee pending feed import {0}: {1}', importId, e.message);
+    }
+}
+
+/**
+ * @function finishPartition
+ * @description Saves the result of the partition exported by this flow for the
+ *   other flows of the job, and returns the results of all partitions when
+ *   this is the last one to finish and claims the finalization of the export.
+ * @param {boolean} success - Whether the step completed successfully
+ * @returns {Array} - Results of all partitions, or null while other partitions
+ *   are still running or when another partition finalizes the export
+ */
+function finishPartition(success) {
+    partitionHelper.saveResult(jobState.jobExecution, jobState.partitionIndex, {
+        exported: jobState.productsExported,
+        failures: jobState.totalFails,
+        canAdvanceWatermark: success && !jobState.hasNothingExported() && jobState.canAdvanceWatermark(),
+        startTime: jobState.jobStartTime.getTime()
+    });
+
+    var results = partitionHelper.getResults(jobState.jobExecution, jobState.partitionCount);
+    if (!results) {
+        Logger.info('Partition {0} of export job {1} finished, waiting for the other partitions',
+            jobState.partitionIndex, jobState.jobId);
+        return null;
+    }
+
+    if (!partitionHelper.claimFinalization(jobState.jobExecution, jobState.partitionIndex)) {
+        Logger.info('Partition {0} of export job {1} finished, the export is finalized by another partition',
+            jobState.partitionIndex, jobState.jobId);
+        return null;
+    }
+
+    var exported = 0;
+    var failures = 0;
+    results.forEach(function (result) {
+        exported += result.exported;
+        failures += result.failures;
+    });
+    Logger.info('All {0} partitions of export job {1} finished. Exported: {2}, Failures: {3}',
+        jobState.partitionCount, jobState.jobId, exported, failures);
+
+    return results;
+}
+
+/**
+ * @function saveWatermark
+ * @description Saves the delta high-water mark of the site.
+ * @param {Date} exportTime - Start time of the export
+ */
+function saveWatermark(exportTime) {
+    try {
+        exportStateHelper.setLastExportTime(exportTime);
+        Logger.info('Saved export high-water mark {0}', exportTime.toISOString());
+    } catch (e) {
+        Logger.error('Failed to save export high-water mark: {0}', e.message);
+    }
+}
+
+/**
+ * @function getCheckpointToResume
+ * @description Returns the checkpoint of the export to resume. Checkpoints of
+ *   exports with another mode or products source cannot be resumed, and are
+ *   discarded along with the checkpoint of any export that is not resumed.
+ * @param {boolean} resume - Whether the Resume parameter is enabled
+ * @returns {Object} - Checkpoint to resume, or null to start a new export
+ */
+function getCheckpointToResume(resume) {
+    var checkpoint = exportStateHelper.getCheckpoint();
+
+    if (!checkpoint) {
+        if (resume) {
+            Logger.info('No export checkpoint to resume, starting a new export');
+        }
+        return null;
+    }
+
+    if (resume && checkpoint.exportMode === jobState.exportMode && checkpoint.productsSource === jobState.productsSource) {
+        return checkpoint;
+    }
+
+    if (resume) {
+        Logger.warn('Checkpoint of export job {0} is for a {1} export from {2}, starting a new export',
+            checkpoint.jobId, checkpoint.exportMode, checkpoint.productsSource);
+    } else {
+        Logger.info('Discarding checkpoint of export job {0}, Resume is not enabled', checkpoint.jobId);
+    }
+    exportStateHelper.clearCheckpoint();
+
+    return null;
+}
+
+/**
+ * @function skipToCheckpoint
+ * @description Reads the products iterator up to the last product read by
+ *   the export being resumed, so that reading continues with the next one.
+ * @param {Object} checkpoint - Checkpoint of the export being resumed
+ * @returns {boolean} - True if the last product has been found, false if the
+ *   iterator has been read to the end without finding it
+ */
+function skipToCheckpoint(checkpoint) {
+    var skipped = 0;
+
+    while (jobState.productsIterator.hasNext()) {
+        var product = jobState.productsIterator.next();
+        skipped += 1;
+
+        if (product && product.ID === checkpoint.lastProductId) {
+            Logger.info('Resuming export job {0} after product {1}, skipped {2} products already read',
+                checkpoint.jobId, checkpoint.lastProductId, skipped);
+            return true;
+        }
+    }
+
+    return false;
+}
+
 /**
  * @function generateUniqueId
  * @description Generates a unique ID using SFCC platform UUID utilities.
@@ -281,9 +936,11 @@ function generateUniqueId() {
  * Called once before processing begins. Used to initialize resources.
  *
  * @param {dw.job.JobParameters} parameters - Job parameters from Business Manager
+ * @param {dw.job.JobStepExecution} stepExecution - Step execution, used to share
+ *   the job execution between the partitions of a partitioned export
  * @returns {void}
  */
-exports.beforeStep = function (parameters) {
+exports.beforeStep = function (parameters, stepExecution) {
     if (parameters.IsDisabled) {
         Logger.info('Job step is disabled');
         return;
@@ -296,6 +953,8 @@ exports.beforeStep = function (parameters) {
     }
 
     try {
+        cacheHelper.startJobCache();
+
         var useSearchIndex = parameters['Products Source'] === 'SEARCH_INDEX';
         jobState.breakAfter = parseInt(parameters['Break After'], 10);
         // eslint-disable-next-line no-restricted-globals
@@ -305,11 +964,76 @@ exports.beforeStep = function (parameters) {
             imageViewType: parameters['Images View Type'] || 'large',
             onlyRegionalDetails: parameters['Main site ID'] && (Site.getCurrent().ID !== parameters['Main site ID'])
         };
+        Logger.info('Mapped product attributes: {0}', attributeMappingHelper.validateMapping());
+        Logger.info('Export rules criteria: {0}', exportRulesHelper.validateRules());
 
         var testProductId = parameters['Test Product ID'] || null;
+        jobState.isTestExport = !!testProductId;
+        jobState.isDryRun = !!parameters['Dry Run'];
+        jobState.exportMethod = parameters['Export Method'] === 'FEED' ? 'FEED' : 'API';
+        if (jobState.isFeedExport() && !PixleeService.isPublished('uploadFeed')) {
+            throw new Error('FEED exports are not available yet, as the Pixlee feed upload endpoint is not published. Use the API export method');
+        }
+        jobState.skipUnchanged = !!parameters['Skip Unchanged'] && !testProductId;
+        jobState.exportSetMembers = !!parameters['Export Set Members'];
+        jobState.exportMode = parameters['Export Mode'] === 'DELTA' ? 'DELTA' : 'FULL';
+        jobState.productsSource = useSearchIndex ? 'SEARCH_INDEX' : 'CATALOG_API';
+
+        var partitioning = testProductId ? { count: 1, index: 0 } : partitionHelper.getPartitioning(parameters);
+        jobState.partitionCount = partitioning.count;
+        jobState.partitionIndex = partitioning.index;
+        if (jobState.isPartitioned()) {
+            if (jobState.isFeedExport()) {
+                throw new Error('FEED exports cannot be partitioned, set Partition Count to 1 or use the API export method');
+            }
+            jobState.jobExecution = stepExecution.getJobExecution();
+        }
+
+        jobState.isCheckpointed = !testProductId && !jobState.isDryRun && !jobState.isFeedExport() && !jobState.isPartitioned();
+
+        var checkpoint = jobState.isCheckpointed ? getCheckpointToResume(!!parameters.Resume) : null;
+        jobState.isResumed = !!checkpoint;
+        if (checkpoint) {
+            // Same job ID and start time, for the resumed runs to make one export
+            jobState.jobId = checkpoint.jobId;
+            jobState.jobStartTime = new Date(checkpoint.jobStartTime);
+            Logger.info('Resuming Pixlee {0} export job {1} started at {2}',
+                jobState.exportMode, jobState.jobId, jobState.jobStartTime.toISOString());
+        } else if (jobState.isPartitioned()) {
+            // Same job ID for all partitions, for the flows of the job to make one export
+            jobState.jobId = jobState.jobExecution.getID();
+            jobState.jobStartTime = new Date();
+            Logger.info('Starting partition {0} of {1} of Pixlee {2} export job {3}',
+                jobState.partitionIndex, jobState.partitionCount, jobState.exportMode, jobState.jobId);
+        } else {
+            jobState.jobId = generateUniqueId();
+            jobState.jobStartTime = new Date();
+            Logger.info('Starting Pixlee {0} export job {1}', jobState.exportMode, jobState.jobId);
+        }
+
+        if (jobState.isDryRun || jobState.isFeedExport()) {
+            jobState.payloadWriter = exportFileHelper.createJsonLinesWriter(jobState.getFileName('.jsonl'));
+            Logger.info('{0}, writing payloads to {1} instead of posting them',
+                jobState.isDryRun ? 'Dry run' : 'Feed export', jobState.payloadWriter.file.fullPath);
+        }
 
-        jobState.jobId = generateUniqueId();
-        Logger.info('Starting Pixlee export job {0}', jobState.jobId);
+        if (!jobState.isDryRun) {
+            jobState.failedProductIds = failedExportsHelper.getFailedProductIds();
+        }
+
+        if (jobState.exportMode === 'DELTA' && !testProductId) {
+            jobState.modifiedSince = exportStateHelper.getLastExportTime();
+            if (jobState.modifiedSince) {
+                Logger.info('Exporting only products modified since {0}', jobState.modifiedSince.toISOString());
+                jobState.inventoryLists = stockHelper.getInventoryLists();
+                jobState.checkPrices = isPriceBookModifiedSince(jobState.modifiedSince);
+                if (jobState.checkPrices) {
+                    Logger.info('Price books modified since the last export, comparing product prices with their last export');
+                }
+            } else {
+                Logger.info('No previous successful export found, exporting all products');
+            }
+        }
 
         jobState.productsIterator = testProductId
             ? new SingleProductIterator(testProductId)
@@ -318,6 +1042,17 @@ exports.beforeStep = function (parameters) {
         jobState.totalProductsToProcess = jobState.productsIterator.getCount();
         Logger.info('Total products to process: {0}', jobState.totalProductsToProcess);
 
+        if (checkpoint) {
+            if (skipToCheckpoint(checkpoint)) {
+                jobState.restoreCheckpoint(checkpoint);
+            } else {
+                Logger.warn('Product {0} of the checkpoint not found, reading all products again for export job {1}',
+                    checkpoint.lastProductId, jobState.jobId);
+                jobState.productsIterator.close();
+                jobState.productsIterator = new ProductsIterator(useSearchIndex);
+            }
+        }
+
         if (jobState.totalProductsToProcess === 0) {
             Logger.warn('No products found in catalog to export');
         }
@@ -330,7 +1065,10 @@ exports.beforeStep = function (parameters) {
             );
         }
 
-        PixleeService.notifyExportStatus('started', jobState.jobId, jobState.totalProductsToProcess);
+        // Partitioned exports are started by the first partition
+        if (!jobState.isDryRun && !jobState.isResumed && jobState.partitionIndex === 0) {
+            PixleeService.notifyExportStatus('started', jobState.jobId, jobState.totalProductsToProcess);
+        }
 
         try {
             ProductExportPayload.preInitializeCategoryProcessing();
@@ -389,10 +1127,16 @@ exports.read = function (parameters) {
     try {
         if (jobState.shouldStopDueToFailures()) {
             Logger.error('Reached maximum consecutive failures ({0}). Stopping export.', jobState.consecutiveFails);
+            jobState.stoppedEarly = true;
             return null;
         }
 
+        if (jobState.pendingMemberIds.length) {
+            return readSetMember();
+        }
+
         if (!jobState.productsIterator || !jobState.productsIterator.hasNext()) {
+            jobState.reachedEnd = true;
             return null;
         }
 
@@ -400,12 +1144,28 @@ exports.read = function (parameters) {
 
         if (!product) {
             Logger.warn('Iterator returned null product. Skipping.');
+            jobState.recordSkip(SKIP_REASON.MISSING);
+            return '';
+        }
+
+        if (!jobState.isInPartition(product)) {
             return '';
         }
 
         jobState.processedCount += 1;
+        jobState.lastReadProductId = product.ID;
+
+        var skipReason = getSkipReason(product) || exportRulesHelper.getSkipReason(product);
+        if (!skipReason && jobState.modifiedSince && !isModifiedSince(product, jobState.modifiedSince) && !isPriceModified(product)) {
+            skipReason = SKIP_REASON.NOT_MODIFIED;
+        }
 
-        if (!product.online || !product.searchable || product.variant) {
+        if (!skipReason && !hooksHelper.shouldExport(product)) {
+            skipReason = SKIP_REASON.EXCLUDED_BY_HOOK;
+        }
+
+        if (skipReason) {
+            jobState.recordSkip(skipReason);
             return '';
         }
 
@@ -414,6 +1174,10 @@ exports.read = function (parameters) {
             Logger.info('Reading product {0} ({1}/{2})', product.ID, jobState.processedCount, totalText);
         }
 
+        if (jobState.exportSetMembers) {
+            queueSetMembers(product);
+        }
+
         return product;
     } catch (e) {
         Logger.error('Failed on read step: {0}\n{1}', e.message, e.stack || '');
@@ -427,7 +1191,8 @@ exports.read = function (parameters) {
  *
  * @param {dw.catalog.Product} product - Product to process
  * @param {dw.job.JobParameters} parameters - Job parameters from Business Manager
- * @returns {Object|null} - Processed product payload, or null if processing failed
+ * @returns {Object|null} - Processed product payload, or null if processing or
+ *   the payload validation failed
  */
 exports.process = function (product, parameters) {
     if (parameters.IsDisabled || !jobState.isInitialized() || empty(product)) {
@@ -437,14 +1202,30 @@ exports.process = function (product, parameters) {
     try {
         var productPayload = new ProductExportPayload(product, jobState.exportOptions);
 
+        var validationErrors = payloadValidationHelper.validate(productPayload, jobState.exportOptions);
+        if (validationErrors.length) {
+            var message = payloadValidationHelper.formatErrors(validationErrors);
+            Logger.error('Invalid payload for product {0}, not exported: {1}', product.ID, message);
+            jobState.recordFailure(product.ID, {
+                failureClass: failedExportsHelper.VALIDATION_ERROR_CLASS,
+                message: message
+            });
+            return null;
+        }
+
         return {
             payload: productPayload,
-            productId: product.ID
+            productId: product.ID,
+            priceFingerprint: ProductExportPayload.getPriceFingerprint(product),
+            setMember: !!jobState.queuedMemberIds[product.ID]
         };
     } catch (e) {
         Logger.error('Failed to create payload for product {0}: {1}\n{2}',
             product.ID, e.message, e.stack || '');
-        jobState.recordFailure();
+        jobState.recordFailure(product.ID, {
+            failureClass: failedExportsHelper.PROCESSING_ERROR_CLASS,
+            message: e.message
+        });
         return null;
     }
 };
@@ -462,26 +1243,45 @@ exports.write = function (items, parameters) {
         return;
     }
 
+    // Products sent to Pixlee, saved with their payload fingerprint once the chunk is written
+    var exportedProducts = [];
+
     try {
         for (var i = 0; i < items.length; i += 1) {
             var item = items[i];
             if (item && item.payload) {
-                try {
-                    PixleeService.postProduct(item.payload);
-                    jobState.recordSuccess();
+                var fingerprint = item.payload.getFingerprint();
 
-                    if (jobState.shouldLogProgress(jobState.productsExported)) {
-                        Logger.info('Product {0} exported ({1} total)', item.productId, jobState.productsExported);
+                if (jobState.skipUnchanged && fingerprint === exportRegistryHelper.getFingerprint(item.productId)) {
+                    jobState.recordSkip(SKIP_REASON.UNCHANGED);
+                } else if (jobState.payloadWriter) {
+                    jobState.payloadWriter.write(item.payload);
+                    jobState.recordSuccess();
+                    if (jobState.isFeedExport()) {
+                        // Feed rows are imported later on, so only the product is registered
+                        exportedProducts.push({
+                            productId: item.productId,
+                            sku: item.payload.product.sku,
+                            fingerprint: null,
+                            priceFingerprint: null,
+                            setMember: item.setMember
+                        });
                     }
-                } catch (e) {
-                    Logger.error('Failed to export product {0}: {1}\n{2}',
-                        item.productId, e.message, e.stack || '');
-                    jobState.recordFailure();
+                } else if (postItem(item)) {
+                    exportedProducts.push({
+                        productId: item.productId,
+                        sku: item.payload.product.sku,
+                        fingerprint: fingerprint,
+                        priceFingerprint: item.priceFingerprint,
+                        setMember: item.setMember
+                    });
                 }
             }
         }
     } catch (e) {
         Logger.error('Failed on write step: {0}\n{1}', e.message, e.stack || '');
+    } finally {
+        exportRegistryHelper.recordExports(exportedProducts, jobState.jobId);
     }
 };
 
@@ -500,6 +1300,17 @@ exports.afterChunk = function (success, parameters) {
 
     if (!success) {
         Logger.warn('Chunk completed with errors. Consecutive failures: {0}', jobState.consecutiveFails);
+        return;
+    }
+
+    // Members of the last read set or bundle are not part of checkpoints
+    if (jobState.isCheckpointed && jobState.lastReadProductId && !jobState.pendingMemberIds.length) {
+        try {
+            exportStateHelper.saveCheckpoint(jobState.getCheckpoint());
+            jobState.hasCheckpoint = true;
+        } catch (e) {
+            Logger.warn('Failed to save export checkpoint: {0}', e.message);
+        }
     }
 };
 
@@ -510,9 +1321,11 @@ exports.afterChunk = function (success, parameters) {
  *
  * @param {boolean} success - Whether the step completed successfully
  * @param {dw.job.JobParameters} parameters - Job parameters from Business Manager
+ * @param {dw.job.JobStepExecution} stepExecution - Step execution, used to hand
+ *   over feed imports to the import status step
  * @returns {void}
  */
-exports.afterStep = function (success, parameters) {
+exports.afterStep = function (success, parameters, stepExecution) {
     try {
         if (parameters.IsDisabled || !jobState.isInitialized()) {
             return;
@@ -527,33 +1340,98 @@ exports.afterStep = function (success, parameters) {
             Logger.warn('Failed to get cache statistics: {0}', e.message);
         }
 
-        try {
-            PixleeService.notifyExportStatus('finished', jobState.jobId, jobState.totalProductsToProcess);
-        } catch (e) {
-            Logger.warn('Failed to notify Pixlee: {0}', e.message);
+        if (jobState.canBeResumed()) {
+            Logger.warn('Export job {0} stopped before reading all products, enable Resume to continue it after product {1}',
+                jobState.jobId, jobState.lastReadProductId);
+        } else if (jobState.isCheckpointed) {
+            try {
+                exportStateHelper.clearCheckpoint();
+            } catch (e) {
+                Logger.warn('Failed to clear export checkpoint: {0}', e.message);
+            }
+        }
+
+        var partitionResults = null;
+        if (jobState.isPartitioned()) {
+            try {
+                partitionResults = finishPartition(success);
+            } catch (e) {
+                Logger.error('Failed to save the result of partition {0}: {1}', jobState.partitionIndex, e.message);
+            }
+        }
+
+        // Resumable exports are finished by the run reading the last products,
+        // partitioned exports by the last partition to finish
+        if (!jobState.isDryRun && !jobState.canBeResumed() && (!jobState.isPartitioned() || partitionResults)) {
+            try {
+                PixleeService.notifyExportStatus('finished', jobState.jobId, jobState.totalProductsToProcess);
+            } catch (e) {
+                Logger.warn('Failed to notify Pixlee: {0}', e.message);
+            }
         }
 
         Logger.info('Export completed. Exported: {0}, Failures: {1}, Processed: {2}/{3}',
-            jobState.productsExported, jobState.totalFails, jobState.processedCount, jobState.totalProductsToProcess);
+            jobState.productsExported, jobState.totalFails,
+            jobState.processedCount, jobState.totalProductsToProcess);
+
+        Logger.info('Skipped products by reason: {0}', JSON.stringify(jobState.skipReasons));
+
+        if (jobState.modifiedSince) {
+            Logger.info('Skipped {0} products not modified since the last export', jobState.getSkipCount(SKIP_REASON.NOT_MODIFIED));
+        }
+
+        if (jobState.skipUnchanged) {
+            Logger.info('Skipped {0} products unchanged since their last export', jobState.getSkipCount(SKIP_REASON.UNCHANGED));
+        }
+
+        if (jobState.isDryRun) {
+            jobState.payloadWriter.close();
+            jobState.payloadWriter = null;
+            var summaryFile = exportFileHelper.writeJsonFile(jobState.getFileName('.summary.json'), getSummary());
+            Logger.info('Dry run completed, summary written to {0}', summaryFile.fullPath);
+        }
 
         if (!success) {
             Logger.error('Job step reported failure');
         }
 
-        if (jobState.totalProductsToProcess > 0 && jobState.productsExported === 0) {
+        if (jobState.hasNothingExported()) {
             Logger.error('No products exported despite {0} available', jobState.totalProductsToProcess);
         }
 
         if (jobState.totalFails > 0) {
-            Logger.warn('Export completed with {0} failures out of {1} processed',
+            Logger.warn('Export completed with {0} failures out of {1} processed, saved for the retry step',
                 jobState.totalFails, jobState.processedCount);
         }
 
-        if (!success || (jobState.totalProductsToProcess > 0 && jobState.productsExported === 0)) {
+        if (jobState.unrecordedFails > 0) {
+            Logger.error('{0} failures could not be saved for the retry step', jobState.unrecordedFails);
+        }
+
+        if (!success || jobState.hasNothingExported()) {
             var msg = 'Export failed. Exported: ' + jobState.productsExported +
                 ', Failures: ' + jobState.totalFails + ', Available: ' + jobState.totalProductsToProcess;
             throw new Error(msg);
         }
+
+        if (jobState.isFeedExport() && jobState.productsExported > 0) {
+            uploadFeed(stepExecution);
+        } else if (jobState.isPartitioned() && !jobState.isDryRun) {
+            if (!partitionResults) {
+                Logger.info('Export high-water mark left to the last partition to finish');
+            } else if (partitionResults.every(function (result) { return result.canAdvanceWatermark; })) {
+                // Products modified while the first partition was running are exported again
+                saveWatermark(new Date(Math.min.apply(null, partitionResults.map(function (result) {
+                    return result.startTime;
+                }))));
+            } else {
+                Logger.warn('Export high-water mark not advanced as some partitions did not complete, next DELTA export will retry the same products');
+            }
+        } else if (jobState.canAdvanceWatermark()) {
+            saveWatermark(jobState.jobStartTime);
+        } else if (!jobState.isTestExport && !jobState.isDryRun) {
+            Logger.warn('Export high-water mark not advanced, next DELTA export will retry the same products');
+        }
     } catch (e) {
         Logger.error('Failed on afterStep: {0}\n{1}', e.message, e.stack || '');
         throw e;
@@ -565,6 +1443,14 @@ exports.afterStep = function (success, parameters) {
         } catch (e) {
             Logger.warn('Failed to close iterator: {0}', e.message);
         }
+        try {
+            if (jobState.payloadWriter) {
+                jobState.payloadWriter.close();
+            }
+        } catch (e) {
+            Logger.warn('Failed to close payloads file: {0}', e.message);
+        }
+        cacheHelper.endJobCache();
         jobState.reset();
     }
 };
@@ -612,6 +1498,8 @@ exports.execute = function (jobParameters) {
     var progressLogIntervalLocal = PROGRESS_LOG_DEFAULTS.DEFAULT_INTERVAL;
 
     try {
+        cacheHelper.startJobCache();
+
         var useSearchIndex = jobParameters['Products Source'] === 'SEARCH_INDEX';
         productsIter = testProductId
             ? new SingleProductIterator(testProductId)
@@ -691,5 +1579,6 @@ exports.execute = function (jobParameters) {
         if (productsIter) {
             productsIter.close();
         }
+        cacheHelper.endJobCache();
     }
 };
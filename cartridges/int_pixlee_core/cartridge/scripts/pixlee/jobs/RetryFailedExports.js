@@ -0,0 +1,359 @@
+'use strict';
+
+var Logger = require('dw/system/Logger');
+var Site = require('dw/system/Site');
+var PixleeService = require('~/cartridge/scripts/pixlee/services/PixleeService');
+var ProductExportPayload = require('~/cartridge/scripts/pixlee/models/productExportPayload');
+var failedExportsHelper = require('~/cartridge/scripts/pixlee/helpers/failedExportsHelper');
+var serviceResultHelper = require('~/cartridge/scripts/pixlee/helpers/serviceResultHelper');
+var cacheHelper = require('~/cartridge/scripts/pixlee/helpers/cacheHelper');
+var exportRegistryHelper = require('~/cartridge/scripts/pixlee/helpers/exportRegistryHelper');
+var attributeMappingHelper = require('*/cartridge/scripts/pixlee/helpers/attributeMappingHelper');
+var hooksHelper = require('*/cartridge/scripts/pixlee/helpers/hooksHelper');
+var exportRulesHelper = require('*/cartridge/scripts/pixlee/helpers/exportRulesHelper');
+var payloadValidationHelper = require('*/cartridge/scripts/pixlee/helpers/payloadValidationHelper');
+
+var JOB_STATE_DEFAULTS = {
+    failuresIterator: null,
+    totalFailures: 0,
+    jobId: '',
+    exportOptions: null,
+    productsRecovered: 0,
+    productsStillFailing: 0,
+    productsDropped: 0,
+    productsDeferred: 0,
+    isConfigured: false
+};
+
+/**
+ * Job state object to maintain state across chunk script method calls
+ */
+var jobState = {
+    /** @type {dw.util.SeekableIterator} failuresIterator - Iterator of saved failed exports */
+    failuresIterator: JOB_STATE_DEFAULTS.failuresIterator,
+    /** @type {number} totalFailures - Count of saved failed exports to retry */
+    totalFailures: JOB_STATE_DEFAULTS.totalFailures,
+    /** @type {string} jobId - Unique ID for this job execution */
+    jobId: JOB_STATE_DEFAULTS.jobId,
+    /** @type {Object} exportOptions - Options for export (imageViewType, onlyRegionalDetails) */
+    exportOptions: JOB_STATE_DEFAULTS.exportOptions,
+    /** @type {number} productsRecovered - Count of products exported by this retry */
+    productsRecovered: JOB_STATE_DEFAULTS.productsRecovered,
+    /** @type {number} productsStillFailing - Count of products that failed again */
+    productsStillFailing: JOB_STATE_DEFAULTS.productsStillFailing,
+    /** @type {number} productsDropped - Count of saved failures dropped as the product is no longer exportable */
+    productsDropped: JOB_STATE_DEFAULTS.productsDropped,
+    /** @type {number} productsDeferred - Count of saved failures not retried yet, as Pixlee asked to retry them later */
+    productsDeferred: JOB_STATE_DEFAULTS.productsDeferred,
+    /** @type {boolean} isConfigured - Whether Pixlee is properly configured */
+    isConfigured: JOB_STATE_DEFAULTS.isConfigured,
+
+    /**
+     * Reset all state variables to their initial values
+     */
+    reset: function () {
+        var keys = Object.keys(JOB_STATE_DEFAULTS);
+        for (var i = 0; i < keys.length; i++) {
+            this[keys[i]] = JOB_STATE_DEFAULTS[keys[i]];
+        }
+    },
+
+    /**
+     * Check if the job state has been properly initialized and ready to process
+     * @returns {boolean} true if state is initialized and ready
+     */
+    isInitialized: function () {
+        return this.isConfigured &&
+            this.totalFailures &&
+            !empty(this.jobId);
+    },
+
+    /**
+     * Record a product that failed again and update its saved failure
+     * @param {string} productId - ID of the product that failed to export
+     * @param {Object} failure - Failure details, see failedExportsHelper.recordFailure
+     */
+    recordFailure: function (productId, failure) {
+        this.productsStillFailing += 1;
+        failedExportsHelper.recordFailure(productId, this.jobId, failure);
+    }
+};
+
+/**
+ * @function hasValidConfiguration
+ * @description Checks if Pixlee is properly configured for the current site.
+ * @returns {boolean} - True if configured and ready, false if intentionally disabled
+ * @throws {Error} - If enabled but misconfigured
+ */
+function hasValidConfiguration() {
+    var currentSite = Site.getCurrent();
+    if (!currentSite.getCustomPreferenceValue('PixleeEnabled')) {
+        Logger.info('Pixlee integration is disabled for {0}', currentSite.ID);
+        return false;
+    }
+
+    if (!currentSite.getCustomPreferenceValue('PixleePrivateApiKey')) {
+        throw new Error('Pixlee Private API Key is not set for ' + currentSite.ID);
+    }
+    if (!currentSite.getCustomPreferenceValue('PixleeSecretKey')) {
+        throw new Error('Pixlee Secret Key is not set for ' + currentSite.ID);
+    }
+
+    return true;
+}
+
+/**
+ * @function getExportableProduct
+ * @description Looks up the product of a saved failed export. Products that
+ *   have been deleted, taken offline or made unsearchable since, or that are
+ *   excluded by the export rules or app.pixlee.export.shouldExport hooks, are no longer
+ *   exported by the export step, so they are not retried either. Variants and
+ *   products that are not searchable are retried while they are members of an
+ *   exported set or bundle.
+ * @param {string} productId - Product ID
+ * @returns {dw.catalog.Product} - Product or null if it is no longer exportable
+ */
+function getExportableProduct(productId) {
+    var ProductMgr = require('dw/catalog/ProductMgr');
+    var product = ProductMgr.getProduct(productId);
+
+    if (!product || !product.online) {
+        return null;
+    }
+    if ((!product.searchable || product.variant) && !exportRegistryHelper.isMemberOfExportedSet(product)) {
+        return null;
+    }
+
+    return !exportRulesHelper.getSkipReason(product) && hooksHelper.shouldExport(product) ? product : null;
+}
+
+/**
+ * @function postProduct
+ * @description Posts a product payload to Pixlee.
+ * @param {Object} payload - Product payload to post
+ * @returns {Object} - Outcome of the call, see serviceResultHelper.call
+ */
+function postProduct(payload) {
+    return serviceResultHelper.call(function () {
+        return PixleeService.postProduct(payload);
+    }, PixleeService.getRetryAfter);
+}
+
+/**
+ * Chunk Script Method: beforeStep
+ * Called once before processing begins. Used to initialize resources.
+ *
+ * @param {dw.job.JobParameters} parameters - Job parameters from Business Manager
+ * @returns {void}
+ */
+exports.beforeStep = function (parameters) {
+    if (parameters.IsDisabled) {
+        Logger.info('Job step is disabled');
+        return;
+    }
+
+    jobState.reset();
+    jobState.isConfigured = hasValidConfiguration();
+    if (!jobState.isConfigured) {
+        return;
+    }
+
+    try {
+        cacheHelper.startJobCache();
+
+        jobState.exportOptions = {
+            imageViewType: parameters['Images View Type'] || 'large',
+            onlyRegionalDetails: parameters['Main site ID'] && (Site.getCurrent().ID !== parameters['Main site ID'])
+        };
+        attributeMappingHelper.validateMapping();
+        exportRulesHelper.validateRules();
+        exportRegistryHelper.clearExportedSets();
+
+        jobState.jobId = require('dw/util/UUIDUtils').createUUID();
+        jobState.failuresIterator = failedExportsHelper.getFailures();
+        jobState.totalFailures = jobState.failuresIterator.getCount();
+
+        Logger.info('Starting Pixlee retry job {0}, failed exports to retry: {1}',
+            jobState.jobId, jobState.totalFailures);
+
+        try {
+            ProductExportPayload.preInitializeCategoryProcessing();
+        } catch (e) {
+            Logger.warn('Failed to pre-initialize category processing: {0}\n{1}', e.message, e.stack || '');
+        }
+    } catch (e) {
+        Logger.error('Failed to initialize Pixlee retry job: {0}\n{1}', e.message, e.stack || '');
+        jobState.reset();
+        throw e;
+    }
+};
+
+/**
+ * Chunk Script Method: getTotalCount
+ * Returns the total number of items to be processed.
+ *
+ * @param {dw.job.JobParameters} parameters - Job parameters from Business Manager
+ * @returns {number} - Total count of failed exports to retry
+ */
+exports.getTotalCount = function (parameters) {
+    if (parameters.IsDisabled || !jobState.isInitialized()) {
+        return 0;
+    }
+    return jobState.totalFailures;
+};
+
+/**
+ * Chunk Script Method: read
+ * Returns the next product to retry, or null when there are no more items.
+ * Failures Pixlee asked to retry later, with a Retry-After header, are left
+ * for a later run until that time has passed.
+ *
+ * @param {dw.job.JobParameters} parameters - Job parameters from Business Manager
+ * @returns {dw.catalog.Product|string|null} - Next product to retry, empty string to skip, or null when done
+ */
+exports.read = function (parameters) {
+    if (parameters.IsDisabled || !jobState.isInitialized()) {
+        return null;
+    }
+
+    if (!jobState.failuresIterator.hasNext()) {
+        return null;
+    }
+
+    var failedExport = jobState.failuresIterator.next();
+    var productId = failedExport.custom.ID;
+
+    if (!failedExportsHelper.isRetryDue(failedExport)) {
+        jobState.productsDeferred += 1;
+        return '';
+    }
+
+    var product = getExportableProduct(productId);
+
+    if (!product) {
+        Logger.info('Product {0} is no longer exportable, dropping its failed export', productId);
+        failedExportsHelper.clearFailure(productId);
+        jobState.productsDropped += 1;
+        return '';
+    }
+
+    return product;
+};
+
+/**
+ * Chunk Script Method: process
+ * Builds the payload of a product to retry.
+ *
+ * @param {dw.catalog.Product} product - Product to process
+ * @param {dw.job.JobParameters} parameters - Job parameters from Business Manager
+ * @returns {Object|null} - Processed product payload, or null if processing or
+ *   the payload validation failed
+ */
+exports.process = function (product, parameters) {
+    if (parameters.IsDisabled || !jobState.isInitialized() || empty(product)) {
+        return null;
+    }
+
+    try {
+        var productPayload = new ProductExportPayload(product, jobState.exportOptions);
+
+        var validationErrors = payloadValidationHelper.validate(productPayload, jobState.exportOptions);
+        if (validationErrors.length) {
+            var message = payloadValidationHelper.formatErrors(validationErrors);
+            Logger.error('Invalid payload for product {0}, not exported: {1}', product.ID, message);
+            jobState.recordFailure(product.ID, {
+                failureClass: failedExportsHelper.VALIDATION_ERROR_CLASS,
+                message: message
+            });
+            return null;
+        }
+
+        return {
+            payload: productPayload,
+            productId: product.ID,
+            priceFingerprint: ProductExportPayload.getPriceFingerprint(product),
+            setMember: !product.searchable || product.variant
+        };
+    } catch (e) {
+        Logger.error('Failed to create payload for product {0}: {1}\n{2}',
+            product.ID, e.message, e.stack || '');
+        jobState.recordFailure(product.ID, {
+            failureClass: failedExportsHelper.PROCESSING_ERROR_CLASS,
+            message: e.message
+        });
+        return null;
+    }
+};
+
+/**
+ * Chunk Script Method: write
+ * Re-exports a chunk of products, clearing the saved failures of those that succeed.
+ *
+ * @param {Array} items - Array of processed items from process()
+ * @param {dw.job.JobParameters} parameters - Job parameters from Business Manager
+ * @returns {void}
+ */
+exports.write = function (items, parameters) {
+    if (parameters.IsDisabled || !jobState.isInitialized() || !items || items.length === 0) {
+        return;
+    }
+
+    for (var i = 0; i < items.length; i += 1) {
+        var item = items[i];
+        if (item && item.payload) {
+            var outcome = postProduct(item.payload);
+
+            if (outcome.ok) {
+                jobState.productsRecovered += 1;
+                failedExportsHelper.clearFailure(item.productId);
+                exportRegistryHelper.recordExports([{
+                    productId: item.productId,
+                    sku: item.payload.product.sku,
+                    fingerprint: item.payload.getFingerprint(),
+                    priceFingerprint: item.priceFingerprint,
+                    setMember: item.setMember
+                }], jobState.jobId);
+                Logger.info('Product {0} exported on retry', item.productId);
+            } else {
+                Logger.error('Failed to export product {0} on retry, {1} failure: {2}',
+                    item.productId, outcome.failureClass, outcome.message);
+                jobState.recordFailure(item.productId, outcome);
+            }
+        }
+    }
+};
+
+/**
+ * Chunk Script Method: afterStep
+ * Called once after all chunks have been processed (or if step fails).
+ *
+ * @param {boolean} success - Whether the step completed successfully
+ * @param {dw.job.JobParameters} parameters - Job parameters from Business Manager
+ * @returns {void}
+ */
+exports.afterStep = function (success, parameters) {
+    try {
+        if (parameters.IsDisabled || !jobState.isInitialized()) {
+            return;
+        }
+
+        Logger.info('Retry completed. Recovered: {0}, Still failing: {1}, Dropped: {2}, Deferred: {3}, Total: {4}',
+            jobState.productsRecovered, jobState.productsStillFailing,
+            jobState.productsDropped, jobState.productsDeferred, jobState.totalFailures);
+
+        if (!success) {
+            throw new Error('Retry of failed exports failed. Recovered: ' + jobState.productsRecovered +
+                ', Still failing: ' + jobState.productsStillFailing);
+        }
+    } finally {
+        if (jobState.failuresIterator) {
+            try {
+                jobState.failuresIterator.close();
+            } catch (e) {
+                Logger.warn('Failed to close iterator: {0}', e.message);
+            }
+        }
+        cacheHelper.endJobCache();
+        jobState.reset();
+    }
+};
@@ -0,0 +1,107 @@
+'use strict';
+
+// eslint-disable-next-line no-redeclare
+/* global request */
+
+var Site = require('dw/system/Site');
+var URLUtils = require('dw/web/URLUtils');
+
+/**
+ * @function
+ * @description Retrieves the URL of a category page, on the product host if one
+ *   is configured.
+ * @param {dw.catalog.Category} category - Category to get the URL of
+ * @param {string} [host] - Host name to use instead of the ProductHost one, like
+ *   the host configured for a locale
+ * @returns {string} - Category page URL, in the current request locale
+ */
+function getCategoryPageUrl(category, host) {
+    var categoryURL = URLUtils.https('Search-Show', 'cgid', category.ID);
+    var replaceHost = host || Site.getCurrent().getCustomPreferenceValue('ProductHost');
+
+    if (replaceHost) {
+        categoryURL.host(replaceHost);
+    }
+
+    return categoryURL.toString();
+}
+
+/**
+ * @function
+ * @description Retrieves the URL of the category image, or of its thumbnail
+ *   for categories without image.
+ * @param {dw.catalog.Category} category - Category to get the image URL of
+ * @returns {string} - Image URL or null if the category has no image
+ */
+function getCategoryImageUrl(category) {
+    var image = category.image || category.thumbnail;
+
+    return image ? image.absURL.toString() : null;
+}
+
+/**
+ * @function
+ * @description Retrieves the localized details of a category for each exported
+ *   locale of the site, see localeHelper.getExportedLocales. The request locale
+ *   is restored afterwards.
+ * @param {dw.catalog.Category} category - Category to get regional details for
+ * @returns {Array} - Array of objects, one for each region
+ */
+function getRegionalInfo(category) {
+    var localeHelper = require('*/cartridge/scripts/pixlee/helpers/localeHelper');
+    var currentSite = Site.getCurrent();
+    var locales = currentSite.getAllowedLocales();
+    var localeIds = [];
+    var regional = [];
+
+    for (var i = 0; i < locales.length; i += 1) {
+        localeIds.push(locales[i].toString());
+    }
+
+    localeHelper.getExportedLocales(localeIds).forEach(function (exportedLocale) {
+        request.setLocale(exportedLocale.locale);
+        regional.push({
+            region_code: exportedLocale.region,
+            name: category.getDisplayName() || category.ID,
+            category_url: getCategoryPageUrl(category, exportedLocale.host)
+        });
+    });
+
+    request.setLocale(currentSite.getDefaultLocale().toString());
+
+    return regional;
+}
+
+/**
+ * @constructor
+ * @description Creates the payload of the category album of a catalog
+ *   category, for category widgets to find their photos by category ID.
+ * @param {dw.catalog.Category} category - Category to export
+ * @param {Object} categoryInfo - Category path, as looked up by
+ *   ProductExportPayload.getCategoryInfo, with fullName and the comma
+ *   separated parentIDs from the top level category down. Null if the
+ *   category could not be looked up.
+ */
+function CategoryExportPayload(category, categoryInfo) {
+    var parentIds = categoryInfo && categoryInfo.parentIDs ? categoryInfo.parentIDs.split(',') : [];
+    var regionalInfo = getRegionalInfo(category);
+
+    this.title = category.getDisplayName() || category.ID;
+    this.category = {
+        native_category_id: category.ID,
+        name: this.title,
+        full_name: categoryInfo ? categoryInfo.fullName : this.title,
+        parent_category_id: parentIds.length ? parentIds[parentIds.length - 1] : null,
+        parent_category_ids: parentIds,
+        category_url: getCategoryPageUrl(category),
+        category_image: getCategoryImageUrl(category),
+        regional_info: regionalInfo
+    };
+
+    this.album_type = 'category';
+    this.live_update = false;
+    this.num_photos = 0;
+    this.num_inbox_photos = 0;
+}
+
+module.exports = CategoryExportPayload;
@@ -11,20 +11,26 @@ var ECOMM_PLATFORM_VERSION = Resource.msg('global.version.number', 'version', 'u
 
 /**
  * Creates an object containing all the detail necessary to report an event to
- *   Pixlee.
+ *   Pixlee. Hooks registered for app.pixlee.event.modifyPayload can modify the
+ *   payload.
  *
  * @param {string} type - The event type, like add:to:cart
  * @param {Object} payload - Payload for the event to report to Pixlee
- * @param {string} locale - Locale for the event, reported as region_code
+ * @param {string} locale - Locale for the event, reported as the region_code it
+ *   is mapped to by the PixleeLocales site preference
  */
 function PixleeEvent(type, payload, locale) {
     this.type = type;
     this.payload = payload || {};
 
-    this.payload.region_code = locale || request.locale;
+    var localeHelper = require('*/cartridge/scripts/pixlee/helpers/localeHelper');
+    this.payload.region_code = localeHelper.getRegionCode(locale || request.locale);
     this.payload.version_hash = VERSION_HASH;
     this.payload.ecommerce_platform = ECOMM_PLATFORM;
     this.payload.ecommerce_platform_version = ECOMM_PLATFORM_VERSION;
+
+    var hooksHelper = require('*/cartridge/scripts/pixlee/helpers/hooksHelper');
+    hooksHelper.modifyEventPayload(this.type, this.payload);
 }
 
 /**
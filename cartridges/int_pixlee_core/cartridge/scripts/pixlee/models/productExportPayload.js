@@ -3,13 +3,16 @@
 // eslint-disable-next-line no-redeclare
 /* global request, session */
 
-var DEFAULT_IMAGE_VIEW_TYPE = 'large';
 var DEFAULT_NO_IMAGE_PATH = '/images/noimagesmall.png';
 var THREE_PROPERTY_LIMIT = 650; // Avoid SFCC 2000 property limit assumes 3 properties per item
 var CATEGORY_LIMIT = THREE_PROPERTY_LIMIT;
 var VARIANT_LIMIT = THREE_PROPERTY_LIMIT;
 
 var MAX_RECURSION_DEPTH = 20;
+var MAX_IMAGES = 1900; // Cap to stay well under SFCC 2000 property limit
+
+// Extra fields that change on every export without the product having changed
+var VOLATILE_EXTRA_FIELDS = ['categories_last_updated_at'];
 
 var Logger = require('dw/system/Logger');
 var Site = require('dw/system/Site');
@@ -19,6 +22,13 @@ var CatalogMgr = require('dw/catalog/CatalogMgr');
 var Currency = require('dw/util/Currency');
 var pixleeHelper;
 var currencyLookupHelper;
+var stockHelper;
+var localeHelper;
+var productUrlHelper;
+var imageHelper;
+var attributeMappingHelper;
+var hooksHelper;
+var cacheHelper;
 
 /**
  * @returns {Object} The pixleeHelper module
@@ -40,6 +50,76 @@ function getCurrencyLookupHelper() {
     return currencyLookupHelper;
 }
 
+/**
+ * @returns {Object} The stockHelper module
+ */
+function getStockHelper() {
+    if (!stockHelper) {
+        stockHelper = require('*/cartridge/scripts/pixlee/helpers/stockHelper');
+    }
+    return stockHelper;
+}
+
+/**
+ * @returns {Object} The localeHelper module
+ */
+function getLocaleHelper() {
+    if (!localeHelper) {
+        localeHelper = require('*/cartridge/scripts/pixlee/helpers/localeHelper');
+    }
+    return localeHelper;
+}
+
+/**
+ * @returns {Object} The productUrlHelper module
+ */
+function getProductUrlHelper() {
+    if (!productUrlHelper) {
+        productUrlHelper = require('*/cartridge/scripts/pixlee/helpers/productUrlHelper');
+    }
+    return productUrlHelper;
+}
+
+/**
+ * @returns {Object} The imageHelper module
+ */
+function getImageHelper() {
+    if (!imageHelper) {
+        imageHelper = require('*/cartridge/scripts/pixlee/helpers/imageHelper');
+    }
+    return imageHelper;
+}
+
+/**
+ * @returns {Object} The attributeMappingHelper module
+ */
+function getAttributeMappingHelper() {
+    if (!attributeMappingHelper) {
+        attributeMappingHelper = require('*/cartridge/scripts/pixlee/helpers/attributeMappingHelper');
+    }
+    return attributeMappingHelper;
+}
+
+/**
+ * @returns {Object} The hooksHelper module
+ */
+function getHooksHelper() {
+    if (!hooksHelper) {
+        hooksHelper = require('*/cartridge/scripts/pixlee/helpers/hooksHelper');
+    }
+    return hooksHelper;
+}
+
+/**
+ * @returns {Object} - Job-scoped or request-scoped cache, see cacheHelper
+ */
+function getCache() {
+    if (!cacheHelper) {
+        cacheHelper = require('~/cartridge/scripts/pixlee/helpers/cacheHelper');
+    }
+    return cacheHelper.getCache();
+}
+
 // Cache expensive Resource.msg calls to avoid repeated string operations
 var VERSION_HASH = (function () {
     var pixleeVersion = Resource.msg('pixlee.version.hash', 'pixlee', 'unknown version');
@@ -64,158 +144,106 @@ var ECOMM_PLATFORM_VERSION = (function () {
 }());
 
 /**
- * Module-level cache for category maps (not stored in session due to SFCC restrictions)
- * This cache persists for the lifetime of the module but doesn't violate session storage rules
+ * Custom cache of the category maps, declared in caches.json. Maps are keyed by
+ * catalog ID and invalidated when a job step starts, see
+ * preInitializeCategoryProcessing, so they are shared by the chunks of a run
+ * but reflect category changes made since the last run. The modification time
+ * of the catalog is not used, as it does not change when categories do.
  */
-var ModuleLevelCache = {
-    categoryMap: null,
-    categoryCount: null,
-
-    clear: function () {
-        this.categoryMap = null;
-        this.categoryCount = null;
-    }
-};
+var CategoryMapCache = {
+    CACHE_ID: 'PixleeCategoryMaps',
+    hits: 0,
+    misses: 0,
 
-/**
- * Module-level variable to cache the category strategy instance
- * Simple variable is more appropriate than complex caching for a single strategy object
- */
-var categoryStrategyInstance = null;
-
-/**
- * Request-scoped cache for primitive values only (SFCC session storage compliant)
- * Uses session.getPrivacy() for automatic cleanup at end of request
- */
-var RequestCache = {
     /**
-     * Gets a cached value or creates it using the factory function
-     * @param {string} key - Cache key
-     * @param {Function} factory - Function to create value if not cached
-     * @returns {*} - Cached or newly created value
+     * @param {string} name - Name of the cached value
+     * @returns {string} - Cache key of the value for the current site catalog
      */
-    get: function (key, factory) {
-        var privacyCache = session.getPrivacy();
-        if (!privacyCache[key]) {
-            var value = factory();
-
-            // SFCC Session Compliance: Validate data type
-            if (!this.isValidSessionType(value)) {
-                Logger.warn('Invalid session data type for key: ' + key + ', type: ' + typeof value);
-                return value; // Don't cache invalid types
-            }
-
-            privacyCache[key] = value;
-
-            // SFCC Session Compliance: Monitor session size (10KB limit)
-            this.checkSessionSize();
-        }
-
-        return privacyCache[key];
+    getKey: function (name) {
+        return [CatalogMgr.getSiteCatalog().ID, name].join('_');
     },
 
     /**
-     * Validates if a value can be stored in SFCC session
-     * @param {*} value - Value to validate
-     * @returns {boolean} - True if valid for session storage
+     * Gets a value from the custom cache, loading it on cache misses
+     * @param {string} name - Name of the cached value
+     * @param {Function} loader - Function building the value
+     * @returns {*} - Cached or newly built value
      */
-    isValidSessionType: function (value) {
-        if (value === null || value === undefined) return true;
-
-        var type = typeof value;
-
-        // Primitive types are allowed
-        if (type === 'boolean' || type === 'number' || type === 'string') {
-            // Check string length limit (2000 chars)
-            if (type === 'string' && value.length > 2000) {
-                Logger.warn('String exceeds 2000 character limit: ' + value.length + ' chars');
-                return false;
+    get: function (name, loader) {
+        var key = this.getKey(name);
+        var loaded = false;
+        var value;
+
+        /**
+         * @returns {*} - Newly built value
+         */
+        function load() {
+            if (!loaded) {
+                loaded = true;
+                value = loader();
             }
-            return true;
+            return value;
         }
 
-        // Date objects are allowed
-        if (value instanceof Date) return true;
-
-        // Number, String, Boolean wrapper objects are allowed
-        if (value instanceof Number || value instanceof String || value instanceof Boolean) return true;
-
-        // Arrays are specifically not allowed
-        if (Array.isArray(value)) {
-            Logger.warn('Arrays not allowed in session storage. Use comma-separated strings instead.');
-            return false;
+        try {
+            value = require('dw/system/CacheMgr').getCache(this.CACHE_ID).get(key, load);
+        } catch (e) {
+            Logger.warn('Failed to read category map cache ' + key + ': ' + e.message);
+            value = load();
         }
 
-        // Everything else is not allowed (objects, functions, etc.)
-        Logger.warn('Unsupported session data type: ' + type + ', constructor: ' + (value.constructor ? value.constructor.name : 'unknown'));
-        return false;
-    },
+        if (loaded) {
+            this.misses += 1;
+        } else {
+            this.hits += 1;
+        }
 
-    /**
-     * Helper to safely store arrays as comma-separated strings
-     * @param {Array} array - Array to convert
-     * @param {string} separator - Separator to use (default: ',')
-     * @returns {string} - Comma-separated string safe for session storage
-     */
-    arrayToString: function (array, separator) {
-        if (!Array.isArray(array)) return array;
-        return array.join(separator || ',');
+        return value;
     },
 
     /**
-     * Helper to convert comma-separated strings back to arrays
-     * @param {string} str - String to convert
-     * @param {string} separator - Separator used (default: ',')
-     * @returns {Array} - Array of strings
+     * Invalidates a value of the custom cache
+     * @param {string} name - Name of the cached value
      */
-    stringToArray: function (str, separator) {
-        if (typeof str !== 'string') return str;
-        return str.split(separator || ',');
+    invalidate: function (name) {
+        require('dw/system/CacheMgr').getCache(this.CACHE_ID).invalidate(this.getKey(name));
     },
 
     /**
-     * Monitors session size to ensure compliance with 10KB limit
+     * Invalidates the category count and maps of the current site catalog
      */
-    checkSessionSize: function () {
-        try {
-            var privacyCache = session.getPrivacy();
-            var serialized = JSON.stringify(privacyCache);
-            var sizeKB = Math.round((serialized.length / 1024) * 100) / 100;
-
-            if (sizeKB > 8) { // Warn at 8KB to prevent hitting 10KB limit
-                Logger.warn('Session cache approaching size limit: ' + sizeKB + 'KB / 10KB');
-            }
-
-            if (sizeKB > 10) {
-                Logger.error('Session cache exceeds SFCC 10KB limit: ' + sizeKB + 'KB');
-            }
-        } catch (e) {
-            Logger.warn('Failed to check session size: ' + e.message);
+    invalidateAll: function () {
+        var names = ['categoryCount', 'singleMap', 'bfsMap'];
+        for (var i = 0; i < names.length; i += 1) {
+            this.invalidate(names[i]);
         }
     },
 
     /**
-     * Clears specific cache entry (useful for testing)
-     * @param {string} key - Cache key to clear
+     * @returns {Object} - Hits, misses and hit rate since the module was loaded
      */
-    clear: function (key) {
-        var privacyCache = session.getPrivacy();
-        delete privacyCache[key];
+    getStats: function () {
+        var lookups = this.hits + this.misses;
+        return {
+            cacheId: this.CACHE_ID,
+            hits: this.hits,
+            misses: this.misses,
+            hitRate: (lookups ? (this.hits / lookups) * 100 : 0).toFixed(1) + '%'
+        };
     },
 
-    /**
-     * Clears all cache entries (useful for testing)
-     */
-    clearAll: function () {
-        var privacyCache = session.getPrivacy();
-        // Clear all cached keys by iterating and deleting
-        var keys = Object.keys(privacyCache);
-        for (var i = 0; i < keys.length; i += 1) {
-            delete privacyCache[keys[i]];
-        }
+    resetStats: function () {
+        this.hits = 0;
+        this.misses = 0;
     }
 };
 
+/**
+ * Module-level variable to cache the category strategy instance
+ * Simple variable is more appropriate than complex caching for a single strategy object
+ */
+var categoryStrategyInstance = null;
+
 /**
  * @function
  * @description Validates that a product has the required methods for category processing
@@ -233,7 +261,7 @@ function validateProductForCategories(product, context) {
 
 /**
  * @function
- * @description Gets the site catalog - no caching since Catalog objects can't be stored in session
+ * @description Gets the site catalog - no caching since only plain values are cached
  * @returns {dw.catalog.Catalog} - The site catalog
  */
 function getSiteCatalog() {
@@ -242,13 +270,86 @@ function getSiteCatalog() {
 
 /**
  * @function
- * @description Gets the current site - no caching since Site objects can't be stored in session
+ * @description Gets the current site - no caching since only plain values are cached
  * @returns {dw.system.Site} - The current site instance
  */
 function getCurrentSite() {
     return Site.getCurrent();
 }
 
+/**
+ * @function
+ * @description Gets the IDs of the allowed locales of the current site, cached
+ *   for the job or request
+ * @returns {Array} - Locale IDs, including 'default'
+ */
+function getSiteLocales() {
+    return getCache().get('pixlee:siteLocales', function () {
+        var locales = getCurrentSite().getAllowedLocales();
+        var localeIds = [];
+        for (var i = 0; i < locales.length; i += 1) {
+            localeIds.push(locales[i].toString());
+        }
+        return localeIds;
+    });
+}
+
+/**
+ * @function
+ * @description Gets the locales to export regional details for, with their
+ *   Pixlee region and overrides, cached for the job or request
+ * @returns {Array} - Exported locales, see localeHelper.getExportedLocales
+ */
+function getExportedLocales() {
+    return getCache().get('pixlee:exportedLocales', function () {
+        return getLocaleHelper().getExportedLocales(getSiteLocales());
+    });
+}
+
+/**
+ * @function
+ * @description Gets the currency of each allowed locale of the current site,
+ *   cached for the job or request
+ * @returns {Object} - Currency codes by locale ID
+ */
+function getLocaleCurrencies() {
+    return getCache().get('pixlee:localeCurrencies', function () {
+        var siteLocales = getSiteLocales();
+        var currencies = {};
+        for (var i = 0; i < siteLocales.length; i += 1) {
+            if (siteLocales[i].toLowerCase() !== 'default') {
+                currencies[siteLocales[i]] = getCurrencyLookupHelper().getCurrencyForLocale(siteLocales[i]);
+            }
+        }
+        return currencies;
+    });
+}
+
+/**
+ * @function
+ * @description Gets the default currency code of the current site, cached for
+ *   the job or request
+ * @returns {string} - Currency code
+ */
+function getDefaultCurrencyCode() {
+    return getCache().get('pixlee:defaultCurrencyCode', function () {
+        return getCurrentSite().getDefaultCurrency();
+    });
+}
+
+/**
+ * @function
+ * @description Gets the ID of the default locale of the current site, cached
+ *   for the job or request
+ * @returns {string} - Locale ID
+ */
+function getDefaultLocaleId() {
+    // Cache only the string value, not the API object
+    return getCache().get('pixlee:defaultLocale', function () {
+        return getCurrentSite().getDefaultLocale().toString();
+    });
+}
+
 /**
  * @function
  * @description Optimized JSON serialization that handles large objects gracefully
@@ -302,27 +403,27 @@ function safeJSONStringify(obj, context) {
 
 /**
  * @function
- * @description Retrieves the PDP URL for a given product. In case ProductHost site preference
- * is configured, the URL domain is replaced with that host name.
+ * @description Retrieves the PDP URL for a given product in a locale, see
+ *   productUrlHelper.getProductUrl. In case ProductHost site preference is
+ *   configured, the URL domain is replaced with that host name.
  * @param {dw.catalog.Product} product - Product to retrieve the PDP URL for
+ * @param {string} locale - Locale ID, the current request locale
+ * @param {string} [host] - Host name to use instead of the ProductHost one, like
+ *   the host configured for a locale
  * @returns {string} - Product Page URL.
  */
-function getProductPageUrl(product) {
-    var pdpURL = URLUtils.https('Product-Show', 'pid', product.ID);
-    var replaceHost = RequestCache.get('pixlee:productHost', function () {
+function getProductPageUrl(product, locale, host) {
+    var replaceHost = host || getCache().get('pixlee:productHost', function () {
         return getCurrentSite().getCustomPreferenceValue('ProductHost');
     });
 
-    if (replaceHost) {
-        pdpURL.host(replaceHost);
-    }
-
-    return pdpURL.toString();
+    return getProductUrlHelper().getProductUrl(product.ID, locale, replaceHost);
 }
 
 /**
  * @function
- * @description Retrieves the URL of the product main image.
+ * @description Retrieves the URL of the product main image, of the first
+ *   view type of the Images View Type parameter.
  * @param {dw.catalog.Product} product - Product for which to retrieve the main
  *   product image URL.
  * @param {Object} options - Export configuration options
@@ -332,25 +433,25 @@ function getProductPageUrl(product) {
  */
 function getProductImageURL(product, options) {
     var productImageURL = null;
-    var imageViewType = options.imageViewType || DEFAULT_IMAGE_VIEW_TYPE;
+    var imageViewType = getImageHelper().getViewTypes(options.imageViewType)[0];
     var image = product.getImage(imageViewType, 0);
 
     if (image) {
-        productImageURL = image.absURL.toString();
+        productImageURL = getImageHelper().getImageUrl(image, imageViewType);
     } else {
         var pvm = product.variationModel;
         if (pvm && pvm.defaultVariant) {
             var defaultVariant = pvm.defaultVariant;
             image = defaultVariant.getImage(imageViewType, 0);
             if (image) {
-                productImageURL = image.absURL.toString();
+                productImageURL = getImageHelper().getImageUrl(image, imageViewType);
             }
         }
     }
 
     // fall back to no image URL:
     if (!productImageURL) {
-        productImageURL = URLUtils.absStatic(DEFAULT_NO_IMAGE_PATH);
+        productImageURL = URLUtils.absStatic(DEFAULT_NO_IMAGE_PATH).toString();
     }
 
     return productImageURL;
@@ -358,115 +459,446 @@ function getProductImageURL(product, options) {
 
 /**
  * @function
- * @description Returns the product price using pre-fetched price model and variant data
- * @param {dw.catalog.Product} product - The product to get price for
+ * @description Returns the decimal value of a money amount
+ * @param {dw.value.Money} money - Money amount, can be null
+ * @returns {number} - Decimal value, or null if the amount is not available
+ */
+function getMoneyValue(money) {
+    if (money && money.available !== false && money.decimalValue !== null && money.decimalValue !== undefined) {
+        return money.decimalValue.valueOf();
+    }
+    return null;
+}
+
+/**
+ * @function
+ * @description Returns the list price of a product, taken from the root
+ *   parent of the price book its price comes from, the same way the
+ *   storefront displays strike-through prices
+ * @param {dw.catalog.ProductPriceModel} priceModel - Price model of the product
+ * @returns {number} - List price, or null if the product has no price
+ */
+function getListPrice(priceModel) {
+    var priceInfo = priceModel.priceInfo;
+    if (!priceInfo || !priceInfo.priceBook) {
+        return null;
+    }
+
+    var priceBook = priceInfo.priceBook;
+    var depth = 0;
+    while (priceBook.parentPriceBook && depth < MAX_RECURSION_DEPTH) {
+        priceBook = priceBook.parentPriceBook;
+        depth += 1;
+    }
+
+    return getMoneyValue(priceModel.getPriceBookPrice(priceBook.ID));
+}
+
+/**
+ * @function
+ * @description Returns the active product promotions of a product, in the
+ *   session currency
+ * @param {dw.catalog.Product} product - Product to get promotions for
+ * @returns {Object} - has_promotion flag and the lowest promotional_price of
+ *   the product promotions, or null if none discounts the product price
+ */
+function getPromotionDetails(product) {
+    var PromotionMgr = require('dw/campaign/PromotionMgr');
+    var Promotion = require('dw/campaign/Promotion');
+
+    var promotionDetails = {
+        has_promotion: false,
+        promotional_price: null
+    };
+
+    var promotionIterator = PromotionMgr.getActivePromotions().getProductPromotions(product).iterator();
+    while (promotionIterator.hasNext()) {
+        var promotion = promotionIterator.next();
+        promotionDetails.has_promotion = true;
+
+        if (promotion.promotionClass === Promotion.PROMOTION_CLASS_PRODUCT) {
+            var promotionalPrice = getMoneyValue(promotion.getPromotionalPrice(product));
+            if (promotionalPrice !== null
+                && (promotionDetails.promotional_price === null || promotionalPrice < promotionDetails.promotional_price)) {
+                promotionDetails.promotional_price = promotionalPrice;
+            }
+        }
+    }
+
+    return promotionDetails;
+}
+
+/**
+ * @function
+ * @description Retrieves the members of a product set or bundle
+ * @param {dw.catalog.Product} product - Product set, bundle or other product
+ * @returns {Array} - Members, each with the member product and its quantity,
+ *   1 for set members. Empty for products that are neither sets nor bundles.
+ */
+function getComponents(product) {
+    var members = null;
+    if (product.productSet) {
+        members = product.getProductSetProducts();
+    } else if (product.bundle) {
+        members = product.getBundledProducts();
+    }
+
+    if (!members) {
+        return [];
+    }
+
+    return members.toArray().map(function (member) {
+        var quantity = product.bundle ? product.getBundledProductQuantity(member) : null;
+        return {
+            product: member,
+            quantity: (quantity && quantity.available !== false && quantity.value) || 1
+        };
+    });
+}
+
+/**
+ * @function
+ * @description Adds the prices of a set or bundle member to the aggregate prices
+ *   of the set or bundle
+ * @param {Object} aggregate - Aggregate prices, see getPriceDetails
+ * @param {Object} memberPrices - Prices of the member, see getPriceDetails
+ * @param {number} quantity - Quantity of the member
+ * @returns {Object} - New aggregate prices, or null if the member has no price
+ */
+function addComponentPrices(aggregate, memberPrices, quantity) {
+    if (!aggregate || memberPrices.sale_price === null) {
+        return null;
+    }
+
+    var sum = {
+        price: 0,
+        currency: memberPrices.currency
+    };
+    ['list_price', 'sale_price', 'min_price', 'max_price'].forEach(function (key) {
+        var memberPrice = memberPrices[key] === null ? memberPrices.sale_price : memberPrices[key];
+        sum[key] = Math.round((aggregate[key] + (memberPrice * quantity)) * 100) / 100;
+    });
+    sum.price = sum.sale_price;
+
+    return sum;
+}
+
+/**
+ * @function
+ * @description Returns the prices of a product in the session currency. Masters
+ *   are priced by their default variant, with the range of their variant prices.
+ *   Sets and bundles without a price of their own are priced by the sum of the
+ *   prices of their members, times their quantity.
+ * @param {dw.catalog.Product} product - The product to get prices for
  * @param {Object} cachedProductData - Pre-fetched product data
- * @returns {number} - The retrieved price
+ * @param {string} fallbackCurrency - Currency code of products without price
+ * @returns {Object} - price (sale price, 0 for products without price, like
+ *   sets and bundles with members without price), currency, list_price,
+ *   sale_price, min_price and max_price, plus has_promotion and
+ *   promotional_price if promotions are exported
  */
-function getProductPrice(product, cachedProductData) {
-    var productPrice = null;
+function getPriceDetails(product, cachedProductData, fallbackCurrency) {
+    var priceDetails = {
+        price: 0,
+        currency: fallbackCurrency,
+        list_price: null,
+        sale_price: null,
+        min_price: null,
+        max_price: null
+    };
 
-    if (cachedProductData.priceModel) {
-        try {
-            var price;
-            if (!cachedProductData.defaultVariant) {
-                price = cachedProductData.priceModel.getPrice();
+    try {
+        var productPriceModel = product.getPriceModel();
+        if (productPriceModel) {
+            var pricedProduct = cachedProductData.defaultVariant || product;
+            var priceModel = cachedProductData.defaultVariant ? pricedProduct.getPriceModel() : productPriceModel;
+            var price = priceModel.getPrice();
+            var salePrice = getMoneyValue(price);
+
+            if (salePrice !== null) {
+                priceDetails.price = salePrice;
+                priceDetails.currency = price.getCurrencyCode();
+                priceDetails.sale_price = salePrice;
+                priceDetails.list_price = Math.max(getListPrice(priceModel) || 0, salePrice);
+                priceDetails.min_price = salePrice;
+                priceDetails.max_price = salePrice;
+
+                if (product.master) {
+                    priceDetails.min_price = getMoneyValue(productPriceModel.minPrice) || salePrice;
+                    priceDetails.max_price = getMoneyValue(productPriceModel.maxPrice) || salePrice;
+                }
             } else {
-                price = cachedProductData.defaultVariant.getPriceModel().getPrice();
+                Logger.debug('Product has no price (product set/bundle/etc.): ' + product.ID);
             }
 
-            // Check if price is null (common for product sets, bundles, etc.)
-            if (price && price.decimalValue !== null && price.decimalValue !== undefined) {
-                productPrice = price.decimalValue.valueOf();
+            if (cachedProductData.exportPromotions) {
+                var promotionDetails = getPromotionDetails(pricedProduct);
+                priceDetails.has_promotion = promotionDetails.has_promotion;
+                priceDetails.promotional_price = promotionDetails.promotional_price;
+            }
+        } else {
+            Logger.debug('Product has no price model - using default value 0: ' + product.ID);
+        }
+
+        if (priceDetails.sale_price === null && cachedProductData.components && cachedProductData.components.length) {
+            var aggregatePrices = cachedProductData.components.reduce(function (aggregate, component) {
+                var memberData = {
+                    defaultVariant: component.product.master ? component.product.getVariationModel().getDefaultVariant() : null,
+                    exportPromotions: false,
+                    components: []
+                };
+                return addComponentPrices(aggregate, getPriceDetails(component.product, memberData, fallbackCurrency), component.quantity);
+            }, { price: 0, currency: fallbackCurrency, list_price: 0, sale_price: 0, min_price: 0, max_price: 0 });
+
+            if (aggregatePrices) {
+                Object.keys(aggregatePrices).forEach(function (key) {
+                    priceDetails[key] = aggregatePrices[key];
+                });
             } else {
-                Logger.debug('Product has no price (product set/bundle/etc.): ' + product.ID);
-                productPrice = 0; // Default price for products without pricing
+                Logger.debug('Product {0} has members without price, using default value 0', product.ID);
             }
-        } catch (e) {
-            Logger.warn('Could not get the price from cached data: ' + e.message);
-            productPrice = 0; // Fallback to 0 instead of leaving undefined
         }
+    } catch (e) {
+        Logger.warn('Could not get the price of product {0}: {1}', product.ID, e.message);
+    }
+
+    return priceDetails;
+}
+
+/**
+ * @function
+ * @description Returns a copy of a product or regional payload with the prices
+ *   returned by getPriceDetails, except for the currency
+ * @param {Object} payload - Product or regional payload
+ * @param {Object} priceDetails - Prices returned by getPriceDetails
+ * @returns {Object} - Copy of the payload, with the prices
+ */
+function withPriceDetails(payload, priceDetails) {
+    var result = {};
+    Object.keys(payload).forEach(function (key) {
+        result[key] = payload[key];
+    });
+    Object.keys(priceDetails).forEach(function (key) {
+        if (key !== 'currency') {
+            result[key] = priceDetails[key];
+        }
+    });
+    return result;
+}
+
+/**
+ * @function
+ * @description Retrieves the text of a localized product attribute, like a
+ *   description, in the current request locale
+ * @param {dw.content.MarkupText|string} value - Attribute value, can be null
+ * @param {boolean} stripMarkup - Whether to convert HTML to plain text, like
+ *   html attributes of the attribute mapping
+ * @returns {string} - Text, or null if the attribute has no value in the locale
+ */
+function getLocalizedText(value, stripMarkup) {
+    if (!value) {
+        return null;
     }
 
-    // Final fallback for products with no price model at all
-    if (productPrice === null || productPrice === undefined) {
-        Logger.debug('Product has no price model - using default value 0: ' + (product ? product.ID : 'unknown'));
-        productPrice = 0;
+    var text = value.markup !== undefined ? String(value.markup || '') : String(value);
+    if (stripMarkup) {
+        text = getAttributeMappingHelper().stripHtml(text);
     }
 
-    return productPrice;
+    return text || null;
 }
 
 /**
  * @function
- * @description Retrieves the product stock.
+ * @description Returns a copy of a regional payload with the localized copy of
+ *   a product, in the current request locale: its descriptions, brand and page
+ *   metadata
+ * @param {Object} payload - Regional payload
+ * @param {dw.catalog.Product} product - Product to get the copy of
+ * @param {Object} cachedProductData - Pre-fetched product data, with whether
+ *   to strip the HTML of descriptions
+ * @returns {Object} - Copy of the payload, with the localized copy
+ */
+function withLocalizedCopy(payload, product, cachedProductData) {
+    var stripMarkup = cachedProductData.stripDescriptionHtml;
+    var result = {};
+
+    Object.keys(payload).forEach(function (key) {
+        result[key] = payload[key];
+    });
+    result.description = getLocalizedText(product.longDescription, stripMarkup);
+    result.short_description = getLocalizedText(product.shortDescription, stripMarkup);
+    result.brand = getLocalizedText(product.brand, false);
+    result.page_title = getLocalizedText(product.pageTitle, false);
+    result.page_description = getLocalizedText(product.pageDescription, false);
+
+    return result;
+}
+
+/**
+ * @function
+ * @description Retrieves the product stock, aggregated across online variants
+ *   for masters and across members for sets and bundles without inventory
+ *   record, from the default inventory list and from the inventory lists
+ *   configured for the exported locales, each list read once.
  * @param {dw.catalog.Product} product - Product for which to retrieve stock.
+ * @returns {Object} - Stock for the product, by inventory list ID, '' for the
+ *   inventory list assigned to the site
+ */
+function getStockByInventoryList(product) {
+    var stockByInventoryList = {};
+    var locales = [null].concat(getExportedLocales().map(function (exportedLocale) {
+        return exportedLocale.locale;
+    }));
+
+    locales.forEach(function (locale) {
+        var inventoryListId = getStockHelper().getInventoryListId(locale);
+        var cacheKey = inventoryListId || '';
+
+        if (!Object.prototype.hasOwnProperty.call(stockByInventoryList, cacheKey)) {
+            var productStock = 0;
+            try {
+                productStock = getStockHelper().getStockLevel(product, inventoryListId);
+            } catch (e) {
+                Logger.warn('Could not get the stock of product {0}: {1}', product.ID, e.message);
+            }
+            stockByInventoryList[cacheKey] = productStock;
+        }
+    });
+
+    return stockByInventoryList;
+}
+
+/**
+ * @function
+ * @description Returns the product stock read from the inventory list
+ *   configured for a locale, see getStockByInventoryList.
+ * @param {string} locale - Locale ID, or null for the default inventory list
+ * @param {Object} cachedProductData - Pre-fetched product data, with the stock
+ *   read from each inventory list
  * @returns {number} - Stock for the product.
  */
-function getProductStock(product) {
-    var productStock = 0;
-
-    if (product.getAvailabilityModel()) {
-        // 2016-03-23: product.getAvailabilityModel().availability uses some fancy algorithm,
-        // described by the documentation as the following:
-        // If inventory lists are in use:
-        //     If no inventory record exists and the inventory list default-in-stock flag is true this method returns 1.
-        //    If no inventory record exists the inventory list default-in-stock flag is false this method returns 0.
-        //    If the product is not available this method returns 0.
-        //    If the product is perpetually available this method returns 1.
-        //    Otherwise, this method returns the ATS / allocation.
-        // What I really want is the sum of all variants
-        // BUT I DON'T HAVE IT BECAUSE I NEVER FIGURED OUT HOW TO LOOP THROUGH VARIANTS
-        // IN B2C COMMERCE - Instead, I'll settle for a 0/1, which I've tested
-        // Check CR-534
-        if (product.getAvailabilityModel().isInStock()) {
-            productStock = 1;
-        } else {
-            productStock = 0;
+function getProductStock(locale, cachedProductData) {
+    return cachedProductData.stockByInventoryList[getStockHelper().getInventoryListId(locale) || ''];
+}
+
+/**
+ * @function
+ * @description Groups the variants of a master by value of a variation
+ *   attribute, the group of the default variant first.
+ * @param {dw.catalog.Product} product - Master product
+ * @param {string} attributeId - Variation attribute ID, like color
+ * @returns {Array} - Groups, each with the attribute value and its first
+ *   variant, the default variant for its group. Null if the master does not
+ *   vary by the attribute.
+ */
+function getVariationValueGroups(product, attributeId) {
+    var variationModel = product.getVariationModel();
+    var attribute = null;
+    variationModel.getProductVariationAttributes().toArray().forEach(function (variationAttribute) {
+        if (variationAttribute.ID === attributeId) {
+            attribute = variationAttribute;
+        }
+    });
+    if (!attribute) {
+        return null;
+    }
+
+    var groups = [];
+    var groupedValues = {};
+    var addVariant = function (variant) {
+        var value = variationModel.getVariationValue(variant, attribute);
+        if (value && !groupedValues[value.ID]) {
+            groupedValues[value.ID] = true;
+            groups.push({ value: value, variant: variant });
         }
+    };
+
+    var defaultVariant = variationModel.getDefaultVariant();
+    if (defaultVariant) {
+        addVariant(defaultVariant);
+    }
+    var variantIterator = product.getVariants().iterator();
+    while (variantIterator.hasNext()) {
+        addVariant(variantIterator.next());
     }
 
-    return productStock;
+    return groups;
 }
 
 /**
  * @function
- * @description Retrieves a list of URLs of all product images of a product.
- * @param {dw.catalog.Product} product - Product for which to retrieve stock.
- * @param {Object} exportOptions - Export configuration options
- * @returns {Array} - Array of all product image URLs.
+ * @description Retrieves the images of a view type of a product, selected by
+ *   the strategy of the PixleeImageSelection site preference, without duplicate
+ *   URLs. The sequential strategy takes the images of the product, followed by
+ *   those of its variants for masters. The variation strategy takes the images
+ *   of masters by value of a variation attribute, like color, starting with the
+ *   value of the default variant and limiting the images of each value, then
+ *   the images of the master itself.
+ * @param {dw.catalog.Product} product - Product to retrieve images for
+ * @param {string} viewType - Image view type
+ * @param {number} maxImages - Maximum number of images to retrieve
+ * @returns {Array} - Images, each with the media file and its URL
  */
-function getAllProductImages(product, exportOptions) {
-    var allImages = [];
+function getViewTypeImages(product, viewType, maxImages) {
+    var selection = getImageHelper().getSelection();
+    var images = [];
     var imageUrlsSet = {};
-    var imageViewType = exportOptions.imageViewType || DEFAULT_IMAGE_VIEW_TYPE;
-    var MAX_IMAGES = 1900; // Cap to stay well under SFCC 2000 property limit
-
-    var productImages = product.getImages(imageViewType);
-    for (var i = 0; i < productImages.length && allImages.length < MAX_IMAGES; i += 1) {
-        var image = productImages[i];
-        var imageUrl = image.absURL.toString();
-        imageUrlsSet[imageUrl] = true;
-        allImages.push(imageUrl);
+    var addImages = function (mediaFiles, maxAdded) {
+        var added = 0;
+        for (var i = 0; i < mediaFiles.length && images.length < maxImages && (!maxAdded || added < maxAdded); i += 1) {
+            var imageUrl = getImageHelper().getImageUrl(mediaFiles[i], viewType);
+            // Use object for O(1) duplicate checking
+            if (!imageUrlsSet[imageUrl]) {
+                imageUrlsSet[imageUrl] = true;
+                images.push({ image: mediaFiles[i], url: imageUrl });
+                added += 1;
+            }
+        }
+    };
+
+    var groups = product.master && selection.strategy === getImageHelper().SELECTION_STRATEGY.VARIATION
+        ? getVariationValueGroups(product, selection.attribute)
+        : null;
+
+    if (groups) {
+        groups.forEach(function (group) {
+            // Images of the value image group, or of the variant if the value has none
+            var valueImages = typeof group.value.getImages === 'function' ? group.value.getImages(viewType) : null;
+            addImages(valueImages && valueImages.length ? valueImages : group.variant.getImages(viewType),
+                selection.maxImagesPerValue);
+        });
+        addImages(product.getImages(viewType));
+        return images;
     }
 
-    if (product.master && allImages.length < MAX_IMAGES) {
+    addImages(product.getImages(viewType));
+
+    if (product.master && images.length < maxImages) {
         var variantIterator = product.getVariants().iterator();
 
-        while (variantIterator.hasNext() && allImages.length < MAX_IMAGES) {
-            var variant = variantIterator.next();
-            var variantPhotos = variant.getImages(imageViewType);
-            for (var j = 0; j < variantPhotos.length && allImages.length < MAX_IMAGES; j += 1) {
-                var photoURL = variantPhotos[j].absURL.toString();
-                // Use object for O(1) duplicate checking
-                if (!imageUrlsSet[photoURL]) {
-                    imageUrlsSet[photoURL] = true;
-                    allImages.push(photoURL);
-                }
-            }
+        while (variantIterator.hasNext() && images.length < maxImages) {
+            addImages(variantIterator.next().getImages(viewType));
         }
     }
 
+    return images;
+}
+
+/**
+ * @function
+ * @description Retrieves a list of URLs of all product images of a product, of
+ *   the first view type of the Images View Type parameter.
+ * @param {dw.catalog.Product} product - Product for which to retrieve stock.
+ * @param {Object} exportOptions - Export configuration options
+ * @returns {Array} - Array of all product image URLs.
+ */
+function getAllProductImages(product, exportOptions) {
+    var imageViewType = getImageHelper().getViewTypes(exportOptions.imageViewType)[0];
+    var allImages = getViewTypeImages(product, imageViewType, MAX_IMAGES).map(function (image) {
+        return image.url;
+    });
+
     // Log warning if we hit the cap
     if (allImages.length >= MAX_IMAGES) {
         Logger.warn('Product {0} has more than {1} images. Only first {1} images included to prevent SFCC object size limit.',
@@ -478,32 +910,111 @@ function getAllProductImages(product, exportOptions) {
 
 /**
  * @function
- * @description Retrieves details of product variants.
+ * @description Retrieves the images of each view type of the Images View Type
+ *   parameter, labelled with their view type and with their alt text.
+ * @param {dw.catalog.Product} product - Product to retrieve images for
+ * @param {Object} exportOptions - Export configuration options
+ * @returns {Array} - Image details, see imageHelper.getImageDetails, of all
+ *   view types in order
+ */
+function getLabelledProductImages(product, exportOptions) {
+    var labelledImages = [];
+
+    getImageHelper().getViewTypes(exportOptions.imageViewType).forEach(function (viewType) {
+        getViewTypeImages(product, viewType, MAX_IMAGES - labelledImages.length).forEach(function (image) {
+            labelledImages.push(getImageHelper().getImageDetails(image.image, viewType, image.url));
+        });
+    });
+
+    return labelledImages;
+}
+
+/**
+ * @function
+ * @description Retrieves the variation attribute values of a variant.
+ * @param {dw.catalog.ProductVariationModel} variationModel - Variation model of the master
+ * @param {Array} variationAttributes - Variation attributes of the master
+ * @param {dw.catalog.Variant} variant - Variant to retrieve values for
+ * @returns {Object} - Variation attribute values keyed by attribute ID, e.g. { color: 'red' }
+ */
+function getVariationAttributeValues(variationModel, variationAttributes, variant) {
+    var values = {};
+
+    for (var i = 0; i < variationAttributes.length; i += 1) {
+        var attribute = variationAttributes[i];
+        var value = variationModel.getVariationValue(variant, attribute);
+        if (value) {
+            values[attribute.ID] = value.value;
+        }
+    }
+
+    return values;
+}
+
+/**
+ * @function
+ * @description Retrieves the price of a variant, including sales price books.
+ * @param {dw.catalog.Variant} variant - Variant to retrieve price for
+ * @returns {number} - Variant price, or null if the variant has no price
+ */
+function getVariantPrice(variant) {
+    var priceModel = variant.getPriceModel();
+
+    return priceModel ? getMoneyValue(priceModel.getPrice()) : null;
+}
+
+/**
+ * @function
+ * @description Retrieves the URL of the primary image of a variant.
+ * @param {dw.catalog.Variant} variant - Variant to retrieve image for
+ * @param {Object} exportOptions - Export configuration options
+ * @returns {string} - Image URL, or null if the variant has no image of its own
+ */
+function getVariantImageURL(variant, exportOptions) {
+    var imageViewType = getImageHelper().getViewTypes(exportOptions.imageViewType)[0];
+    var image = variant.getImage(imageViewType, 0);
+    return image ? getImageHelper().getImageUrl(image, imageViewType) : null;
+}
+
+/**
+ * @function
+ * @description Retrieves details of product variants, as a JSON string. Each
+ *   variant is serialized on its own so that no object holding the details of
+ *   all variants is built, as it would exceed the SFCC object property limit.
  * @param {dw.catalog.Product} product - Product for which to retrieve variants.
- * @returns {Object} - An object (map) having details of all product variants.
+ * @param {Object} exportOptions - Export configuration options
+ * @returns {string} - JSON object (map) having details of all product variants,
+ *   keyed by variant ID.
  */
-function getProductVariants(product) {
-    var variantsDict = {};
+function getProductVariants(product, exportOptions) {
+    var variantEntries = [];
 
     if (product.master) {
+        var variationModel = product.getVariationModel();
+        var variationAttributes = variationModel.getProductVariationAttributes().toArray();
         var variantIterator = product.getVariants().iterator();
-        var variantCount = 0;
 
-        while (variantIterator.hasNext() && variantCount < VARIANT_LIMIT) {
+        while (variantIterator.hasNext() && variantEntries.length < VARIANT_LIMIT) {
             var variant = variantIterator.next();
 
             var variantID = variant.getID();
+            var availabilityModel = variant.getAvailabilityModel();
 
-            var inventoryRecord = variant.getAvailabilityModel().getInventoryRecord();
+            var inventoryRecord = availabilityModel.getInventoryRecord();
             // NOTE: Changed to using ATS instead of stockLevel
             var variantStock = inventoryRecord ? inventoryRecord.ATS.value : null;
 
-            variantsDict[variantID] = {
+            var variantDetails = {
                 variant_stock: variantStock,
-                variant_sku: variantID
+                variant_sku: getPixleeHelper().getPixleeProductSKU(variant),
+                variant_price: getVariantPrice(variant),
+                variant_photo: getVariantImageURL(variant, exportOptions),
+                variation_attributes: getVariationAttributeValues(variationModel, variationAttributes, variant),
+                online: !!variant.online,
+                orderable: availabilityModel.isOrderable()
             };
 
-            variantCount++;
+            variantEntries.push(JSON.stringify(variantID) + ':' + safeJSONStringify(variantDetails, 'variant ' + variantID));
         }
 
         // Log warning if we hit the cap
@@ -513,7 +1024,7 @@ function getProductVariants(product) {
         }
     }
 
-    return variantsDict;
+    return '{' + variantEntries.join(',') + '}';
 }
 
 /**
@@ -528,6 +1039,15 @@ function CategoryStrategy() {
     this.getCategories = function (product) {
         throw new Error('getCategories must be implemented by strategy');
     };
+
+    // Takes the ID of the category to get the info of
+    this.getCategoryInfo = function () {
+        throw new Error('getCategoryInfo must be implemented by strategy');
+    };
+
+    this.getCategoryIterator = function () {
+        throw new Error('getCategoryIterator must be implemented by strategy');
+    };
 }
 
 /**
@@ -645,6 +1165,57 @@ function buildCategoryPath(pathStack, namesMap, categoryName) {
     return pathParts.join(' > ');
 }
 
+/**
+ * @function
+ * @description Creates an iterator over the categories of the site catalog in
+ *   breadth-first order, from the category map of a strategy: the categories of
+ *   the map first, in the order they were mapped, then, if the map holds only
+ *   the highest levels of the catalog, the categories below them.
+ * @param {Object} categoryMap - Category map of the strategy, by category ID,
+ *   built breadth-first
+ * @param {boolean} isPartial - Whether the map holds only the highest levels
+ * @returns {Object} - Iterator with hasNext and next, next returning a
+ *   dw.catalog.Category, or null for mapped categories removed since
+ */
+function createCategoryIterator(categoryMap, isPartial) {
+    var mappedIds = Object.keys(categoryMap);
+    var index = 0;
+    var unmappedQueue = [];
+
+    /**
+     * @param {dw.catalog.Category} category - Category whose subcategories to
+     *   iterate over, unless mapped
+     */
+    function enqueueUnmappedSubCategories(category) {
+        var subCategories = category.getSubCategories();
+        for (var i = 0; i < subCategories.length; i += 1) {
+            if (!categoryMap[subCategories[i].getID()]) {
+                unmappedQueue.push(subCategories[i]);
+            }
+        }
+    }
+
+    return {
+        hasNext: function () {
+            return index < mappedIds.length || unmappedQueue.length > 0;
+        },
+        next: function () {
+            var category;
+            if (index < mappedIds.length) {
+                category = CatalogMgr.getCategory(mappedIds[index]);
+                index += 1;
+            } else {
+                category = unmappedQueue.shift() || null;
+            }
+
+            if (category && isPartial) {
+                enqueueUnmappedSubCategories(category);
+            }
+            return category;
+        }
+    };
+}
+
 /**
  * Strategy 1: Single Map (if category tree fits in object < 2000 properties)
  * @extends CategoryStrategy
@@ -704,14 +1275,15 @@ function SingleMapStrategy() {
     /**
      * @function
      * @private
-     * @description Lazy initialization helper to ensure category map is built only once
+     * @description Lazy initialization helper to ensure category map is read from
+     *   the custom cache, or built on cache misses, only once
      * @returns {Object} - The initialized category map
      */
     function ensureCategoryMapInitialized() {
-        if (!ModuleLevelCache.categoryMap) {
-            ModuleLevelCache.categoryMap = buildSingleCategoriesMap();
+        if (!categoriesMap) {
+            categoriesMap = CategoryMapCache.get('singleMap', buildSingleCategoriesMap);
         }
-        return ModuleLevelCache.categoryMap;
+        return categoriesMap;
     }
 
     this.getCategories = function (product) {
@@ -719,12 +1291,20 @@ function SingleMapStrategy() {
             return [];
         }
 
-        categoriesMap = ensureCategoryMapInitialized();
+        var categoryMap = ensureCategoryMapInitialized();
         return getProductCategoriesGeneric(product, function (categoryId) {
-            return categoriesMap[categoryId];
+            return categoryMap[categoryId];
         });
     };
 
+    this.getCategoryInfo = function (categoryId) {
+        return ensureCategoryMapInitialized()[categoryId] || null;
+    };
+
+    this.getCategoryIterator = function () {
+        return createCategoryIterator(ensureCategoryMapInitialized(), false);
+    };
+
     /**
      * Gets cache statistics for monitoring
      * @returns {Object} - Cache statistics for SingleMapStrategy
@@ -737,6 +1317,14 @@ function SingleMapStrategy() {
         };
     };
 
+    // Test-only method to access internal objects for SFCC compliance testing
+    if (typeof global !== 'undefined' && global.describe) {
+        this.getInternalObjectsForTesting = function () {
+            return {
+                categoriesMap: categoriesMap
+            };
+        };
+    }
 }
 
 /**
@@ -753,9 +1341,10 @@ function HybridBFSStrategy() {
      * @function
      * @private
      * @description Builds partial category map using BFS (breadth-first search)
-     * @returns {void}
+     * @returns {Object} - Map of the highest categories with full names and parent IDs
      */
     function buildBFSCategoryMap() {
+        var bfsMap = {};
         var catalog = getSiteCatalog();
         var root = catalog.getRoot();
         var queue = [];
@@ -786,7 +1375,7 @@ function HybridBFSStrategy() {
                 : categoryName;
 
             // Store in BFS map (SINGLE object only)
-            bfsCategoryMap[categoryId] = {
+            bfsMap[categoryId] = {
                 fullName: fullPath,
                 parentIDs: pathToNode.join(',')
             };
@@ -810,6 +1399,21 @@ function HybridBFSStrategy() {
             }
         }
 
+        return bfsMap;
+    }
+
+    /**
+     * @function
+     * @private
+     * @description Reads the BFS map from the custom cache, or builds it on cache
+     *   misses, once
+     * @returns {void}
+     */
+    function ensureBFSCategoryMapInitialized() {
+        if (!isBuilt) {
+            bfsCategoryMap = CategoryMapCache.get('bfsMap', buildBFSCategoryMap);
+            isBuilt = true;
+        }
     }
 
     /**
@@ -936,14 +1540,23 @@ function HybridBFSStrategy() {
             return [];
         }
 
-        if (!isBuilt) {
-            buildBFSCategoryMap();
-            isBuilt = true;
-        }
+        ensureBFSCategoryMapInitialized();
 
         return getProductCategoriesGeneric(product, hybridLookup);
     };
 
+    this.getCategoryInfo = function (categoryId) {
+        ensureBFSCategoryMapInitialized();
+
+        return hybridLookup(categoryId);
+    };
+
+    this.getCategoryIterator = function () {
+        ensureBFSCategoryMapInitialized();
+
+        return createCategoryIterator(bfsCategoryMap, true);
+    };
+
     // Test-only method to access internal objects for SFCC compliance testing
     if (typeof global !== 'undefined' && global.describe) {
         this.getInternalObjectsForTesting = function () {
@@ -962,12 +1575,9 @@ function HybridBFSStrategy() {
  */
 function initializeCategoryStrategy() {
     try {
-        var catalog = getSiteCatalog();
-        // Use module-level cache for category count
-        if (ModuleLevelCache.categoryCount === null) {
-            ModuleLevelCache.categoryCount = estimateCategoryCount(catalog);
-        }
-        var categoryCount = ModuleLevelCache.categoryCount;
+        var categoryCount = CategoryMapCache.get('categoryCount', function () {
+            return estimateCategoryCount(getSiteCatalog());
+        });
 
         if (categoryCount < CATEGORY_LIMIT) {
             Logger.info('Detected ' + categoryCount + ' categories. Using SingleMapStrategy');
@@ -1027,134 +1637,54 @@ function getProductCategories(product) {
  * @returns {Array} - Array of objects, separate object for each region (locale)
  */
 function getRegionalInfo(product, variantsJSON, cachedProductData) {
-    // Use cached site locales to avoid repeated API calls
-    // Cache as comma-separated string (SFCC session compliant)
-    var siteLocalesString = RequestCache.get('pixlee:siteLocales', function () {
-        var locales = getCurrentSite().getAllowedLocales();
-        var localeStrings = [];
-        for (var i = 0; i < locales.length; i += 1) {
-            localeStrings.push(locales[i].toString());
-        }
-        return RequestCache.arrayToString(localeStrings); // Use helper function
-    });
-    var siteLocales = RequestCache.stringToArray(siteLocalesString); // Convert back to array for use
+    // Use cached exported locales and their currencies to avoid repeated API calls
+    var exportedLocales = getExportedLocales();
+    var localeCurrencies = getLocaleCurrencies();
 
     var regional = [];
 
-    for (var j = 0; j < siteLocales.length; j += 1) {
-        var currentLocale = siteLocales[j];
+    for (var j = 0; j < exportedLocales.length; j += 1) {
+        var exportedLocale = exportedLocales[j];
+        var currentLocale = exportedLocale.locale;
+        var localeCurrency = exportedLocale.currency || localeCurrencies[currentLocale];
 
-        if ('default'.toLowerCase() === currentLocale.toLowerCase()) {
-            // Skip default locale processing
-        } else {
-            var cacheKey = 'pixlee:localeCurrency:' + encodeURIComponent(currentLocale);
-            var localeCurrency = RequestCache.get(cacheKey, (function (locale) {
-                return function () {
-                    return getCurrencyLookupHelper().getCurrencyForLocale(locale);
-                };
-            }(currentLocale)));
-
-            request.setLocale(currentLocale);
-            session.setCurrency(Currency.getCurrency(localeCurrency));
-
-            // Product URL
-            var regionalUrl = getProductPageUrl(product);
-
-            // Name
-            var regionalName = product.getName();
-
-            // Product Price
-            var regionalPrice = null;
-            var regionalCurrency = null;
-            if (cachedProductData && cachedProductData.priceModel) {
-                try {
-                    var price;
-                    if (!cachedProductData.defaultVariant) {
-                        price = cachedProductData.priceModel.getPrice();
-                    } else {
-                        price = cachedProductData.defaultVariant.getPriceModel().getPrice();
-                    }
+        request.setLocale(currentLocale);
+        session.setCurrency(Currency.getCurrency(localeCurrency));
 
-                    // Check if price is null (common for product sets, bundles, etc.)
-                    if (price && price.decimalValue !== null && price.decimalValue !== undefined) {
-                        regionalPrice = price.decimalValue.valueOf();
-                        regionalCurrency = price.getCurrencyCode();
-                    } else {
-                        Logger.debug('Product has no regional price (product set/bundle/etc.): ' + product.ID);
-                        regionalPrice = 0; // Default price for products without pricing
-                        regionalCurrency = localeCurrency || 'USD'; // Use locale currency or default
-                    }
-                } catch (err) {
-                    Logger.warn('Could not get the regional price for product id: ' + product.ID);
-                    Logger.warn(err.message);
-                    regionalPrice = 0; // Fallback to 0
-                    regionalCurrency = localeCurrency || 'USD'; // Fallback currency
-                }
-            } else if (product.getPriceModel()) {
-                // Fallback to original logic if cached data not available
-                try {
-                    var productVariant = product.getVariationModel().getDefaultVariant();
-                    var fallbackPrice;
-                    if (!productVariant) {
-                        fallbackPrice = product.getPriceModel().getPrice();
-                    } else {
-                        fallbackPrice = productVariant.getPriceModel().getPrice();
-                    }
+        // Product URL
+        var regionalUrl = getProductPageUrl(product, currentLocale, exportedLocale.host);
 
-                    // Check if price is null (common for product sets, bundles, etc.)
-                    if (fallbackPrice && fallbackPrice.decimalValue !== null && fallbackPrice.decimalValue !== undefined) {
-                        regionalPrice = fallbackPrice.decimalValue.valueOf();
-                        regionalCurrency = fallbackPrice.getCurrencyCode();
-                    } else {
-                        Logger.debug('Product has no fallback regional price (product set/bundle/etc.): ' + product.ID);
-                        regionalPrice = 0; // Default price for products without pricing
-                        regionalCurrency = localeCurrency || 'USD'; // Use locale currency or default
-                    }
-                } catch (err) {
-                    Logger.warn('Could not get the regional price for product id: ' + product.ID);
-                    Logger.warn(err.message);
-                    regionalPrice = 0; // Fallback to 0
-                    regionalCurrency = localeCurrency || 'USD'; // Fallback currency
-                }
-            }
+        // Name
+        var regionalName = product.getName();
 
-            // Final fallback for products with no price model at all
-            if (regionalPrice === null || regionalPrice === undefined) {
-                Logger.debug('Product has no price model - using default values: ' + product.ID);
-                regionalPrice = 0;
-                regionalCurrency = localeCurrency || 'USD';
-            }
+        // Product Price, in the locale currency
+        var regionalPrices = getPriceDetails(product, cachedProductData, localeCurrency || 'USD');
 
-            // Product Stock - use cached value to avoid repeated API calls
-            var regionalStock = cachedProductData ? cachedProductData.stock : getProductStock(product);
-
-            var productRegion = {
-                buy_now_link_url: regionalUrl,
-                name: regionalName,
-                price: regionalPrice,
-                currency: regionalCurrency,
-                stock: regionalStock,
-                region_code: currentLocale,
-                variants_json: variantsJSON
-            };
+        // Product Stock - read once per inventory list
+        var regionalStock = getProductStock(currentLocale, cachedProductData);
 
-            regional.push(productRegion);
-        }
+        var productRegion = {
+            buy_now_link_url: regionalUrl,
+            name: regionalName,
+            currency: regionalPrices.currency,
+            stock: regionalStock,
+            region_code: exportedLocale.region,
+            variants_json: variantsJSON
+        };
+        productRegion = withPriceDetails(productRegion, regionalPrices);
+        productRegion = withLocalizedCopy(productRegion, product, cachedProductData);
+        productRegion = getAttributeMappingHelper().mapAttributes(product, getAttributeMappingHelper().TARGET.REGIONAL_INFO, productRegion);
+
+        regional.push(productRegion);
     }
 
     // It made sense to add these lines at the top of the function, but dsScript is weird
     // When I did that the values were not default values but the values of the last locale iterated
     // Add these lines at the end helped
-    // Cache only the string values, not the objects - SFCC session compliance
-    var defaultLocale = RequestCache.get('pixlee:defaultLocale', function () {
-        return getCurrentSite().getDefaultLocale().toString(); // Convert Locale object to string
-    });
-    var defaultCurrencyCode = RequestCache.get('pixlee:defaultCurrencyCode', function () {
-        return getCurrentSite().getDefaultCurrency(); // Already returns string
-    });
-    var defaultCurrency = Currency.getCurrency(defaultCurrencyCode);
+    var defaultLocale = getDefaultLocaleId();
+    var defaultCurrency = Currency.getCurrency(getDefaultCurrencyCode());
 
-    request.setLocale(defaultLocale); // defaultLocale is now a string
+    request.setLocale(defaultLocale);
     session.setCurrency(defaultCurrency);
 
     return regional;
@@ -1173,12 +1703,14 @@ function getRegionalInfo(product, variantsJSON, cachedProductData) {
  *
  * The payload structure adapts based on export options - regional-only exports
  * include minimal data while full exports include complete product details.
+ * Hooks registered for app.pixlee.export.modifyPayload are called last.
  * @param {dw.catalog.Product} product - SFCC Product object to export. Must be a valid
  *   product with accessible properties. Supports both master and variant products.
  * @param {Object} [options] - Export configuration parameters:
  * @param {boolean} [options.onlyRegionalDetails=false] - If true, exports only regional
  *   pricing data, excluding images, categories, and other extended product information
- * @param {string} [options.imageViewType='large'] - Image view type for product photos
+ * @param {string} [options.imageViewType='large'] - Image view types for product photos, comma
+ *   separated, the first one for product_photo and product_photos
  * @param {Object} [options.customFields] - Additional custom fields to include in export
  */
 function ProductExportPayload(product, options) {
@@ -1186,26 +1718,27 @@ function ProductExportPayload(product, options) {
 
     // Cache expensive product API calls to avoid duplication
     var cachedProductData = {
-        price: null,
+        prices: null,
         stock: null,
-        priceModel: null,
-        defaultVariant: null
+        stockByInventoryList: getStockByInventoryList(product),
+        defaultVariant: null,
+        exportPromotions: !!getCurrentSite().getCustomPreferenceValue('PixleeExportPromotions'),
+        stripDescriptionHtml: !!getCurrentSite().getCustomPreferenceValue('PixleeStripDescriptionHtml'),
+        components: getComponents(product)
     };
 
-    // Get price model and variant once for reuse
-    cachedProductData.priceModel = product.getPriceModel();
-    if (cachedProductData.priceModel) {
+    // Get default variant once for reuse
+    if (product.getPriceModel()) {
         cachedProductData.defaultVariant = product.getVariationModel().getDefaultVariant();
     }
 
-    // Calculate price once
-    cachedProductData.price = getProductPrice(product, cachedProductData);
+    // Calculate default currency prices once
+    cachedProductData.prices = getPriceDetails(product, cachedProductData, null);
 
-    // Calculate stock once
-    cachedProductData.stock = getProductStock(product);
+    // Stock of the default inventory list, read with the regional ones
+    cachedProductData.stock = getProductStock(null, cachedProductData);
 
-    var variants = getProductVariants(product);
-    var variantsJSON = safeJSONStringify(variants, 'product variants');
+    var variantsJSON = getProductVariants(product, exportOptions);
     var regionalInfo = getRegionalInfo(product, variantsJSON, cachedProductData);
 
     this.title = product.name || '';
@@ -1219,24 +1752,34 @@ function ProductExportPayload(product, options) {
     if (!exportOptions.onlyRegionalDetails) {
         var productExtraFields = {
             product_photos: getAllProductImages(product, exportOptions),
+            product_images: getLabelledProductImages(product, exportOptions),
             categories: getProductCategories(product),
             version_hash: VERSION_HASH,
             ecommerce_platform: ECOMM_PLATFORM,
             ecommerce_platform_version: ECOMM_PLATFORM_VERSION,
-            categories_last_updated_at: RequestCache.get('pixlee:jobStartTime', function () {
+            categories_last_updated_at: getCache().get('pixlee:jobStartTime', function () {
                 return Math.floor(Date.now() / 1000);
             })
         };
+        if (cachedProductData.components.length) {
+            productExtraFields.product_type = product.productSet ? 'set' : 'bundle';
+            productExtraFields.components = cachedProductData.components.map(function (component) {
+                return {
+                    sku: getPixleeHelper().getPixleeProductSKU(component.product),
+                    native_product_id: component.product.ID,
+                    quantity: component.quantity
+                };
+            });
+        }
+        productExtraFields = getAttributeMappingHelper().mapAttributes(product, getAttributeMappingHelper().TARGET.EXTRA_FIELDS, productExtraFields);
 
         this.product.name = product.name || '';
-        this.product.buy_now_link_url = getProductPageUrl(product);
+        this.product.buy_now_link_url = getProductPageUrl(product, getDefaultLocaleId(), getLocaleHelper().getHost(getDefaultLocaleId()));
         this.product.product_photo = getProductImageURL(product, exportOptions);
-        this.product.price = cachedProductData.price;
+        this.product = withPriceDetails(this.product, cachedProductData.prices);
         this.product.stock = cachedProductData.stock;
-        this.product.extra_fields = safeJSONStringify(productExtraFields, 'product extra fields');
-        this.product.currency = RequestCache.get('pixlee:defaultCurrencyCode', function () {
-            return getCurrentSite().getDefaultCurrency();
-        });
+        this.product.extra_fields = productExtraFields;
+        this.product.currency = getDefaultCurrencyCode();
         this.product.variants_json = variantsJSON;
     }
 
@@ -1244,84 +1787,187 @@ function ProductExportPayload(product, options) {
     this.live_update = false;
     this.num_photos = 0;
     this.num_inbox_photos = 0;
+
+    getHooksHelper().modifyExportPayload(product, this, exportOptions);
+
+    // Extra fields are serialized once hooks had a chance to modify them
+    if (this.product.extra_fields && typeof this.product.extra_fields === 'object') {
+        this.product.extra_fields = safeJSONStringify(this.product.extra_fields, 'product extra fields');
+    }
 }
 
+/**
+ * @function
+ * @description JSON.stringify replacer that outputs object properties in
+ * alphabetical order, so that equal objects are always serialized the same way
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*} - Value to serialize
+ */
+function sortedKeysReplacer(key, value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return value;
+    }
+
+    var sorted = {};
+    Object.keys(value).sort().forEach(function (propertyName) {
+        sorted[propertyName] = value[propertyName];
+    });
+    return sorted;
+}
+
+/**
+ * @function
+ * @description Hashes content for fingerprints
+ * @param {string} content - Content to hash
+ * @returns {string} - Hex-encoded SHA-256 hash of the content
+ */
+function getHash(content) {
+    var Bytes = require('dw/util/Bytes');
+    var Encoding = require('dw/crypto/Encoding');
+    var MessageDigest = require('dw/crypto/MessageDigest');
+
+    var digest = new MessageDigest(MessageDigest.DIGEST_SHA_256).digestBytes(new Bytes(content, 'UTF-8'));
+
+    return Encoding.toHex(digest);
+}
+
+/**
+ * @function
+ * @description Computes a stable hash of the payload, which only changes when
+ * the data sent to Pixlee changes. Volatile extra fields, like the category
+ * update time, are left out. The extra fields and variants are hashed as the
+ * JSON strings they are sent as, which are built in a deterministic order.
+ * @returns {string} - Hex-encoded SHA-256 hash of the payload
+ */
+ProductExportPayload.prototype.getFingerprint = function () {
+    var content = JSON.stringify(this, sortedKeysReplacer);
+    VOLATILE_EXTRA_FIELDS.forEach(function (field) {
+        content = content.replace(new RegExp('\\\\"' + field + '\\\\":[^,}]*,?'), '');
+    });
+
+    return getHash(content);
+};
+
+/**
+ * @function
+ * @description Static method to compute a stable hash of the prices of a
+ *   product in the currencies of the exported locales, as exported without
+ *   promotions. DELTA exports compare it with the one saved by the last export
+ *   of the product, as price changes do not modify the product.
+ * @param {dw.catalog.Product} product - Product to hash the prices of
+ * @returns {string} - Hex-encoded SHA-256 hash of the prices
+ */
+ProductExportPayload.getPriceFingerprint = function (product) {
+    var localeCurrencies = getLocaleCurrencies();
+    var cachedProductData = {
+        defaultVariant: product.getPriceModel() ? product.getVariationModel().getDefaultVariant() : null,
+        exportPromotions: false,
+        components: getComponents(product)
+    };
+
+    var currencyCodes = [];
+    getExportedLocales().forEach(function (exportedLocale) {
+        var currencyCode = exportedLocale.currency || localeCurrencies[exportedLocale.locale];
+        if (currencyCode && currencyCodes.indexOf(currencyCode) === -1) {
+            currencyCodes.push(currencyCode);
+        }
+    });
+
+    var prices = currencyCodes.map(function (currencyCode) {
+        session.setCurrency(Currency.getCurrency(currencyCode));
+        return getPriceDetails(product, cachedProductData, currencyCode);
+    });
+    session.setCurrency(Currency.getCurrency(getDefaultCurrencyCode()));
+
+    return getHash(JSON.stringify(prices, sortedKeysReplacer));
+};
+
 /**
  * @function
  * @description Static method to pre-initialize category processing strategy and maps
  * This should be called once before processing multiple products to ensure
- * optimal performance by avoiding repeated category map builds
+ * optimal performance by avoiding repeated category map builds. The category
+ * maps of previous runs are invalidated, so that they are rebuilt once per run.
  * @returns {void}
  */
 ProductExportPayload.preInitializeCategoryProcessing = function () {
     Logger.info('Pre-initializing category processing for optimal performance...');
 
     try {
+        // Rebuild the category maps of previous runs, categories may have changed since
+        CategoryMapCache.invalidateAll();
+        categoryStrategyInstance = null;
+
         // Initialize the category strategy
         var strategy = getCategoryStrategy();
         Logger.info('Category strategy initialized: ' + strategy.constructor.name);
 
-        Logger.info('Category processing pre-initialization completed (using module-level caching)');
+        Logger.info('Category processing pre-initialization completed (using the ' + CategoryMapCache.CACHE_ID + ' custom cache)');
 
         // Pre-compute and cache job-level constants that don't change per product
-        RequestCache.get('pixlee:jobStartTime', function () {
+        var cache = getCache();
+        cache.get('pixlee:jobStartTime', function () {
             return Math.floor(Date.now() / 1000);
         });
-
-        RequestCache.get('pixlee:defaultCurrencyCode', function () {
-            return getCurrentSite().getDefaultCurrency(); // Already returns string
-        });
-
-        RequestCache.get('pixlee:productHost', function () {
+        cache.get('pixlee:productHost', function () {
             return getCurrentSite().getCustomPreferenceValue('ProductHost');
         });
-
-        // Pre-cache site locales to avoid repeated API calls in regional processing
-        // Store as comma-separated string (SFCC session compliant)
-        RequestCache.get('pixlee:siteLocales', function () {
-            var locales = getCurrentSite().getAllowedLocales();
-            var localeStrings = [];
-            for (var i = 0; i < locales.length; i += 1) {
-                localeStrings.push(locales[i].toString());
-            }
-            return RequestCache.arrayToString(localeStrings); // Use helper function
-        });
+        getDefaultCurrencyCode();
+        getLocaleCurrencies();
+        getExportedLocales();
 
         Logger.info('Job-level constants cached successfully');
 
         // Log cache status for monitoring
-        var cacheKeys = [
-            'pixlee:jobStartTime', 'pixlee:defaultCurrencyCode', 'pixlee:productHost', 'pixlee:siteLocales'
-        ];
-        var cachedItems = 0;
-        var privacyCache = session.getPrivacy();
-        for (var i = 0; i < cacheKeys.length; i += 1) {
-            if (privacyCache[cacheKeys[i]]) {
-                cachedItems += 1;
-            }
-        }
-        Logger.info('Category processing cache status: ' + cachedItems + '/' + cacheKeys.length + ' items cached');
+        var cacheStats = cache.getStats();
+        Logger.info('Category processing cache status: ' + cacheStats.entries + ' ' + cacheStats.scope +
+            ' cache entries, ' + cacheStats.size + '/' + cacheStats.maxSize + ' used');
     } catch (e) {
         Logger.error('Failed to pre-initialize category processing: ' + e.message);
         throw new Error('Category processing pre-initialization failed: ' + e.message);
     }
 };
 
+/**
+ * @function
+ * @description Static method to look up the path of a category with the
+ *   category processing strategy, as used for the categories of products
+ * @param {string} categoryId - Category ID
+ * @returns {Object} - Category path with fullName, the names from the top level
+ *   category down joined with ' > ', and parentIDs, the comma separated IDs of
+ *   its parent categories from the top level category down. Null if the
+ *   category is not found.
+ */
+ProductExportPayload.getCategoryInfo = function (categoryId) {
+    return getCategoryStrategy().getCategoryInfo(categoryId);
+};
+
+/**
+ * @function
+ * @description Static method to iterate over the categories of the site
+ *   catalog in breadth-first order, from the category map of the category
+ *   processing strategy, see createCategoryIterator
+ * @returns {Object} - Iterator with hasNext and next, next returning a
+ *   dw.catalog.Category, or null for mapped categories removed since
+ */
+ProductExportPayload.getCategoryIterator = function () {
+    return getCategoryStrategy().getCategoryIterator();
+};
+
 /**
  * @function
  * @description Static method to get category processing cache statistics
  * Useful for monitoring and debugging category processing performance
- * @returns {Object} - Cache statistics including strategy type and cache utilization
+ * @returns {Object} - Cache statistics including strategy type, cache utilization
+ *   and the hit rate of the category map custom cache
  */
 ProductExportPayload.getCacheStatistics = function () {
     try {
         var strategy = getCategoryStrategy();
         var stats = {
             strategyType: strategy.constructor.name,
-            moduleCache: {
-                categoryMapExists: !!ModuleLevelCache.categoryMap,
-                categoryCount: ModuleLevelCache.categoryCount
-            }
+            categoryMapCache: CategoryMapCache.getStats()
         };
 
         // Add strategy-specific cache stats if available
@@ -1354,22 +2000,15 @@ ProductExportPayload.getCacheStatistics = function () {
  */
 ProductExportPayload.clearCategoryCaches = function () {
     try {
-        // Clear module-level cache
-        if (ModuleLevelCache && typeof ModuleLevelCache.clear === 'function') {
-            ModuleLevelCache.clear();
-        } else {
-            // Fallback: manually clear known properties
-            ModuleLevelCache.categoryMap = null;
-            ModuleLevelCache.categoryCount = 0;
-        }
+        // Invalidate the category maps of the current catalog in the custom cache
+        CategoryMapCache.invalidateAll();
+        CategoryMapCache.resetStats();
 
         // Reset strategy instance to force re-initialization
         categoryStrategyInstance = null;
 
-        // Clear request-level cache
-        if (typeof RequestCache !== 'undefined' && typeof RequestCache.clearAll === 'function') {
-            RequestCache.clearAll();
-        }
+        // Clear job or request-level cache
+        getCache().clear();
 
         Logger.info('Category caches cleared successfully');
     } catch (e) {
@@ -1380,8 +2019,8 @@ ProductExportPayload.clearCategoryCaches = function () {
 // Test utilities - only available in test environment
 if (typeof global !== 'undefined' && global.describe) {
     ProductExportPayload.testUtils = {
-        getModuleLevelCache: function () {
-            return ModuleLevelCache;
+        getCategoryMapCache: function () {
+            return CategoryMapCache;
         },
         getCategoryStrategyInstance: function () {
             return categoryStrategyInstance;
@@ -1391,16 +2030,8 @@ if (typeof global !== 'undefined' && global.describe) {
                 return null;
             }
 
-            // For SingleMapStrategy, return the module-level cache
-            if (categoryStrategyInstance.constructor.name === 'SingleMapStrategy') {
-                return {
-                    categoriesMap: ModuleLevelCache.categoryMap
-                };
-            }
-
-            // For HybridBFSStrategy, use the test-only method if available
-            if (categoryStrategyInstance.constructor.name === 'HybridBFSStrategy' &&
-                typeof categoryStrategyInstance.getInternalObjectsForTesting === 'function') {
+            // Use the test-only method of the strategy if available
+            if (typeof categoryStrategyInstance.getInternalObjectsForTesting === 'function') {
                 return categoryStrategyInstance.getInternalObjectsForTesting();
             }
 
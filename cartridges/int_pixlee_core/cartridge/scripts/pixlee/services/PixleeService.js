@@ -33,6 +33,34 @@ function getApiKey() {
     return Site.getCurrent().getCustomPreferenceValue('PixleePrivateApiKey');
 }
 
+/**
+ * Calls needed by steps that are not shipped yet, as the Pixlee endpoints they
+ * use are not part of the published Pixlee API and their paths, payloads and
+ * signing are not confirmed. These calls are stubs that throw until Pixlee
+ * documents the endpoints, and the steps using them refuse to start, see
+ * isPublished.
+ */
+var UNPUBLISHED_CALLS = {
+    uploadFeed: 'bulk feed upload',
+    getImportStatus: 'feed import status',
+    archiveProduct: 'album archive',
+    postCategory: 'category album'
+};
+
+/**
+ * Returns the stub of a call to an endpoint that is not part of the published
+ * Pixlee API.
+ *
+ * @param {string} callName - Name of the call, a key of UNPUBLISHED_CALLS
+ * @return {Function} - Stub throwing an error when called
+ */
+function getUnpublishedCallStub(callName) {
+    return function () {
+        throw new Error('PixleeService.' + callName + ' is not available, the Pixlee ' +
+            UNPUBLISHED_CALLS[callName] + ' endpoint is not part of the published API');
+    };
+}
+
 /**
  * Local Services Framework service definition
  */
@@ -118,6 +146,41 @@ function callService(requestObject) {
 
 exports.call = callService;
 
+/**
+ * Returns the time given by the Retry-After header of the last response, if
+ * any. As per RFC 9110, the header holds either a number of seconds or an
+ * HTTP date.
+ *
+ * @return {Date} - Time the last call may be retried at, or null if the
+ *   response has no valid Retry-After header
+ */
+exports.getRetryAfter = function () {
+    var httpClient = pixleeService.getClient();
+    var retryAfter = httpClient ? httpClient.getResponseHeader('Retry-After') : null;
+
+    if (!retryAfter) {
+        return null;
+    }
+
+    var value = String(retryAfter).trim();
+    var retryTime = /^\d+$/.test(value)
+        ? Date.now() + (parseInt(value, 10) * 1000)
+        : Date.parse(value);
+
+    return Number.isNaN(retryTime) ? null : new Date(retryTime);
+};
+
+/**
+ * Checks whether a call of this service uses an endpoint of the published
+ * Pixlee API, for the steps needing one that is not to refuse to start.
+ *
+ * @param {string} callName - Name of the call, like uploadFeed
+ * @return {boolean} - False if the call is a stub of an unpublished endpoint
+ */
+exports.isPublished = function (callName) {
+    return !Object.prototype.hasOwnProperty.call(UNPUBLISHED_CALLS, callName);
+};
+
 /**
  * Makes a call to Pixlee web service to export a product.
  *
@@ -138,6 +201,47 @@ exports.postProduct = function (productObject) {
     return result;
 };
 
+/**
+ * Exports a category, as a category album. Stubbed, as the endpoint is not
+ * part of the published Pixlee API.
+ *
+ * @param {Object} categoryObject - Category payload object
+ * @return {dw.svc.Result} - Result returned by the call.
+ */
+exports.postCategory = getUnpublishedCallStub('postCategory');
+
+/**
+ * Archives the album of a product that is no longer sold, so that its photos
+ * and buy-now links stop being displayed. Stubbed, as the endpoint is not part
+ * of the published Pixlee API.
+ *
+ * @param {string} sku - Product SKU sent by the product export
+ * @return {dw.svc.Result} - Result returned by the call.
+ */
+exports.archiveProduct = getUnpublishedCallStub('archiveProduct');
+
+/**
+ * Uploads a gzipped JSON Lines feed of product payloads for bulk import.
+ * Stubbed, as the endpoint is not part of the published Pixlee API.
+ *
+ * @param {dw.io.File} feedFile - Feed file to upload
+ * @return {dw.svc.Result} - Result returned by the call. On success its object
+ *   is expected to be a JSON object with the import_id to check the import
+ *   status with.
+ */
+exports.uploadFeed = getUnpublishedCallStub('uploadFeed');
+
+/**
+ * Retrieves the status of a feed import. Stubbed, as the endpoint is not part
+ * of the published Pixlee API.
+ *
+ * @param {string} importId - Import ID returned by uploadFeed
+ * @return {Object} - Import status, as JS object, or null in case of failure.
+ *   Its status is expected to be one of pending, processing, completed or
+ *   failed, with the total_rows, failed_rows and the errors of failed rows.
+ */
+exports.getImportStatus = getUnpublishedCallStub('getImportStatus');
+
 /**
  * Makes a call to Pixlee web service to retrieve the countries map.
  *
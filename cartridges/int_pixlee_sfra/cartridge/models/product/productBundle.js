@@ -0,0 +1,23 @@
+'use strict';
+
+var base = module.superModule;
+
+var decorators = require('*/cartridge/models/product/decorators/index');
+
+/**
+ * Decorate product bundle with Pixlee product ID.
+ * @param {Object} product - Product Model to be decorated
+ * @param {dw.catalog.Product} apiProduct - Product information returned by the script API
+ * @param {Object} options - Options passed in from the factory
+ * @param {Object} factory - Reference to product factory
+ * @property {string} pixleeProductId - Product ID to be used by Pixlee components
+ *
+ * @returns {Object} - Decorated product model
+ */
+module.exports = function productBundle(product, apiProduct, options, factory) {
+    base(product, apiProduct, options, factory);
+
+    decorators.pixleeProductId(product, apiProduct);
+
+    return product;
+};
@@ -0,0 +1,50 @@
+'use strict';
+
+/**
+ * Runs the chunk script methods of a job step the way the job framework does.
+ * Chunk methods the step does not implement are skipped.
+ * @param {Object} step - Chunk oriented job step module
+ * @param {Object} jobParameters - Job parameters
+ * @param {Object} [options] - Run options
+ * @param {number} [options.chunkSize] - Number of items per chunk, all items
+ *   are written in a single chunk when not set
+ * @param {Object} [options.stepExecution] - Step execution passed to beforeStep and afterStep
+ */
+module.exports = function runChunkJob(step, jobParameters, options) {
+    var opts = options || {};
+    var items = [];
+
+    var flush = function () {
+        if (step.beforeChunk) {
+            step.beforeChunk(jobParameters);
+        }
+        step.write(items, jobParameters);
+        if (step.afterChunk) {
+            step.afterChunk(true, jobParameters);
+        }
+        items = [];
+    };
+
+    step.beforeStep(jobParameters, opts.stepExecution);
+    var totalCount = step.getTotalCount ? step.getTotalCount(jobParameters) : null;
+
+    var item = totalCount !== 0 ? step.read(jobParameters) : null;
+    while (item !== null && item !== undefined) {
+        if (item) {
+            var processed = step.process(item, jobParameters);
+            if (processed) {
+                items.push(processed);
+            }
+        }
+        if (opts.chunkSize && items.length >= opts.chunkSize) {
+            flush();
+        }
+        item = step.read(jobParameters);
+    }
+
+    if (items.length || !opts.chunkSize) {
+        flush();
+    }
+
+    step.afterStep(true, jobParameters, opts.stepExecution);
+};
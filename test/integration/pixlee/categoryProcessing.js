@@ -42,6 +42,7 @@ describe('Category Processing - Integration Tests', function () {
         // Load modules under test with mocks
         ProductExportPayload = proxyquire('../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/models/productExportPayload', {
             'dw/system/Logger': mockLogger,
+            'dw/system/CacheMgr': require('../../mocks/dw/system/CacheMgr'),
             'dw/system/Site': require('../../mocks/dw/system/Site'),
             'dw/catalog/CatalogMgr': mockCatalogMgr,
             'dw/catalog/ProductMgr': mockProductMgr,
@@ -62,6 +63,7 @@ describe('Category Processing - Integration Tests', function () {
             'dw/util/Currency': {
                 getCurrency: function () { return { currencyCode: 'USD' }; }
             },
+            '~/cartridge/scripts/pixlee/helpers/cacheHelper': proxyquire('../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/cacheHelper', { 'dw/system/Logger': mockLogger }),
             '*/cartridge/scripts/pixlee/helpers/pixleeHelper': {
                 getPixleeProductSKU: function (product) { return product.ID; }
             },
@@ -86,6 +88,7 @@ describe('Category Processing - Integration Tests', function () {
 
                 return MockStatus;
             })(),
+            '~/cartridge/scripts/pixlee/helpers/cacheHelper': proxyquire('../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/cacheHelper', { 'dw/system/Logger': mockLogger }),
             '~/cartridge/scripts/pixlee/services/PixleeService': mockPixleeService,
             '~/cartridge/scripts/pixlee/models/productExportPayload': ProductExportPayload,
             'dw/system/Site': require('../../mocks/dw/system/Site'),
@@ -362,6 +365,7 @@ describe('Category Processing - Integration Tests', function () {
             // Create fresh ProductExportPayload instance to clear module-level cache
             var FreshProductExportPayload = proxyquire('../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/models/productExportPayload', {
                 'dw/system/Logger': mockLogger,
+                'dw/system/CacheMgr': require('../../mocks/dw/system/CacheMgr'),
                 'dw/system/Site': require('../../mocks/dw/system/Site'),
                 'dw/catalog/CatalogMgr': mockCatalogMgr,
                 'dw/catalog/ProductMgr': mockProductMgr,
@@ -382,6 +386,7 @@ describe('Category Processing - Integration Tests', function () {
                 'dw/util/Currency': {
                     getCurrency: function () { return { currencyCode: 'USD' }; }
                 },
+                '~/cartridge/scripts/pixlee/helpers/cacheHelper': proxyquire('../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/cacheHelper', { 'dw/system/Logger': mockLogger }),
                 '*/cartridge/scripts/pixlee/helpers/pixleeHelper': {
                     getPixleeProductSKU: function (product) { return product.ID; }
                 },
@@ -404,6 +409,7 @@ describe('Category Processing - Integration Tests', function () {
                     MockStatus.ERROR = 'ERROR';
                     return MockStatus;
                 })(),
+                '~/cartridge/scripts/pixlee/helpers/cacheHelper': proxyquire('../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/cacheHelper', { 'dw/system/Logger': mockLogger }),
                 '~/cartridge/scripts/pixlee/services/PixleeService': mockPixleeService,
                 '~/cartridge/scripts/pixlee/models/productExportPayload': FreshProductExportPayload,
                 'dw/system/Site': require('../../mocks/dw/system/Site'),
@@ -64,6 +64,7 @@ var CatalogMgr = {
     getSiteCatalog: function () {
         if (mockCatalogData) {
             return {
+                ID: 'storefront-catalog',
                 getRoot: function () {
                     return mockCatalogData.root;
                 }
@@ -76,6 +77,7 @@ var CatalogMgr = {
         var root = createMockCategory('root', 'Root', [cat1, cat2], null);
 
         return {
+            ID: 'storefront-catalog',
             getRoot: function () { return root; }
         };
     },
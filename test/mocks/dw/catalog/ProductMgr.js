@@ -41,7 +41,19 @@ function createMockProduct(id, options) {
         },
 
         getVariationModel: function () {
+            var variationAttributes = (opts.variationAttributes || []).map(function (attributeId) {
+                return { ID: attributeId };
+            });
             return {
+                getProductVariationAttributes: function () {
+                    return {
+                        toArray: function () { return variationAttributes; }
+                    };
+                },
+                getVariationValue: function (variant, attribute) {
+                    var value = variant.variationValues && variant.variationValues[attribute.ID];
+                    return value ? { ID: value, value: value } : null;
+                },
                 getDefaultVariant: function () {
                     return opts.hasVariant ? {
                         getPriceModel: function () {
@@ -97,10 +109,30 @@ function createMockProduct(id, options) {
             if (opts.master && variantCount > 0) {
                 for (var i = 0; i < variantCount; i++) {
                     (function(variantIndex) {
+                        var variantOpts = (opts.variants && opts.variants[variantIndex]) || {};
                         variants.push({
+                            ID: id + '_variant_' + variantIndex,
+                            online: variantOpts.online !== false,
+                            variationValues: variantOpts.variationValues || {},
                             getID: function () { return id + '_variant_' + variantIndex; },
+                            getPriceModel: function () {
+                                return {
+                                    getPrice: function () {
+                                        return {
+                                            decimalValue: { valueOf: function () { return variantOpts.price || 49.99; } },
+                                            getCurrencyCode: function () { return 'USD'; }
+                                        };
+                                    }
+                                };
+                            },
+                            getImage: function () {
+                                return variantOpts.noImage ? null : {
+                                    absURL: { toString: function () { return 'https://example.com/variant' + variantIndex + '.jpg'; } }
+                                };
+                            },
                             getAvailabilityModel: function () {
                                 return {
+                                    isOrderable: function () { return variantOpts.orderable !== false; },
                                     getInventoryRecord: function () {
                                         return {
                                             ATS: { value: 5 }
@@ -0,0 +1,13 @@
+/**
+ * Mock for dw.crypto.Encoding
+ */
+
+module.exports = {
+    toHex: function (bytes) {
+        return bytes.buffer.toString('hex');
+    },
+
+    toBase64: function (bytes) {
+        return bytes.buffer.toString('base64');
+    }
+};
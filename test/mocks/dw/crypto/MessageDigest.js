@@ -0,0 +1,36 @@
+/**
+ * Mock for dw.crypto.MessageDigest
+ * Backed by Node.js crypto
+ */
+
+var crypto = require('crypto');
+var Bytes = require('../util/Bytes');
+
+var ALGORITHMS = {
+    'SHA-256': 'sha256',
+    'SHA-512': 'sha512',
+    MD5: 'md5'
+};
+
+function MessageDigest(algorithm) {
+    this.algorithm = ALGORITHMS[algorithm];
+    this.hash = crypto.createHash(this.algorithm);
+}
+
+MessageDigest.DIGEST_SHA_256 = 'SHA-256';
+MessageDigest.DIGEST_SHA_512 = 'SHA-512';
+MessageDigest.DIGEST_MD5 = 'MD5';
+
+MessageDigest.prototype.digestBytes = function (bytes) {
+    return new Bytes(crypto.createHash(this.algorithm).update(bytes.buffer).digest());
+};
+
+MessageDigest.prototype.updateBytes = function (bytes) {
+    this.hash.update(bytes.buffer);
+};
+
+MessageDigest.prototype.digest = function () {
+    return new Bytes(this.hash.digest());
+};
+
+module.exports = MessageDigest;
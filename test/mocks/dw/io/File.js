@@ -0,0 +1,58 @@
+/**
+ * Mock for dw.io.File
+ * Keeps file contents and created directories in memory, keyed by full path
+ */
+
+var files = {};
+var directories = {};
+
+function File(rootOrPath, name) {
+    var parentPath = typeof rootOrPath === 'string' ? rootOrPath : rootOrPath.fullPath;
+    this.fullPath = name ? parentPath + '/' + name : parentPath;
+    this.name = this.fullPath.substring(this.fullPath.lastIndexOf('/') + 1);
+}
+
+File.IMPEX = '/IMPEX';
+
+File.prototype.exists = function () {
+    return files.hasOwnProperty(this.fullPath) || directories.hasOwnProperty(this.fullPath);
+};
+
+File.prototype.mkdirs = function () {
+    directories[this.fullPath] = true;
+    return true;
+};
+
+File.prototype.getFullPath = function () {
+    return this.fullPath;
+};
+
+File.prototype.gzip = function (root, outputFileName) {
+    // Content is copied as is, compression is not simulated
+    files[root.fullPath + '/' + outputFileName] = files[this.fullPath];
+};
+
+File.prototype.remove = function () {
+    var existed = this.exists();
+    delete files[this.fullPath];
+    delete directories[this.fullPath];
+    return existed;
+};
+
+File.testUtils = {
+    reset: function () {
+        files = {};
+        directories = {};
+    },
+    getContent: function (fullPath) {
+        return files.hasOwnProperty(fullPath) ? files[fullPath] : null;
+    },
+    setContent: function (fullPath, content) {
+        files[fullPath] = content;
+    },
+    isDirectory: function (fullPath) {
+        return directories.hasOwnProperty(fullPath);
+    }
+};
+
+module.exports = File;
@@ -0,0 +1,34 @@
+/**
+ * Mock for dw.io.FileWriter
+ * Writes to the in-memory files of the dw.io.File mock
+ */
+
+var File = require('./File');
+
+function FileWriter(file) {
+    this.file = file;
+    this.lineSeparator = '\n';
+    this.closed = false;
+    File.testUtils.setContent(file.fullPath, '');
+}
+
+FileWriter.prototype.write = function (str) {
+    if (this.closed) {
+        throw new Error('FileWriter is closed');
+    }
+    File.testUtils.setContent(this.file.fullPath, File.testUtils.getContent(this.file.fullPath) + str);
+};
+
+FileWriter.prototype.writeLine = function (str) {
+    this.write(str + this.lineSeparator);
+};
+
+FileWriter.prototype.setLineSeparator = function (separator) {
+    this.lineSeparator = separator;
+};
+
+FileWriter.prototype.close = function () {
+    this.closed = true;
+};
+
+module.exports = FileWriter;
@@ -0,0 +1,74 @@
+/**
+ * Mock for dw.object.CustomObjectMgr
+ * Keeps custom objects in memory, keyed by type and key value
+ */
+
+var store = {};
+
+function getTypeStore(type) {
+    if (!store[type]) {
+        store[type] = {};
+    }
+    return store[type];
+}
+
+module.exports = {
+    getCustomObject: function (type, keyValue) {
+        return getTypeStore(type)[keyValue] || null;
+    },
+
+    createCustomObject: function (type, keyValue) {
+        var typeStore = getTypeStore(type);
+        if (typeStore[keyValue]) {
+            throw new Error('Custom object ' + type + ' with key ' + keyValue + ' already exists');
+        }
+        typeStore[keyValue] = {
+            type: type,
+            custom: { ID: keyValue }
+        };
+        return typeStore[keyValue];
+    },
+
+    getAllCustomObjects: function (type) {
+        var typeStore = getTypeStore(type);
+        var objects = Object.keys(typeStore).map(function (key) {
+            return typeStore[key];
+        });
+        var index = 0;
+
+        return {
+            count: objects.length,
+            getCount: function () {
+                return objects.length;
+            },
+            hasNext: function () {
+                return index < objects.length;
+            },
+            next: function () {
+                return objects[index++];
+            },
+            close: function () {}
+        };
+    },
+
+    remove: function (customObject) {
+        var typeStore = getTypeStore(customObject.type);
+        Object.keys(typeStore).forEach(function (key) {
+            if (typeStore[key] === customObject) {
+                delete typeStore[key];
+            }
+        });
+    },
+
+    testUtils: {
+        reset: function () {
+            store = {};
+        },
+        getAll: function (type) {
+            var typeStore = getTypeStore(type);
+            return Object.keys(typeStore).map(function (key) {
+                return typeStore[key];
+            });
+        }
+    }
+};
@@ -0,0 +1,31 @@
+/**
+ * Mock for dw.svc.Result
+ */
+
+function Result(props) {
+    var values = props || {};
+    var self = this;
+
+    this.ok = values.ok !== false;
+    this.status = this.ok ? Result.OK : Result.ERROR;
+    this.error = 0;
+    this.errorMessage = null;
+    this.msg = this.ok ? 'OK' : null;
+    this.object = null;
+    this.unavailableReason = null;
+
+    Object.keys(values).forEach(function (key) {
+        self[key] = values[key];
+    });
+}
+
+Result.OK = 'OK';
+Result.ERROR = 'ERROR';
+Result.SERVICE_UNAVAILABLE = 'SERVICE_UNAVAILABLE';
+Result.UNAVAILABLE_TIMEOUT = 'TIMEOUT';
+Result.UNAVAILABLE_RATE_LIMITED = 'RATE_LIMITED';
+Result.UNAVAILABLE_CIRCUIT_BROKEN = 'CIRCUIT_BROKEN';
+Result.UNAVAILABLE_DISABLED = 'DISABLED';
+Result.UNAVAILABLE_CONFIG_PROBLEM = 'CONFIG_PROBLEM';
+
+module.exports = Result;
@@ -0,0 +1,59 @@
+/**
+ * Mock for dw.system.CacheMgr
+ * Custom caches hold JSON copies of their values, like the values of custom
+ * caches are copied on the platform
+ */
+
+var caches = {};
+
+/**
+ * Creates a custom cache mock
+ * @returns {Object} - Cache mock
+ */
+function createCache() {
+    var entries = {};
+
+    return {
+        get: function (key, loader) {
+            if (Object.prototype.hasOwnProperty.call(entries, key)) {
+                return JSON.parse(entries[key]);
+            }
+            if (typeof loader !== 'function') {
+                return undefined;
+            }
+
+            var value = loader();
+            if (value !== undefined && value !== null) {
+                entries[key] = JSON.stringify(value);
+            }
+            return value;
+        },
+
+        put: function (key, value) {
+            entries[key] = JSON.stringify(value);
+        },
+
+        invalidate: function (key) {
+            delete entries[key];
+        },
+
+        getKeys: function () {
+            return Object.keys(entries);
+        }
+    };
+}
+
+module.exports = {
+    getCache: function (cacheId) {
+        if (!caches[cacheId]) {
+            caches[cacheId] = createCache();
+        }
+        return caches[cacheId];
+    },
+
+    testUtils: {
+        reset: function () {
+            caches = {};
+        }
+    }
+};
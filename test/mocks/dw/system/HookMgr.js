@@ -0,0 +1,30 @@
+/**
+ * Mock for dw.system.HookMgr
+ * Hooks are registered by tests as objects holding the hook functions
+ */
+
+var hooks = {};
+
+module.exports = {
+    hasHook: function (extensionPoint) {
+        return !!hooks[extensionPoint];
+    },
+
+    callHook: function (extensionPoint, functionName) {
+        var hook = hooks[extensionPoint];
+        if (!hook || typeof hook[functionName] !== 'function') {
+            return undefined;
+        }
+        return hook[functionName].apply(hook, Array.prototype.slice.call(arguments, 2));
+    },
+
+    testUtils: {
+        registerHook: function (extensionPoint, hook) {
+            hooks[extensionPoint] = hook;
+        },
+
+        reset: function () {
+            hooks = {};
+        }
+    }
+};
@@ -0,0 +1,15 @@
+/**
+ * Mock for dw.system.Transaction
+ */
+
+module.exports = {
+    wrap: function (callback) {
+        return callback();
+    },
+
+    begin: function () {},
+
+    commit: function () {},
+
+    rollback: function () {}
+};
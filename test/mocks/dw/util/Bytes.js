@@ -0,0 +1,15 @@
+/**
+ * Mock for dw.util.Bytes
+ * Wraps a Node.js Buffer
+ */
+
+function Bytes(value, encoding) {
+    this.buffer = Buffer.isBuffer(value) ? value : Buffer.from(value, encoding === 'UTF-8' || !encoding ? 'utf8' : encoding);
+    this.length = this.buffer.length;
+}
+
+Bytes.prototype.toString = function () {
+    return this.buffer.toString('utf8');
+};
+
+module.exports = Bytes;
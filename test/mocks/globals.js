@@ -24,6 +24,17 @@ global.request = {
     }
 };
 
+// Mock SFCC empty() global
+global.empty = function (value) {
+    if (value === null || value === undefined || value === '') {
+        return true;
+    }
+    if (Array.isArray(value)) {
+        return value.length === 0;
+    }
+    return false;
+};
+
 // Mock System object for garbage collection
 global.System = {
     gc: function () {
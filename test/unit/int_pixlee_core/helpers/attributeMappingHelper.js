@@ -0,0 +1,212 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+var Collection = require('../../../mocks/dw/util/Collection');
+
+describe('attributeMappingHelper', function () {
+    var attributeMappingHelper;
+    var mockLogger;
+    var preferences;
+    var product;
+
+    /**
+     * Sets the attribute mapping site preference
+     * @param {Array} entries - Mapping entries
+     */
+    function setMapping(entries) {
+        preferences.PixleeAttributeMapping = JSON.stringify(entries);
+    }
+
+    beforeEach(function () {
+        preferences = {};
+        mockLogger = require('../../../mocks/dw/system/Logger');
+        mockLogger.testUtils.clearLogs();
+
+        product = {
+            ID: 'product-1',
+            brand: 'Acme',
+            manufacturerName: null,
+            longDescription: { markup: '<p>Soft &amp; <b>warm</b></p>' },
+            custom: {
+                material: { value: 'wool', displayValue: 'Wool' },
+                seasons: new Collection([{ value: 'fw', displayValue: 'Fall/Winter' }, { value: 'ss', displayValue: 'Spring/Summer' }]),
+                weight: '350',
+                isNew: true,
+                releaseDate: new Date('2026-03-01T00:00:00.000Z'),
+                careLabel: ''
+            }
+        };
+
+        attributeMappingHelper = proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/attributeMappingHelper', {
+            'dw/system/Logger': mockLogger,
+            'dw/system/Site': {
+                getCurrent: function () {
+                    return {
+                        getCustomPreferenceValue: function (key) {
+                            return preferences[key];
+                        }
+                    };
+                }
+            },
+            'dw/object/SystemObjectMgr': {
+                describe: function () {
+                    return {
+                        getCustomAttributeDefinition: function (name) {
+                            return name in product.custom ? { ID: name } : null;
+                        },
+                        getSystemAttributeDefinition: function (name) {
+                            return ['brand', 'manufacturerName', 'longDescription'].indexOf(name) >= 0 ? { ID: name } : null;
+                        }
+                    };
+                }
+            }
+        });
+    });
+
+    it('should map nothing when no mapping is configured', function () {
+        var payload = attributeMappingHelper.mapAttributes(product, attributeMappingHelper.TARGET.EXTRA_FIELDS, { existing: 1 });
+
+        assert.equal(attributeMappingHelper.validateMapping(), 0);
+        assert.deepEqual(payload, { existing: 1 });
+    });
+
+    it('should convert attribute values by their type', function () {
+        setMapping([
+            { attribute: 'brand', key: 'brand_name' },
+            { attribute: 'longDescription', key: 'description_text' },
+            { attribute: 'custom.material', key: 'material' },
+            { attribute: 'c_seasons', key: 'seasons' },
+            { attribute: 'custom.isNew', key: 'is_new' },
+            { attribute: 'custom.releaseDate', key: 'release_date' }
+        ]);
+
+        var extraFields = attributeMappingHelper.mapAttributes(product, attributeMappingHelper.TARGET.EXTRA_FIELDS, {});
+
+        assert.deepEqual(extraFields, {
+            brand_name: 'Acme',
+            description_text: 'Soft & warm',
+            material: 'Wool',
+            seasons: ['Fall/Winter', 'Spring/Summer'],
+            is_new: true,
+            release_date: '2026-03-01T00:00:00.000Z'
+        });
+    });
+
+    it('should apply the configured type', function () {
+        setMapping([
+            { attribute: 'custom.weight', key: 'weight', type: 'number' },
+            { attribute: 'custom.material', key: 'material', type: 'string' },
+            { attribute: 'custom.isNew', key: 'is_new', type: 'string' },
+            { attribute: 'brand', key: 'brands', type: 'set' }
+        ]);
+
+        var extraFields = attributeMappingHelper.mapAttributes(product, attributeMappingHelper.TARGET.EXTRA_FIELDS, {});
+
+        assert.strictEqual(extraFields.weight, 350);
+        assert.strictEqual(extraFields.material, 'Wool');
+        assert.strictEqual(extraFields.is_new, 'true');
+        assert.deepEqual(extraFields.brands, ['Acme']);
+    });
+
+    it('should parse the string forms of booleans', function () {
+        product.custom.isOnSale = 'false';
+        product.custom.isOutlet = ' 0 ';
+        product.custom.isVegan = 'Yes';
+        product.custom.isOrganic = { value: 'n', displayValue: 'No' };
+        product.custom.packSize = 0;
+        product.custom.fitNote = 'runs small';
+        setMapping([
+            { attribute: 'custom.isNew', key: 'is_new', type: 'boolean' },
+            { attribute: 'custom.isOnSale', key: 'is_on_sale', type: 'boolean' },
+            { attribute: 'custom.isOutlet', key: 'is_outlet', type: 'boolean' },
+            { attribute: 'custom.isVegan', key: 'is_vegan', type: 'boolean' },
+            { attribute: 'custom.isOrganic', key: 'is_organic', type: 'boolean' },
+            { attribute: 'custom.packSize', key: 'is_pack', type: 'boolean' },
+            { attribute: 'custom.fitNote', key: 'has_fit_note', type: 'boolean' }
+        ]);
+
+        var extraFields = attributeMappingHelper.mapAttributes(product, attributeMappingHelper.TARGET.EXTRA_FIELDS, {});
+
+        assert.deepEqual(extraFields, {
+            is_new: true,
+            is_on_sale: false,
+            is_outlet: false,
+            is_vegan: true,
+            is_organic: false,
+            is_pack: false
+        });
+        assert.lengthOf(mockLogger.testUtils.getLogMessages('warn'), 1, 'Should warn about strings that are not booleans');
+        assert.include(mockLogger.testUtils.getLogMessages('warn')[0], '"runs small" is not a boolean');
+    });
+
+    it('should add attributes to their target only and leave out empty values', function () {
+        setMapping([
+            { attribute: 'custom.material', key: 'material', target: 'regional_info' },
+            { attribute: 'manufacturerName', key: 'manufacturer' },
+            { attribute: 'custom.careLabel', key: 'care_label' },
+            { attribute: 'brand', key: 'brand_name' }
+        ]);
+
+        var extraFields = attributeMappingHelper.mapAttributes(product, attributeMappingHelper.TARGET.EXTRA_FIELDS, {});
+        var regionalInfo = attributeMappingHelper.mapAttributes(product, attributeMappingHelper.TARGET.REGIONAL_INFO, {});
+
+        assert.deepEqual(extraFields, { brand_name: 'Acme' });
+        assert.deepEqual(regionalInfo, { material: 'Wool' });
+    });
+
+    it('should let mapped attributes override the localized copy of regional info', function () {
+        setMapping([
+            { attribute: 'custom.material', key: 'brand', target: 'regional_info' },
+            { attribute: 'custom.careLabel', key: 'description', target: 'regional_info' }
+        ]);
+
+        assert.strictEqual(attributeMappingHelper.validateMapping(), 2);
+
+        var exported = {
+            brand: 'Acme',
+            description: 'Exported description'
+        };
+        var regionalInfo = attributeMappingHelper.mapAttributes(product, attributeMappingHelper.TARGET.REGIONAL_INFO, exported);
+
+        assert.deepEqual(regionalInfo, { brand: 'Wool', description: 'Exported description' }, 'Should keep exported values of attributes without value');
+        assert.deepEqual(exported, { brand: 'Acme', description: 'Exported description' }, 'Should not change the exported payload');
+    });
+
+    it('should reject invalid mappings', function () {
+        var invalidMappings = [
+            { source: '[{"attribute": ', error: /not valid JSON/ },
+            { source: '{"attribute": "brand"}', error: /must be a JSON array/ },
+            { source: '[{"key": "brand"}]', error: /entry 0: attribute is missing/ },
+            { source: '[{"attribute": "brand"}]', error: /entry 0: key is missing/ },
+            { source: '[{"attribute": "brand", "key": "brand", "target": "product"}]', error: /unknown target product/ },
+            { source: '[{"attribute": "brand", "key": "brand", "type": "date"}]', error: /unknown type date/ },
+            { source: '[{"attribute": "brand", "key": "price", "target": "regional_info"}]', error: /key price is set by the export/ },
+            { source: '[{"attribute": "brand", "key": "b"}, {"attribute": "custom.color", "key": "color"}]', error: /entry 1: product attribute custom.color is not defined/ }
+        ];
+
+        invalidMappings.forEach(function (invalidMapping) {
+            preferences.PixleeAttributeMapping = invalidMapping.source;
+            assert.throws(function () {
+                attributeMappingHelper.validateMapping();
+            }, invalidMapping.error);
+        });
+    });
+
+    it('should skip attributes that cannot be read', function () {
+        setMapping([
+            { attribute: 'brand', key: 'brand_name' },
+            { attribute: 'custom.material', key: 'material' }
+        ]);
+        Object.defineProperty(product, 'brand', {
+            get: function () {
+                throw new Error('Attribute not readable');
+            }
+        });
+
+        var extraFields = attributeMappingHelper.mapAttributes(product, attributeMappingHelper.TARGET.EXTRA_FIELDS, {});
+
+        assert.deepEqual(extraFields, { material: 'Wool' });
+        assert.lengthOf(mockLogger.testUtils.getLogMessages('warn'), 1);
+    });
+});
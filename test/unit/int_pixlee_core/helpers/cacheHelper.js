@@ -0,0 +1,96 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('cacheHelper', function () {
+    var cacheHelper;
+    var mockLogger;
+
+    beforeEach(function () {
+        mockLogger = require('../../../mocks/dw/system/Logger');
+        mockLogger.testUtils.clearLogs();
+
+        cacheHelper = proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/cacheHelper', {
+            'dw/system/Logger': mockLogger
+        });
+    });
+
+    it('should create values once and cache structured values', function () {
+        var cache = cacheHelper.startJobCache();
+        var calls = 0;
+        var factory = function () {
+            calls += 1;
+            return { en_US: 'USD', fr_FR: 'EUR' };
+        };
+
+        assert.deepEqual(cache.get('pixlee:localeCurrencies', factory), { en_US: 'USD', fr_FR: 'EUR' });
+        assert.deepEqual(cache.get('pixlee:localeCurrencies', factory), { en_US: 'USD', fr_FR: 'EUR' });
+        assert.equal(calls, 1);
+        assert.include(cache.getStats(), { scope: 'job', entries: 1, hits: 1, misses: 1 });
+        assert.equal(cache.getStats().size, JSON.stringify({ en_US: 'USD', fr_FR: 'EUR' }).length);
+    });
+
+    it('should account for the size of replaced and removed values', function () {
+        var cache = cacheHelper.startJobCache();
+
+        cache.set('pixlee:siteLocales', ['en_US', 'fr_FR']);
+        cache.set('pixlee:siteLocales', ['en_US']);
+        assert.equal(cache.getStats().size, JSON.stringify(['en_US']).length);
+
+        cache.remove('pixlee:siteLocales');
+        assert.include(cache.getStats(), { entries: 0, size: 0 });
+    });
+
+    it('should return values without caching them once the cache is full', function () {
+        var cache = cacheHelper.startJobCache();
+        var largeValue = new Array(600 * 1024).join('x');
+        var calls = 0;
+
+        var value = cache.get('pixlee:large', function () {
+            calls += 1;
+            return largeValue;
+        });
+        cache.get('pixlee:large', function () {
+            calls += 1;
+            return largeValue;
+        });
+
+        assert.equal(value, largeValue);
+        assert.equal(calls, 2, 'Should create values again when they could not be cached');
+        assert.include(cache.getStats(), { entries: 0, size: 0, rejected: 2 });
+        assert.isTrue(mockLogger.testUtils.getLogMessages('warn').some(function (log) {
+            return log.includes('Pixlee job cache full, not caching pixlee:large');
+        }));
+    });
+
+    it('should use the job cache between its setup and teardown and a request cache otherwise', function () {
+        var requestCache = cacheHelper.getCache();
+        requestCache.set('pixlee:defaultLocale', 'en_US');
+        assert.equal(requestCache.getStats().scope, 'request');
+
+        var jobCache = cacheHelper.startJobCache();
+        jobCache.set('pixlee:jobStartTime', 1700000000);
+        assert.strictEqual(cacheHelper.getCache(), jobCache);
+
+        var stats = cacheHelper.endJobCache();
+        assert.include(stats, { scope: 'job', entries: 1 });
+        assert.isNull(cacheHelper.endJobCache(), 'Should have nothing to tear down twice');
+        assert.strictEqual(cacheHelper.getCache(), requestCache, 'Should keep the request cache of the current request');
+        assert.isTrue(mockLogger.testUtils.getLogMessages('info').some(function (log) {
+            return log.includes('Pixlee job cache statistics');
+        }));
+    });
+
+    it('should start a new request cache for each request', function () {
+        var requestCache = cacheHelper.getCache();
+        var previousRequest = global.request;
+
+        global.request = { locale: 'en_US' };
+        try {
+            assert.notStrictEqual(cacheHelper.getCache(), requestCache);
+        } finally {
+            global.request = previousRequest;
+        }
+    });
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('exportFileHelper', function () {
+    var exportFileHelper;
+    var mockFile;
+
+    beforeEach(function () {
+        mockFile = require('../../../mocks/dw/io/File');
+        mockFile.testUtils.reset();
+
+        exportFileHelper = proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/exportFileHelper', {
+            'dw/system/Site': { getCurrent: function () { return { ID: 'test-site' }; } },
+            'dw/io/File': mockFile,
+            'dw/io/FileWriter': require('../../../mocks/dw/io/FileWriter')
+        });
+    });
+
+    it('should create the export directory of the current site', function () {
+        var directory = exportFileHelper.getExportDirectory();
+
+        assert.equal(directory.fullPath, '/IMPEX/src/pixlee/test-site');
+        assert.isTrue(mockFile.testUtils.isDirectory('/IMPEX/src/pixlee/test-site'));
+    });
+
+    it('should write objects as JSON Lines', function () {
+        var writer = exportFileHelper.createJsonLinesWriter('job-1.jsonl');
+        writer.write({ sku: 'product-1' });
+        writer.write({ sku: 'product-2' });
+        writer.close();
+
+        assert.equal(writer.getCount(), 2);
+        assert.equal(writer.file.fullPath, '/IMPEX/src/pixlee/test-site/job-1.jsonl');
+        assert.equal(mockFile.testUtils.getContent(writer.file.fullPath),
+            '{"sku":"product-1"}\n{"sku":"product-2"}\n');
+    });
+
+    it('should write an object as a JSON file', function () {
+        var file = exportFileHelper.writeJsonFile('job-1.summary.json', { exported: 2 });
+
+        assert.deepEqual(JSON.parse(mockFile.testUtils.getContent(file.fullPath)), { exported: 2 });
+    });
+
+    it('should compress a file and remove the original', function () {
+        var writer = exportFileHelper.createJsonLinesWriter('job-1.jsonl');
+        writer.write({ sku: 'product-1' });
+        writer.close();
+
+        var compressed = exportFileHelper.compressFile(writer.file);
+
+        assert.equal(compressed.fullPath, '/IMPEX/src/pixlee/test-site/job-1.jsonl.gz');
+        assert.isTrue(compressed.exists());
+        assert.isFalse(writer.file.exists(), 'Should remove the uncompressed file');
+    });
+});
@@ -0,0 +1,158 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('exportRegistryHelper', function () {
+    var exportRegistryHelper;
+    var mockCustomObjectMgr;
+
+    beforeEach(function () {
+        mockCustomObjectMgr = require('../../../mocks/dw/object/CustomObjectMgr');
+        mockCustomObjectMgr.testUtils.reset();
+
+        exportRegistryHelper = proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/exportRegistryHelper', {
+            'dw/system/Logger': require('../../../mocks/dw/system/Logger'),
+            'dw/system/Transaction': require('../../../mocks/dw/system/Transaction'),
+            'dw/object/CustomObjectMgr': mockCustomObjectMgr
+        });
+    });
+
+    it('should return null for products not exported yet', function () {
+        assert.isNull(exportRegistryHelper.getFingerprint('product-1'));
+    });
+
+    it('should save and return fingerprints per product', function () {
+        var saved = exportRegistryHelper.recordExports([
+            { productId: 'product-1', sku: 'sku-1', fingerprint: 'abc' },
+            { productId: 'product-2', sku: 'sku-2', fingerprint: 'def' }
+        ], 'job-1');
+
+        assert.isTrue(saved);
+        assert.equal(exportRegistryHelper.getFingerprint('product-1'), 'abc');
+        assert.equal(exportRegistryHelper.getFingerprint('product-2'), 'def');
+        assert.equal(mockCustomObjectMgr.getCustomObject('PixleeProductExport', 'product-1').custom.sku, 'sku-1');
+        assert.equal(mockCustomObjectMgr.getCustomObject('PixleeProductExport', 'product-1').custom.jobId, 'job-1');
+    });
+
+    it('should save and return price fingerprints per product', function () {
+        exportRegistryHelper.recordExports([
+            { productId: 'product-1', sku: 'sku-1', fingerprint: 'abc', priceFingerprint: 'prices-1' },
+            { productId: 'product-2', sku: 'sku-2', fingerprint: null }
+        ], 'job-1');
+
+        assert.equal(exportRegistryHelper.getPriceFingerprint('product-1'), 'prices-1');
+        assert.isNull(exportRegistryHelper.getPriceFingerprint('product-2'));
+        assert.isNull(exportRegistryHelper.getPriceFingerprint('product-3'));
+    });
+
+    it('should update the export of a product exported before', function () {
+        exportRegistryHelper.recordExports([{ productId: 'product-1', fingerprint: 'abc' }], 'job-1');
+        exportRegistryHelper.recordExports([{ productId: 'product-1', fingerprint: 'xyz' }], 'job-2');
+
+        assert.lengthOf(mockCustomObjectMgr.testUtils.getAll('PixleeProductExport'), 1);
+        assert.equal(exportRegistryHelper.getFingerprint('product-1'), 'xyz');
+    });
+
+    it('should not write the export of a product again when nothing changed', function () {
+        var productExport = { productId: 'product-1', sku: 'sku-1', fingerprint: 'abc', priceFingerprint: 'prices-1', setMember: false };
+        exportRegistryHelper.recordExports([productExport], 'job-1');
+
+        exportRegistryHelper.recordExports([productExport], 'job-2');
+        assert.equal(mockCustomObjectMgr.getCustomObject('PixleeProductExport', 'product-1').custom.jobId, 'job-1',
+            'Should keep the unchanged export');
+
+        exportRegistryHelper.recordExports([Object.assign({}, productExport, { priceFingerprint: 'prices-2' })], 'job-3');
+        exportRegistryHelper.recordExports([Object.assign({}, productExport, { priceFingerprint: 'prices-2', setMember: true })], 'job-4');
+        var exportRecord = mockCustomObjectMgr.getCustomObject('PixleeProductExport', 'product-1');
+        assert.equal(exportRecord.custom.jobId, 'job-4', 'Should save changed exports');
+        assert.equal(exportRecord.custom.priceFingerprint, 'prices-2');
+        assert.isTrue(exportRecord.custom.setMember);
+    });
+
+    it('should return false when the exports cannot be saved', function () {
+        var createCustomObject = mockCustomObjectMgr.createCustomObject;
+        mockCustomObjectMgr.createCustomObject = function () {
+            throw new Error('Quota exceeded');
+        };
+
+        try {
+            assert.isFalse(exportRegistryHelper.recordExports([{ productId: 'product-1', fingerprint: 'abc' }], 'job-1'));
+        } finally {
+            mockCustomObjectMgr.createCustomObject = createCustomObject;
+        }
+    });
+
+    it('should flag the exports of set and bundle members', function () {
+        exportRegistryHelper.recordExports([
+            { productId: 'product-1', sku: 'sku-1', fingerprint: 'abc' },
+            { productId: 'member-1', sku: 'sku-member-1', fingerprint: 'def', setMember: true }
+        ], 'job-1');
+
+        assert.isFalse(mockCustomObjectMgr.getCustomObject('PixleeProductExport', 'product-1').custom.setMember);
+        assert.isTrue(mockCustomObjectMgr.getCustomObject('PixleeProductExport', 'member-1').custom.setMember);
+    });
+
+    it('should check whether a product is a member of an exported set or bundle', function () {
+        /**
+         * @param {Array} ids - Product IDs
+         * @returns {Object} - Collection mock of the products
+         */
+        function products(ids) {
+            return {
+                toArray: function () {
+                    return ids.map(function (id) { return { ID: id }; });
+                }
+            };
+        }
+        exportRegistryHelper.recordExports([{ productId: 'bundle-1', sku: 'sku-bundle-1', fingerprint: 'abc' }], 'job-1');
+
+        assert.isTrue(exportRegistryHelper.isMemberOfExportedSet({
+            getProductSets: function () { return products(['set-1']); },
+            getBundles: function () { return products(['bundle-1']); }
+        }));
+        assert.isFalse(exportRegistryHelper.isMemberOfExportedSet({
+            getProductSets: function () { return products(['set-1']); },
+            getBundles: function () { return products([]); }
+        }));
+    });
+
+    it('should look up the export of each set or bundle once', function () {
+        var member = {
+            getProductSets: function () {
+                return { toArray: function () { return [{ ID: 'set-1' }]; } };
+            },
+            getBundles: function () {
+                return { toArray: function () { return []; } };
+            }
+        };
+        exportRegistryHelper.clearExportedSets();
+
+        assert.isFalse(exportRegistryHelper.isMemberOfExportedSet(member));
+        mockCustomObjectMgr.createCustomObject('PixleeProductExport', 'set-1');
+        assert.isFalse(exportRegistryHelper.isMemberOfExportedSet(member), 'Should use the cached lookup');
+
+        exportRegistryHelper.clearExportedSets();
+        assert.isTrue(exportRegistryHelper.isMemberOfExportedSet(member));
+
+        exportRegistryHelper.removeExport('set-1');
+        assert.isFalse(exportRegistryHelper.isMemberOfExportedSet(member), 'Should look up removed sets again');
+
+        exportRegistryHelper.recordExports([{ productId: 'set-1', sku: 'sku-set-1', fingerprint: 'abc' }], 'job-1');
+        assert.isTrue(exportRegistryHelper.isMemberOfExportedSet(member), 'Should look up recorded sets again');
+    });
+
+    it('should list and remove exported products', function () {
+        exportRegistryHelper.recordExports([
+            { productId: 'product-1', sku: 'sku-1', fingerprint: 'abc' },
+            { productId: 'product-2', sku: 'sku-2', fingerprint: 'def' }
+        ], 'job-1');
+
+        assert.isTrue(exportRegistryHelper.removeExport('product-1'));
+        assert.isTrue(exportRegistryHelper.removeExport('product-3'), 'Should ignore products not exported');
+
+        var exportsIterator = exportRegistryHelper.getExports();
+        assert.equal(exportsIterator.getCount(), 1);
+        assert.equal(exportsIterator.next().custom.ID, 'product-2');
+    });
+});
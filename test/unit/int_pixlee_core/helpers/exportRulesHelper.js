@@ -0,0 +1,160 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+var Collection = require('../../../mocks/dw/util/Collection');
+
+describe('exportRulesHelper', function () {
+    var exportRulesHelper;
+    var preferences;
+    var categories;
+
+    /**
+     * Sets the export rules site preference
+     * @param {Object} rules - Export rules
+     */
+    function setRules(rules) {
+        preferences.PixleeExportRules = JSON.stringify(rules);
+    }
+
+    /**
+     * Creates a product mock
+     * @param {Object} [properties] - Product properties, assigned to a standard product
+     * @returns {Object} - Product mock
+     */
+    function product(properties) {
+        var categoryIds = (properties && properties.categoryIds) || ['mens-shirts'];
+        return Object.assign({
+            ID: 'product-1',
+            brand: 'Acme',
+            master: false,
+            variant: false,
+            productSet: false,
+            bundle: false,
+            optionProduct: false,
+            onlineFrom: null,
+            custom: {},
+            getCategories: function () {
+                return new Collection(categoryIds.map(function (categoryId) {
+                    return categories[categoryId];
+                }));
+            }
+        }, properties);
+    }
+
+    beforeEach(function () {
+        preferences = {};
+        categories = {};
+        categories.root = { ID: 'root', parent: null };
+        categories.mens = { ID: 'mens', parent: categories.root };
+        categories['mens-shirts'] = { ID: 'mens-shirts', parent: categories.mens };
+        categories['gift-cards'] = { ID: 'gift-cards', parent: categories.root };
+
+        exportRulesHelper = proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/exportRulesHelper', {
+            'dw/system/Site': {
+                getCurrent: function () {
+                    return {
+                        getCustomPreferenceValue: function (key) {
+                            return preferences[key];
+                        }
+                    };
+                }
+            },
+            'dw/catalog/CatalogMgr': {
+                getCategory: function (categoryId) {
+                    return categories[categoryId] || null;
+                }
+            }
+        });
+    });
+
+    it('should export all products when no rules are configured', function () {
+        assert.equal(exportRulesHelper.validateRules(), 0);
+        assert.isNull(exportRulesHelper.getSkipReason(product()));
+    });
+
+    it('should match categories with their subtree', function () {
+        setRules({ include: { categories: ['mens'] }, exclude: { categories: ['gift-cards'] } });
+
+        assert.isNull(exportRulesHelper.getSkipReason(product()));
+        assert.isNull(exportRulesHelper.getSkipReason(product({ categoryIds: ['mens'] })));
+        assert.equal(exportRulesHelper.getSkipReason(product({ categoryIds: ['root'] })), 'CATEGORY_RULE');
+        assert.equal(exportRulesHelper.getSkipReason(product({ categoryIds: ['mens-shirts', 'gift-cards'] })), 'CATEGORY_RULE',
+            'Should exclude products in an excluded category, even if also in an included one');
+    });
+
+    it('should check categories moved since the last run again', function () {
+        setRules({ include: { categories: ['mens'] } });
+        exportRulesHelper.validateRules();
+        assert.isNull(exportRulesHelper.getSkipReason(product()));
+
+        categories['mens-shirts'].parent = categories.root;
+        assert.isNull(exportRulesHelper.getSkipReason(product()), 'Should reuse the category checks within a run');
+
+        exportRulesHelper.validateRules();
+        assert.equal(exportRulesHelper.getSkipReason(product()), 'CATEGORY_RULE');
+    });
+
+    it('should match brands regardless of case', function () {
+        setRules({ exclude: { brands: ['samples inc'] } });
+
+        assert.equal(exportRulesHelper.getSkipReason(product({ brand: 'Samples Inc' })), 'BRAND_RULE');
+        assert.isNull(exportRulesHelper.getSkipReason(product({ brand: null })));
+    });
+
+    it('should match product types', function () {
+        setRules({ exclude: { types: ['set', 'bundle', 'option'] } });
+
+        assert.equal(exportRulesHelper.getSkipReason(product({ productSet: true })), 'TYPE_RULE');
+        assert.equal(exportRulesHelper.getSkipReason(product({ bundle: true })), 'TYPE_RULE');
+        assert.equal(exportRulesHelper.getSkipReason(product({ optionProduct: true })), 'TYPE_RULE');
+        assert.isNull(exportRulesHelper.getSkipReason(product({ master: true })));
+
+        setRules({ include: { types: ['standard'] } });
+
+        assert.isNull(exportRulesHelper.getSkipReason(product()));
+        assert.equal(exportRulesHelper.getSkipReason(product({ master: true })), 'TYPE_RULE');
+    });
+
+    it('should match boolean custom attributes', function () {
+        setRules({ exclude: { attributes: ['c_pixleeExclude', 'isSample'] } });
+
+        assert.equal(exportRulesHelper.getSkipReason(product({ custom: { pixleeExclude: true } })), 'ATTRIBUTE_RULE');
+        assert.equal(exportRulesHelper.getSkipReason(product({ custom: { isSample: true } })), 'ATTRIBUTE_RULE');
+        assert.isNull(exportRulesHelper.getSkipReason(product({ custom: { pixleeExclude: false } })));
+    });
+
+    it('should match products online from a date', function () {
+        setRules({ include: { onlineFromAfter: '2026-01-01T00:00:00Z' } });
+
+        assert.isNull(exportRulesHelper.getSkipReason(product({ onlineFrom: new Date('2026-02-01T00:00:00Z') })));
+        assert.equal(exportRulesHelper.getSkipReason(product({ onlineFrom: new Date('2025-12-01T00:00:00Z') })), 'ONLINE_FROM_RULE');
+        assert.equal(exportRulesHelper.getSkipReason(product()), 'ONLINE_FROM_RULE', 'Should not include products without online from date');
+    });
+
+    it('should count the configured criteria', function () {
+        setRules({ include: { categories: ['mens'], types: ['standard', 'master'] }, exclude: { brands: ['Samples Inc'] } });
+
+        assert.equal(exportRulesHelper.validateRules(), 3);
+    });
+
+    it('should reject invalid rules', function () {
+        var invalidRules = [
+            { source: '{"exclude": ', error: /not valid JSON/ },
+            { source: '[]', error: /must be a JSON object/ },
+            { source: '{"skip": {}}', error: /unknown key skip/ },
+            { source: '{"exclude": {"brand": ["Acme"]}}', error: /exclude: unknown criterion brand/ },
+            { source: '{"include": {"brands": "Acme"}}', error: /brands must be an array of strings/ },
+            { source: '{"exclude": {"types": ["gift card"]}}', error: /unknown product type gift card/ },
+            { source: '{"include": {"categories": ["womens"]}}', error: /category womens does not exist/ },
+            { source: '{"include": {"onlineFromAfter": "last year"}}', error: /onlineFromAfter must be an ISO 8601 date/ }
+        ];
+
+        invalidRules.forEach(function (invalidRule) {
+            preferences.PixleeExportRules = invalidRule.source;
+            assert.throws(function () {
+                exportRulesHelper.validateRules();
+            }, invalidRule.error);
+        });
+    });
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('exportStateHelper', function () {
+    var exportStateHelper;
+    var mockCustomObjectMgr;
+
+    beforeEach(function () {
+        mockCustomObjectMgr = require('../../../mocks/dw/object/CustomObjectMgr');
+        mockCustomObjectMgr.testUtils.reset();
+
+        exportStateHelper = proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/exportStateHelper', {
+            'dw/system/Logger': require('../../../mocks/dw/system/Logger'),
+            'dw/system/Site': require('../../../mocks/dw/system/Site'),
+            'dw/system/Transaction': require('../../../mocks/dw/system/Transaction'),
+            'dw/object/CustomObjectMgr': mockCustomObjectMgr
+        });
+    });
+
+    it('should return null when no export has been saved', function () {
+        assert.isNull(exportStateHelper.getLastExportTime());
+    });
+
+    it('should save and return the last export time per site', function () {
+        var exportTime = new Date('2024-01-01T00:00:00Z');
+
+        exportStateHelper.setLastExportTime(exportTime);
+
+        var state = mockCustomObjectMgr.getCustomObject('PixleeExportState', 'test-site');
+        assert.isNotNull(state, 'Should create state custom object keyed by site ID');
+        assert.equal(exportStateHelper.getLastExportTime().getTime(), exportTime.getTime());
+    });
+
+    it('should update an existing export state', function () {
+        exportStateHelper.setLastExportTime(new Date('2024-01-01T00:00:00Z'));
+        exportStateHelper.setLastExportTime(new Date('2024-02-01T00:00:00Z'));
+
+        assert.lengthOf(mockCustomObjectMgr.testUtils.getAll('PixleeExportState'), 1, 'Should reuse state object');
+        assert.equal(exportStateHelper.getLastExportTime().toISOString(), '2024-02-01T00:00:00.000Z');
+    });
+
+    it('should save, return and clear the export checkpoint', function () {
+        exportStateHelper.setLastExportTime(new Date('2024-01-01T00:00:00Z'));
+        assert.isNull(exportStateHelper.getCheckpoint());
+
+        exportStateHelper.saveCheckpoint({ jobId: 'job-1', lastProductId: 'product-1', processedCount: 1 });
+        exportStateHelper.saveCheckpoint({ jobId: 'job-1', lastProductId: 'product-2', processedCount: 2 });
+
+        assert.deepEqual(exportStateHelper.getCheckpoint(), { jobId: 'job-1', lastProductId: 'product-2', processedCount: 2 });
+
+        exportStateHelper.clearCheckpoint();
+        assert.isNull(exportStateHelper.getCheckpoint());
+        assert.equal(exportStateHelper.getLastExportTime().toISOString(), '2024-01-01T00:00:00.000Z', 'Should keep the last export time');
+    });
+
+    it('should ignore a checkpoint that cannot be parsed', function () {
+        exportStateHelper.saveCheckpoint({ jobId: 'job-1' });
+        mockCustomObjectMgr.getCustomObject('PixleeExportState', 'test-site').custom.exportCheckpoint = '{"jobId":';
+
+        assert.isNull(exportStateHelper.getCheckpoint());
+    });
+});
@@ -0,0 +1,129 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('failedExportsHelper', function () {
+    var failedExportsHelper;
+    var mockCustomObjectMgr;
+
+    beforeEach(function () {
+        mockCustomObjectMgr = require('../../../mocks/dw/object/CustomObjectMgr');
+        mockCustomObjectMgr.testUtils.reset();
+
+        failedExportsHelper = proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/failedExportsHelper', {
+            'dw/system/Logger': require('../../../mocks/dw/system/Logger'),
+            'dw/system/Site': { getCurrent: function () { return { ID: 'test-site' }; } },
+            'dw/system/Transaction': require('../../../mocks/dw/system/Transaction'),
+            'dw/object/CustomObjectMgr': mockCustomObjectMgr
+        });
+    });
+
+    describe('recordFailure', function () {
+        it('should save the failure details keyed by product ID', function () {
+            var saved = failedExportsHelper.recordFailure('product-1', 'job-1', {
+                failureClass: 'PERMANENT',
+                httpStatus: 400,
+                message: 'HTTP 400: Invalid price',
+                result: { errorMessage: 'Invalid price' }
+            });
+
+            var failure = mockCustomObjectMgr.getCustomObject('PixleeFailedExport', 'product-1');
+            assert.isTrue(saved);
+            assert.equal(failure.custom.siteId, 'test-site');
+            assert.equal(failure.custom.jobId, 'job-1');
+            assert.equal(failure.custom.errorClass, 'PERMANENT');
+            assert.equal(failure.custom.httpStatus, 400);
+            assert.equal(failure.custom.errorMessage, 'HTTP 400: Invalid price');
+            assert.equal(failure.custom.responseExcerpt, 'Invalid price');
+            assert.equal(failure.custom.failureCount, 1);
+            assert.isNull(failure.custom.retryAfter);
+        });
+
+        it('should save the time Pixlee asked to retry a transient failure at', function () {
+            var retryAfter = new Date(Date.now() + 60000);
+            failedExportsHelper.recordFailure('product-1', 'job-1', { failureClass: 'TRANSIENT', httpStatus: 429, retryAfter: retryAfter });
+
+            var failure = mockCustomObjectMgr.getCustomObject('PixleeFailedExport', 'product-1');
+            assert.equal(failure.custom.retryAfter, retryAfter);
+            assert.isFalse(failedExportsHelper.isRetryDue(failure), 'Should not retry before that time');
+
+            failure.custom.retryAfter = new Date(Date.now() - 1000);
+            assert.isTrue(failedExportsHelper.isRetryDue(failure), 'Should retry once that time has passed');
+        });
+
+        it('should update an earlier failure of the same product', function () {
+            failedExportsHelper.recordFailure('product-1', 'job-1', { failureClass: 'TRANSIENT', httpStatus: 503 });
+            failedExportsHelper.recordFailure('product-1', 'job-2', { failureClass: 'PROCESSING', message: 'Missing price' });
+
+            var failures = mockCustomObjectMgr.testUtils.getAll('PixleeFailedExport');
+            assert.lengthOf(failures, 1);
+            assert.equal(failures[0].custom.jobId, 'job-2');
+            assert.equal(failures[0].custom.errorClass, 'PROCESSING');
+            assert.isNull(failures[0].custom.httpStatus, 'Should clear the previous HTTP status');
+            assert.isNull(failures[0].custom.responseExcerpt, 'Should clear the previous response');
+            assert.equal(failures[0].custom.failureCount, 2);
+        });
+
+        it('should truncate long response bodies', function () {
+            failedExportsHelper.recordFailure('product-1', 'job-1', {
+                failureClass: 'TRANSIENT',
+                result: { errorMessage: new Array(3001).join('x') }
+            });
+
+            var failure = mockCustomObjectMgr.getCustomObject('PixleeFailedExport', 'product-1');
+            assert.lengthOf(failure.custom.responseExcerpt, 1000);
+        });
+
+        it('should return false when the failure cannot be saved', function () {
+            var createCustomObject = mockCustomObjectMgr.createCustomObject;
+            mockCustomObjectMgr.createCustomObject = function () {
+                throw new Error('Quota exceeded');
+            };
+
+            try {
+                assert.isFalse(failedExportsHelper.recordFailure('product-1', 'job-1', { failureClass: 'PERMANENT' }));
+            } finally {
+                mockCustomObjectMgr.createCustomObject = createCustomObject;
+            }
+        });
+    });
+
+    describe('clearFailure', function () {
+        it('should remove the saved failure of a product', function () {
+            failedExportsHelper.recordFailure('product-1', 'job-1', { failureClass: 'PERMANENT' });
+
+            assert.isTrue(failedExportsHelper.clearFailure('product-1'));
+            assert.isNull(mockCustomObjectMgr.getCustomObject('PixleeFailedExport', 'product-1'));
+        });
+
+        it('should return false when there is no saved failure', function () {
+            assert.isFalse(failedExportsHelper.clearFailure('product-1'));
+        });
+    });
+
+    describe('getFailedProductIds', function () {
+        it('should return the IDs of the products with saved failures', function () {
+            failedExportsHelper.recordFailure('product-1', 'job-1', { failureClass: 'PERMANENT' });
+            failedExportsHelper.recordFailure('product-2', 'job-1', { failureClass: 'TRANSIENT' });
+
+            assert.deepEqual(failedExportsHelper.getFailedProductIds(), { 'product-1': true, 'product-2': true });
+        });
+    });
+
+    describe('getFailures', function () {
+        it('should iterate over all saved failures', function () {
+            failedExportsHelper.recordFailure('product-1', 'job-1', { failureClass: 'PERMANENT' });
+            failedExportsHelper.recordFailure('product-2', 'job-1', { failureClass: 'TRANSIENT' });
+
+            var iterator = failedExportsHelper.getFailures();
+            var ids = [];
+            while (iterator.hasNext()) {
+                ids.push(iterator.next().custom.ID);
+            }
+
+            assert.equal(iterator.getCount(), 2);
+            assert.deepEqual(ids, ['product-1', 'product-2']);
+        });
+    });
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('hooksHelper', function () {
+    var hooksHelper;
+    var mockLogger;
+    var mockHookMgr;
+
+    beforeEach(function () {
+        mockLogger = require('../../../mocks/dw/system/Logger');
+        mockLogger.testUtils.clearLogs();
+        mockHookMgr = require('../../../mocks/dw/system/HookMgr');
+        mockHookMgr.testUtils.reset();
+
+        hooksHelper = proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/hooksHelper', {
+            'dw/system/Logger': mockLogger,
+            'dw/system/HookMgr': mockHookMgr
+        });
+    });
+
+    it('should export products and leave payloads unchanged without registered hooks', function () {
+        var payload = { product: { sku: 'product-1' } };
+
+        hooksHelper.modifyExportPayload({ ID: 'product-1' }, payload, {});
+        hooksHelper.modifyEventPayload('add:to:cart', payload);
+
+        assert.isTrue(hooksHelper.shouldExport({ ID: 'product-1' }));
+        assert.deepEqual(payload, { product: { sku: 'product-1' } });
+    });
+
+    it('should only exclude products for which shouldExport hooks return false', function () {
+        mockHookMgr.testUtils.registerHook(hooksHelper.HOOK.EXPORT_SHOULD_EXPORT, {
+            shouldExport: function (product) {
+                return product.ID === 'excluded' ? false : undefined;
+            }
+        });
+
+        assert.isFalse(hooksHelper.shouldExport({ ID: 'excluded' }));
+        assert.isTrue(hooksHelper.shouldExport({ ID: 'included' }), 'Should export products when hooks return nothing');
+    });
+
+    it('should not export products for which the shouldExport hook fails', function () {
+        mockHookMgr.testUtils.registerHook(hooksHelper.HOOK.EXPORT_SHOULD_EXPORT, {
+            shouldExport: function () {
+                throw new Error('Hook failed');
+            }
+        });
+
+        assert.isFalse(hooksHelper.shouldExport({ ID: 'product-1' }));
+        assert.lengthOf(mockLogger.testUtils.getLogMessages('error'), 1);
+    });
+
+    it('should pass the event type and payload to event hooks and ignore their errors', function () {
+        var payload = { quantity: 1 };
+        mockHookMgr.testUtils.registerHook(hooksHelper.HOOK.EVENT_MODIFY_PAYLOAD, {
+            modifyPayload: function (type, eventPayload) {
+                Object.assign(eventPayload, { loyalty_tier: type === 'add:to:cart' ? 'gold' : null });
+                throw new Error('Hook failed');
+            }
+        });
+
+        assert.doesNotThrow(function () {
+            hooksHelper.modifyEventPayload('add:to:cart', payload);
+        });
+        assert.equal(payload.loyalty_tier, 'gold');
+        assert.lengthOf(mockLogger.testUtils.getLogMessages('error'), 1);
+    });
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('imageHelper', function () {
+    var imageHelper;
+    var preferences;
+    var mockLogger;
+    var image;
+
+    beforeEach(function () {
+        preferences = {};
+        mockLogger = require('../../../mocks/dw/system/Logger');
+        mockLogger.testUtils.clearLogs();
+
+        imageHelper = proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/imageHelper', {
+            'dw/system/Logger': mockLogger,
+            'dw/system/Site': {
+                getCurrent: function () {
+                    return {
+                        getCustomPreferenceValue: function (key) {
+                            return preferences[key];
+                        }
+                    };
+                }
+            }
+        });
+
+        image = {
+            alt: 'Front view',
+            title: 'Sweater',
+            absURL: { toString: function () { return 'https://example.com/images/sweater.jpg'; } },
+            getAbsImageURL: function (transformation) {
+                return { toString: function () { return 'https://example.com/dw/image/sweater.jpg?' + JSON.stringify(transformation); } };
+            }
+        };
+    });
+
+    it('should parse the view types of the Images View Type parameter', function () {
+        assert.deepEqual(imageHelper.getViewTypes('large, swatch,,hi-res,large'), ['large', 'swatch', 'hi-res']);
+        assert.deepEqual(imageHelper.getViewTypes('medium'), ['medium']);
+        assert.deepEqual(imageHelper.getViewTypes(null), ['large']);
+        assert.deepEqual(imageHelper.getViewTypes(' , '), ['large']);
+    });
+
+    it('should transform images of the view types with a transformation', function () {
+        preferences.PixleeImageTransformations = '{"default": {"scaleWidth": 1200}, "swatch": {"scaleWidth": 50, "format": "png"}}';
+
+        assert.equal(imageHelper.getImageUrl(image, 'large'), 'https://example.com/dw/image/sweater.jpg?{"scaleWidth":1200}');
+        assert.equal(imageHelper.getImageUrl(image, 'swatch'), 'https://example.com/dw/image/sweater.jpg?{"scaleWidth":50,"format":"png"}');
+
+        preferences.PixleeImageTransformations = '{"swatch": {"scaleWidth": 50}}';
+        assert.equal(imageHelper.getImageUrl(image, 'large'), 'https://example.com/images/sweater.jpg', 'Should not transform other view types');
+    });
+
+    it('should export the original images when the transformations are invalid', function () {
+        preferences.PixleeImageTransformations = '{"large": {"scaleWidth": "1200"}}';
+
+        assert.equal(imageHelper.getImageUrl(image, 'large'), 'https://example.com/images/sweater.jpg');
+        assert.isTrue(mockLogger.testUtils.getLogMessages('error').some(function (log) {
+            return log.includes('Invalid Pixlee image transformations site preference');
+        }));
+
+        preferences.PixleeImageTransformations = '{"large": {"width": 1200}}';
+        assert.isNull(imageHelper.getTransformation('large'), 'Should reject unknown parameters');
+    });
+
+    it('should label images with their view type and alt text', function () {
+        assert.deepEqual(imageHelper.getImageDetails(image, 'large'), {
+            url: 'https://example.com/images/sweater.jpg',
+            view_type: 'large',
+            alt: 'Front view',
+            title: 'Sweater'
+        });
+        image.alt = null;
+        assert.isNull(imageHelper.getImageDetails(image, 'large', 'https://example.com/built.jpg').alt);
+    });
+
+    it('should read the image selection, sequential by default', function () {
+        assert.deepEqual(imageHelper.getSelection(), { strategy: 'sequential', attribute: 'color', maxImagesPerValue: null });
+
+        preferences.PixleeImageSelection = '{"strategy": "variation", "attribute": "colour", "maxImagesPerValue": 3}';
+        assert.deepEqual(imageHelper.getSelection(), { strategy: 'variation', attribute: 'colour', maxImagesPerValue: 3 });
+
+        preferences.PixleeImageSelection = '{"strategy": "variation", "maxImagesPerValue": 0}';
+        assert.equal(imageHelper.getSelection().strategy, 'sequential');
+        assert.isTrue(mockLogger.testUtils.getLogMessages('error').some(function (log) {
+            return log.includes('Invalid Pixlee image selection site preference');
+        }));
+    });
+});
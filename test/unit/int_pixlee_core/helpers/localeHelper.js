@@ -0,0 +1,64 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('localeHelper', function () {
+    var localeHelper;
+    var preferences;
+    var mockLogger;
+
+    beforeEach(function () {
+        preferences = {};
+        mockLogger = require('../../../mocks/dw/system/Logger');
+        mockLogger.testUtils.clearLogs();
+
+        localeHelper = proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/localeHelper', {
+            'dw/system/Logger': mockLogger,
+            'dw/system/Site': {
+                getCurrent: function () {
+                    return {
+                        getCustomPreferenceValue: function (key) {
+                            return preferences[key];
+                        }
+                    };
+                }
+            }
+        });
+    });
+
+    it('should export every locale but default under its own ID when not configured', function () {
+        assert.deepEqual(localeHelper.getExportedLocales(['default', 'en_US', 'fr_FR']), [
+            { locale: 'en_US', region: 'en_US', currency: null, host: null },
+            { locale: 'fr_FR', region: 'fr_FR', currency: null, host: null }
+        ]);
+        assert.equal(localeHelper.getRegionCode('en_US'), 'en_US');
+    });
+
+    it('should only export the configured locales, once per region', function () {
+        preferences.PixleeLocales = JSON.stringify({
+            en_US: { region: 'US' },
+            en_GB: { region: 'EU', currency: 'GBP', host: 'www.example.co.uk' },
+            en_IE: { region: 'EU', currency: 'EUR' }
+        });
+
+        assert.deepEqual(localeHelper.getExportedLocales(['default', 'en_US', 'fr_FR', 'en_GB', 'en_IE']), [
+            { locale: 'en_US', region: 'US', currency: null, host: null },
+            { locale: 'en_GB', region: 'EU', currency: 'GBP', host: 'www.example.co.uk' }
+        ]);
+        assert.equal(localeHelper.getRegionCode('en_IE'), 'EU', 'Should map locales sharing a region');
+        assert.equal(localeHelper.getRegionCode('fr_FR'), 'fr_FR', 'Should keep the ID of locales not configured');
+    });
+
+    it('should export all locales when the configuration is invalid', function () {
+        preferences.PixleeLocales = '["en_US"]';
+
+        assert.lengthOf(localeHelper.getExportedLocales(['en_US', 'fr_FR']), 2);
+        assert.isTrue(mockLogger.testUtils.getLogMessages('error').some(function (log) {
+            return log.includes('Invalid Pixlee locales site preference');
+        }));
+
+        preferences.PixleeLocales = '{"fr_FR": {"region": "EU"}}';
+        assert.equal(localeHelper.getRegionCode('fr_FR'), 'EU', 'Should parse the preference again once changed');
+    });
+});
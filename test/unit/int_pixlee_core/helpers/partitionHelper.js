@@ -0,0 +1,105 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('partitionHelper', function () {
+    var partitionHelper;
+    var mockCustomObjectMgr;
+
+    /**
+     * Creates a job execution mock with an in-memory context
+     * @param {string} [id] - Job execution ID
+     * @returns {Object} - Job execution mock
+     */
+    function createJobExecution(id) {
+        var context = {};
+        return {
+            getID: function () {
+                return id || 'job-execution-1';
+            },
+            getContext: function () {
+                return {
+                    put: function (key, value) { context[key] = value; },
+                    get: function (key) { return context[key]; }
+                };
+            }
+        };
+    }
+
+    beforeEach(function () {
+        mockCustomObjectMgr = require('../../../mocks/dw/object/CustomObjectMgr');
+        mockCustomObjectMgr.testUtils.reset();
+
+        partitionHelper = proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/partitionHelper', {
+            'dw/object/CustomObjectMgr': mockCustomObjectMgr,
+            'dw/system/Transaction': require('../../../mocks/dw/system/Transaction')
+        });
+    });
+
+    it('should spread products over the partitions by the hash of their ID', function () {
+        var counts = [0, 0, 0, 0];
+
+        for (var i = 0; i < 1000; i += 1) {
+            var partition = partitionHelper.getPartition('product-' + i, 4);
+            assert.equal(partitionHelper.getPartition('product-' + i, 4), partition, 'Should be stable');
+            counts[partition] += 1;
+        }
+
+        counts.forEach(function (count) {
+            assert.isAbove(count, 150, 'Should give each partition a share of the products');
+        });
+        assert.equal(partitionHelper.getPartition('a-product-id-long-enough-to-overflow-the-hash', 3),
+            partitionHelper.getPartition('a-product-id-long-enough-to-overflow-the-hash', 3));
+        assert.isAtLeast(partitionHelper.getPartition('a-product-id-long-enough-to-overflow-the-hash', 3), 0);
+    });
+
+    it('should parse the partition parameters', function () {
+        assert.deepEqual(partitionHelper.getPartitioning({}), { count: 1, index: 0 });
+        assert.deepEqual(partitionHelper.getPartitioning({ 'Partition Count': 4, 'Partition Index': 3 }), { count: 4, index: 3 });
+        assert.deepEqual(partitionHelper.getPartitioning({ 'Partition Count': 0 }), { count: 1, index: 0 });
+        assert.throws(function () {
+            partitionHelper.getPartitioning({ 'Partition Count': 4, 'Partition Index': 4 });
+        }, /Partition Index 4 is not between 0 and 3/);
+        assert.throws(function () {
+            partitionHelper.getPartitioning({ 'Partition Index': -1 });
+        }, /Partition Index -1/);
+    });
+
+    it('should return the results once all partitions have saved theirs', function () {
+        var jobExecution = createJobExecution();
+
+        partitionHelper.saveResult(jobExecution, 2, { exported: 3 });
+        partitionHelper.saveResult(jobExecution, 0, { exported: 1 });
+        assert.isNull(partitionHelper.getResults(jobExecution, 3));
+
+        partitionHelper.saveResult(jobExecution, 1, { exported: 2 });
+        assert.deepEqual(partitionHelper.getResults(jobExecution, 3), [{ exported: 1 }, { exported: 2 }, { exported: 3 }]);
+    });
+
+    it('should let a single partition claim the finalization of the export', function () {
+        var jobExecution = createJobExecution();
+
+        assert.isTrue(partitionHelper.claimFinalization(jobExecution, 1));
+        assert.isFalse(partitionHelper.claimFinalization(jobExecution, 0), 'Should not let another partition finalize');
+        assert.isFalse(partitionHelper.claimFinalization(jobExecution, 1), 'Should finalize once');
+        assert.equal(mockCustomObjectMgr.getCustomObject('PixleeExportFinalization', 'job-execution-1').custom.partitionIndex, 1);
+
+        assert.isTrue(partitionHelper.claimFinalization(createJobExecution('job-execution-2'), 0), 'Should claim each job execution separately');
+    });
+
+    it('should fail when the claim cannot be created', function () {
+        var createCustomObject = mockCustomObjectMgr.createCustomObject;
+        mockCustomObjectMgr.createCustomObject = function () {
+            throw new Error('Unknown custom object type');
+        };
+
+        try {
+            assert.throws(function () {
+                partitionHelper.claimFinalization(createJobExecution(), 0);
+            }, /Unknown custom object type/);
+        } finally {
+            mockCustomObjectMgr.createCustomObject = createCustomObject;
+        }
+    });
+});
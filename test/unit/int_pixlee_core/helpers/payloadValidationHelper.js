@@ -0,0 +1,134 @@
+'use strict';
+
+var assert = require('chai').assert;
+
+var payloadValidationHelper = require('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/payloadValidationHelper');
+
+describe('payloadValidationHelper', function () {
+    var payload;
+
+    beforeEach(function () {
+        payload = {
+            title: 'Product 1',
+            product: {
+                sku: 'SKU-1',
+                upc: null,
+                native_product_id: 'product-1',
+                regional_info: [{
+                    buy_now_link_url: 'https://www.example.com/fr/product-1.html',
+                    name: 'Produit 1',
+                    currency: 'EUR',
+                    stock: 5,
+                    region_code: 'fr_FR',
+                    variants_json: '{}',
+                    price: 12.5,
+                    list_price: 15,
+                    sale_price: 12.5,
+                    min_price: 12.5,
+                    max_price: 12.5
+                }],
+                name: 'Product 1',
+                buy_now_link_url: 'https://www.example.com/product-1.html',
+                product_photo: 'https://www.example.com/images/product-1.jpg',
+                price: 10,
+                list_price: null,
+                sale_price: 10,
+                min_price: 10,
+                max_price: 10,
+                stock: 5,
+                extra_fields: '{"product_photos":[]}',
+                currency: 'USD',
+                variants_json: '{}'
+            },
+            album_type: 'product',
+            live_update: false,
+            num_photos: 0,
+            num_inbox_photos: 0
+        };
+    });
+
+    /**
+     * @param {Object} exportOptions - Export options
+     * @returns {Array} - Fields of the validation errors of the payload
+     */
+    function invalidFields(exportOptions) {
+        return payloadValidationHelper.validate(payload, exportOptions || {}).map(function (error) {
+            return error.field;
+        });
+    }
+
+    it('should accept a valid payload', function () {
+        assert.deepEqual(payloadValidationHelper.validate(payload, {}), []);
+    });
+
+    it('should report missing required fields and wrong types', function () {
+        delete payload.product.buy_now_link_url;
+        payload.product.sku = '';
+        payload.product.stock = '5';
+        payload.live_update = null;
+
+        var errors = payloadValidationHelper.validate(payload, {});
+
+        assert.deepEqual(errors, [
+            { field: 'live_update', message: 'must not be null' },
+            { field: 'product.sku', message: 'must not be empty' },
+            { field: 'product.buy_now_link_url', message: 'is required' },
+            { field: 'product.stock', message: 'must be of type number, not string' }
+        ]);
+    });
+
+    it('should report prices that are not finite or negative', function () {
+        payload.product.price = NaN;
+        payload.product.regional_info[0].list_price = -1;
+        payload.product.max_price = Infinity;
+
+        assert.deepEqual(payloadValidationHelper.formatErrors(payloadValidationHelper.validate(payload, {})),
+            'product.price must be a finite number, not NaN; product.regional_info[0].list_price must be at least 0; ' +
+            'product.max_price must be a finite number, not Infinity');
+    });
+
+    it('should check URLs, currency codes and serialized fields', function () {
+        payload.product.buy_now_link_url = '/product-1.html';
+        payload.product.regional_info[0].currency = 'eur';
+        payload.product.variants_json = '{"variant-1":';
+        payload.product.extra_fields = 'null';
+
+        assert.deepEqual(invalidFields(), [
+            'product.buy_now_link_url',
+            'product.extra_fields',
+            'product.variants_json',
+            'product.regional_info[0].currency'
+        ]);
+        assert.include(payloadValidationHelper.validate(payload, {})[0].message, 'absolute http(s) URL');
+    });
+
+    it('should check string lengths and array sizes', function () {
+        payload.product.name = new Array(300).join('x');
+        payload.product.extra_fields = JSON.stringify({ description: new Array(600 * 1024).join('x') });
+        for (var i = 0; i < 100; i += 1) {
+            payload.product.regional_info.push(payload.product.regional_info[0]);
+        }
+
+        var errors = payloadValidationHelper.validate(payload, {});
+
+        assert.deepEqual(errors.map(function (error) { return error.field; }), [
+            'product.name',
+            'product.extra_fields',
+            'product.regional_info'
+        ]);
+        assert.equal(errors[2].message, 'must have at most 100 items, not 101');
+    });
+
+    it('should only require the regional details for sites other than the main site', function () {
+        ['name', 'buy_now_link_url', 'product_photo', 'price', 'list_price', 'sale_price', 'min_price', 'max_price',
+            'stock', 'extra_fields', 'currency', 'variants_json'].forEach(function (field) {
+            delete payload.product[field];
+        });
+
+        assert.deepEqual(invalidFields({ onlyRegionalDetails: true }), []);
+        assert.includeMembers(invalidFields({}), ['product.name', 'product.buy_now_link_url', 'product.price', 'product.currency']);
+
+        delete payload.product.regional_info[0].buy_now_link_url;
+        assert.deepEqual(invalidFields({ onlyRegionalDetails: true }), ['product.regional_info[0].buy_now_link_url']);
+    });
+});
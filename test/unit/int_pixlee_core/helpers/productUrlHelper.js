@@ -0,0 +1,84 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('productUrlHelper', function () {
+    var productUrlHelper;
+    var preferences;
+    var mockLogger;
+
+    beforeEach(function () {
+        preferences = {};
+        mockLogger = require('../../../mocks/dw/system/Logger');
+        mockLogger.testUtils.clearLogs();
+
+        var Site = {
+            getCurrent: function () {
+                return {
+                    getCustomPreferenceValue: function (key) {
+                        return preferences[key];
+                    }
+                };
+            }
+        };
+
+        productUrlHelper = proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/productUrlHelper', {
+            'dw/system/Logger': mockLogger,
+            'dw/system/Site': Site,
+            'dw/web/URLUtils': {
+                https: function (action, name, value) {
+                    var host = 'www.storefront.com';
+                    return {
+                        host: function (newHost) {
+                            host = newHost;
+                        },
+                        toString: function () {
+                            return 'https://' + host + '/s/site/' + action + '?' + name + '=' + value;
+                        }
+                    };
+                }
+            },
+            '*/cartridge/scripts/pixlee/helpers/localeHelper': proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/localeHelper', {
+                'dw/system/Logger': mockLogger,
+                'dw/system/Site': Site
+            })
+        });
+    });
+
+    it('should return the Product-Show URL, on the given host', function () {
+        assert.equal(productUrlHelper.getProductUrl('product-1', 'en_US'), 'https://www.storefront.com/s/site/Product-Show?pid=product-1');
+        assert.equal(productUrlHelper.getProductUrl('product-1', 'en_GB', 'www.example.co.uk'),
+            'https://www.example.co.uk/s/site/Product-Show?pid=product-1');
+    });
+
+    it('should fill the placeholders of the URL template', function () {
+        preferences.PixleeLocales = '{"en_GB": {"region": "EU"}}';
+        preferences.PixleeProductUrlTemplate = 'https://{host}/{region}/{language}/{country}/{locale}/p/{pid}.html{unknown}';
+
+        assert.equal(productUrlHelper.getProductUrl('product 1/2', 'en_GB'),
+            'https://www.storefront.com/EU/en/gb/en_GB/p/product%201%2F2.html{unknown}');
+        assert.equal(productUrlHelper.getProductUrl('product-1', 'de_DE', 'www.example.de'),
+            'https://www.example.de/de_DE/de/de/de_DE/p/product-1.html{unknown}');
+    });
+
+    it('should append the configured parameters to the query, before the fragment', function () {
+        preferences.PixleeProductUrlParameters = '{"utm_source": "pixlee", "utm_content": "{pid} {locale}"}';
+
+        assert.equal(productUrlHelper.getProductUrl('product-1', 'en_US'),
+            'https://www.storefront.com/s/site/Product-Show?pid=product-1&utm_source=pixlee&utm_content=product-1%20en_US');
+
+        preferences.PixleeProductUrlTemplate = 'https://{host}/p/{pid}#reviews';
+        assert.equal(productUrlHelper.getProductUrl('product-1', 'en_US'),
+            'https://www.storefront.com/p/product-1?utm_source=pixlee&utm_content=product-1%20en_US#reviews');
+    });
+
+    it('should not add parameters when their configuration is invalid', function () {
+        preferences.PixleeProductUrlParameters = '["utm_source"]';
+
+        assert.equal(productUrlHelper.getProductUrl('product-1', 'en_US'), 'https://www.storefront.com/s/site/Product-Show?pid=product-1');
+        assert.isTrue(mockLogger.testUtils.getLogMessages('error').some(function (log) {
+            return log.includes('Invalid Pixlee product URL parameters site preference');
+        }));
+    });
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+var Result = require('../../../mocks/dw/svc/Result');
+
+describe('serviceResultHelper', function () {
+    var serviceResultHelper;
+
+    beforeEach(function () {
+        serviceResultHelper = proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/serviceResultHelper', {
+            'dw/svc/Result': Result
+        });
+    });
+
+    describe('classify', function () {
+        it('should not classify successful results', function () {
+            assert.isNull(serviceResultHelper.classify(new Result({ ok: true })));
+        });
+
+        it('should classify timeouts, rate limiting and open circuit breakers as transient', function () {
+            [Result.UNAVAILABLE_TIMEOUT, Result.UNAVAILABLE_RATE_LIMITED, Result.UNAVAILABLE_CIRCUIT_BROKEN].forEach(function (reason) {
+                var result = new Result({ ok: false, status: Result.SERVICE_UNAVAILABLE, unavailableReason: reason });
+                assert.equal(serviceResultHelper.classify(result), 'TRANSIENT', reason);
+            });
+        });
+
+        it('should classify a disabled service as permanent', function () {
+            var result = new Result({ ok: false, status: Result.SERVICE_UNAVAILABLE, unavailableReason: Result.UNAVAILABLE_DISABLED });
+            assert.equal(serviceResultHelper.classify(result), 'PERMANENT');
+        });
+
+        it('should classify HTTP errors by status code', function () {
+            [408, 429, 500, 502, 503, 0].forEach(function (status) {
+                var result = new Result({ ok: false, status: Result.ERROR, error: status });
+                assert.equal(serviceResultHelper.classify(result), 'TRANSIENT', 'HTTP ' + status);
+            });
+            [400, 401, 404, 422].forEach(function (status) {
+                var result = new Result({ ok: false, status: Result.ERROR, error: status });
+                assert.equal(serviceResultHelper.classify(result), 'PERMANENT', 'HTTP ' + status);
+            });
+        });
+
+        it('should classify a missing result as permanent', function () {
+            assert.equal(serviceResultHelper.classify(null), 'PERMANENT');
+        });
+    });
+
+    describe('call', function () {
+        it('should return the outcome of a successful call', function () {
+            var outcome = serviceResultHelper.call(function () {
+                return new Result({ ok: true });
+            });
+
+            assert.isTrue(outcome.ok);
+            assert.isNull(outcome.failureClass);
+            assert.isNull(outcome.retryAfter);
+        });
+
+        it('should make a single call for transient failures', function () {
+            var calls = 0;
+            var outcome = serviceResultHelper.call(function () {
+                calls += 1;
+                return new Result({ ok: false, status: Result.ERROR, error: 502, errorMessage: 'Bad Gateway' });
+            });
+
+            assert.isFalse(outcome.ok);
+            assert.equal(calls, 1);
+            assert.equal(outcome.failureClass, 'TRANSIENT');
+            assert.equal(outcome.httpStatus, 502);
+            assert.equal(outcome.message, 'HTTP 502: Bad Gateway');
+        });
+
+        it('should return the time to retry transient failures at', function () {
+            var retryAfter = new Date(Date.now() + 60000);
+            var outcome = serviceResultHelper.call(function () {
+                return new Result({ ok: false, status: Result.ERROR, error: 429 });
+            }, function () {
+                return retryAfter;
+            });
+
+            assert.equal(outcome.failureClass, 'TRANSIENT');
+            assert.equal(outcome.retryAfter, retryAfter);
+        });
+
+        it('should not read the time to retry permanent failures at', function () {
+            var outcome = serviceResultHelper.call(function () {
+                return new Result({ ok: false, status: Result.ERROR, error: 400 });
+            }, function () {
+                throw new Error('Should not be called');
+            });
+
+            assert.equal(outcome.failureClass, 'PERMANENT');
+            assert.isNull(outcome.retryAfter);
+        });
+
+        it('should treat thrown errors as permanent failures', function () {
+            var outcome = serviceResultHelper.call(function () {
+                throw new Error('Signature failed');
+            });
+
+            assert.isFalse(outcome.ok);
+            assert.equal(outcome.failureClass, 'PERMANENT');
+            assert.equal(outcome.message, 'Signature failed');
+        });
+    });
+});
@@ -0,0 +1,216 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('stockHelper', function () {
+    var stockHelper;
+    var preferences;
+    var inventoryLists;
+
+    /**
+     * Creates an inventory list mock
+     * @param {Object} records - Inventory records keyed by product ID
+     * @param {boolean} defaultInStock - Default in stock flag
+     * @returns {Object} - Inventory list mock
+     */
+    function inventoryList(records, defaultInStock) {
+        return {
+            defaultInStockFlag: !!defaultInStock,
+            getRecord: function (product) {
+                return records[product.ID] || null;
+            }
+        };
+    }
+
+    /**
+     * Creates an inventory record mock
+     * @param {number} ats - Quantity available to sell
+     * @param {number} [stockLevel] - Stock level, equal to ATS if omitted
+     * @returns {Object} - Inventory record mock
+     */
+    function record(ats, stockLevel) {
+        return {
+            perpetual: false,
+            ATS: { value: ats },
+            stockLevel: { value: stockLevel === undefined ? ats : stockLevel }
+        };
+    }
+
+    /**
+     * Creates a master product mock
+     * @param {Array} variants - Variant product mocks
+     * @returns {Object} - Master product mock
+     */
+    function master(variants) {
+        return {
+            ID: 'master',
+            master: true,
+            getVariants: function () {
+                return {
+                    iterator: function () {
+                        var index = 0;
+                        return {
+                            hasNext: function () { return index < variants.length; },
+                            next: function () { return variants[index++]; }
+                        };
+                    }
+                };
+            }
+        };
+    }
+
+    beforeEach(function () {
+        preferences = {};
+        inventoryLists = {};
+
+        stockHelper = proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/stockHelper', {
+            'dw/system/Logger': require('../../../mocks/dw/system/Logger'),
+            'dw/system/Site': {
+                getCurrent: function () {
+                    return {
+                        getCustomPreferenceValue: function (key) {
+                            return preferences[key];
+                        }
+                    };
+                }
+            },
+            'dw/catalog/ProductInventoryMgr': {
+                getInventoryList: function (inventoryListId) {
+                    return inventoryLists[inventoryListId || 'site'] || null;
+                }
+            }
+        });
+    });
+
+    it('should sum the stock of the online variants of masters', function () {
+        inventoryLists.site = inventoryList({ 'variant-1': record(3), 'variant-2': record(4), 'variant-3': record(5) });
+
+        var stockLevel = stockHelper.getStockLevel(master([
+            { ID: 'variant-1', online: true },
+            { ID: 'variant-2', online: true },
+            { ID: 'variant-3', online: false }
+        ]));
+
+        assert.equal(stockLevel, 7);
+    });
+
+    it('should return the stock of products that are not masters', function () {
+        inventoryLists.site = inventoryList({ product: record(12) });
+
+        assert.equal(stockHelper.getStockLevel({ ID: 'product', master: false }), 12);
+        assert.equal(stockHelper.getStockLevel({ ID: 'unknown', master: false }), 0, 'Should be out of stock without record');
+    });
+
+    it('should report perpetual records and default in stock lists as perpetually available', function () {
+        inventoryLists.site = inventoryList({ 'variant-1': record(3) });
+        inventoryLists.site.getRecord({ ID: 'variant-1' }).perpetual = true;
+        inventoryLists['in-stock-list'] = inventoryList({}, true);
+
+        assert.equal(stockHelper.getStockLevel(master([{ ID: 'variant-1', online: true }, { ID: 'variant-2', online: true }])),
+            stockHelper.PERPETUAL_STOCK_LEVEL);
+        assert.equal(stockHelper.getStockLevel({ ID: 'product', master: false }, 'in-stock-list'),
+            stockHelper.PERPETUAL_STOCK_LEVEL);
+    });
+
+    it('should sum the stock of the online members of product sets without record', function () {
+        inventoryLists.site = inventoryList({ 'member-1': record(3), 'member-2': record(4), 'variant-1': record(5), 'offline-member': record(6) });
+        var productSet = {
+            ID: 'set',
+            master: false,
+            productSet: true,
+            getProductSetProducts: function () {
+                return {
+                    toArray: function () {
+                        return [
+                            { ID: 'member-1', online: true },
+                            { ID: 'member-2', online: true },
+                            Object.assign(master([{ ID: 'variant-1', online: true }]), { online: true }),
+                            { ID: 'offline-member', online: false }
+                        ];
+                    }
+                };
+            }
+        };
+
+        assert.equal(stockHelper.getStockLevel(productSet), 12);
+
+        inventoryLists.site = inventoryList({ set: record(2), 'member-1': record(3) });
+        assert.equal(stockHelper.getStockLevel(productSet), 2, 'Should read the record of the set if it has one');
+    });
+
+    it('should count the complete bundles the stock of their products allows', function () {
+        var quantities = { 'member-1': 1, 'member-2': 3 };
+        var members = [{ ID: 'member-1', online: true }, { ID: 'member-2', online: true }];
+        var bundle = {
+            ID: 'bundle',
+            master: false,
+            bundle: true,
+            getBundledProducts: function () {
+                return { toArray: function () { return members; } };
+            },
+            getBundledProductQuantity: function (member) {
+                return { value: quantities[member.ID] };
+            }
+        };
+        inventoryLists.site = inventoryList({ 'member-1': record(10), 'member-2': record(7) });
+
+        assert.equal(stockHelper.getStockLevel(bundle), 2);
+
+        members[1].online = false;
+        assert.equal(stockHelper.getStockLevel(bundle), 0, 'Should be out of stock when a bundled product is offline');
+    });
+
+    it('should only count backorders when configured to', function () {
+        inventoryLists.site = inventoryList({ product: record(10, 4), 'sold-out': record(-2) });
+
+        assert.equal(stockHelper.getStockLevel({ ID: 'product', master: false }), 4);
+        assert.equal(stockHelper.getStockLevel({ ID: 'sold-out', master: false }), 0, 'Should not report negative stock');
+
+        preferences.PixleeStockIncludeBackorders = true;
+        assert.equal(stockHelper.getStockLevel({ ID: 'product', master: false }), 10);
+    });
+
+    it('should read the inventory list configured for each locale', function () {
+        preferences.PixleeInventoryLists = '{"default": "inventory-us", "fr_FR": "inventory-eu"}';
+        inventoryLists['inventory-us'] = inventoryList({ product: record(1) });
+        inventoryLists['inventory-eu'] = inventoryList({ product: record(2) });
+
+        assert.equal(stockHelper.getInventoryListId('fr_FR'), 'inventory-eu');
+        assert.equal(stockHelper.getInventoryListId('en_GB'), 'inventory-us');
+        assert.equal(stockHelper.getInventoryListId(), 'inventory-us');
+        assert.equal(stockHelper.getStockLevel({ ID: 'product', master: false }, stockHelper.getInventoryListId('fr_FR')), 2);
+    });
+
+    it('should return the configured inventory lists and the site one for the other locales', function () {
+        ['site', 'inventory-us', 'inventory-eu'].forEach(function (inventoryListId) {
+            inventoryLists[inventoryListId] = Object.assign(inventoryList({}), { ID: inventoryListId });
+        });
+
+        /**
+         * @returns {Array} - IDs of the inventory lists the stock is read from
+         */
+        function inventoryListIds() {
+            return stockHelper.getInventoryLists().map(function (list) {
+                return list.ID;
+            });
+        }
+
+        preferences.PixleeInventoryLists = '{"en_US": "inventory-us", "en_GB": "inventory-eu", "fr_FR": "inventory-eu", "de_DE": "missing-list"}';
+        assert.deepEqual(inventoryListIds(), ['site', 'inventory-us', 'inventory-eu']);
+
+        preferences.PixleeInventoryLists = '{"default": "inventory-us", "fr_FR": "inventory-eu"}';
+        assert.deepEqual(inventoryListIds(), ['inventory-us', 'inventory-eu'],
+            'Should not read the site inventory list when a default one is configured');
+    });
+
+    it('should use the site inventory list when the configuration is invalid', function () {
+        preferences.PixleeInventoryLists = '{"default": ';
+
+        assert.isNull(stockHelper.getInventoryListId('fr_FR'));
+    });
+
+    it('should report no stock when the inventory list does not exist', function () {
+        assert.equal(stockHelper.getStockLevel({ ID: 'product', master: false }, 'missing-list'), 0);
+    });
+});
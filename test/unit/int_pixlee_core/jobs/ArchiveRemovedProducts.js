@@ -0,0 +1,268 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+var runChunkJob = require('../../../chunkJob');
+var Result = require('../../../mocks/dw/svc/Result');
+
+require('../../../mocks/globals');
+
+describe('ArchiveRemovedProducts Job', function () {
+    var ArchiveRemovedProducts;
+    var exportRegistryHelper;
+    var mockLogger;
+    var mockSite;
+    var mockCustomObjectMgr;
+    var mockPixleeService;
+    var products;
+    var archived;
+    var excludedByHook;
+
+    beforeEach(function () {
+        require('../../../mocks/globals').resetGlobals();
+
+        mockLogger = require('../../../mocks/dw/system/Logger');
+        mockLogger.testUtils.clearLogs();
+
+        mockCustomObjectMgr = require('../../../mocks/dw/object/CustomObjectMgr');
+        mockCustomObjectMgr.testUtils.reset();
+
+        mockSite = {
+            ID: 'test-site',
+            preferences: {
+                PixleeEnabled: true,
+                PixleePrivateApiKey: 'test-private-key',
+                PixleeSecretKey: 'test-secret-key'
+            },
+            getCustomPreferenceValue: function (key) {
+                return this.preferences[key];
+            },
+            getCurrent: function () {
+                return this;
+            }
+        };
+
+        products = {};
+        archived = [];
+        excludedByHook = [];
+
+        mockPixleeService = {
+            responses: {},
+            isPublished: function () {
+                return true;
+            },
+            archiveProduct: function (sku) {
+                archived.push(sku);
+                return this.responses[sku] || new Result({ ok: true });
+            }
+        };
+
+        exportRegistryHelper = proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/exportRegistryHelper', {
+            'dw/system/Logger': mockLogger,
+            'dw/system/Transaction': require('../../../mocks/dw/system/Transaction'),
+            'dw/object/CustomObjectMgr': mockCustomObjectMgr
+        });
+
+        ArchiveRemovedProducts = proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/jobs/ArchiveRemovedProducts', {
+            'dw/system/Logger': mockLogger,
+            'dw/system/Site': mockSite,
+            'dw/catalog/ProductMgr': {
+                getProduct: function (productId) {
+                    return products[productId] || null;
+                }
+            },
+            '~/cartridge/scripts/pixlee/services/PixleeService': mockPixleeService,
+            '~/cartridge/scripts/pixlee/helpers/exportRegistryHelper': exportRegistryHelper,
+            '*/cartridge/scripts/pixlee/helpers/exportRulesHelper': proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/exportRulesHelper', {
+                'dw/system/Site': mockSite,
+                'dw/catalog/CatalogMgr': require('../../../mocks/dw/catalog/CatalogMgr')
+            }),
+            '*/cartridge/scripts/pixlee/helpers/hooksHelper': {
+                shouldExport: function (product) {
+                    return excludedByHook.indexOf(product.ID) === -1;
+                }
+            },
+            '~/cartridge/scripts/pixlee/helpers/serviceResultHelper': proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/serviceResultHelper', {
+                'dw/svc/Result': Result
+            })
+        });
+    });
+
+    /**
+     * Saves the export of a product that is still exportable
+     * @param {string} productId - Product ID
+     */
+    function givenExportedProduct(productId) {
+        products[productId] = {
+            ID: productId,
+            online: true,
+            searchable: true,
+            assignedToSiteCatalog: true,
+            isAssignedToSiteCatalog: function () {
+                return this.assignedToSiteCatalog;
+            }
+        };
+        exportRegistryHelper.recordExports([{ productId: productId, sku: 'sku-' + productId, fingerprint: 'abc' }], 'previous-job');
+    }
+
+    /**
+     * Saves the export of a member of product sets, exported with them
+     * @param {string} productId - Product ID
+     * @param {Array} setIds - IDs of the sets of the product
+     */
+    function givenExportedSetMember(productId, setIds) {
+        products[productId] = {
+            ID: productId,
+            online: true,
+            searchable: false,
+            getProductSets: function () {
+                return {
+                    toArray: function () {
+                        return setIds.map(function (setId) { return { ID: setId }; });
+                    }
+                };
+            },
+            getBundles: function () {
+                return { toArray: function () { return []; } };
+            }
+        };
+        exportRegistryHelper.recordExports([{ productId: productId, sku: 'sku-' + productId, fingerprint: 'abc', setMember: true }], 'previous-job');
+    }
+
+    /**
+     * Returns the IDs of the products saved as exported
+     * @returns {Array} - Product IDs
+     */
+    function exportedProductIds() {
+        return mockCustomObjectMgr.testUtils.getAll('PixleeProductExport').map(function (productExport) {
+            return productExport.custom.ID;
+        });
+    }
+
+    it('should archive exported products that are no longer exported', function () {
+        givenExportedProduct('product-1');
+        givenExportedProduct('offline-product');
+        givenExportedProduct('unsearchable-product');
+        givenExportedProduct('unassigned-product');
+        givenExportedProduct('deleted-product');
+        products['offline-product'].online = false;
+        products['unsearchable-product'].searchable = false;
+        products['unassigned-product'].assignedToSiteCatalog = false;
+        delete products['deleted-product'];
+
+        runChunkJob(ArchiveRemovedProducts, {});
+
+        assert.deepEqual(archived, ['sku-offline-product', 'sku-unsearchable-product', 'sku-unassigned-product', 'sku-deleted-product']);
+        assert.deepEqual(exportedProductIds(), ['product-1'], 'Should only keep the products still exported');
+        assert.isTrue(mockLogger.testUtils.getLogMessages('info').some(function (log) {
+            return log.includes('Archived: 4, Failed: 0, Checked: 5') &&
+                log.includes('"OFFLINE":1,"NOT_SEARCHABLE":1,"UNASSIGNED":1,"DELETED":1');
+        }), 'Should log the archive summary');
+    });
+
+    it('should keep set members while one of their sets is exported', function () {
+        givenExportedProduct('winter-look');
+        givenExportedSetMember('scarf', ['holiday-look', 'winter-look']);
+        givenExportedSetMember('hat', ['holiday-look']);
+
+        runChunkJob(ArchiveRemovedProducts, {});
+
+        assert.deepEqual(archived, ['sku-hat']);
+        assert.deepEqual(exportedProductIds(), ['winter-look', 'scarf']);
+        assert.isTrue(mockLogger.testUtils.getLogMessages('info').some(function (log) {
+            return log.includes('"NOT_IN_EXPORTED_SET":1');
+        }), 'Should log the removal reason');
+    });
+
+    it('should archive exported products excluded by the export rules since', function () {
+        givenExportedProduct('product-1');
+        givenExportedProduct('gift-card');
+        products['gift-card'].brand = 'Gift Cards';
+        products['gift-card'].custom = {};
+        products['product-1'].custom = {};
+        mockSite.preferences.PixleeExportRules = JSON.stringify({ exclude: { brands: ['gift cards'] } });
+
+        runChunkJob(ArchiveRemovedProducts, {});
+
+        assert.deepEqual(archived, ['sku-gift-card']);
+        assert.isTrue(mockLogger.testUtils.getLogMessages('info').some(function (log) {
+            return log.includes('"BRAND_RULE":1');
+        }), 'Should count the product by export rule');
+    });
+
+    it('should archive exported products excluded by the shouldExport hook since', function () {
+        givenExportedProduct('product-1');
+        givenExportedProduct('private-sale');
+        products['product-1'].custom = {};
+        products['private-sale'].custom = {};
+        excludedByHook.push('private-sale');
+
+        runChunkJob(ArchiveRemovedProducts, {});
+
+        assert.deepEqual(archived, ['sku-private-sale']);
+        assert.isTrue(mockLogger.testUtils.getLogMessages('info').some(function (log) {
+            return log.includes('"EXCLUDED_BY_HOOK":1');
+        }), 'Should count the product as excluded by the hook');
+    });
+
+    it('should fail when the export rules are invalid', function () {
+        givenExportedProduct('product-1');
+        mockSite.preferences.PixleeExportRules = '{"exclude": {"brand": ["Acme"]}}';
+
+        assert.throws(function () {
+            runChunkJob(ArchiveRemovedProducts, {});
+        }, /unknown criterion brand/);
+        assert.lengthOf(archived, 0);
+    });
+
+    it('should keep products that failed to be archived for the next run', function () {
+        givenExportedProduct('product-1');
+        givenExportedProduct('product-2');
+        delete products['product-1'];
+        delete products['product-2'];
+        mockPixleeService.responses['sku-product-2'] = new Result({ ok: false, status: Result.ERROR, error: 404, errorMessage: 'Album not found' });
+
+        runChunkJob(ArchiveRemovedProducts, {});
+
+        assert.deepEqual(archived, ['sku-product-1', 'sku-product-2']);
+        assert.deepEqual(exportedProductIds(), ['product-2']);
+    });
+
+    it('should fail while the album archive endpoint is not published', function () {
+        givenExportedProduct('deleted-product');
+        mockPixleeService.isPublished = function (callName) {
+            return callName !== 'archiveProduct';
+        };
+
+        assert.throws(function () {
+            runChunkJob(ArchiveRemovedProducts, {});
+        }, /Removed products cannot be archived yet/);
+        assert.lengthOf(archived, 0);
+    });
+
+    it('should do nothing when no product has been exported', function () {
+        runChunkJob(ArchiveRemovedProducts, {});
+
+        assert.lengthOf(archived, 0);
+    });
+
+    it('should skip the step when Pixlee is disabled', function () {
+        givenExportedProduct('product-1');
+        delete products['product-1'];
+        mockSite.preferences.PixleeEnabled = false;
+
+        runChunkJob(ArchiveRemovedProducts, {});
+
+        assert.lengthOf(archived, 0);
+        assert.deepEqual(exportedProductIds(), ['product-1']);
+    });
+
+    it('should skip the step when it is disabled', function () {
+        givenExportedProduct('product-1');
+        delete products['product-1'];
+
+        runChunkJob(ArchiveRemovedProducts, { IsDisabled: true });
+
+        assert.lengthOf(archived, 0);
+    });
+});
@@ -0,0 +1,190 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('CheckFeedImport Job', function () {
+    var CheckFeedImport;
+    var mockStatus;
+    var mockPixleeService;
+    var mockExportStateHelper;
+    var jobContext;
+    var stepExecution;
+    var statuses;
+
+    beforeEach(function () {
+        require('../../../mocks/dw/system/Logger').testUtils.clearLogs();
+
+        mockStatus = function (status, code, message) {
+            this.status = status;
+            this.code = code;
+            this.message = message;
+        };
+        mockStatus.OK = 'OK';
+        mockStatus.ERROR = 'ERROR';
+
+        statuses = [];
+        mockPixleeService = {
+            requestedImports: [],
+            isPublished: function () {
+                return true;
+            },
+            getImportStatus: function (importId) {
+                this.requestedImports.push(importId);
+                return statuses.length > 1 ? statuses.shift() : statuses[0];
+            }
+        };
+
+        mockExportStateHelper = {
+            lastExportTime: null,
+            pendingFeedImport: null,
+            setLastExportTime: function (exportTime) {
+                this.lastExportTime = exportTime;
+            },
+            getPendingFeedImport: function () {
+                return this.pendingFeedImport;
+            },
+            clearPendingFeedImport: function () {
+                this.pendingFeedImport = null;
+            },
+            JOB_CONTEXT_KEYS: {
+                FEED_IMPORT_ID: 'pixleeFeedImportId',
+                FEED_EXPORT_START_TIME: 'pixleeFeedExportStartTime'
+            }
+        };
+
+        jobContext = {};
+        stepExecution = {
+            getJobExecution: function () {
+                return {
+                    getContext: function () {
+                        return {
+                            get: function (key) { return jobContext[key]; }
+                        };
+                    }
+                };
+            }
+        };
+
+        CheckFeedImport = proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/jobs/CheckFeedImport', {
+            'dw/system/Logger': require('../../../mocks/dw/system/Logger'),
+            'dw/system/Status': mockStatus,
+            '~/cartridge/scripts/pixlee/services/PixleeService': mockPixleeService,
+            '~/cartridge/scripts/pixlee/helpers/exportStateHelper': mockExportStateHelper
+        });
+    });
+
+    it('should do nothing when no feed has been uploaded', function () {
+        var status = CheckFeedImport.execute({}, stepExecution);
+
+        assert.equal(status.status, 'OK');
+        assert.equal(status.code, 'NO_IMPORT');
+        assert.lengthOf(mockPixleeService.requestedImports, 0);
+    });
+
+    it('should fail while the feed import status endpoint is not published', function () {
+        jobContext.pixleeFeedImportId = 'import-1';
+        mockPixleeService.isPublished = function (callName) {
+            return callName !== 'getImportStatus';
+        };
+
+        var status = CheckFeedImport.execute({}, stepExecution);
+
+        assert.equal(status.status, 'ERROR');
+        assert.equal(status.code, 'NOT_AVAILABLE');
+        assert.lengthOf(mockPixleeService.requestedImports, 0);
+    });
+
+    it('should save the high-water mark once the import completes', function () {
+        jobContext.pixleeFeedImportId = 'import-1';
+        jobContext.pixleeFeedExportStartTime = new Date('2024-01-01T00:00:00Z').getTime();
+        statuses = [{ status: 'completed', total_rows: 3, failed_rows: 0 }];
+
+        var status = CheckFeedImport.execute({}, stepExecution);
+
+        assert.equal(status.status, 'OK');
+        assert.equal(status.code, 'OK');
+        assert.lengthOf(mockPixleeService.requestedImports, 1);
+        assert.equal(mockExportStateHelper.lastExportTime.toISOString(), '2024-01-01T00:00:00.000Z');
+    });
+
+    it('should check imports in progress once and again on the next run of the step', function () {
+        mockExportStateHelper.pendingFeedImport = {
+            importId: 'import-1',
+            uploadTime: Date.now(),
+            exportStartTime: new Date('2024-01-01T00:00:00Z').getTime()
+        };
+        statuses = [{ status: 'processing' }, { status: 'completed', total_rows: 3, failed_rows: 0 }];
+
+        var status = CheckFeedImport.execute({}, stepExecution);
+
+        assert.equal(status.status, 'OK');
+        assert.equal(status.code, 'IN_PROGRESS');
+        assert.lengthOf(mockPixleeService.requestedImports, 1, 'Should not wait for the import');
+        assert.isNotNull(mockExportStateHelper.pendingFeedImport, 'Should keep the import pending');
+
+        status = CheckFeedImport.execute({}, stepExecution);
+
+        assert.equal(status.code, 'OK', 'Should check the pending import of an earlier job');
+        assert.equal(mockExportStateHelper.lastExportTime.toISOString(), '2024-01-01T00:00:00.000Z');
+        assert.isNull(mockExportStateHelper.pendingFeedImport, 'Should clear the reported import');
+    });
+
+    it('should report failed rows in the step status', function () {
+        jobContext.pixleeFeedImportId = 'import-1';
+        jobContext.pixleeFeedExportStartTime = Date.now();
+        statuses = [{
+            status: 'completed',
+            total_rows: 3,
+            failed_rows: 2,
+            errors: [
+                { row: 1, sku: 'product-1', message: 'Invalid price' },
+                { row: 3, message: 'Missing title' }
+            ]
+        }];
+
+        var status = CheckFeedImport.execute({}, stepExecution);
+
+        assert.equal(status.status, 'ERROR');
+        assert.equal(status.code, 'ROWS_FAILED');
+        assert.include(status.message, '2 of 3 rows failed: product-1: Invalid price; row 3: Missing title');
+        assert.isNull(mockExportStateHelper.lastExportTime, 'Should not save the high-water mark');
+    });
+
+    it('should limit the number of failed rows reported', function () {
+        var errors = [];
+        for (var i = 1; i <= 12; i++) {
+            errors.push({ row: i, sku: 'product-' + i, message: 'Invalid' });
+        }
+        jobContext.pixleeFeedImportId = 'import-1';
+        statuses = [{ status: 'completed', total_rows: 12, failed_rows: 12, errors: errors }];
+
+        var status = CheckFeedImport.execute({}, stepExecution);
+
+        assert.include(status.message, 'product-10: Invalid; and 2 more');
+        assert.notInclude(status.message, 'product-11');
+    });
+
+    it('should report failed imports', function () {
+        jobContext.pixleeFeedImportId = 'import-1';
+        statuses = [{ status: 'failed', message: 'Feed is not valid gzip' }];
+
+        var status = CheckFeedImport.execute({}, stepExecution);
+
+        assert.equal(status.status, 'ERROR');
+        assert.equal(status.code, 'IMPORT_FAILED');
+        assert.include(status.message, 'Feed is not valid gzip');
+    });
+
+    it('should time out when the import does not finish in time after the upload', function () {
+        mockExportStateHelper.pendingFeedImport = { importId: 'import-1', uploadTime: Date.now() - 7200000 };
+        statuses = [{ status: 'processing' }];
+
+        var status = CheckFeedImport.execute({ 'Max Wait Seconds': 3600 }, stepExecution);
+
+        assert.equal(status.status, 'ERROR');
+        assert.equal(status.code, 'TIMEOUT');
+        assert.lengthOf(mockPixleeService.requestedImports, 1);
+        assert.isNull(mockExportStateHelper.pendingFeedImport, 'Should not report the import again');
+    });
+});
@@ -0,0 +1,212 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+var runChunkJob = require('../../../chunkJob');
+var Result = require('../../../mocks/dw/svc/Result');
+
+require('../../../mocks/globals');
+
+describe('ExportCategories Job', function () {
+    var ExportCategories;
+    var mockLogger;
+    var mockSite;
+    var mockPixleeService;
+    var categoryInfos;
+    var categories;
+    var posted;
+
+    /**
+     * Creates a category mock
+     * @param {string} id - Category ID
+     * @param {Object} names - Display names by locale
+     * @param {boolean} [offline] - Whether the category is offline
+     * @returns {Object} - Category mock
+     */
+    function category(id, names, offline) {
+        return {
+            ID: id,
+            online: !offline,
+            image: id === 'mens' ? { absURL: 'https://test-site.com/images/mens.jpg' } : null,
+            thumbnail: null,
+            getDisplayName: function () {
+                return names[global.request.locale] || names.en_US;
+            }
+        };
+    }
+
+    beforeEach(function () {
+        require('../../../mocks/globals').resetGlobals();
+
+        mockLogger = require('../../../mocks/dw/system/Logger');
+        mockLogger.testUtils.clearLogs();
+
+        mockSite = {
+            ID: 'test-site',
+            preferences: {
+                PixleeEnabled: true,
+                PixleePrivateApiKey: 'test-private-key',
+                PixleeSecretKey: 'test-secret-key'
+            },
+            getCustomPreferenceValue: function (key) {
+                return this.preferences[key];
+            },
+            getAllowedLocales: function () {
+                return ['default', 'en_US', 'fr_FR'];
+            },
+            getDefaultLocale: function () {
+                return 'en_US';
+            },
+            getCurrent: function () {
+                return this;
+            }
+        };
+
+        // Categories of the site catalog, in breadth-first order
+        categories = [
+            category('mens', { en_US: 'Men', fr_FR: 'Homme' }),
+            category('sale', { en_US: 'Sale' }, true),
+            category('mens-shirts', { en_US: 'Shirts', fr_FR: 'Chemises' }),
+            category('sale-shirts', { en_US: 'Shirts' }),
+            null
+        ];
+
+        categoryInfos = {
+            mens: { fullName: 'Men', parentIDs: '' },
+            sale: { fullName: 'Sale', parentIDs: '' },
+            'mens-shirts': { fullName: 'Men > Shirts', parentIDs: 'mens' },
+            'sale-shirts': { fullName: 'Sale > Shirts', parentIDs: 'sale' }
+        };
+
+        posted = [];
+        mockPixleeService = {
+            responses: {},
+            isPublished: function () {
+                return true;
+            },
+            postCategory: function (payload) {
+                posted.push(payload);
+                return this.responses[payload.category.native_category_id] || new Result({ ok: true });
+            }
+        };
+
+        ExportCategories = proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/jobs/ExportCategories', {
+            'dw/system/Logger': mockLogger,
+            'dw/system/Site': mockSite,
+            '~/cartridge/scripts/pixlee/services/PixleeService': mockPixleeService,
+            '~/cartridge/scripts/pixlee/models/productExportPayload': {
+                preInitializeCategoryProcessing: function () {},
+                getCategoryIterator: function () {
+                    var index = 0;
+                    return {
+                        hasNext: function () {
+                            return index < categories.length;
+                        },
+                        next: function () {
+                            index += 1;
+                            return categories[index - 1];
+                        }
+                    };
+                },
+                getCategoryInfo: function (categoryId) {
+                    return categoryInfos[categoryId] || null;
+                }
+            },
+            '~/cartridge/scripts/pixlee/models/categoryExportPayload': proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/models/categoryExportPayload', {
+                'dw/system/Site': mockSite,
+                'dw/web/URLUtils': require('../../../mocks/dw/web/URLUtils'),
+                '*/cartridge/scripts/pixlee/helpers/localeHelper': proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/localeHelper', {
+                    'dw/system/Logger': mockLogger,
+                    'dw/system/Site': mockSite
+                })
+            }),
+            '~/cartridge/scripts/pixlee/helpers/cacheHelper': proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/cacheHelper', {
+                'dw/system/Logger': mockLogger
+            }),
+            '~/cartridge/scripts/pixlee/helpers/serviceResultHelper': proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/serviceResultHelper', {
+                'dw/svc/Result': Result
+            })
+        });
+    });
+
+    it('should export the online categories of the site catalog as category albums', function () {
+        runChunkJob(ExportCategories, {});
+
+        assert.deepEqual(posted.map(function (payload) {
+            return payload.category.native_category_id;
+        }), ['mens', 'mens-shirts'], 'Should skip offline categories with their subtree, and categories removed since mapped');
+
+        var shirts = posted[1];
+        assert.equal(shirts.album_type, 'category');
+        assert.equal(shirts.title, 'Shirts');
+        assert.equal(shirts.category.full_name, 'Men > Shirts');
+        assert.equal(shirts.category.parent_category_id, 'mens');
+        assert.deepEqual(shirts.category.parent_category_ids, ['mens']);
+        assert.include(shirts.category.category_url, 'cgid=mens-shirts');
+        assert.isNull(shirts.category.category_image);
+        assert.deepEqual(shirts.category.regional_info.map(function (region) {
+            return region.region_code + ':' + region.name;
+        }), ['en_US:Shirts', 'fr_FR:Chemises']);
+
+        assert.isNull(posted[0].category.parent_category_id);
+        assert.equal(posted[0].category.category_image, 'https://test-site.com/images/mens.jpg');
+        assert.isTrue(mockLogger.testUtils.getLogMessages('info').some(function (log) {
+            return log.includes('Exported: 2, Failed: 0, Offline: 2');
+        }), 'Should log the export summary');
+    });
+
+    it('should report the Pixlee region of the exported locales', function () {
+        mockSite.preferences.PixleeLocales = '{"fr_FR": {"region": "EU"}}';
+
+        runChunkJob(ExportCategories, {});
+
+        assert.deepEqual(posted[1].category.regional_info.map(function (region) {
+            return region.region_code + ':' + region.name;
+        }), ['EU:Chemises']);
+    });
+
+    it('should go on with the next categories when a category fails to be exported', function () {
+        mockPixleeService.responses.mens = new Result({ ok: false, status: Result.ERROR, error: 400, errorMessage: 'Invalid album' });
+
+        runChunkJob(ExportCategories, {});
+
+        assert.lengthOf(posted, 2);
+        assert.isTrue(mockLogger.testUtils.getLogMessages('info').some(function (log) {
+            return log.includes('Exported: 1, Failed: 1');
+        }));
+    });
+
+    it('should fail when no category could be exported', function () {
+        mockPixleeService.responses.mens = new Result({ ok: false, status: Result.ERROR, error: 400, errorMessage: 'Invalid album' });
+        mockPixleeService.responses['mens-shirts'] = mockPixleeService.responses.mens;
+
+        assert.throws(function () {
+            runChunkJob(ExportCategories, {});
+        }, /No categories exported/);
+    });
+
+    it('should fail while the category album endpoint is not published', function () {
+        mockPixleeService.isPublished = function (callName) {
+            return callName !== 'postCategory';
+        };
+
+        assert.throws(function () {
+            runChunkJob(ExportCategories, {});
+        }, /Categories cannot be exported yet/);
+        assert.lengthOf(posted, 0);
+    });
+
+    it('should skip the step when Pixlee is disabled', function () {
+        mockSite.preferences.PixleeEnabled = false;
+
+        runChunkJob(ExportCategories, {});
+
+        assert.lengthOf(posted, 0);
+    });
+
+    it('should skip the step when it is disabled', function () {
+        runChunkJob(ExportCategories, { IsDisabled: true });
+
+        assert.lengthOf(posted, 0);
+    });
+});
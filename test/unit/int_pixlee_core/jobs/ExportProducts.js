@@ -2,6 +2,8 @@
 
 var assert = require('chai').assert;
 var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+var chunkJob = require('../../../chunkJob');
+var Result = require('../../../mocks/dw/svc/Result');
 
 // Import test utilities
 require('../../../mocks/globals');
@@ -15,6 +17,15 @@ describe('ExportProducts Job', function () {
     var mockProductExportPayload;
     var mockProductMgr;
     var mockProductSearchModel;
+    var mockExportStateHelper;
+    var mockAttributeMappingHelper;
+    var mockHookMgr;
+    var mockExportRulesHelper;
+    var mockPayloadValidationHelper;
+    var mockStockHelper;
+    var mockPriceBookMgr;
+    var mockCustomObjectMgr;
+    var mockFile;
 
     beforeEach(function () {
         // Reset global mocks
@@ -67,6 +78,10 @@ describe('ExportProducts Job', function () {
                 if (productPayload.product && productPayload.product.sku === 'fail-product') {
                     throw new Error('Simulated export failure');
                 }
+                return new Result({ ok: true });
+            },
+            isPublished: function () {
+                return true;
             },
             lastNotification: null,
             lastPostedProduct: null
@@ -74,6 +89,9 @@ describe('ExportProducts Job', function () {
 
         // Setup ProductExportPayload mock
         mockProductExportPayload = function (product) {
+            if (product.ID === 'broken-product') {
+                throw new Error('Missing price');
+            }
             this.product = {
                 sku: product.ID,
                 name: product.name || 'Test Product',
@@ -81,13 +99,19 @@ describe('ExportProducts Job', function () {
             };
             this.title = product.name || 'Test Product';
         };
+        mockProductExportPayload.prototype.getFingerprint = function () {
+            return JSON.stringify(this);
+        };
+        mockProductExportPayload.getPriceFingerprint = function (product) {
+            return 'prices-' + (product.price || 0);
+        };
         mockProductExportPayload.preInitializeCategoryProcessing = function () {
             // Simulate successful initialization
         };
         mockProductExportPayload.getCacheStatistics = function () {
             return {
                 strategyType: 'SingleMapStrategy',
-                moduleCache: { categoryMapExists: true }
+                categoryMapCache: { hits: 1, misses: 1, hitRate: '50.0%' }
             };
         };
 
@@ -151,6 +175,103 @@ describe('ExportProducts Job', function () {
             };
         };
 
+        // Setup exportStateHelper mock
+        mockExportStateHelper = {
+            lastExportTime: null,
+            getLastExportTime: function () {
+                return this.lastExportTime;
+            },
+            setLastExportTime: function (exportTime) {
+                this.lastExportTime = exportTime;
+            },
+            checkpoint: null,
+            getCheckpoint: function () {
+                return this.checkpoint;
+            },
+            saveCheckpoint: function (checkpoint) {
+                this.checkpoint = JSON.parse(JSON.stringify(checkpoint));
+            },
+            clearCheckpoint: function () {
+                this.checkpoint = null;
+            },
+            pendingFeedImport: null,
+            savePendingFeedImport: function (feedImport) {
+                this.pendingFeedImport = feedImport;
+            },
+            JOB_CONTEXT_KEYS: {
+                FEED_IMPORT_ID: 'pixleeFeedImportId',
+                FEED_EXPORT_START_TIME: 'pixleeFeedExportStartTime'
+            }
+        };
+
+        // Setup HookMgr mock used by hooksHelper
+        mockHookMgr = require('../../../mocks/dw/system/HookMgr');
+        mockHookMgr.testUtils.reset();
+
+        // Setup attributeMappingHelper mock
+        mockAttributeMappingHelper = {
+            mappingError: null,
+            validateMapping: function () {
+                if (this.mappingError) {
+                    throw new Error(this.mappingError);
+                }
+                return 0;
+            }
+        };
+
+        // Setup exportRulesHelper mock
+        mockExportRulesHelper = {
+            skipReasons: {},
+            validateRules: function () {
+                return Object.keys(this.skipReasons).length;
+            },
+            getSkipReason: function (product) {
+                return this.skipReasons[product.ID] || null;
+            }
+        };
+
+        // Setup payloadValidationHelper mock
+        mockPayloadValidationHelper = {
+            validationErrors: {},
+            validate: function (payload) {
+                return this.validationErrors[payload.product.sku] || [];
+            },
+            formatErrors: function (errors) {
+                return errors.map(function (error) {
+                    return error.field + ' ' + error.message;
+                }).join('; ');
+            }
+        };
+
+        // Setup stockHelper mock, with the site inventory list returning the record of products
+        mockStockHelper = {
+            inventoryLists: [{
+                getRecord: function (product) {
+                    return product.inventoryRecord || null;
+                }
+            }],
+            getInventoryLists: function () {
+                return this.inventoryLists;
+            }
+        };
+
+        // Setup PriceBookMgr mock
+        mockPriceBookMgr = {
+            priceBooks: [],
+            getSitePriceBooks: function () {
+                var priceBooks = this.priceBooks;
+                return { toArray: function () { return priceBooks; } };
+            }
+        };
+
+        // Setup CustomObjectMgr mock used by failedExportsHelper
+        mockCustomObjectMgr = require('../../../mocks/dw/object/CustomObjectMgr');
+        mockCustomObjectMgr.testUtils.reset();
+
+        // Setup File mock used by exportFileHelper
+        mockFile = require('../../../mocks/dw/io/File');
+        mockFile.testUtils.reset();
+
         // Load ExportProducts with mocks
         ExportProducts = proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/jobs/ExportProducts', {
             'dw/system/Logger': mockLogger,
@@ -158,12 +279,98 @@ describe('ExportProducts Job', function () {
             'dw/system/Site': mockSite,
             'dw/catalog/ProductMgr': mockProductMgr,
             'dw/catalog/ProductSearchModel': mockProductSearchModel,
+            'dw/catalog/PriceBookMgr': mockPriceBookMgr,
             'dw/util/UUIDUtils': require('../../../mocks/dw/util/UUIDUtils'),
             '~/cartridge/scripts/pixlee/services/PixleeService': mockPixleeService,
-            '~/cartridge/scripts/pixlee/models/productExportPayload': mockProductExportPayload
+            '~/cartridge/scripts/pixlee/models/productExportPayload': mockProductExportPayload,
+            '~/cartridge/scripts/pixlee/helpers/exportStateHelper': mockExportStateHelper,
+            '*/cartridge/scripts/pixlee/helpers/attributeMappingHelper': mockAttributeMappingHelper,
+            '*/cartridge/scripts/pixlee/helpers/exportRulesHelper': mockExportRulesHelper,
+            '*/cartridge/scripts/pixlee/helpers/payloadValidationHelper': mockPayloadValidationHelper,
+            '*/cartridge/scripts/pixlee/helpers/stockHelper': mockStockHelper,
+            '*/cartridge/scripts/pixlee/helpers/hooksHelper': proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/hooksHelper', {
+                'dw/system/Logger': mockLogger,
+                'dw/system/HookMgr': mockHookMgr
+            }),
+            '~/cartridge/scripts/pixlee/helpers/cacheHelper': proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/cacheHelper', {
+                'dw/system/Logger': mockLogger
+            }),
+            '~/cartridge/scripts/pixlee/helpers/serviceResultHelper': proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/serviceResultHelper', {
+                'dw/svc/Result': Result
+            }),
+            '~/cartridge/scripts/pixlee/helpers/failedExportsHelper': proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/failedExportsHelper', {
+                'dw/system/Logger': mockLogger,
+                'dw/system/Site': mockSite,
+                'dw/system/Transaction': require('../../../mocks/dw/system/Transaction'),
+                'dw/object/CustomObjectMgr': mockCustomObjectMgr
+            }),
+            '~/cartridge/scripts/pixlee/helpers/exportRegistryHelper': proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/exportRegistryHelper', {
+                'dw/system/Logger': mockLogger,
+                'dw/system/Transaction': require('../../../mocks/dw/system/Transaction'),
+                'dw/object/CustomObjectMgr': mockCustomObjectMgr
+            }),
+            '~/cartridge/scripts/pixlee/helpers/partitionHelper': proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/partitionHelper', {
+                'dw/system/Transaction': require('../../../mocks/dw/system/Transaction'),
+                'dw/object/CustomObjectMgr': mockCustomObjectMgr
+            }),
+            '~/cartridge/scripts/pixlee/helpers/exportFileHelper': proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/exportFileHelper', {
+                'dw/system/Site': mockSite,
+                'dw/io/File': mockFile,
+                'dw/io/FileWriter': require('../../../mocks/dw/io/FileWriter')
+            })
         });
     });
 
+    /**
+     * Runs the chunk script methods the way the job framework does
+     * @param {Object} jobParameters - Job parameters
+     * @param {number} chunkSize - Number of items per chunk
+     * @param {Object} stepExecution - Step execution passed to beforeStep and afterStep
+     */
+    function runChunkJob(jobParameters, chunkSize, stepExecution) {
+        chunkJob(ExportProducts, jobParameters, { chunkSize: chunkSize || 10, stepExecution: stepExecution });
+    }
+
+    /**
+     * Creates a products iterator mock for ProductMgr.queryAllSiteProducts
+     * @param {Array} products - Products to iterate
+     * @returns {Function} - queryAllSiteProducts mock
+     */
+    function productsQuery(products) {
+        return function () {
+            return {
+                count: products.length,
+                hasNext: function () {
+                    return this.index < products.length;
+                },
+                next: function () {
+                    return products[this.index++];
+                },
+                close: function () {},
+                index: 0
+            };
+        };
+    }
+
+    /**
+     * Creates a product mock with modification dates
+     * @param {string} id - Product ID
+     * @param {Date} lastModified - Product modification date
+     * @param {Date} inventoryModified - Inventory record modification date
+     * @returns {Object} - Product mock
+     */
+    function modifiedProduct(id, lastModified, inventoryModified) {
+        return {
+            ID: id,
+            name: 'Product ' + id,
+            online: true,
+            searchable: true,
+            variant: false,
+            lastModified: lastModified,
+            inventoryRecord: inventoryModified ? { lastModified: inventoryModified } : null
+        };
+    }
+
     describe('Job Configuration Validation', function () {
         it('should return OK status when Pixlee is disabled', function () {
             mockSite.getCustomPreferenceValue = function (key) {
@@ -587,5 +794,1074 @@ describe('ExportProducts Job', function () {
             });
             assert.isTrue(hasIteratorError, 'Should log iterator close error');
         });
+
+        it('should fail before exporting when the attribute mapping is invalid', function () {
+            var posted = 0;
+            mockAttributeMappingHelper.mappingError = 'Pixlee attribute mapping must be a JSON array';
+            mockPixleeService.postProduct = function () {
+                posted += 1;
+            };
+
+            assert.throws(function () {
+                ExportProducts.beforeStep({});
+            }, /must be a JSON array/);
+            assert.equal(posted, 0, 'Should not export any product');
+        });
+    });
+
+    describe('Export Rules', function () {
+        it('should skip products excluded by the export rules and count them by rule', function () {
+            var posted = [];
+            mockExportRulesHelper.skipReasons = { 'product-1': 'BRAND_RULE', 'product-3': 'TYPE_RULE' };
+            mockPixleeService.postProduct = function (payload) {
+                posted.push(payload.product.sku);
+                return new Result({ ok: true });
+            };
+
+            runChunkJob({});
+
+            assert.deepEqual(posted, ['product-2']);
+            assert.isTrue(mockLogger.testUtils.getLogMessages('info').some(function (log) {
+                return log.includes('"BRAND_RULE":1,"TYPE_RULE":1');
+            }), 'Should count the skipped products by rule');
+        });
+    });
+
+    describe('Hooks', function () {
+        it('should skip products excluded by shouldExport hooks', function () {
+            var posted = [];
+            mockHookMgr.testUtils.registerHook('app.pixlee.export.shouldExport', {
+                shouldExport: function (product) {
+                    return product.ID !== 'product-2';
+                }
+            });
+            mockPixleeService.postProduct = function (payload) {
+                posted.push(payload.product.sku);
+                return new Result({ ok: true });
+            };
+
+            runChunkJob({});
+
+            assert.deepEqual(posted, ['product-1', 'product-3']);
+            assert.isTrue(mockLogger.testUtils.getLogMessages('info').some(function (log) {
+                return log.includes('"EXCLUDED_BY_HOOK":1');
+            }), 'Should count the product as excluded by hook');
+        });
+
+        it('should skip products for which the shouldExport hook fails', function () {
+            var posted = [];
+            mockHookMgr.testUtils.registerHook('app.pixlee.export.shouldExport', {
+                shouldExport: function (product) {
+                    if (product.ID === 'product-1') {
+                        throw new Error('Hook failed');
+                    }
+                    return true;
+                }
+            });
+            mockPixleeService.postProduct = function (payload) {
+                posted.push(payload.product.sku);
+                return new Result({ ok: true });
+            };
+
+            runChunkJob({});
+
+            assert.deepEqual(posted, ['product-2', 'product-3'], 'Should go on with the next products');
+            assert.lengthOf(mockLogger.testUtils.getLogMessages('error'), 1);
+        });
+    });
+
+    describe('Delta Export', function () {
+        var watermark = new Date('2024-01-01T00:00:00Z');
+        var before = new Date('2023-12-31T00:00:00Z');
+        var after = new Date('2024-01-02T00:00:00Z');
+
+        it('should save the high-water mark after a successful FULL export', function () {
+            var startTime = Date.now();
+
+            runChunkJob({ 'Export Mode': 'FULL' });
+
+            assert.isNotNull(mockExportStateHelper.lastExportTime, 'Should save high-water mark');
+            assert.isAtLeast(mockExportStateHelper.lastExportTime.getTime(), startTime, 'Should save the job start time');
+            assert.equal(mockPixleeService.lastPostedProduct.product.sku, 'product-3', 'Should export all products');
+        });
+
+        it('should export only products modified since the last successful export', function () {
+            mockExportStateHelper.lastExportTime = watermark;
+            mockProductMgr.queryAllSiteProducts = productsQuery([
+                modifiedProduct('unchanged', before, before),
+                modifiedProduct('product-changed', after, before),
+                modifiedProduct('inventory-changed', before, after),
+                modifiedProduct('no-inventory', before, null)
+            ]);
+
+            var posted = [];
+            mockPixleeService.postProduct = function (payload) {
+                posted.push(payload.product.sku);
+                return new Result({ ok: true });
+            };
+
+            runChunkJob({ 'Export Mode': 'DELTA' });
+
+            assert.deepEqual(posted, ['product-changed', 'inventory-changed'], 'Should skip unchanged products');
+            assert.isAbove(mockExportStateHelper.lastExportTime.getTime(), watermark.getTime(), 'Should advance high-water mark');
+
+            var logs = mockLogger.testUtils.getLogMessages('info');
+            assert.isTrue(logs.some(function (log) {
+                return log.includes('Skipped 2 products not modified');
+            }), 'Should log number of unchanged products');
+        });
+
+        it('should export master products with modified variants', function () {
+            mockExportStateHelper.lastExportTime = watermark;
+            var master = modifiedProduct('master', before, null);
+            master.master = true;
+            master.getVariants = function () {
+                var variants = [modifiedProduct('variant-1', before, null), modifiedProduct('variant-2', before, after)];
+                return {
+                    iterator: function () {
+                        var index = 0;
+                        return {
+                            hasNext: function () { return index < variants.length; },
+                            next: function () { return variants[index++]; }
+                        };
+                    }
+                };
+            };
+            mockProductMgr.queryAllSiteProducts = productsQuery([master]);
+
+            runChunkJob({ 'Export Mode': 'DELTA' });
+
+            assert.equal(mockPixleeService.lastPostedProduct.product.sku, 'master', 'Should export master with modified variant inventory');
+        });
+
+        it('should export product sets and bundles with modified members', function () {
+            mockExportStateHelper.lastExportTime = watermark;
+            var productSet = Object.assign(modifiedProduct('set', before, null), {
+                productSet: true,
+                getProductSetProducts: function () {
+                    return { toArray: function () { return [modifiedProduct('set-member', before, after)]; } };
+                }
+            });
+            var bundle = Object.assign(modifiedProduct('bundle', before, null), {
+                bundle: true,
+                getBundledProducts: function () {
+                    return { toArray: function () { return [modifiedProduct('bundle-member', before, before)]; } };
+                }
+            });
+            mockProductMgr.queryAllSiteProducts = productsQuery([productSet, bundle]);
+
+            var posted = [];
+            mockPixleeService.postProduct = function (payload) {
+                posted.push(payload.product.sku);
+                return new Result({ ok: true });
+            };
+
+            runChunkJob({ 'Export Mode': 'DELTA' });
+
+            assert.deepEqual(posted, ['set'], 'Should only export the set with a modified member inventory');
+        });
+
+        it('should export products whose stock changed in a configured inventory list', function () {
+            mockExportStateHelper.lastExportTime = watermark;
+            var storeProduct = modifiedProduct('store-stock-changed', before, before);
+            mockStockHelper.inventoryLists.push({
+                getRecord: function (product) {
+                    return product === storeProduct ? { lastModified: after } : null;
+                }
+            });
+            mockProductMgr.queryAllSiteProducts = productsQuery([
+                storeProduct,
+                modifiedProduct('unchanged', before, before)
+            ]);
+
+            runChunkJob({ 'Export Mode': 'DELTA' });
+
+            assert.equal(mockPixleeService.lastPostedProduct.product.sku, 'store-stock-changed', 'Should only export the product with changed stock');
+        });
+
+        it('should export products whose prices changed since their last export when a price book changed', function () {
+            mockExportStateHelper.lastExportTime = watermark;
+            mockPriceBookMgr.priceBooks = [{ ID: 'usd-list', lastModified: before }, { ID: 'usd-sale', lastModified: after }];
+            var samePrice = Object.assign(modifiedProduct('same-price', before, before), { price: 10 });
+            var newPrice = Object.assign(modifiedProduct('new-price', before, before), { price: 12 });
+            var neverExported = Object.assign(modifiedProduct('never-exported', before, before), { price: 5 });
+            mockCustomObjectMgr.createCustomObject('PixleeProductExport', 'same-price').custom.priceFingerprint = 'prices-10';
+            mockCustomObjectMgr.createCustomObject('PixleeProductExport', 'new-price').custom.priceFingerprint = 'prices-10';
+            mockProductMgr.queryAllSiteProducts = productsQuery([samePrice, newPrice, neverExported]);
+
+            var posted = [];
+            mockPixleeService.postProduct = function (payload) {
+                posted.push(payload.product.sku);
+                return new Result({ ok: true });
+            };
+
+            runChunkJob({ 'Export Mode': 'DELTA' });
+
+            assert.deepEqual(posted, ['new-price', 'never-exported']);
+            assert.equal(mockCustomObjectMgr.getCustomObject('PixleeProductExport', 'new-price').custom.priceFingerprint, 'prices-12',
+                'Should save the fingerprint of the exported prices');
+        });
+
+        it('should not compare prices when no price book changed', function () {
+            mockExportStateHelper.lastExportTime = watermark;
+            mockPriceBookMgr.priceBooks = [{ ID: 'usd-list', lastModified: before }];
+            mockCustomObjectMgr.createCustomObject('PixleeProductExport', 'new-price').custom.priceFingerprint = 'prices-10';
+            mockProductMgr.queryAllSiteProducts = productsQuery([
+                Object.assign(modifiedProduct('new-price', before, before), { price: 12 })
+            ]);
+
+            runChunkJob({ 'Export Mode': 'DELTA' });
+
+            assert.isNull(mockPixleeService.lastPostedProduct);
+        });
+
+        it('should export all products when there is no previous export', function () {
+            mockProductMgr.queryAllSiteProducts = productsQuery([
+                modifiedProduct('old-product', before, before)
+            ]);
+
+            runChunkJob({ 'Export Mode': 'DELTA' });
+
+            assert.equal(mockPixleeService.lastPostedProduct.product.sku, 'old-product', 'Should export unmodified product');
+        });
+
+        it('should not fail when no product has been modified', function () {
+            mockExportStateHelper.lastExportTime = watermark;
+            mockProductMgr.queryAllSiteProducts = productsQuery([
+                modifiedProduct('unchanged', before, before)
+            ]);
+
+            assert.doesNotThrow(function () {
+                runChunkJob({ 'Export Mode': 'DELTA' });
+            }, 'Should complete without exports');
+            assert.isNull(mockPixleeService.lastPostedProduct, 'Should not export unchanged product');
+        });
+
+        it('should advance the high-water mark when failed products are saved for retry', function () {
+            mockExportStateHelper.lastExportTime = watermark;
+            mockProductMgr.queryAllSiteProducts = productsQuery([
+                modifiedProduct('fail-product', after, null),
+                modifiedProduct('good-product', after, null)
+            ]);
+
+            runChunkJob({ 'Export Mode': 'DELTA' });
+
+            assert.isAbove(mockExportStateHelper.lastExportTime.getTime(), watermark.getTime(), 'Should advance high-water mark');
+        });
+
+        it('should not advance the high-water mark when failed products could not be saved', function () {
+            mockExportStateHelper.lastExportTime = watermark;
+            mockProductMgr.queryAllSiteProducts = productsQuery([
+                modifiedProduct('fail-product', after, null),
+                modifiedProduct('good-product', after, null)
+            ]);
+            var createCustomObject = mockCustomObjectMgr.createCustomObject;
+            mockCustomObjectMgr.createCustomObject = function () {
+                throw new Error('Quota exceeded');
+            };
+
+            try {
+                runChunkJob({ 'Export Mode': 'DELTA' });
+            } finally {
+                mockCustomObjectMgr.createCustomObject = createCustomObject;
+            }
+
+            assert.equal(mockExportStateHelper.lastExportTime, watermark, 'Should keep previous high-water mark');
+        });
+
+        it('should not advance the high-water mark for test product exports', function () {
+            runChunkJob({ 'Test Product ID': 'test-product-123' });
+
+            assert.isNull(mockExportStateHelper.lastExportTime, 'Should not save high-water mark');
+        });
+    });
+
+    describe('Service Result Handling', function () {
+        var attempts;
+
+        beforeEach(function () {
+            attempts = {};
+            mockProductMgr.queryAllSiteProducts = productsQuery([
+                modifiedProduct('product-1'),
+                modifiedProduct('product-2'),
+                modifiedProduct('product-3')
+            ]);
+        });
+
+        /**
+         * Makes postProduct return results from a per-product sequence
+         * @param {Object} sequences - Product ID to array of results
+         */
+        function respondWith(sequences) {
+            mockPixleeService.postProduct = function (payload) {
+                var sku = payload.product.sku;
+                attempts[sku] = (attempts[sku] || 0) + 1;
+                var sequence = sequences[sku] || [new Result({ ok: true })];
+                this.lastPostedProduct = payload;
+                return sequence[Math.min(attempts[sku], sequence.length) - 1];
+            };
+        }
+
+        it('should count non-OK results as failures', function () {
+            respondWith({
+                'product-2': [new Result({ ok: false, status: Result.ERROR, error: 400, errorMessage: 'Invalid price' })]
+            });
+
+            runChunkJob({});
+
+            assert.equal(attempts['product-2'], 1, 'Should not retry permanent failures');
+            var logs = mockLogger.testUtils.getLogMessages('error');
+            assert.isTrue(logs.some(function (log) {
+                return log.indexOf('Failed to export product') === 0;
+            }), 'Should log the failed export');
+            assert.isTrue(mockLogger.testUtils.getLogMessages('info').some(function (log) {
+                return log.includes('Exported: 2, Failures: 1, Processed');
+            }), 'Should not count the failed product as exported');
+        });
+
+        it('should save transient failures for retry without retrying them inline', function () {
+            var retryAfter = new Date(Date.now() + 30000);
+            respondWith({
+                'product-1': [
+                    new Result({ ok: false, status: Result.ERROR, error: 429 }),
+                    new Result({ ok: true })
+                ]
+            });
+            mockPixleeService.getRetryAfter = function () {
+                return retryAfter;
+            };
+
+            runChunkJob({});
+
+            assert.equal(attempts['product-1'], 1, 'Should not retry inline');
+            assert.isTrue(mockLogger.testUtils.getLogMessages('info').some(function (log) {
+                return log.includes('Exported: 2, Failures: 1, Processed');
+            }), 'Should count the transient failure as failed');
+            var failure = mockCustomObjectMgr.getCustomObject('PixleeFailedExport', 'product-1');
+            assert.equal(failure.custom.errorClass, 'TRANSIENT');
+            assert.equal(failure.custom.retryAfter, retryAfter, 'Should save the time to retry at');
+        });
+
+        it('should stop reading once permanent failures reach Break After', function () {
+            respondWith({
+                'product-1': [new Result({ ok: false, status: Result.ERROR, error: 422 })]
+            });
+
+            assert.throws(function () {
+                runChunkJob({ 'Break After': '1' }, 1);
+            }, /Export failed/);
+            assert.isUndefined(attempts['product-2'], 'Should not export further products');
+        });
+    });
+
+    describe('Failed Exports', function () {
+        it('should save failed service calls for retry', function () {
+            mockProductMgr.queryAllSiteProducts = productsQuery([
+                modifiedProduct('product-1'),
+                modifiedProduct('product-2')
+            ]);
+            mockPixleeService.postProduct = function (payload) {
+                return payload.product.sku === 'product-2'
+                    ? new Result({ ok: false, status: Result.ERROR, error: 400, errorMessage: '{"error":"Invalid price"}' })
+                    : new Result({ ok: true });
+            };
+
+            runChunkJob({});
+
+            var failures = mockCustomObjectMgr.testUtils.getAll('PixleeFailedExport');
+            assert.lengthOf(failures, 1, 'Should save only the failed product');
+            assert.equal(failures[0].custom.ID, 'product-2');
+            assert.equal(failures[0].custom.siteId, 'test-site');
+            assert.equal(failures[0].custom.errorClass, 'PERMANENT');
+            assert.equal(failures[0].custom.httpStatus, 400);
+            assert.equal(failures[0].custom.responseExcerpt, '{"error":"Invalid price"}');
+            assert.ok(failures[0].custom.jobId, 'Should save the job ID');
+        });
+
+        it('should save products whose payload could not be built', function () {
+            mockProductMgr.queryAllSiteProducts = productsQuery([
+                modifiedProduct('product-1'),
+                modifiedProduct('broken-product')
+            ]);
+            runChunkJob({});
+
+            var failure = mockCustomObjectMgr.getCustomObject('PixleeFailedExport', 'broken-product');
+            assert.isNotNull(failure, 'Should save the product');
+            assert.equal(failure.custom.errorClass, 'PROCESSING');
+            assert.equal(failure.custom.errorMessage, 'Missing price');
+        });
+
+        it('should save products with an invalid payload without posting them', function () {
+            mockProductMgr.queryAllSiteProducts = productsQuery([
+                modifiedProduct('product-1'),
+                modifiedProduct('invalid-product')
+            ]);
+            mockPayloadValidationHelper.validationErrors['invalid-product'] = [
+                { field: 'product.price', message: 'must be a finite number, not NaN' },
+                { field: 'product.buy_now_link_url', message: 'is required' }
+            ];
+            var posted = [];
+            mockPixleeService.postProduct = function (payload) {
+                posted.push(payload.product.sku);
+                return new Result({ ok: true });
+            };
+
+            runChunkJob({});
+
+            assert.deepEqual(posted, ['product-1'], 'Should not post the invalid product');
+            var failure = mockCustomObjectMgr.getCustomObject('PixleeFailedExport', 'invalid-product');
+            assert.equal(failure.custom.errorClass, 'VALIDATION');
+            assert.equal(failure.custom.errorMessage, 'product.price must be a finite number, not NaN; product.buy_now_link_url is required');
+            assert.isTrue(mockLogger.testUtils.getLogMessages('error').some(function (log) {
+                return log.includes('Invalid payload for product');
+            }), 'Should log the field errors');
+        });
+
+        it('should clear saved failures of products exported successfully', function () {
+            mockCustomObjectMgr.createCustomObject('PixleeFailedExport', 'product-1').custom.errorClass = 'TRANSIENT';
+
+            runChunkJob({});
+
+            assert.isNull(mockCustomObjectMgr.getCustomObject('PixleeFailedExport', 'product-1'), 'Should remove saved failure');
+        });
+
+        it('should only look up the saved failures loaded before the export', function () {
+            mockCustomObjectMgr.createCustomObject('PixleeFailedExport', 'product-1').custom.errorClass = 'TRANSIENT';
+            var getCustomObject = mockCustomObjectMgr.getCustomObject;
+            var lookups = [];
+            mockCustomObjectMgr.getCustomObject = function (type, keyValue) {
+                if (type === 'PixleeFailedExport') {
+                    lookups.push(keyValue);
+                }
+                return getCustomObject.call(this, type, keyValue);
+            };
+
+            try {
+                runChunkJob({});
+            } finally {
+                mockCustomObjectMgr.getCustomObject = getCustomObject;
+            }
+
+            assert.deepEqual(lookups, ['product-1'], 'Should not look up failures of the other products');
+            assert.isNull(mockCustomObjectMgr.getCustomObject('PixleeFailedExport', 'product-1'), 'Should remove saved failure');
+        });
+    });
+
+    describe('Dry Run', function () {
+        /**
+         * Returns the lines of a file written by the job
+         * @param {string} fileName - File name
+         * @returns {Array} - Lines of the file
+         */
+        function readExportFile(fileName) {
+            var content = mockFile.testUtils.getContent('/IMPEX/src/pixlee/test-site/' + fileName);
+            return content ? content.split('\n').filter(Boolean) : null;
+        }
+
+        /**
+         * Returns the ID of the last job started
+         * @returns {string} - Job ID
+         */
+        function getJobId() {
+            var startLog = mockLogger.testUtils.getLogMessages('info').filter(function (log) {
+                return log.indexOf('Starting Pixlee') === 0;
+            }).pop();
+            return startLog.split(' ').pop();
+        }
+
+        beforeEach(function () {
+            mockProductMgr.queryAllSiteProducts = productsQuery([
+                modifiedProduct('product-1'),
+                Object.assign(modifiedProduct('offline-product'), { online: false }),
+                Object.assign(modifiedProduct('variant-product'), { variant: true }),
+                modifiedProduct('product-2')
+            ]);
+        });
+
+        it('should write payloads as JSON Lines instead of posting them', function () {
+            runChunkJob({ 'Dry Run': true });
+
+            var lines = readExportFile(getJobId() + '.jsonl');
+            assert.isNull(mockPixleeService.lastPostedProduct, 'Should not post products');
+            assert.lengthOf(mockPixleeService.notifications, 0, 'Should not notify Pixlee');
+            assert.lengthOf(lines, 2);
+            assert.equal(JSON.parse(lines[0]).product.sku, 'product-1');
+            assert.equal(JSON.parse(lines[1]).product.sku, 'product-2');
+        });
+
+        it('should write a summary with counts and skip reasons', function () {
+            runChunkJob({ 'Dry Run': true });
+
+            var jobId = getJobId();
+            var summary = JSON.parse(readExportFile(jobId + '.summary.json').join('\n'));
+            assert.equal(summary.jobId, jobId);
+            assert.equal(summary.siteId, 'test-site');
+            assert.isTrue(summary.dryRun);
+            assert.equal(summary.processed, 4);
+            assert.equal(summary.exported, 2);
+            assert.equal(summary.failures, 0);
+            assert.deepEqual(summary.skipped, { OFFLINE: 1, VARIANT: 1 });
+        });
+
+        it('should not save failures or advance the high-water mark', function () {
+            mockProductMgr.queryAllSiteProducts = productsQuery([
+                modifiedProduct('product-1'),
+                modifiedProduct('broken-product')
+            ]);
+
+            runChunkJob({ 'Dry Run': true });
+
+            assert.lengthOf(mockCustomObjectMgr.testUtils.getAll('PixleeFailedExport'), 0, 'Should not save failures');
+            assert.isNull(mockExportStateHelper.lastExportTime, 'Should not save high-water mark');
+            var summary = JSON.parse(readExportFile(getJobId() + '.summary.json').join('\n'));
+            assert.equal(summary.failures, 1);
+        });
+
+        it('should log skip reasons of regular exports', function () {
+            runChunkJob({});
+
+            assert.isTrue(mockLogger.testUtils.getLogMessages('info').some(function (log) {
+                return log.includes('{"OFFLINE":1,"VARIANT":1}');
+            }), 'Should log skip reasons');
+        });
+    });
+
+    describe('Feed Export', function () {
+        var stepExecution;
+        var jobContext;
+        var uploadedFeeds;
+
+        beforeEach(function () {
+            jobContext = {};
+            uploadedFeeds = [];
+            stepExecution = {
+                getJobExecution: function () {
+                    return {
+                        getContext: function () {
+                            return {
+                                put: function (key, value) { jobContext[key] = value; },
+                                get: function (key) { return jobContext[key]; }
+                            };
+                        }
+                    };
+                }
+            };
+            mockPixleeService.uploadFeed = function (feedFile) {
+                uploadedFeeds.push({
+                    name: feedFile.name,
+                    lines: mockFile.testUtils.getContent(feedFile.fullPath).split('\n').filter(Boolean)
+                });
+                return new Result({ ok: true, object: '{"import_id":"import-1"}' });
+            };
+        });
+
+        it('should upload all payloads as a single compressed feed', function () {
+            runChunkJob({ 'Export Method': 'FEED' }, 1, stepExecution);
+
+            assert.isNull(mockPixleeService.lastPostedProduct, 'Should not post products one by one');
+            assert.lengthOf(uploadedFeeds, 1);
+            assert.match(uploadedFeeds[0].name, /\.jsonl\.gz$/);
+            assert.deepEqual(uploadedFeeds[0].lines.map(function (line) {
+                return JSON.parse(line).product.sku;
+            }), ['product-1', 'product-2', 'product-3']);
+        });
+
+        it('should hand over the import to the import status step', function () {
+            var startTime = Date.now();
+
+            runChunkJob({ 'Export Method': 'FEED' }, 10, stepExecution);
+
+            assert.equal(jobContext.pixleeFeedImportId, 'import-1');
+            assert.isAtLeast(jobContext.pixleeFeedExportStartTime, startTime);
+            assert.isNull(mockExportStateHelper.lastExportTime, 'Should leave the high-water mark to the import status step');
+            assert.equal(mockExportStateHelper.pendingFeedImport.importId, 'import-1', 'Should save the import for later jobs');
+            assert.equal(mockExportStateHelper.pendingFeedImport.exportStartTime, jobContext.pixleeFeedExportStartTime);
+        });
+
+        it('should fail when the upload response has no import ID', function () {
+            ['', '{"status":"queued"}'].forEach(function (body) {
+                mockPixleeService.uploadFeed = function () {
+                    return new Result({ ok: true, object: body });
+                };
+
+                assert.throws(function () {
+                    runChunkJob({ 'Export Method': 'FEED' }, 10, stepExecution);
+                }, /Uploaded feed .* (could not parse the Pixlee response|has no import ID)/);
+                assert.isUndefined(jobContext.pixleeFeedImportId);
+                assert.isNull(mockExportStateHelper.pendingFeedImport);
+            });
+        });
+
+        it('should fail when the feed cannot be uploaded', function () {
+            mockPixleeService.uploadFeed = function () {
+                return new Result({ ok: false, status: Result.ERROR, error: 413, errorMessage: 'Payload too large' });
+            };
+
+            assert.throws(function () {
+                runChunkJob({ 'Export Method': 'FEED' }, 10, stepExecution);
+            }, /Failed to upload feed/);
+            assert.isUndefined(jobContext.pixleeFeedImportId);
+        });
+
+        it('should register the exported products without a fingerprint', function () {
+            runChunkJob({ 'Export Method': 'FEED' }, 10, stepExecution);
+
+            var productExport = mockCustomObjectMgr.getCustomObject('PixleeProductExport', 'product-1');
+            assert.isNotNull(productExport, 'Should register the product to be archived once removed');
+            assert.equal(productExport.custom.sku, 'product-1');
+            assert.isNull(productExport.custom.fingerprint, 'Should not skip the product until its import is confirmed');
+        });
+
+        it('should not upload anything for dry runs', function () {
+            runChunkJob({ 'Export Method': 'FEED', 'Dry Run': true }, 10, stepExecution);
+
+            assert.lengthOf(uploadedFeeds, 0);
+            assert.isUndefined(jobContext.pixleeFeedImportId);
+        });
+
+        it('should refuse to start while the feed upload endpoint is not published', function () {
+            mockPixleeService.isPublished = function (callName) {
+                return callName !== 'uploadFeed';
+            };
+
+            assert.throws(function () {
+                runChunkJob({ 'Export Method': 'FEED' }, 10, stepExecution);
+            }, /FEED exports are not available yet/);
+            assert.lengthOf(uploadedFeeds, 0);
+            assert.isNull(mockPixleeService.lastPostedProduct, 'Should not post products either');
+        });
+    });
+
+    describe('Skip Unchanged', function () {
+        /**
+         * Returns the SKUs of the products posted by a job run
+         * @param {Object} jobParameters - Job parameters
+         * @returns {Array} - Posted SKUs
+         */
+        function runAndCollectPosted(jobParameters) {
+            var posted = [];
+            mockPixleeService.postProduct = function (payload) {
+                posted.push(payload.product.sku);
+                return new Result({ ok: true });
+            };
+            runChunkJob(jobParameters);
+            return posted;
+        }
+
+        it('should save the payload fingerprint of exported products', function () {
+            runChunkJob({});
+
+            var productExport = mockCustomObjectMgr.getCustomObject('PixleeProductExport', 'product-1');
+            assert.isNotNull(productExport, 'Should save the export');
+            assert.equal(productExport.custom.fingerprint, JSON.stringify({
+                product: { sku: 'product-1', name: 'Product 1', native_product_id: 'product-1' },
+                title: 'Product 1'
+            }));
+            assert.equal(productExport.custom.sku, 'product-1');
+            assert.instanceOf(productExport.custom.lastExported, Date);
+            assert.ok(productExport.custom.jobId, 'Should save the job ID');
+        });
+
+        it('should skip products whose payload has not changed', function () {
+            mockProductMgr.queryAllSiteProducts = productsQuery([
+                modifiedProduct('product-1'),
+                modifiedProduct('product-2'),
+                modifiedProduct('product-3')
+            ]);
+            runChunkJob({});
+            mockProductMgr.queryAllSiteProducts = productsQuery([
+                modifiedProduct('product-1'),
+                Object.assign(modifiedProduct('product-2'), { name: 'Renamed Product 2' }),
+                modifiedProduct('product-3')
+            ]);
+
+            var posted = runAndCollectPosted({ 'Skip Unchanged': true });
+
+            assert.deepEqual(posted, ['product-2'], 'Should only post the changed product');
+            assert.isTrue(mockLogger.testUtils.getLogMessages('info').some(function (log) {
+                return log.includes('Skipped 2 products unchanged since their last export');
+            }), 'Should log the number of unchanged products');
+        });
+
+        it('should not fail when no product has changed', function () {
+            runChunkJob({});
+
+            var posted;
+            assert.doesNotThrow(function () {
+                posted = runAndCollectPosted({ 'Skip Unchanged': true });
+            });
+            assert.lengthOf(posted, 0);
+        });
+
+        it('should post unchanged products when the parameter is not set', function () {
+            runChunkJob({});
+
+            assert.lengthOf(runAndCollectPosted({}), 3);
+        });
+
+        it('should not save fingerprints of failed products', function () {
+            mockProductMgr.queryAllSiteProducts = productsQuery([
+                modifiedProduct('product-1'),
+                modifiedProduct('fail-product')
+            ]);
+
+            runChunkJob({});
+
+            assert.isNull(mockCustomObjectMgr.getCustomObject('PixleeProductExport', 'fail-product'));
+        });
+    });
+
+    describe('Set Members', function () {
+        /**
+         * Creates a product set mock
+         * @param {string} id - Product set ID
+         * @param {Array} members - Member product mocks
+         * @returns {Object} - Product set mock
+         */
+        function productSet(id, members) {
+            return Object.assign(modifiedProduct(id), {
+                productSet: true,
+                getProductSetProducts: function () {
+                    return { toArray: function () { return members; } };
+                }
+            });
+        }
+
+        /**
+         * Returns the SKUs of the products posted by a job run
+         * @param {Object} jobParameters - Job parameters
+         * @returns {Array} - Posted SKUs
+         */
+        function runAndCollectPosted(jobParameters) {
+            var posted = [];
+            mockPixleeService.postProduct = function (payload) {
+                posted.push(payload.product.sku);
+                return new Result({ ok: true });
+            };
+            runChunkJob(jobParameters);
+            return posted;
+        }
+
+        beforeEach(function () {
+            var sweater = Object.assign(modifiedProduct('sweater-red'), { variant: true });
+            var scarf = Object.assign(modifiedProduct('scarf'), { searchable: false });
+            var hat = Object.assign(modifiedProduct('hat'), { online: false });
+            var boots = modifiedProduct('boots');
+
+            mockProductMgr.queryAllSiteProducts = productsQuery([
+                productSet('winter-look', [sweater, scarf, hat, boots]),
+                productSet('holiday-look', [scarf]),
+                boots
+            ]);
+        });
+
+        it('should export the members of sets not exported on their own, once', function () {
+            var posted = runAndCollectPosted({ 'Export Set Members': true });
+
+            assert.deepEqual(posted, ['winter-look', 'sweater-red', 'scarf', 'holiday-look', 'boots'],
+                'Should export variant and not searchable members after their set, but not offline members');
+        });
+
+        it('should register the exports of members as set members', function () {
+            runAndCollectPosted({ 'Export Set Members': true });
+
+            assert.isTrue(mockCustomObjectMgr.getCustomObject('PixleeProductExport', 'sweater-red').custom.setMember);
+            assert.isTrue(mockCustomObjectMgr.getCustomObject('PixleeProductExport', 'scarf').custom.setMember);
+            assert.isFalse(mockCustomObjectMgr.getCustomObject('PixleeProductExport', 'boots').custom.setMember,
+                'Should not flag members exported on their own');
+            assert.isFalse(mockCustomObjectMgr.getCustomObject('PixleeProductExport', 'winter-look').custom.setMember);
+        });
+
+        it('should only export the sets when the parameter is not set', function () {
+            assert.deepEqual(runAndCollectPosted({}), ['winter-look', 'holiday-look', 'boots']);
+        });
+    });
+
+    describe('Resume', function () {
+        var posted;
+
+        beforeEach(function () {
+            posted = [];
+            mockPixleeService.postProduct = function (payload) {
+                posted.push(payload.product.sku);
+                return new Result({ ok: true });
+            };
+        });
+
+        /**
+         * Runs the first chunks of a job, one product per chunk, and stops
+         * without afterStep the way an aborted or timed out job does
+         * @param {Object} jobParameters - Job parameters
+         * @param {number} chunks - Number of chunks to run
+         */
+        function runAbortedJob(jobParameters, chunks) {
+            ExportProducts.beforeStep(jobParameters);
+            ExportProducts.getTotalCount(jobParameters);
+
+            for (var i = 0; i < chunks; i += 1) {
+                var processed = ExportProducts.process(ExportProducts.read(jobParameters), jobParameters);
+                ExportProducts.beforeChunk(jobParameters);
+                ExportProducts.write([processed], jobParameters);
+                ExportProducts.afterChunk(true, jobParameters);
+            }
+        }
+
+        /**
+         * @param {string} status - Export status
+         * @returns {Array} - Notifications sent with the status
+         */
+        function notificationsOf(status) {
+            return mockPixleeService.notifications.filter(function (notification) {
+                return notification.status === status;
+            });
+        }
+
+        it('should save a checkpoint after each chunk and clear it once all products are read', function () {
+            var saved = [];
+            var saveCheckpoint = mockExportStateHelper.saveCheckpoint;
+            mockExportStateHelper.saveCheckpoint = function (checkpoint) {
+                saved.push(checkpoint);
+                saveCheckpoint.call(this, checkpoint);
+            };
+
+            runChunkJob({}, 1);
+
+            assert.deepEqual(saved.map(function (checkpoint) {
+                return checkpoint.lastProductId;
+            }), ['product-1', 'product-2', 'product-3']);
+            assert.include(saved[1], { exportMode: 'FULL', productsSource: 'CATALOG_API', processedCount: 2, productsExported: 2 });
+            assert.equal(saved[1].jobId, mockPixleeService.lastNotification.jobId, 'Should save the job ID');
+            assert.isNull(mockExportStateHelper.checkpoint, 'Should clear the checkpoint of the finished export');
+        });
+
+        it('should resume an aborted export after the last product read with the same job ID', function () {
+            runAbortedJob({}, 1);
+            var jobId = notificationsOf('started')[0].jobId;
+
+            assert.equal(mockExportStateHelper.checkpoint.lastProductId, 'product-1');
+            assert.isNull(mockExportStateHelper.lastExportTime, 'Should not advance the high-water mark');
+
+            runChunkJob({ Resume: true });
+
+            assert.deepEqual(posted, ['product-1', 'product-2', 'product-3'], 'Should continue with the next products');
+            assert.lengthOf(notificationsOf('started'), 1, 'Should not notify a new export');
+            assert.equal(notificationsOf('finished')[0].jobId, jobId, 'Should finish the export with the same job ID');
+            assert.isNull(mockExportStateHelper.checkpoint);
+            assert.isNotNull(mockExportStateHelper.lastExportTime, 'Should advance the high-water mark once finished');
+            assert.isTrue(mockLogger.testUtils.getLogMessages('info').some(function (log) {
+                return log.includes('Exported: 3, Failures: 0');
+            }), 'Should restore the counters of the checkpoint');
+        });
+
+        it('should keep the checkpoint of an export that stopped reading early', function () {
+            mockPixleeService.postProduct = function (payload) {
+                posted.push(payload.product.sku);
+                return payload.product.sku === 'product-2'
+                    ? new Result({ ok: false, status: Result.ERROR, error: 422 })
+                    : new Result({ ok: true });
+            };
+
+            runChunkJob({ 'Break After': '1' }, 1);
+
+            assert.equal(mockExportStateHelper.checkpoint.lastProductId, 'product-2');
+            assert.lengthOf(notificationsOf('finished'), 0, 'Should not finish the export');
+            assert.isTrue(mockLogger.testUtils.getLogMessages('warn').some(function (log) {
+                return log.includes('enable Resume to continue it after product product-2');
+            }));
+        });
+
+        it('should discard the checkpoint and start a new export when Resume is not enabled', function () {
+            runAbortedJob({}, 2);
+            var jobId = notificationsOf('started')[0].jobId;
+
+            runChunkJob({});
+
+            assert.deepEqual(posted, ['product-1', 'product-2', 'product-1', 'product-2', 'product-3']);
+            assert.lengthOf(notificationsOf('started'), 2);
+            assert.notEqual(notificationsOf('finished')[0].jobId, jobId, 'Should use a new job ID');
+            assert.isNull(mockExportStateHelper.checkpoint);
+        });
+
+        it('should not resume the checkpoint of an export from another products source', function () {
+            runAbortedJob({}, 1);
+
+            runChunkJob({ Resume: true, 'Products Source': 'SEARCH_INDEX' });
+
+            assert.deepEqual(posted, ['product-1', 'search-product-1', 'search-product-2']);
+            assert.lengthOf(notificationsOf('started'), 2, 'Should start a new export');
+        });
+
+        it('should resume exports from the search index', function () {
+            var jobParameters = { Resume: true, 'Products Source': 'SEARCH_INDEX' };
+            runAbortedJob(jobParameters, 1);
+            var jobId = notificationsOf('started')[0].jobId;
+
+            runChunkJob(jobParameters);
+
+            assert.deepEqual(posted, ['search-product-1', 'search-product-2']);
+            assert.equal(notificationsOf('finished')[0].jobId, jobId);
+        });
+
+        it('should read all products again when the product of the checkpoint is not found', function () {
+            runAbortedJob({}, 1);
+            mockExportStateHelper.checkpoint.lastProductId = 'deleted-product';
+
+            runChunkJob({ Resume: true });
+
+            assert.deepEqual(posted, ['product-1', 'product-1', 'product-2', 'product-3']);
+            assert.isTrue(mockLogger.testUtils.getLogMessages('warn').some(function (log) {
+                return log.includes('Product deleted-product of the checkpoint not found');
+            }));
+        });
+
+        it('should not save checkpoints for dry runs', function () {
+            runAbortedJob({ 'Dry Run': true }, 1);
+
+            assert.isNull(mockExportStateHelper.checkpoint);
+        });
+    });
+
+    describe('Partitions', function () {
+        var partitionHelper = require('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/partitionHelper');
+        var productIds = ['product-1', 'product-2', 'product-3', 'product-4', 'product-5', 'product-6'];
+        var jobContext;
+        var stepExecution;
+        var posted;
+
+        beforeEach(function () {
+            jobContext = {};
+            stepExecution = {
+                getJobExecution: function () {
+                    return {
+                        getID: function () {
+                            return 'job-execution-1';
+                        },
+                        getContext: function () {
+                            return {
+                                put: function (key, value) { jobContext[key] = value; },
+                                get: function (key) { return jobContext[key]; }
+                            };
+                        }
+                    };
+                }
+            };
+
+            mockProductMgr.queryAllSiteProducts = productsQuery(productIds.map(function (id) {
+                return modifiedProduct(id);
+            }));
+            posted = [];
+            mockPixleeService.postProduct = function (payload) {
+                posted.push(payload.product.sku);
+                return new Result({ ok: true });
+            };
+        });
+
+        /**
+         * Runs the export of one partition out of two
+         * @param {number} index - Partition index
+         * @param {Object} jobParameters - Additional job parameters
+         */
+        function runPartition(index, jobParameters) {
+            runChunkJob(Object.assign({ 'Partition Count': 2, 'Partition Index': index }, jobParameters), 2, stepExecution);
+        }
+
+        /**
+         * @param {string} status - Export status
+         * @returns {Array} - Notifications sent with the status
+         */
+        function notificationsOf(status) {
+            return mockPixleeService.notifications.filter(function (notification) {
+                return notification.status === status;
+            });
+        }
+
+        it('should export each product in exactly one partition', function () {
+            runPartition(1);
+            var secondPartition = posted;
+            posted = [];
+            runPartition(0);
+
+            assert.isAbove(posted.length, 0, 'Should export products of the first partition');
+            assert.isAbove(secondPartition.length, 0, 'Should export products of the second partition');
+            assert.deepEqual(posted.concat(secondPartition).sort(), productIds);
+            posted.forEach(function (id) {
+                assert.equal(partitionHelper.getPartition(id, 2), 0);
+            });
+        });
+
+        it('should report the partitions to Pixlee as one export with the job execution ID', function () {
+            runPartition(1);
+
+            assert.lengthOf(notificationsOf('started'), 0, 'Should be started by the first partition');
+            assert.lengthOf(notificationsOf('finished'), 0, 'Should wait for the first partition');
+
+            runPartition(0);
+
+            assert.lengthOf(notificationsOf('started'), 1);
+            assert.lengthOf(notificationsOf('finished'), 1);
+            assert.equal(notificationsOf('started')[0].jobId, 'job-execution-1');
+            assert.equal(notificationsOf('finished')[0].jobId, 'job-execution-1');
+            assert.isTrue(mockLogger.testUtils.getLogMessages('info').some(function (log) {
+                return log.includes('All 2 partitions of export job job-execution-1 finished. Exported: 6, Failures: 0');
+            }));
+        });
+
+        it('should finalize the export once when partitions finish at the same time', function () {
+            runPartition(1);
+            runPartition(0);
+            mockExportStateHelper.lastExportTime = null;
+
+            // Another flow finding the results of all partitions too
+            runPartition(1);
+
+            assert.lengthOf(notificationsOf('finished'), 1);
+            assert.isNull(mockExportStateHelper.lastExportTime, 'Should not save the high-water mark again');
+            assert.isTrue(mockLogger.testUtils.getLogMessages('info').some(function (log) {
+                return log.includes('the export is finalized by another partition');
+            }));
+        });
+
+        it('should advance the high-water mark once all partitions have completed', function () {
+            runPartition(0);
+            assert.isNull(mockExportStateHelper.lastExportTime, 'Should wait for the other partition');
+
+            runPartition(1);
+            assert.isNotNull(mockExportStateHelper.lastExportTime);
+            assert.isNull(mockExportStateHelper.checkpoint, 'Should not save checkpoints for partitions');
+        });
+
+        it('should not advance the high-water mark when a partition stopped early', function () {
+            mockPixleeService.postProduct = function (payload) {
+                return partitionHelper.getPartition(payload.product.sku, 2) === 0
+                    ? new Result({ ok: true })
+                    : new Result({ ok: false, status: Result.ERROR, error: 422 });
+            };
+
+            assert.throws(function () {
+                runPartition(1, { 'Break After': '1' });
+            }, /Export failed/);
+            runPartition(0);
+
+            assert.lengthOf(notificationsOf('finished'), 1, 'Should finish the export');
+            assert.isNull(mockExportStateHelper.lastExportTime);
+        });
+
+        it('should write dry run files for each partition', function () {
+            runPartition(0, { 'Dry Run': true });
+            runPartition(1, { 'Dry Run': true });
+
+            assert.isNotNull(mockFile.testUtils.getContent('/IMPEX/src/pixlee/test-site/job-execution-1-0.jsonl'));
+            assert.isNotNull(mockFile.testUtils.getContent('/IMPEX/src/pixlee/test-site/job-execution-1-1.summary.json'));
+            assert.lengthOf(mockPixleeService.notifications, 0);
+        });
+
+        it('should reject invalid partitions and partitioned feed exports', function () {
+            assert.throws(function () {
+                runChunkJob({ 'Partition Count': 2, 'Partition Index': 2 }, 2, stepExecution);
+            }, /Partition Index 2 is not between 0 and 1/);
+            assert.throws(function () {
+                runPartition(0, { 'Export Method': 'FEED' });
+            }, /FEED exports cannot be partitioned/);
+        });
     });
 });
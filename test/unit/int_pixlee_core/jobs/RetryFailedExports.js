@@ -0,0 +1,285 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+var runChunkJob = require('../../../chunkJob');
+var Result = require('../../../mocks/dw/svc/Result');
+
+require('../../../mocks/globals');
+
+describe('RetryFailedExports Job', function () {
+    var RetryFailedExports;
+    var failedExportsHelper;
+    var mockLogger;
+    var mockSite;
+    var mockCustomObjectMgr;
+    var mockPixleeService;
+    var products;
+    var posted;
+
+    beforeEach(function () {
+        require('../../../mocks/globals').resetGlobals();
+
+        mockLogger = require('../../../mocks/dw/system/Logger');
+        mockLogger.testUtils.clearLogs();
+
+        mockCustomObjectMgr = require('../../../mocks/dw/object/CustomObjectMgr');
+        mockCustomObjectMgr.testUtils.reset();
+
+        mockSite = {
+            ID: 'test-site',
+            preferences: {
+                PixleeEnabled: true,
+                PixleePrivateApiKey: 'test-private-key',
+                PixleeSecretKey: 'test-secret-key'
+            },
+            getCustomPreferenceValue: function (key) {
+                return this.preferences[key];
+            },
+            getCurrent: function () {
+                return this;
+            }
+        };
+
+        products = {};
+        posted = [];
+
+        mockPixleeService = {
+            responses: {},
+            postProduct: function (payload) {
+                posted.push(payload.productId);
+                return this.responses[payload.productId] || new Result({ ok: true });
+            }
+        };
+
+        /**
+         * Product payload mock
+         * @param {Object} product - Product to export
+         */
+        function MockProductExportPayload(product) {
+            if (product.ID === 'broken-product') {
+                throw new Error('Missing price');
+            }
+            this.productId = product.ID;
+            this.product = { sku: product.ID };
+        }
+        MockProductExportPayload.preInitializeCategoryProcessing = function () {};
+        MockProductExportPayload.getPriceFingerprint = function (product) {
+            return 'prices-' + product.ID;
+        };
+        MockProductExportPayload.prototype.getFingerprint = function () {
+            return 'fingerprint-' + this.productId;
+        };
+
+        failedExportsHelper = proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/failedExportsHelper', {
+            'dw/system/Logger': mockLogger,
+            'dw/system/Site': mockSite,
+            'dw/system/Transaction': require('../../../mocks/dw/system/Transaction'),
+            'dw/object/CustomObjectMgr': mockCustomObjectMgr
+        });
+
+        RetryFailedExports = proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/jobs/RetryFailedExports', {
+            'dw/system/Logger': mockLogger,
+            'dw/system/Site': mockSite,
+            'dw/catalog/ProductMgr': {
+                getProduct: function (productId) {
+                    return products[productId] || null;
+                }
+            },
+            'dw/util/UUIDUtils': require('../../../mocks/dw/util/UUIDUtils'),
+            '~/cartridge/scripts/pixlee/services/PixleeService': mockPixleeService,
+            '~/cartridge/scripts/pixlee/models/productExportPayload': MockProductExportPayload,
+            '~/cartridge/scripts/pixlee/helpers/failedExportsHelper': failedExportsHelper,
+            '*/cartridge/scripts/pixlee/helpers/attributeMappingHelper': { validateMapping: function () { return 0; } },
+            '*/cartridge/scripts/pixlee/helpers/hooksHelper': { shouldExport: function () { return true; } },
+            '*/cartridge/scripts/pixlee/helpers/exportRulesHelper': {
+                validateRules: function () { return 0; },
+                getSkipReason: function () { return null; }
+            },
+            '*/cartridge/scripts/pixlee/helpers/payloadValidationHelper': {
+                validate: function (payload) {
+                    return payload.product.sku === 'invalid-product'
+                        ? [{ field: 'product.buy_now_link_url', message: 'is required' }]
+                        : [];
+                },
+                formatErrors: function (errors) {
+                    return errors[0].field + ' ' + errors[0].message;
+                }
+            },
+            '~/cartridge/scripts/pixlee/helpers/cacheHelper': proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/cacheHelper', {
+                'dw/system/Logger': mockLogger
+            }),
+            '~/cartridge/scripts/pixlee/helpers/serviceResultHelper': proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/serviceResultHelper', {
+                'dw/svc/Result': Result
+            }),
+            '~/cartridge/scripts/pixlee/helpers/exportRegistryHelper': proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/exportRegistryHelper', {
+                'dw/system/Logger': mockLogger,
+                'dw/system/Transaction': require('../../../mocks/dw/system/Transaction'),
+                'dw/object/CustomObjectMgr': mockCustomObjectMgr
+            })
+        });
+    });
+
+    /**
+     * Saves a failed export of an exportable product
+     * @param {string} productId - Product ID
+     */
+    function givenFailedProduct(productId) {
+        products[productId] = { ID: productId, online: true, searchable: true, variant: false };
+        failedExportsHelper.recordFailure(productId, 'previous-job', { failureClass: 'PERMANENT', httpStatus: 400 });
+    }
+
+    /**
+     * Returns the IDs of the products with saved failures
+     * @returns {Array} - Product IDs
+     */
+    function savedFailureIds() {
+        return mockCustomObjectMgr.testUtils.getAll('PixleeFailedExport').map(function (failure) {
+            return failure.custom.ID;
+        });
+    }
+
+    it('should re-export saved failures and clear those that succeed', function () {
+        givenFailedProduct('product-1');
+        givenFailedProduct('product-2');
+        mockPixleeService.responses['product-2'] = new Result({ ok: false, status: Result.ERROR, error: 422, errorMessage: 'Invalid SKU' });
+
+        runChunkJob(RetryFailedExports, {});
+
+        assert.deepEqual(posted, ['product-1', 'product-2']);
+        assert.deepEqual(savedFailureIds(), ['product-2'], 'Should keep the product that failed again');
+        assert.equal(mockCustomObjectMgr.getCustomObject('PixleeProductExport', 'product-1').custom.fingerprint,
+            'fingerprint-product-1', 'Should save the fingerprint of the recovered product');
+
+        var failure = mockCustomObjectMgr.getCustomObject('PixleeFailedExport', 'product-2');
+        assert.notEqual(failure.custom.jobId, 'previous-job', 'Should update the job ID');
+        assert.equal(failure.custom.httpStatus, 422);
+        assert.equal(failure.custom.failureCount, 2);
+        assert.isTrue(mockLogger.testUtils.getLogMessages('info').some(function (log) {
+            return log.includes('Recovered: 1, Still failing: 1, Dropped: 0, Deferred: 0, Total: 2');
+        }), 'Should log the retry summary');
+    });
+
+    it('should leave failures for later until the time Pixlee asked to retry them at', function () {
+        givenFailedProduct('product-1');
+        givenFailedProduct('product-2');
+        givenFailedProduct('product-3');
+        failedExportsHelper.recordFailure('product-2', 'previous-job', { failureClass: 'TRANSIENT', httpStatus: 429, retryAfter: new Date(Date.now() + 60000) });
+        failedExportsHelper.recordFailure('product-3', 'previous-job', { failureClass: 'TRANSIENT', httpStatus: 503, retryAfter: new Date(Date.now() - 1000) });
+
+        runChunkJob(RetryFailedExports, {});
+
+        assert.deepEqual(posted, ['product-1', 'product-3']);
+        assert.deepEqual(savedFailureIds(), ['product-2'], 'Should keep the deferred failure');
+        assert.isTrue(mockLogger.testUtils.getLogMessages('info').some(function (log) {
+            return log.includes('Recovered: 2, Still failing: 0, Dropped: 0, Deferred: 1, Total: 3');
+        }), 'Should log the deferred failure');
+    });
+
+    it('should save the time Pixlee asked to retry products failing again at', function () {
+        var retryAfter = new Date(Date.now() + 120000);
+        givenFailedProduct('product-1');
+        mockPixleeService.responses['product-1'] = new Result({ ok: false, status: Result.ERROR, error: 429 });
+        mockPixleeService.getRetryAfter = function () {
+            return retryAfter;
+        };
+
+        runChunkJob(RetryFailedExports, {});
+
+        var failure = mockCustomObjectMgr.getCustomObject('PixleeFailedExport', 'product-1');
+        assert.equal(failure.custom.errorClass, 'TRANSIENT');
+        assert.equal(failure.custom.retryAfter, retryAfter);
+    });
+
+    it('should drop saved failures of products that are no longer exportable', function () {
+        givenFailedProduct('product-1');
+        givenFailedProduct('offline-product');
+        products['offline-product'].online = false;
+        failedExportsHelper.recordFailure('deleted-product', 'previous-job', { failureClass: 'PERMANENT' });
+
+        runChunkJob(RetryFailedExports, {});
+
+        assert.deepEqual(posted, ['product-1']);
+        assert.lengthOf(savedFailureIds(), 0, 'Should clear all saved failures');
+    });
+
+    it('should retry set members while one of their sets is exported', function () {
+        /**
+         * @param {Array} ids - Product IDs
+         * @returns {Object} - Collection mock of the products
+         */
+        function collection(ids) {
+            return {
+                toArray: function () {
+                    return ids.map(function (id) { return { ID: id }; });
+                }
+            };
+        }
+        givenFailedProduct('sweater-red');
+        givenFailedProduct('scarf');
+        Object.assign(products['sweater-red'], {
+            variant: true,
+            getProductSets: function () { return collection([]); },
+            getBundles: function () { return collection(['winter-bundle']); }
+        });
+        Object.assign(products.scarf, {
+            searchable: false,
+            getProductSets: function () { return collection(['holiday-look']); },
+            getBundles: function () { return collection([]); }
+        });
+        mockCustomObjectMgr.createCustomObject('PixleeProductExport', 'winter-bundle');
+
+        runChunkJob(RetryFailedExports, {});
+
+        assert.deepEqual(posted, ['sweater-red'], 'Should drop the member of a set that is not exported');
+        assert.lengthOf(savedFailureIds(), 0);
+        assert.isTrue(mockCustomObjectMgr.getCustomObject('PixleeProductExport', 'sweater-red').custom.setMember,
+            'Should register the recovered member as a set member');
+    });
+
+    it('should keep products whose payload still cannot be built', function () {
+        givenFailedProduct('broken-product');
+
+        runChunkJob(RetryFailedExports, {});
+
+        assert.lengthOf(posted, 0);
+        var failure = mockCustomObjectMgr.getCustomObject('PixleeFailedExport', 'broken-product');
+        assert.equal(failure.custom.errorClass, 'PROCESSING');
+        assert.equal(failure.custom.errorMessage, 'Missing price');
+    });
+
+    it('should keep products whose payload is still invalid without posting them', function () {
+        givenFailedProduct('invalid-product');
+
+        runChunkJob(RetryFailedExports, {});
+
+        assert.lengthOf(posted, 0);
+        var failure = mockCustomObjectMgr.getCustomObject('PixleeFailedExport', 'invalid-product');
+        assert.equal(failure.custom.errorClass, 'VALIDATION');
+        assert.equal(failure.custom.errorMessage, 'product.buy_now_link_url is required');
+    });
+
+    it('should do nothing when there are no saved failures', function () {
+        runChunkJob(RetryFailedExports, {});
+
+        assert.lengthOf(posted, 0);
+    });
+
+    it('should skip the step when Pixlee is disabled', function () {
+        givenFailedProduct('product-1');
+        mockSite.preferences.PixleeEnabled = false;
+
+        runChunkJob(RetryFailedExports, {});
+
+        assert.lengthOf(posted, 0);
+        assert.deepEqual(savedFailureIds(), ['product-1']);
+    });
+
+    it('should skip the step when it is disabled', function () {
+        givenFailedProduct('product-1');
+
+        runChunkJob(RetryFailedExports, { IsDisabled: true });
+
+        assert.lengthOf(posted, 0);
+    });
+});
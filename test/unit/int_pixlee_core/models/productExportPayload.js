@@ -6,6 +6,112 @@ var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
 // Import test utilities
 require('../../../mocks/globals');
 
+/**
+ * Attribute mapping helper mock without mapped attributes
+ */
+var mockAttributeMappingHelper = {
+    TARGET: {
+        EXTRA_FIELDS: 'extra_fields',
+        REGIONAL_INFO: 'regional_info'
+    },
+    mapAttributes: function (product, target, payload) {
+        return Object.assign({}, payload);
+    }
+};
+
+/**
+ * Creates the hooks helper, calling the hooks registered with the HookMgr mock
+ * @returns {Object} - hooksHelper module
+ */
+function createHooksHelper() {
+    return proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/hooksHelper', {
+        'dw/system/Logger': require('../../../mocks/dw/system/Logger'),
+        'dw/system/HookMgr': require('../../../mocks/dw/system/HookMgr')
+    });
+}
+
+/**
+ * Creates the job and request cache helper with mocked dependencies
+ * @returns {Object} - cacheHelper module
+ */
+function createCacheHelper() {
+    return proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/cacheHelper', {
+        'dw/system/Logger': require('../../../mocks/dw/system/Logger')
+    });
+}
+
+/**
+ * Creates a Site mock, with site preferences overriding those of the Site mock
+ * @param {Object} [preferences] - Site preference values keyed by preference ID
+ * @returns {Object} - dw/system/Site mock
+ */
+function createSite(preferences) {
+    var Site = require('../../../mocks/dw/system/Site');
+
+    return {
+        getCurrent: function () {
+            return {
+                getCustomPreferenceValue: function (key) {
+                    return preferences && key in preferences ? preferences[key] : Site.getCurrent().getCustomPreferenceValue(key);
+                }
+            };
+        }
+    };
+}
+
+/**
+ * Creates the locale helper with mocked dependencies
+ * @param {Object} [preferences] - Site preference values, like PixleeLocales
+ * @returns {Object} - localeHelper module
+ */
+function createLocaleHelper(preferences) {
+    return proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/localeHelper', {
+        'dw/system/Logger': require('../../../mocks/dw/system/Logger'),
+        'dw/system/Site': createSite(preferences)
+    });
+}
+
+/**
+ * Creates the product URL helper with mocked dependencies. Its URLUtils mock
+ * returns URL objects whose host can be replaced.
+ * @param {Object} [preferences] - Site preference values, like PixleeProductUrlTemplate
+ * @returns {Object} - productUrlHelper module
+ */
+function createProductUrlHelper(preferences) {
+    var URLUtils = require('../../../mocks/dw/web/URLUtils');
+
+    return proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/productUrlHelper', {
+        'dw/system/Logger': require('../../../mocks/dw/system/Logger'),
+        'dw/system/Site': createSite(preferences),
+        'dw/web/URLUtils': {
+            https: function () {
+                var url = URLUtils.https.apply(URLUtils, arguments);
+                return {
+                    host: function (host) {
+                        url = url.replace('test-site.com', host);
+                    },
+                    toString: function () {
+                        return url;
+                    }
+                };
+            }
+        },
+        '*/cartridge/scripts/pixlee/helpers/localeHelper': createLocaleHelper(preferences)
+    });
+}
+
+/**
+ * Creates the image helper with mocked dependencies
+ * @param {Object} [preferences] - Site preference values, like PixleeImageTransformations
+ * @returns {Object} - imageHelper module
+ */
+function createImageHelper(preferences) {
+    return proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/imageHelper', {
+        'dw/system/Logger': require('../../../mocks/dw/system/Logger'),
+        'dw/system/Site': createSite(preferences)
+    });
+}
+
 /**
  * Utility to count JavaScript object properties the way SFCC does for api.jsObjectSize
  * This recursively counts ALL properties including nested object properties
@@ -56,6 +162,7 @@ function createFreshProductExportPayload(customMocks) {
     var defaultMocks = {
         'dw/catalog/CatalogMgr': require('../../../mocks/dw/catalog/CatalogMgr'),
         'dw/system/Logger': require('../../../mocks/dw/system/Logger'),
+        'dw/system/CacheMgr': require('../../../mocks/dw/system/CacheMgr'),
         'dw/system/Site': require('../../../mocks/dw/system/Site'),
         'dw/web/Resource': require('../../../mocks/dw/web/Resource'),
         'dw/web/URLUtils': require('../../../mocks/dw/web/URLUtils'),
@@ -69,7 +176,17 @@ function createFreshProductExportPayload(customMocks) {
             getCurrencyForLocale: function() {
                 return { currencyCode: 'USD', symbol: '$' };
             }
-        }
+        },
+        '*/cartridge/scripts/pixlee/helpers/stockHelper': {
+            getInventoryListId: function() { return null; },
+            getStockLevel: function() { return 10; }
+        },
+        '*/cartridge/scripts/pixlee/helpers/localeHelper': createLocaleHelper(),
+        '*/cartridge/scripts/pixlee/helpers/productUrlHelper': createProductUrlHelper(),
+        '*/cartridge/scripts/pixlee/helpers/imageHelper': createImageHelper(),
+        '*/cartridge/scripts/pixlee/helpers/attributeMappingHelper': mockAttributeMappingHelper,
+        '*/cartridge/scripts/pixlee/helpers/hooksHelper': createHooksHelper(),
+        '~/cartridge/scripts/pixlee/helpers/cacheHelper': createCacheHelper()
     };
 
     // Merge custom mocks with defaults
@@ -99,6 +216,8 @@ describe('ProductExportPayload', function () {
         // Reset catalog mock data
         mockCatalogMgr.testUtils.reset();
         mockLogger.testUtils.clearLogs();
+        require('../../../mocks/dw/system/HookMgr').testUtils.reset();
+        require('../../../mocks/dw/system/CacheMgr').testUtils.reset();
     });
 
     describe('Constructor and Basic Functionality', function () {
@@ -180,6 +299,99 @@ describe('ProductExportPayload', function () {
                 assert.property(extraFields, 'ecommerce_platform_version', 'Should have ecommerce_platform_version field');
             }, 'Should have valid JSON in extra_fields');
         });
+
+        it('should build payloads that pass the schema validation', function () {
+            var payloadValidationHelper = require('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/payloadValidationHelper');
+            var ProductExportPayload = createFreshProductExportPayload();
+            var product = mockProductMgr.testUtils.createMockProduct('schema_product', {
+                name: 'Schema Product'
+            });
+
+            assert.deepEqual(payloadValidationHelper.validate(new ProductExportPayload(product, {}), {}), []);
+            assert.deepEqual(payloadValidationHelper.validate(
+                new ProductExportPayload(product, { onlyRegionalDetails: true }), { onlyRegionalDetails: true }), []);
+        });
+    });
+
+    describe('Fingerprint', function () {
+        var cryptoMocks = {
+            'dw/util/Bytes': require('../../../mocks/dw/util/Bytes'),
+            'dw/crypto/Encoding': require('../../../mocks/dw/crypto/Encoding'),
+            'dw/crypto/MessageDigest': require('../../../mocks/dw/crypto/MessageDigest')
+        };
+
+        it('should return a hex-encoded SHA-256 hash', function () {
+            var ProductExportPayload = createFreshProductExportPayload(cryptoMocks);
+            var payload = new ProductExportPayload(mockProductMgr.testUtils.createMockProduct('product-1'), {});
+
+            assert.match(payload.getFingerprint(), /^[0-9a-f]{64}$/);
+        });
+
+        it('should ignore the category update time', function () {
+            var cacheHelper = createCacheHelper();
+            var ProductExportPayload = createFreshProductExportPayload(Object.assign({
+                '~/cartridge/scripts/pixlee/helpers/cacheHelper': cacheHelper
+            }, cryptoMocks));
+            var product = mockProductMgr.testUtils.createMockProduct('product-1');
+
+            cacheHelper.getCache().set('pixlee:jobStartTime', 1700000000);
+            var first = new ProductExportPayload(product, {});
+            cacheHelper.getCache().set('pixlee:jobStartTime', 1700086400);
+            var second = new ProductExportPayload(product, {});
+
+            assert.notEqual(first.product.extra_fields, second.product.extra_fields, 'Extra fields should differ');
+            assert.equal(first.getFingerprint(), second.getFingerprint());
+        });
+
+        it('should not depend on the order of payload properties', function () {
+            var ProductExportPayload = createFreshProductExportPayload(cryptoMocks);
+            var payload = new ProductExportPayload(mockProductMgr.testUtils.createMockProduct('product-1'), {});
+            var fingerprint = payload.getFingerprint();
+
+            var title = payload.title;
+            delete payload.title;
+            payload.title = title;
+
+            assert.equal(payload.getFingerprint(), fingerprint);
+        });
+
+        it('should change when the exported data changes', function () {
+            var ProductExportPayload = createFreshProductExportPayload(cryptoMocks);
+            var original = new ProductExportPayload(mockProductMgr.testUtils.createMockProduct('product-1', { name: 'Shirt' }), {});
+            var renamed = new ProductExportPayload(mockProductMgr.testUtils.createMockProduct('product-1', { name: 'T-Shirt' }), {});
+
+            assert.notEqual(original.getFingerprint(), renamed.getFingerprint());
+        });
+
+        it('should not be serialized with the payload', function () {
+            var ProductExportPayload = createFreshProductExportPayload(cryptoMocks);
+            var payload = new ProductExportPayload(mockProductMgr.testUtils.createMockProduct('product-1'), {});
+
+            assert.notInclude(JSON.stringify(payload), 'getFingerprint');
+        });
+
+        it('should hash the prices of a product apart from its other data', function () {
+            var ProductExportPayload = createFreshProductExportPayload(cryptoMocks);
+            var original = mockProductMgr.testUtils.createMockProduct('product-1', { name: 'Shirt' });
+            var renamed = mockProductMgr.testUtils.createMockProduct('product-1', { name: 'T-Shirt' });
+            var repriced = mockProductMgr.testUtils.createMockProduct('product-1', { name: 'Shirt' });
+            repriced.getPriceModel = function () {
+                return {
+                    getPrice: function () {
+                        return {
+                            decimalValue: { valueOf: function () { return 79.99; } },
+                            getCurrencyCode: function () { return 'USD'; }
+                        };
+                    }
+                };
+            };
+
+            var fingerprint = ProductExportPayload.getPriceFingerprint(original);
+
+            assert.match(fingerprint, /^[0-9a-f]{64}$/);
+            assert.equal(ProductExportPayload.getPriceFingerprint(renamed), fingerprint, 'Should not change with other data');
+            assert.notEqual(ProductExportPayload.getPriceFingerprint(repriced), fingerprint, 'Should change with the price');
+        });
     });
 
     describe('Product Images and Media', function () {
@@ -249,6 +461,35 @@ describe('ProductExportPayload', function () {
             assert.isTrue(Array.isArray(variants) || typeof variants === 'object', 'Should parse variants_json as array or object');
         });
 
+        it('should export the details of each variant', function () {
+            var ProductExportPayload = createFreshProductExportPayload();
+            var masterProduct = mockProductMgr.testUtils.createMockProduct('master_product', {
+                master: true,
+                variantCount: 2,
+                variationAttributes: ['color', 'size'],
+                variants: [
+                    { variationValues: { color: 'red', size: 'M' }, price: 39.99 },
+                    { variationValues: { color: 'blue' }, online: false, orderable: false, noImage: true }
+                ]
+            });
+
+            var variants = JSON.parse(new ProductExportPayload(masterProduct, {}).product.variants_json);
+
+            assert.deepEqual(variants.master_product_variant_0, {
+                variant_stock: 5,
+                variant_sku: 'master_product_variant_0',
+                variant_price: 39.99,
+                variant_photo: 'https://example.com/variant0.jpg',
+                variation_attributes: { color: 'red', size: 'M' },
+                online: true,
+                orderable: true
+            });
+            assert.deepEqual(variants.master_product_variant_1.variation_attributes, { color: 'blue' });
+            assert.isNull(variants.master_product_variant_1.variant_photo);
+            assert.isFalse(variants.master_product_variant_1.online);
+            assert.isFalse(variants.master_product_variant_1.orderable);
+        });
+
         it('should handle variant products', function () {
             var ProductExportPayload = createFreshProductExportPayload();
             var variantProduct = mockProductMgr.testUtils.createMockProduct('variant_product', {
@@ -265,6 +506,348 @@ describe('ProductExportPayload', function () {
         });
     });
 
+    describe('Stock', function () {
+        it('should export the stock of each region from its inventory list', function () {
+            var stockReads = [];
+            var ProductExportPayload = createFreshProductExportPayload({
+                '*/cartridge/scripts/pixlee/helpers/stockHelper': {
+                    getInventoryListId: function(locale) {
+                        return locale === 'fr_FR' ? 'inventory-eu' : 'inventory-us';
+                    },
+                    getStockLevel: function(product, inventoryListId) {
+                        stockReads.push(inventoryListId);
+                        return inventoryListId === 'inventory-eu' ? 5 : 25;
+                    }
+                }
+            });
+            var product = mockProductMgr.testUtils.createMockProduct('stock_product', { name: 'Stock Product' });
+
+            var payload = new ProductExportPayload(product, {});
+
+            assert.equal(payload.product.stock, 25);
+            var regionalStock = {};
+            payload.product.regional_info.forEach(function(region) {
+                regionalStock[region.region_code] = region.stock;
+            });
+            assert.deepEqual(regionalStock, { en_US: 25, fr_FR: 5 });
+            assert.deepEqual(stockReads, ['inventory-us', 'inventory-eu'], 'Should read each inventory list once');
+        });
+    });
+
+    describe('Locales', function () {
+        it('should only export the configured locales, with their region, currency and host', function () {
+            var Currency = require('../../../mocks/dw/util/Currency');
+            var preferences = { PixleeLocales: '{"fr_FR": {"region": "EU", "currency": "EUR", "host": "www.example.fr"}}' };
+            var stockLocales = [];
+            var sessionCurrencies = [];
+            var ProductExportPayload = createFreshProductExportPayload({
+                'dw/util/Currency': {
+                    getCurrency: function (currencyCode) {
+                        sessionCurrencies.push(currencyCode);
+                        return Currency.getCurrency(currencyCode);
+                    }
+                },
+                '*/cartridge/scripts/pixlee/helpers/stockHelper': {
+                    getInventoryListId: function(locale) {
+                        stockLocales.push(locale);
+                        return null;
+                    },
+                    getStockLevel: function() { return 10; }
+                },
+                '*/cartridge/scripts/pixlee/helpers/localeHelper': createLocaleHelper(preferences),
+                '*/cartridge/scripts/pixlee/helpers/productUrlHelper': createProductUrlHelper(preferences)
+            });
+            var product = mockProductMgr.testUtils.createMockProduct('locale_product', { name: 'Locale Product' });
+
+            var payload = new ProductExportPayload(product, {});
+
+            assert.lengthOf(payload.product.regional_info, 1, 'Should not export the en_US locale');
+            var region = payload.product.regional_info[0];
+            assert.equal(region.region_code, 'EU');
+            assert.equal(sessionCurrencies[0], 'EUR', 'Should price the region in the configured currency');
+            assert.equal(region.buy_now_link_url, 'https://www.example.fr/Product-Show?pid=locale_product');
+            assert.include(stockLocales, 'fr_FR', 'Should read the stock of the SFCC locale');
+        });
+    });
+
+    describe('Images', function () {
+        /**
+         * Creates an image mock, with dynamic imaging URLs
+         * @param {string} name - Image file name
+         * @param {string} [alt] - Alt text
+         * @returns {Object} - Image mock
+         */
+        function image(name, alt) {
+            return {
+                alt: alt || null,
+                title: null,
+                absURL: 'https://example.com/images/' + name,
+                getAbsImageURL: function (transformation) {
+                    return 'https://example.com/dw/image/' + name + '?sw=' + transformation.scaleWidth +
+                        (transformation.format ? '&sfrm=' + transformation.format : '');
+                }
+            };
+        }
+
+        it('should export the images of each view type, transformed and with their alt text', function () {
+            var images = {
+                large: [image('large-1.jpg', 'Front'), image('large-2.jpg', 'Back')],
+                swatch: [image('swatch.jpg')]
+            };
+            var ProductExportPayload = createFreshProductExportPayload({
+                '*/cartridge/scripts/pixlee/helpers/imageHelper': createImageHelper({
+                    PixleeImageTransformations: '{"default": {"scaleWidth": 1200, "format": "webp"}, "swatch": {"scaleWidth": 50}}'
+                })
+            });
+            var product = mockProductMgr.testUtils.createMockProduct('image_product', { name: 'Image Product' });
+            product.getImages = function (viewType) {
+                return images[viewType] || [];
+            };
+            product.getImage = function (viewType, index) {
+                return (images[viewType] || [])[index] || null;
+            };
+
+            var payload = new ProductExportPayload(product, { imageViewType: 'large, swatch, hi-res' });
+
+            var extraFields = JSON.parse(payload.product.extra_fields);
+            assert.equal(payload.product.product_photo, 'https://example.com/dw/image/large-1.jpg?sw=1200&sfrm=webp');
+            assert.deepEqual(extraFields.product_photos, [
+                'https://example.com/dw/image/large-1.jpg?sw=1200&sfrm=webp',
+                'https://example.com/dw/image/large-2.jpg?sw=1200&sfrm=webp'
+            ], 'Should only list the images of the first view type');
+            assert.deepEqual(extraFields.product_images, [
+                { url: 'https://example.com/dw/image/large-1.jpg?sw=1200&sfrm=webp', view_type: 'large', alt: 'Front', title: null },
+                { url: 'https://example.com/dw/image/large-2.jpg?sw=1200&sfrm=webp', view_type: 'large', alt: 'Back', title: null },
+                { url: 'https://example.com/dw/image/swatch.jpg?sw=50', view_type: 'swatch', alt: null, title: null }
+            ]);
+        });
+
+        it('should select the images of masters by color, the default variant color first', function () {
+            var ProductExportPayload = createFreshProductExportPayload({
+                '*/cartridge/scripts/pixlee/helpers/imageHelper': createImageHelper({
+                    PixleeImageSelection: '{"strategy": "variation", "attribute": "color", "maxImagesPerValue": 2}'
+                })
+            });
+            var product = mockProductMgr.testUtils.createMockProduct('color_master', {
+                name: 'Color Master',
+                master: true,
+                variantCount: 3,
+                imagesPerVariant: 3,
+                variationAttributes: ['color', 'size'],
+                variants: [
+                    { variationValues: { color: 'red', size: 'S' } },
+                    { variationValues: { color: 'red', size: 'M' } },
+                    { variationValues: { color: 'blue', size: 'S' } }
+                ]
+            });
+            var getVariationModel = product.getVariationModel;
+            product.getVariationModel = function () {
+                var variationModel = getVariationModel.call(product);
+                variationModel.getDefaultVariant = function () {
+                    var variants = product.getVariants().iterator();
+                    variants.next();
+                    variants.next();
+                    return variants.next();
+                };
+                return variationModel;
+            };
+
+            var payload = new ProductExportPayload(product, {});
+
+            assert.deepEqual(JSON.parse(payload.product.extra_fields).product_photos, [
+                'https://example.com/variant2_image0.jpg',
+                'https://example.com/variant2_image1.jpg',
+                'https://example.com/variant0_image0.jpg',
+                'https://example.com/variant0_image1.jpg',
+                'https://example.com/image0.jpg'
+            ]);
+        });
+    });
+
+    describe('Localized Copy', function () {
+        /**
+         * Creates a product mock with localized descriptions and page metadata
+         * @returns {Object} - Product mock
+         */
+        function createLocalizedProduct() {
+            var product = mockProductMgr.testUtils.createMockProduct('copy_product', { name: 'Copy Product' });
+            var copy = {
+                en_US: { description: '<p>Soft &amp; warm <b>wool</b></p>', title: 'Wool Sweater' },
+                fr_FR: { description: '<p>Laine&nbsp;douce</p>', title: 'Pull en laine' }
+            };
+
+            Object.defineProperties(product, {
+                longDescription: {
+                    get: function () { return { markup: copy[global.request.locale].description }; }
+                },
+                shortDescription: {
+                    get: function () { return global.request.locale === 'fr_FR' ? null : { markup: '<i>Wool</i>' }; }
+                },
+                pageTitle: {
+                    get: function () { return copy[global.request.locale].title; }
+                }
+            });
+            product.brand = 'Acme';
+
+            return product;
+        }
+
+        it('should export the descriptions, brand and page metadata of each locale', function () {
+            var ProductExportPayload = createFreshProductExportPayload();
+
+            var payload = new ProductExportPayload(createLocalizedProduct(), {});
+
+            var regions = payload.product.regional_info;
+            assert.equal(regions[0].description, '<p>Soft &amp; warm <b>wool</b></p>');
+            assert.equal(regions[0].short_description, '<i>Wool</i>');
+            assert.equal(regions[0].brand, 'Acme');
+            assert.equal(regions[0].page_title, 'Wool Sweater');
+            assert.isNull(regions[0].page_description);
+            assert.equal(regions[1].description, '<p>Laine&nbsp;douce</p>');
+            assert.isNull(regions[1].short_description, 'Should not fall back to another locale');
+            assert.equal(regions[1].page_title, 'Pull en laine');
+        });
+
+        it('should strip the HTML of descriptions when configured to', function () {
+            var Site = require('../../../mocks/dw/system/Site');
+            var ProductExportPayload = createFreshProductExportPayload({
+                'dw/system/Site': {
+                    getCurrent: function () {
+                        return {
+                            getCustomPreferenceValue: function (key) {
+                                return key === 'PixleeStripDescriptionHtml' || Site.getCurrent().getCustomPreferenceValue(key);
+                            },
+                            getAllowedLocales: Site.getCurrent().getAllowedLocales,
+                            getDefaultLocale: Site.getCurrent().getDefaultLocale,
+                            getDefaultCurrency: Site.getCurrent().getDefaultCurrency
+                        };
+                    }
+                },
+                '*/cartridge/scripts/pixlee/helpers/attributeMappingHelper': {
+                    TARGET: mockAttributeMappingHelper.TARGET,
+                    mapAttributes: mockAttributeMappingHelper.mapAttributes,
+                    stripHtml: proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/helpers/attributeMappingHelper', {
+                        'dw/system/Logger': require('../../../mocks/dw/system/Logger')
+                    }).stripHtml
+                }
+            });
+
+            var payload = new ProductExportPayload(createLocalizedProduct(), {});
+
+            assert.equal(payload.product.regional_info[0].description, 'Soft & warm wool');
+            assert.equal(payload.product.regional_info[0].short_description, 'Wool');
+            assert.equal(payload.product.regional_info[1].description, 'Laine douce');
+        });
+
+        it('should let mapped attributes override the exported copy', function () {
+            var ProductExportPayload = createFreshProductExportPayload({
+                '*/cartridge/scripts/pixlee/helpers/attributeMappingHelper': {
+                    TARGET: mockAttributeMappingHelper.TARGET,
+                    mapAttributes: function (product, target, payload) {
+                        return target === mockAttributeMappingHelper.TARGET.REGIONAL_INFO
+                            ? Object.assign({}, payload, { brand: 'Mapped Brand' })
+                            : payload;
+                    }
+                }
+            });
+
+            var payload = new ProductExportPayload(createLocalizedProduct(), {});
+
+            assert.equal(payload.product.regional_info[0].brand, 'Mapped Brand');
+            assert.equal(payload.product.regional_info[0].page_title, 'Wool Sweater');
+        });
+    });
+
+    describe('Product URLs', function () {
+        it('should build the product and regional URLs from the template, host and parameters of each locale', function () {
+            var preferences = {
+                PixleeLocales: '{"en_US": {"host": "www.example.com"}, "fr_FR": {"region": "EU", "host": "www.example.fr"}}',
+                PixleeProductUrlTemplate: 'https://{host}/{language}-{country}/p/{pid}.html',
+                PixleeProductUrlParameters: '{"utm_source": "pixlee", "utm_campaign": "{region}"}'
+            };
+            var ProductExportPayload = createFreshProductExportPayload({
+                '*/cartridge/scripts/pixlee/helpers/localeHelper': createLocaleHelper(preferences),
+                '*/cartridge/scripts/pixlee/helpers/productUrlHelper': createProductUrlHelper(preferences)
+            });
+            var product = mockProductMgr.testUtils.createMockProduct('url_product', { name: 'URL Product' });
+
+            var payload = new ProductExportPayload(product, {});
+
+            assert.equal(payload.product.buy_now_link_url,
+                'https://www.example.com/en-us/p/url_product.html?utm_source=pixlee&utm_campaign=en_US');
+            assert.deepEqual(payload.product.regional_info.map(function(region) {
+                return region.buy_now_link_url;
+            }), [
+                'https://www.example.com/en-us/p/url_product.html?utm_source=pixlee&utm_campaign=en_US',
+                'https://www.example.fr/fr-fr/p/url_product.html?utm_source=pixlee&utm_campaign=EU'
+            ]);
+        });
+    });
+
+    describe('Hooks', function () {
+        it('should let modifyPayload hooks change the payload before extra fields are serialized', function () {
+            var hookArguments;
+            require('../../../mocks/dw/system/HookMgr').testUtils.registerHook('app.pixlee.export.modifyPayload', {
+                modifyPayload: function(product, payload, options) {
+                    hookArguments = { product: product, options: options };
+                    Object.assign(payload.product.extra_fields, { fabric: 'linen' });
+                    payload.product.regional_info.forEach(function(region) {
+                        Object.assign(region, { badge: 'new' });
+                    });
+                }
+            });
+            var ProductExportPayload = createFreshProductExportPayload();
+            var product = mockProductMgr.testUtils.createMockProduct('hooked_product', { name: 'Hooked Product' });
+            var options = { imageViewType: 'large' };
+
+            var payload = new ProductExportPayload(product, options);
+
+            assert.strictEqual(hookArguments.product, product);
+            assert.strictEqual(hookArguments.options, options);
+            assert.isString(payload.product.extra_fields);
+            assert.equal(JSON.parse(payload.product.extra_fields).fabric, 'linen');
+            assert.equal(payload.product.regional_info[0].badge, 'new');
+        });
+
+        it('should fail to build the payload when a modifyPayload hook fails', function () {
+            require('../../../mocks/dw/system/HookMgr').testUtils.registerHook('app.pixlee.export.modifyPayload', {
+                modifyPayload: function() {
+                    throw new Error('Hook failed');
+                }
+            });
+            var ProductExportPayload = createFreshProductExportPayload();
+            var product = mockProductMgr.testUtils.createMockProduct('failing_hook_product', { name: 'Failing Hook Product' });
+
+            assert.throws(function() {
+                return new ProductExportPayload(product, {});
+            }, /Hook failed/);
+        });
+    });
+
+    describe('Attribute Mapping', function () {
+        it('should add mapped attributes to the extra fields and to each region', function () {
+            var ProductExportPayload = createFreshProductExportPayload({
+                '*/cartridge/scripts/pixlee/helpers/attributeMappingHelper': {
+                    TARGET: mockAttributeMappingHelper.TARGET,
+                    mapAttributes: function(product, target, payload) {
+                        var mapped = Object.assign({}, payload);
+                        mapped[target === 'extra_fields' ? 'material' : 'fit'] = target;
+                        return mapped;
+                    }
+                }
+            });
+            var product = mockProductMgr.testUtils.createMockProduct('mapped_product', { name: 'Mapped Product' });
+
+            var payload = new ProductExportPayload(product, {});
+
+            assert.equal(JSON.parse(payload.product.extra_fields).material, 'extra_fields');
+            assert.isAbove(payload.product.regional_info.length, 0);
+            payload.product.regional_info.forEach(function(region) {
+                assert.equal(region.fit, 'regional_info');
+            });
+        });
+    });
+
     describe('Pricing and Currency', function () {
         it('should handle products with valid pricing', function () {
             var ProductExportPayload = createFreshProductExportPayload();
@@ -298,6 +881,168 @@ describe('ProductExportPayload', function () {
             assert.isArray(payload.product.regional_info, 'Should still have regional_info array');
         });
 
+        /**
+         * Creates a money mock
+         * @param {number} value - Decimal value
+         * @returns {Object} - Money mock
+         */
+        function money(value) {
+            return {
+                available: value !== null,
+                decimalValue: value === null ? null : { valueOf: function() { return value; } },
+                getCurrencyCode: function() { return 'USD'; }
+            };
+        }
+
+        /**
+         * Creates a master product priced by its default variant
+         * @returns {Object} - Master product mock
+         */
+        function pricedMaster() {
+            var product = mockProductMgr.testUtils.createMockProduct('priced_master', { master: true });
+            var salePriceBook = { ID: 'usd-sale', parentPriceBook: { ID: 'usd-list', parentPriceBook: null } };
+            var defaultVariant = {
+                ID: 'priced_variant',
+                getPriceModel: function() {
+                    return {
+                        priceInfo: { priceBook: salePriceBook },
+                        getPrice: function() { return money(79); },
+                        getPriceBookPrice: function(priceBookId) {
+                            return money(priceBookId === 'usd-list' ? 99 : 79);
+                        }
+                    };
+                }
+            };
+            product.getPriceModel = function() {
+                return {
+                    minPrice: money(69),
+                    maxPrice: money(119),
+                    getPrice: function() { return money(69); }
+                };
+            };
+            product.getVariationModel = function() {
+                return {
+                    getProductVariationAttributes: function() { return { toArray: function() { return []; } }; },
+                    getDefaultVariant: function() { return defaultVariant; }
+                };
+            };
+            return product;
+        }
+
+        it('should export list, sale and range prices of masters', function () {
+            var ProductExportPayload = createFreshProductExportPayload();
+
+            var payload = new ProductExportPayload(pricedMaster(), {});
+
+            assert.equal(payload.product.price, 79, 'Should keep the sale price as price');
+            assert.equal(payload.product.sale_price, 79);
+            assert.equal(payload.product.list_price, 99, 'Should take the list price from the root price book');
+            assert.equal(payload.product.min_price, 69);
+            assert.equal(payload.product.max_price, 119);
+            assert.isUndefined(payload.product.has_promotion, 'Should not export promotions unless configured');
+            payload.product.regional_info.forEach(function(region) {
+                assert.equal(region.list_price, 99);
+                assert.equal(region.sale_price, 79);
+                assert.equal(region.currency, 'USD');
+            });
+        });
+
+        it('should export promotion pricing when configured', function () {
+            var Site = require('../../../mocks/dw/system/Site');
+            var site = Site.getCurrent();
+            var ProductExportPayload = createFreshProductExportPayload({
+                'dw/system/Site': {
+                    getCurrent: function() {
+                        return Object.assign({}, site, {
+                            getCustomPreferenceValue: function(key) {
+                                return key === 'PixleeExportPromotions' ? true : site.getCustomPreferenceValue(key);
+                            }
+                        });
+                    }
+                },
+                'dw/campaign/Promotion': { PROMOTION_CLASS_PRODUCT: 'PRODUCT' },
+                'dw/campaign/PromotionMgr': {
+                    getActivePromotions: function() {
+                        return {
+                            getProductPromotions: function(product) {
+                                var promotions = product.ID === 'priced_variant' ? [
+                                    { promotionClass: 'ORDER' },
+                                    { promotionClass: 'PRODUCT', getPromotionalPrice: function() { return money(59); } },
+                                    { promotionClass: 'PRODUCT', getPromotionalPrice: function() { return money(null); } }
+                                ] : [];
+                                var Collection = require('../../../mocks/dw/util/Collection');
+                                return new Collection(promotions);
+                            }
+                        };
+                    }
+                }
+            });
+
+            var payload = new ProductExportPayload(pricedMaster(), {});
+
+            assert.isTrue(payload.product.has_promotion);
+            assert.equal(payload.product.promotional_price, 59, 'Should export the lowest promotional price');
+            assert.isTrue(payload.product.regional_info[0].has_promotion);
+        });
+
+        /**
+         * Creates a product priced at a sale price
+         * @param {string} id - Product ID
+         * @param {number} salePrice - Sale price, null for no price
+         * @returns {Object} - Product mock
+         */
+        function pricedProduct(id, salePrice) {
+            var product = mockProductMgr.testUtils.createMockProduct(id);
+            product.getPriceModel = function() {
+                return { getPrice: function() { return money(salePrice); } };
+            };
+            return product;
+        }
+
+        it('should price bundles by their members and list them with their quantity', function () {
+            var Collection = require('../../../mocks/dw/util/Collection');
+            var ProductExportPayload = createFreshProductExportPayload();
+            var sweater = pricedProduct('sweater', 49.99);
+            var scarf = pricedProduct('scarf', 15.5);
+            var bundle = pricedProduct('winter_bundle', null);
+            bundle.bundle = true;
+            bundle.getBundledProducts = function() { return new Collection([sweater, scarf]); };
+            bundle.getBundledProductQuantity = function(member) {
+                return { available: true, value: member.ID === 'scarf' ? 2 : 1 };
+            };
+
+            var payload = new ProductExportPayload(bundle, {});
+
+            assert.equal(payload.product.price, 80.99, 'Should sum the member prices times their quantity');
+            assert.equal(payload.product.sale_price, 80.99);
+            assert.equal(payload.product.list_price, 80.99);
+            assert.equal(payload.product.regional_info[0].price, 80.99, 'Should price the regions too');
+            var extraFields = JSON.parse(payload.product.extra_fields);
+            assert.equal(extraFields.product_type, 'bundle');
+            assert.deepEqual(extraFields.components, [
+                { sku: 'sweater', native_product_id: 'sweater', quantity: 1 },
+                { sku: 'scarf', native_product_id: 'scarf', quantity: 2 }
+            ]);
+        });
+
+        it('should not price sets with members without price', function () {
+            var Collection = require('../../../mocks/dw/util/Collection');
+            var ProductExportPayload = createFreshProductExportPayload();
+            var set = pricedProduct('winter_look', null);
+            set.productSet = true;
+            set.getProductSetProducts = function() {
+                return new Collection([pricedProduct('sweater', 49.99), pricedProduct('gift_card', null)]);
+            };
+
+            var payload = new ProductExportPayload(set, {});
+
+            assert.equal(payload.product.price, 0);
+            assert.isNull(payload.product.sale_price);
+            var extraFields = JSON.parse(payload.product.extra_fields);
+            assert.equal(extraFields.product_type, 'set');
+            assert.deepEqual(extraFields.components.map(function (component) { return component.quantity; }), [1, 1]);
+        });
+
         it('should handle multiple currencies in regional info', function () {
             var ProductExportPayload = createFreshProductExportPayload();
             var product = mockProductMgr.testUtils.createMockProduct('multi_currency_product', {
@@ -313,6 +1058,31 @@ describe('ProductExportPayload', function () {
                 JSON.stringify(payload.product.regional_info);
             }, 'Regional info should be serializable');
         });
+
+        it('should look up the currency of each locale once per job', function () {
+            var lookups = [];
+            var cacheHelper = createCacheHelper();
+            var ProductExportPayload = createFreshProductExportPayload({
+                '~/cartridge/scripts/pixlee/helpers/cacheHelper': cacheHelper,
+                '*/cartridge/scripts/pixlee/helpers/currencyLookupHelper': {
+                    getCurrencyForLocale: function (locale) {
+                        lookups.push(locale);
+                        return locale === 'fr_FR' ? 'EUR' : 'USD';
+                    }
+                }
+            });
+
+            cacheHelper.startJobCache();
+            new ProductExportPayload(mockProductMgr.testUtils.createMockProduct('product-1'), {});
+            var payload = new ProductExportPayload(mockProductMgr.testUtils.createMockProduct('product-2'), {});
+            var stats = cacheHelper.endJobCache();
+
+            assert.deepEqual(lookups, ['en_US', 'fr_FR']);
+            assert.lengthOf(payload.product.regional_info, 2);
+            assert.equal(stats.scope, 'job');
+            assert.isAbove(stats.hits, 0);
+            assert.equal(cacheHelper.getCache().getStats().entries, 0, 'Should fall back to an empty request cache after the job');
+        });
     });
 
     describe('Category Processing and SFCC Compliance', function () {
@@ -363,6 +1133,7 @@ describe('ProductExportPayload', function () {
             // Load the module under test with improved mocks
             ProductExportPayload = proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/models/productExportPayload', {
                 'dw/system/Logger': testLogger,
+                'dw/system/CacheMgr': require('../../../mocks/dw/system/CacheMgr'),
                 'dw/system/Site': require('../../../mocks/dw/system/Site'),
                 'dw/catalog/CatalogMgr': mockCatalogMgr,
                 'dw/catalog/ProductMgr': mockProductMgr,
@@ -376,7 +1147,17 @@ describe('ProductExportPayload', function () {
                 },
                 '*/cartridge/scripts/pixlee/helpers/currencyLookupHelper': {
                     getCurrencyForLocale: function () { return { currencyCode: 'USD', symbol: '$' }; }
-                }
+                },
+                '*/cartridge/scripts/pixlee/helpers/localeHelper': createLocaleHelper(),
+                '*/cartridge/scripts/pixlee/helpers/productUrlHelper': createProductUrlHelper(),
+                '*/cartridge/scripts/pixlee/helpers/imageHelper': createImageHelper(),
+                '*/cartridge/scripts/pixlee/helpers/stockHelper': {
+                    getInventoryListId: function () { return null; },
+                    getStockLevel: function () { return 10; }
+                },
+                '*/cartridge/scripts/pixlee/helpers/attributeMappingHelper': mockAttributeMappingHelper,
+                '*/cartridge/scripts/pixlee/helpers/hooksHelper': createHooksHelper(),
+                '~/cartridge/scripts/pixlee/helpers/cacheHelper': createCacheHelper()
             });
         });
 
@@ -489,13 +1270,21 @@ describe('ProductExportPayload', function () {
                 var FreshProductExportPayload = proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/models/productExportPayload', {
                     'dw/catalog/CatalogMgr': mockCatalogMgr,
                     'dw/system/Logger': mockLogger,
+                    'dw/system/CacheMgr': require('../../../mocks/dw/system/CacheMgr'),
                     'dw/system/Site': require('../../../mocks/dw/system/Site'),
                     'dw/web/Resource': require('../../../mocks/dw/web/Resource'),
                     'dw/web/URLUtils': require('../../../mocks/dw/web/URLUtils'),
                     'dw/util/Currency': require('../../../mocks/dw/util/Currency'),
                     'dw/util/Collection': require('../../../mocks/dw/util/Collection'),
                     '*/cartridge/scripts/pixlee/helpers/pixleeHelper': { getProductStock: function() { return 10; }, getPixleeProductSKU: function(product) { return product.ID || 'test-sku'; } },
-                    '*/cartridge/scripts/pixlee/helpers/currencyLookupHelper': { getCurrencyForLocale: function() { return { currencyCode: 'USD', symbol: '$' }; } }
+                    '*/cartridge/scripts/pixlee/helpers/currencyLookupHelper': { getCurrencyForLocale: function() { return { currencyCode: 'USD', symbol: '$' }; } },
+                    '*/cartridge/scripts/pixlee/helpers/localeHelper': createLocaleHelper(),
+                    '*/cartridge/scripts/pixlee/helpers/productUrlHelper': createProductUrlHelper(),
+                    '*/cartridge/scripts/pixlee/helpers/imageHelper': createImageHelper(),
+                    '*/cartridge/scripts/pixlee/helpers/stockHelper': { getInventoryListId: function() { return null; }, getStockLevel: function() { return 10; } },
+                    '*/cartridge/scripts/pixlee/helpers/attributeMappingHelper': mockAttributeMappingHelper,
+                    '*/cartridge/scripts/pixlee/helpers/hooksHelper': createHooksHelper(),
+                    '~/cartridge/scripts/pixlee/helpers/cacheHelper': createCacheHelper()
                 });
 
                 var catalog = mockCatalogMgr.testUtils.createLargeCatalogMock(testCase.categoryCount);
@@ -934,6 +1723,110 @@ describe('ProductExportPayload', function () {
             }
         });
 
+        it('should look up category paths for the category export with either strategy', function () {
+            var root = mockCatalogMgr.testUtils.createMockCategory('root', 'Root', [], null);
+            var mens = mockCatalogMgr.testUtils.createMockCategory('mens', 'Men', [], root);
+            var shirts = mockCatalogMgr.testUtils.createMockCategory('mens-shirts', 'Shirts', [], mens);
+            root.getSubCategories().push(mens);
+            mens.getSubCategories().push(shirts);
+            mockCatalogMgr.testUtils.setMockCatalogData({
+                root: root,
+                categories: { root: root, mens: mens, 'mens-shirts': shirts }
+            });
+
+            assert.deepEqual(ProductExportPayload.getCategoryInfo('mens-shirts'), { fullName: 'Men > Shirts', parentIDs: 'mens' });
+            assert.isNull(ProductExportPayload.getCategoryInfo('unknown'));
+
+            var largeCatalog = mockCatalogMgr.testUtils.createLargeCatalogMock(2000);
+            var deepCategory = mockCatalogMgr.testUtils.createMockCategory('deep', 'Deep', [], largeCatalog.categories.cat_0_0_0_0_0);
+            largeCatalog.categories.deep = deepCategory;
+            mockCatalogMgr.testUtils.setMockCatalogData(largeCatalog);
+            ProductExportPayload.clearCategoryCaches();
+
+            var deepInfo = ProductExportPayload.getCategoryInfo('deep');
+            assert.equal(ProductExportPayload.getCacheStatistics().strategyType, 'HybridBFSStrategy');
+            assert.equal(deepInfo.parentIDs.split(',').pop(), 'cat_0_0_0_0_0', 'Should end the parent chain with the direct parent');
+            assert.match(deepInfo.fullName, / > Deep$/);
+        });
+
+        it('should iterate over all categories breadth-first with either strategy', function () {
+            /**
+             * Reads the IDs of the categories returned by the category iterator
+             * @returns {Array} - Category IDs, in iteration order
+             */
+            function iterateCategoryIds() {
+                var iterator = ProductExportPayload.getCategoryIterator();
+                var categoryIds = [];
+                while (iterator.hasNext()) {
+                    categoryIds.push(iterator.next().getID());
+                }
+                return categoryIds;
+            }
+
+            var root = mockCatalogMgr.testUtils.createMockCategory('root', 'Root', [], null);
+            var mens = mockCatalogMgr.testUtils.createMockCategory('mens', 'Men', [], root);
+            var womens = mockCatalogMgr.testUtils.createMockCategory('womens', 'Women', [], root);
+            var shirts = mockCatalogMgr.testUtils.createMockCategory('mens-shirts', 'Shirts', [], mens);
+            root.getSubCategories().push(mens, womens);
+            mens.getSubCategories().push(shirts);
+            mockCatalogMgr.testUtils.setMockCatalogData({
+                root: root,
+                categories: { root: root, mens: mens, womens: womens, 'mens-shirts': shirts }
+            });
+            ProductExportPayload.clearCategoryCaches();
+
+            assert.deepEqual(iterateCategoryIds(), ['mens', 'womens', 'mens-shirts']);
+            assert.equal(ProductExportPayload.getCacheStatistics().strategyType, 'SingleMapStrategy');
+
+            var largeCatalog = mockCatalogMgr.testUtils.createLargeCatalogMock(2500);
+            var deepCategory = mockCatalogMgr.testUtils.createMockCategory('deep', 'Deep', [], largeCatalog.categories.cat_0_0_0_0_0);
+            largeCatalog.categories.cat_0_0_0_0_0.getSubCategories().push(deepCategory);
+            largeCatalog.categories.deep = deepCategory;
+            mockCatalogMgr.testUtils.setMockCatalogData(largeCatalog);
+            ProductExportPayload.clearCategoryCaches();
+
+            var categoryIds = iterateCategoryIds();
+            assert.equal(ProductExportPayload.getCacheStatistics().strategyType, 'HybridBFSStrategy');
+            assert.lengthOf(categoryIds, largeCatalog.totalCount + 1, 'Should read the categories below the BFS map too');
+            assert.include(categoryIds, 'deep');
+            categoryIds.forEach(function (categoryId, index) {
+                var parentId = categoryId === 'deep' ? 'cat_0_0_0_0_0' : categoryId.replace(/_\d+$/, '');
+                if (parentId !== 'cat') {
+                    assert.isBelow(categoryIds.indexOf(parentId), index, 'Should read ' + parentId + ' before its subcategories');
+                }
+            });
+        });
+
+        it('should share the category map of the custom cache within a run and rebuild it on the next run', function () {
+            var catalog = mockCatalogMgr.testUtils.createLargeCatalogMock(100);
+            mockCatalogMgr.testUtils.setMockCatalogData(catalog);
+
+            var firstRun = createFreshProductExportPayload({ 'dw/catalog/CatalogMgr': mockCatalogMgr });
+            firstRun.preInitializeCategoryProcessing();
+            var categoryInfo = firstRun.getCategoryInfo('cat_0');
+            assert.include(firstRun.getCacheStatistics().categoryMapCache, { hits: 0, misses: 2 },
+                'Should build the category count and map on the first run');
+
+            var rootSubCategories = catalog.root.getSubCategories;
+            catalog.root.getSubCategories = function () {
+                throw new Error('Category tree should not be traversed');
+            };
+            var sameRun = createFreshProductExportPayload({ 'dw/catalog/CatalogMgr': mockCatalogMgr });
+            assert.deepEqual(sameRun.getCategoryInfo('cat_0'), categoryInfo);
+            assert.include(sameRun.getCacheStatistics().categoryMapCache, { hits: 2, misses: 0, hitRate: '100.0%' },
+                'Should read the category count and map from the cache within the run');
+
+            catalog.root.getSubCategories = rootSubCategories;
+            catalog.categories.cat_0.getDisplayName = function () {
+                return 'Renamed Category';
+            };
+            var nextRun = createFreshProductExportPayload({ 'dw/catalog/CatalogMgr': mockCatalogMgr });
+            nextRun.preInitializeCategoryProcessing();
+            assert.equal(nextRun.getCategoryInfo('cat_0').fullName, 'Renamed Category', 'Should pick up renamed categories on the next run');
+            assert.include(nextRun.getCacheStatistics().categoryMapCache, { hits: 0, misses: 2 },
+                'Should rebuild the category map on the next run');
+        });
+
         it('should handle very deep category chains (stress test for ordering)', function () {
             // Create a large catalog to force HybridBFSStrategy
             var largeCatalog = mockCatalogMgr.testUtils.createLargeCatalogMock(1500);
@@ -1384,12 +2277,13 @@ describe('ProductExportPayload', function () {
             // Verify caches are reset by checking internal state
             var testUtils = ProductExportPayload.testUtils;
             if (testUtils) {
-                var moduleCache = testUtils.getModuleLevelCache();
+                var categoryMapCache = testUtils.getCategoryMapCache();
                 var strategyInstance = testUtils.getCategoryStrategyInstance();
 
-                // Module cache should be cleared
-                assert.isNull(moduleCache.categoryMap, 'Module categoryMap should be null after clear');
-                assert.isNull(moduleCache.categoryCount, 'Module categoryCount should be null after clear');
+                // Category maps of the catalog should be invalidated
+                assert.lengthOf(require('../../../mocks/dw/system/CacheMgr').getCache(categoryMapCache.CACHE_ID).getKeys(), 0,
+                    'Category maps should be invalidated after clear');
+                assert.equal(categoryMapCache.getStats().hits + categoryMapCache.getStats().misses, 0, 'Cache statistics should be reset after clear');
 
                 // Strategy instance should be reset
                 assert.isNull(strategyInstance, 'Strategy instance should be null after clear');
@@ -1438,6 +2332,7 @@ describe('ProductExportPayload', function () {
         beforeEach(function () {
             ProductExportPayload = proxyquire('../../../../cartridges/int_pixlee_core/cartridge/scripts/pixlee/models/productExportPayload', {
                 'dw/system/Logger': require('../../../mocks/dw/system/Logger'),
+                'dw/system/CacheMgr': require('../../../mocks/dw/system/CacheMgr'),
                 'dw/system/Site': require('../../../mocks/dw/system/Site'),
                 'dw/catalog/CatalogMgr': mockCatalogMgr,
                 'dw/catalog/ProductMgr': mockProductMgr,
@@ -1451,7 +2346,17 @@ describe('ProductExportPayload', function () {
                 },
                 '*/cartridge/scripts/pixlee/helpers/currencyLookupHelper': {
                     getCurrencyForLocale: function () { return { currencyCode: 'USD', symbol: '$' }; }
-                }
+                },
+                '*/cartridge/scripts/pixlee/helpers/localeHelper': createLocaleHelper(),
+                '*/cartridge/scripts/pixlee/helpers/productUrlHelper': createProductUrlHelper(),
+                '*/cartridge/scripts/pixlee/helpers/imageHelper': createImageHelper(),
+                '*/cartridge/scripts/pixlee/helpers/stockHelper': {
+                    getInventoryListId: function () { return null; },
+                    getStockLevel: function () { return 10; }
+                },
+                '*/cartridge/scripts/pixlee/helpers/attributeMappingHelper': mockAttributeMappingHelper,
+                '*/cartridge/scripts/pixlee/helpers/hooksHelper': createHooksHelper(),
+                '~/cartridge/scripts/pixlee/helpers/cacheHelper': createCacheHelper()
             });
         });
 
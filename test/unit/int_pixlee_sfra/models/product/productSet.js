@@ -0,0 +1,33 @@
+'use strict';
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+var mockSuperModule = require('../../../../mockModuleSuperModule');
+var baseFullProductMock = require('../../../../mocks/models/product/baseFullProduct');
+
+var productSetMock = {
+    productSet: true,
+    ID: 'someSetID',
+    manufacturerSKU: 'some manufacturer SKU'
+};
+
+var productSet;
+
+describe('Product Set Model', function () {
+    before(function () {
+        mockSuperModule.create(baseFullProductMock);
+        productSet = proxyquire('../../../../../cartridges/int_pixlee_sfra/cartridge/models/product/productSet', {
+            '*/cartridge/models/product/decorators/index': require('../../../../mocks/models/product/decorators/index')
+        });
+    });
+    after(function () {
+        mockSuperModule.remove();
+    });
+
+    it('should call pixleeProductId for product set', function () {
+        var object = {};
+        productSet(object, productSetMock, {}, {});
+
+        assert.equal(object.pixleeProductId, 'some manufacturer SKU');
+    });
+});